@@ -3,6 +3,7 @@
 
 import Admin from '../models/Admin.js';
 import { requireAdmin } from '../middleware/auth.js';
+import { revokeAllSessions } from '../utils/sessions.js';
 
 const AdminController = {
   // Current admin profile
@@ -89,6 +90,13 @@ const AdminController = {
         { new: true, runValidators: true }
       ).lean();
       if (!updated) return res.status(404).json({ error: 'Admin not found' });
+      // Password changes and deactivation sign the admin out everywhere
+      if (payload.password) {
+        await revokeAllSessions('admin', updated._id, 'password_changed', { exceptSessionId: req.auth?.sessionId });
+      }
+      if (updated.status === 'banned' || updated.status === 'inactive') {
+        await revokeAllSessions('admin', updated._id, updated.status === 'banned' ? 'banned' : 'deactivated');
+      }
       return res.json(updated);
     } catch (err) {
       return res.status(400).json({ error: err.message });
@@ -101,6 +109,7 @@ const AdminController = {
       const { id } = req.params;
       const removed = await Admin.findByIdAndDelete(id).lean();
       if (!removed) return res.status(404).json({ error: 'Admin not found' });
+      await revokeAllSessions('admin', removed._id, 'deleted');
       return res.json({ ok: true });
     } catch (err) {
       return res.status(400).json({ error: err.message });
@@ -0,0 +1,105 @@
+// AuditLogController: read-only access to the audit trail
+// Exposes: list, getById
+
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+const ENTITIES = ['Invoice', 'InvoiceNote', 'InvoiceSchedule', 'Payment', 'Payout', 'ExchangeRate', 'Client', 'Project', 'Milestone', 'Role', 'TeamMember'];
+const ACTOR_TYPES = ['admin', 'owner', 'team_member', 'user', 'system'];
+const ACTIONS = ['create', 'update', 'delete'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+function parseObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(id);
+  } catch {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+const AuditLogController = {
+  // List entries, newest first
+  // Filters: entity, entityId, action, actorId, actorType, ownerId (admins), from, to, limit, skip
+  // Authorization: authorize('audit_log', 'view_audit_log') on the route; non-admins see their owner scope only
+  async list(req, res) {
+    try {
+      const { scope } = req;
+      const { entity, entityId, action, actorId, actorType, ownerId, from, to } = req.query;
+      const filter = {};
+      if (!scope.isAdmin) {
+        filter.ownerId = scope.ownerId;
+      } else if (ownerId) {
+        const oid = parseObjectId(ownerId);
+        if (!oid) return res.status(400).json({ error: 'Invalid ownerId' });
+        filter.ownerId = oid;
+      }
+      if (entity) {
+        if (!ENTITIES.includes(entity)) return res.status(400).json({ error: `entity must be one of ${ENTITIES.join(', ')}` });
+        filter.entity = entity;
+      }
+      if (entityId) {
+        const oid = parseObjectId(entityId);
+        if (!oid) return res.status(400).json({ error: 'Invalid entityId' });
+        filter.entityId = oid;
+      }
+      if (action) {
+        if (!ACTIONS.includes(action)) return res.status(400).json({ error: `action must be one of ${ACTIONS.join(', ')}` });
+        filter.action = action;
+      }
+      if (actorId) {
+        const oid = parseObjectId(actorId);
+        if (!oid) return res.status(400).json({ error: 'Invalid actorId' });
+        filter['actor.id'] = oid;
+      }
+      if (actorType) {
+        if (!ACTOR_TYPES.includes(actorType)) return res.status(400).json({ error: `actorType must be one of ${ACTOR_TYPES.join(', ')}` });
+        filter['actor.type'] = actorType;
+      }
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) {
+          const d = parseDate(from);
+          if (!d) return res.status(400).json({ error: 'Invalid from date' });
+          filter.createdAt.$gte = d;
+        }
+        if (to) {
+          const d = parseDate(to);
+          if (!d) return res.status(400).json({ error: 'Invalid to date' });
+          filter.createdAt.$lte = d;
+        }
+      }
+      const limit = Math.min(MAX_LIMIT, Math.max(1, Number(req.query.limit) || DEFAULT_LIMIT));
+      const skip = Math.max(0, Number(req.query.skip) || 0);
+      const items = await AuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean();
+      return res.json(items);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Get one entry
+  // Authorization: authorize('audit_log', 'view_audit_log') on the route
+  async getById(req, res) {
+    try {
+      const { scope } = req;
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const item = await AuditLog.findById(oid).lean();
+      if (!item) return res.status(404).json({ error: 'Audit log entry not found' });
+      if (!scope.isAdmin && String(item.ownerId) !== String(scope.ownerId)) {
+        return res.status(404).json({ error: 'Audit log entry not found' });
+      }
+      return res.json(item);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+};
+
+export default AuditLogController;
@@ -1,8 +1,19 @@
-// AuthController: issues JWT for admin and user logins
-import jwt from 'jsonwebtoken';
+// AuthController: issues JWT + refresh token sessions for admin and user logins
 import bcrypt from 'bcryptjs';
 import Admin from '../models/Admin.js';
 import User from '../models/User.js';
+import { consumeAuthToken } from '../utils/authTokens.js';
+import { sendPasswordResetEmail, sendVerificationEmail, sendAccountClaimEmail } from '../utils/authEmails.js';
+import { signTwoFactorChallenge, verifyTwoFactorChallenge, verifySecondFactor } from '../utils/twoFactor.js';
+import { otpTargetFromBody, checkOtp, findUserForOtp, markOtpVerified } from '../utils/otp.js';
+import { lockoutKey, lockoutRemaining, recordLoginFailure, clearLoginFailures, sendLocked } from '../utils/loginLockout.js';
+import {
+  issueSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} from '../utils/sessions.js';
 
 function sanitizeAdmin(admin) {
   const { password, __v, ...rest } = admin;
@@ -11,22 +22,33 @@ function sanitizeAdmin(admin) {
 
 function sanitizeUser(user) {
   const { __v, ...rest } = user;
+  if (rest.registration) {
+    const { passwordHash: _hash, ...registration } = rest.registration;
+    rest.registration = registration;
+  }
   return rest;
 }
 
-function signToken(payload) {
-  const secret = process.env.JWT_SECRET;
-  if (!secret) throw new Error('JWT_SECRET is not configured');
-  const expiresIn = process.env.JWT_EXPIRES_IN || '1d';
-  return jwt.sign(payload, secret, { expiresIn });
+// The hash lives under registration.passwordHash (select: false; query with +registration.passwordHash)
+function userPasswordHash(doc) {
+  return doc?.registration?.passwordHash || null;
 }
 
-async function verifyPassword(plain, hashedOrPlain) {
-  // If hashedOrPlain looks like a bcrypt hash, use bcrypt compare; otherwise plain equality
-  if (typeof hashedOrPlain === 'string' && hashedOrPlain.startsWith('$2')) {
-    try { return await bcrypt.compare(plain, hashedOrPlain); } catch { return false; }
-  }
-  return plain === hashedOrPlain;
+function isStrongEnough(password) {
+  return typeof password === 'string' && password.length >= 8;
+}
+
+// bcrypt only: stored plaintext never matches (run npm run migrate:admin-passwords for legacy admins)
+async function verifyPassword(plain, hash) {
+  if (typeof hash !== 'string' || !hash.startsWith('$2')) return false;
+  try { return await bcrypt.compare(String(plain), hash); } catch { return false; }
+}
+
+// Count a failed attempt; the failure that crosses the threshold already answers with the lock
+async function rejectAttempt(res, key, error = 'Invalid credentials') {
+  const seconds = await recordLoginFailure(key);
+  if (seconds) return sendLocked(res, seconds);
+  return res.status(401).json({ error });
 }
 
 const AuthController = {
@@ -35,12 +57,20 @@ const AuthController = {
     try {
       const { email, password } = req.body || {};
       if (!email || !password) return res.status(400).json({ error: 'email and password are required' });
-      const admin = await Admin.findOne({ email: String(email).toLowerCase() }).lean();
-      if (!admin) return res.status(401).json({ error: 'Invalid credentials' });
+      const key = lockoutKey('admin', email);
+      const locked = await lockoutRemaining(key);
+      if (locked) return sendLocked(res, locked);
+      const admin = await Admin.findOne({ email: String(email).toLowerCase() }).select('+password').lean();
+      if (!admin) return rejectAttempt(res, key);
       const ok = await verifyPassword(password, admin.password);
-      if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
-      const token = signToken({ type: 'admin', sub: admin._id, role: admin.role });
-      return res.json({ token, admin: sanitizeAdmin(admin) });
+      if (!ok) return rejectAttempt(res, key);
+      await clearLoginFailures(key);
+      // Second step: exchange the challenge at POST /api/auth/2fa/verify
+      if (admin.twoFactor?.enabled) {
+        return res.json({ twoFactorRequired: true, challengeToken: signTwoFactorChallenge('admin', admin._id) });
+      }
+      const { token, refreshToken } = await issueSession('admin', admin._id, req, { role: admin.role });
+      return res.json({ token, refreshToken, admin: sanitizeAdmin(admin) });
     } catch (err) {
       return res.status(500).json({ error: err.message });
     }
@@ -50,19 +80,95 @@ const AuthController = {
   async loginUser(req, res) {
     try {
       const { email, password } = req.body || {};
-      if (!email) return res.status(400).json({ error: 'email is required' });
-      const doc = await User.findOne({ 'registration.email': String(email).toLowerCase() }).lean();
-      if (!doc) return res.status(401).json({ error: 'Invalid credentials' });
+      if (!email || !password) return res.status(400).json({ error: 'email and password are required' });
+      const key = lockoutKey('user', email);
+      const locked = await lockoutRemaining(key);
+      if (locked) return sendLocked(res, locked);
+      const doc = await User.findOne({ 'registration.email': String(email).toLowerCase() })
+        .select('+registration.passwordHash')
+        .lean();
+      if (!doc) return rejectAttempt(res, key);
 
-      // If a passwordHash exists, require password validation; else allow email-only fallback
-      if (doc.passwordHash) {
-        if (!password) return res.status(400).json({ error: 'password is required' });
-        const ok = await verifyPassword(String(password), String(doc.passwordHash));
-        if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
+      // Auto-provisioned accounts have no password until claimed via the emailed link
+      const hash = userPasswordHash(doc);
+      if (!hash) {
+        return res.status(403).json({
+          error: 'Account not activated. Use the activation link sent to your email or request a new one.',
+          code: 'ACCOUNT_UNCLAIMED',
+        });
+      }
+      const ok = await verifyPassword(password, hash);
+      if (!ok) return rejectAttempt(res, key);
+      await clearLoginFailures(key);
+      // Second step: exchange the challenge at POST /api/auth/2fa/verify
+      if (doc.twoFactor?.enabled) {
+        return res.json({ twoFactorRequired: true, challengeToken: signTwoFactorChallenge('user', doc._id) });
       }
 
-      const token = signToken({ type: 'user', sub: doc._id });
-      return res.json({ token, user: sanitizeUser(doc) });
+      const { token, refreshToken } = await issueSession('user', doc._id, req);
+      return res.json({ token, refreshToken, user: sanitizeUser(doc) });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/auth/otp/login
+  // Passwordless login: { phone, code } or { email, code } with a code from POST /api/otp/send
+  async loginWithOtp(req, res) {
+    try {
+      const target = otpTargetFromBody(req.body);
+      const { code } = req.body || {};
+      if (!target || !code) return res.status(400).json({ error: 'phone or email and code are required' });
+      const result = await checkOtp(target, code);
+      if (!result.ok) return res.status(result.status === 404 ? 401 : result.status).json({ error: result.error });
+
+      const doc = await findUserForOtp(target);
+      if (!doc) return res.status(401).json({ error: 'Invalid credentials' });
+      if (doc.meta?.status === 'banned') return res.status(401).json({ error: 'Unauthorized' });
+      await markOtpVerified(doc._id, target);
+      // The OTP replaces the password step only; enrolled accounts still need their second factor
+      if (doc.twoFactor?.enabled) {
+        return res.json({ twoFactorRequired: true, challengeToken: signTwoFactorChallenge('user', doc._id) });
+      }
+
+      const { token, refreshToken } = await issueSession('user', doc._id, req);
+      return res.json({ token, refreshToken, user: sanitizeUser(doc) });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/auth/2fa/verify
+  // Second login step: a TOTP code or a recovery code against the challenge from the password step
+  async verifyTwoFactorLogin(req, res) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body || {};
+      if (!challengeToken) return res.status(400).json({ error: 'challengeToken is required' });
+      if (!code && !recoveryCode) return res.status(400).json({ error: 'code or recoveryCode is required' });
+      const challenge = verifyTwoFactorChallenge(challengeToken);
+      if (!challenge) return res.status(401).json({ error: 'Invalid or expired challenge' });
+      const { subjectType, subjectId } = challenge;
+      // Challenges are reissued by every password login, so guesses are counted per account
+      const key = lockoutKey('mfa', `${subjectType}:${subjectId}`);
+      const locked = await lockoutRemaining(key);
+      if (locked) return sendLocked(res, locked);
+
+      const method = await verifySecondFactor(subjectType, subjectId, { code, recoveryCode });
+      if (!method) return rejectAttempt(res, key, 'Invalid verification code');
+      await clearLoginFailures(key);
+
+      if (subjectType === 'admin') {
+        const admin = await Admin.findById(subjectId).lean();
+        if (!admin || admin.status === 'banned' || admin.status === 'inactive') {
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const { token, refreshToken } = await issueSession('admin', admin._id, req, { role: admin.role });
+        return res.json({ token, refreshToken, admin: sanitizeAdmin(admin), method });
+      }
+      const doc = await User.findById(subjectId).lean();
+      if (!doc || doc.meta?.status === 'banned') return res.status(401).json({ error: 'Unauthorized' });
+      const { token, refreshToken } = await issueSession('user', doc._id, req);
+      return res.json({ token, refreshToken, user: sanitizeUser(doc), method });
     } catch (err) {
       return res.status(500).json({ error: err.message });
     }
@@ -75,24 +181,247 @@ const AuthController = {
       const id = userAuth?._id || userAuth?.id;
       if (!id) return res.status(401).json({ error: 'Unauthorized' });
       const { currentPassword, newPassword } = req.body || {};
-      if (!newPassword || typeof newPassword !== 'string' || newPassword.length < 8) {
+      if (!isStrongEnough(newPassword)) {
         return res.status(400).json({ error: 'newPassword must be at least 8 characters' });
       }
-      const doc = await User.findById(id).select('passwordHash').lean();
+      const doc = await User.findById(id).select('+registration.passwordHash').lean();
       if (!doc) return res.status(404).json({ error: 'User not found' });
-      if (doc.passwordHash) {
+      const hash = userPasswordHash(doc);
+      if (hash) {
         if (!currentPassword) return res.status(400).json({ error: 'currentPassword is required' });
-        const ok = await verifyPassword(String(currentPassword), String(doc.passwordHash));
+        const ok = await verifyPassword(String(currentPassword), String(hash));
         if (!ok) return res.status(401).json({ error: 'Current password is incorrect' });
       }
       const nextHash = await bcrypt.hash(String(newPassword), 10);
-      const updated = await User.findByIdAndUpdate(id, { $set: { passwordHash: nextHash } }, { new: true }).select('_id').lean();
+      const updated = await User.findByIdAndUpdate(id, { $set: { 'registration.passwordHash': nextHash } }, { new: true }).select('_id').lean();
+      if (!updated) return res.status(404).json({ error: 'User not found' });
+      // Sign out every other device; the session that changed the password stays valid
+      await revokeAllSessions('user', id, 'password_changed', { exceptSessionId: req.auth?.sessionId });
+      return res.json({ ok: true });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/auth/user/forgot-password
+  // Always answers ok so the endpoint cannot be used to discover registered emails
+  async forgotUserPassword(req, res) {
+    try {
+      const email = String(req.body?.email || '').trim().toLowerCase();
+      if (!email) return res.status(400).json({ error: 'email is required' });
+      const doc = await User.findOne({ 'registration.email': email }).select('registration.name meta.status').lean();
+      if (doc && doc.meta?.status !== 'banned' && doc.meta?.status !== 'deleted') {
+        // A failed send must answer like an unknown address, or the response reveals the account exists
+        await sendPasswordResetEmail({ subjectType: 'user', subjectId: doc._id, email, name: doc.registration?.name, ip: req.ip })
+          .catch((err) => console.warn(`Password reset email failed (user ${doc._id}):`, err.message));
+      }
+      return res.json({ ok: true });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/auth/user/reset-password
+  async resetUserPassword(req, res) {
+    try {
+      const { token, newPassword } = req.body || {};
+      if (!token) return res.status(400).json({ error: 'token is required' });
+      if (!isStrongEnough(newPassword)) {
+        return res.status(400).json({ error: 'newPassword must be at least 8 characters' });
+      }
+      const record = await consumeAuthToken(token, 'password_reset', 'user');
+      if (!record) return res.status(400).json({ error: 'Invalid or expired token' });
+      const nextHash = await bcrypt.hash(String(newPassword), 10);
+      // Receiving the reset email proves ownership of the address
+      const updated = await User.findByIdAndUpdate(
+        record.subjectId,
+        { $set: { 'registration.passwordHash': nextHash, 'verification.emailVerified': true } },
+        { new: true }
+      ).select('_id').lean();
       if (!updated) return res.status(404).json({ error: 'User not found' });
+      await revokeAllSessions('user', updated._id, 'password_changed');
       return res.json({ ok: true });
     } catch (err) {
       return res.status(500).json({ error: err.message });
     }
   },
+
+  // POST /api/auth/user/verify-email/send
+  // Emails the authenticated user a verification link
+  async sendUserVerification(req, res) {
+    try {
+      const doc = await User.findById(req.auth.id).select('registration.email registration.name verification').lean();
+      if (!doc) return res.status(404).json({ error: 'User not found' });
+      if (doc.verification?.emailVerified) return res.json({ ok: true, alreadyVerified: true });
+      await sendVerificationEmail({ userId: doc._id, email: doc.registration.email, name: doc.registration?.name, ip: req.ip });
+      return res.json({ ok: true });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/auth/user/verify-email
+  async verifyUserEmail(req, res) {
+    try {
+      const { token } = req.body || {};
+      if (!token) return res.status(400).json({ error: 'token is required' });
+      const record = await consumeAuthToken(token, 'email_verify', 'user');
+      if (!record) return res.status(400).json({ error: 'Invalid or expired token' });
+      // The link only verifies the address it was sent to
+      const updated = await User.findOneAndUpdate(
+        { _id: record.subjectId, 'registration.email': record.email },
+        { $set: { 'verification.emailVerified': true } },
+        { new: true }
+      ).select('_id verification').lean();
+      if (!updated) return res.status(400).json({ error: 'Email address has changed; request a new link' });
+      return res.json({ ok: true, emailVerified: true });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/auth/user/claim
+  // (Re)sends the activation link to a passwordless account; always answers ok
+  async requestUserClaim(req, res) {
+    try {
+      const email = String(req.body?.email || '').trim().toLowerCase();
+      if (!email) return res.status(400).json({ error: 'email is required' });
+      const doc = await User.findOne({ 'registration.email': email })
+        .select('registration.name +registration.passwordHash meta.status')
+        .lean();
+      if (doc && !userPasswordHash(doc) && doc.meta?.status !== 'banned' && doc.meta?.status !== 'deleted') {
+        await sendAccountClaimEmail({ userId: doc._id, email, name: doc.registration?.name, ip: req.ip });
+      }
+      return res.json({ ok: true });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/auth/user/claim/complete
+  // Sets the first password of an auto-provisioned account and signs the user in
+  async completeUserClaim(req, res) {
+    try {
+      const { token, newPassword } = req.body || {};
+      if (!token) return res.status(400).json({ error: 'token is required' });
+      if (!isStrongEnough(newPassword)) {
+        return res.status(400).json({ error: 'newPassword must be at least 8 characters' });
+      }
+      const record = await consumeAuthToken(token, 'account_claim', 'user');
+      if (!record) return res.status(400).json({ error: 'Invalid or expired token' });
+      const nextHash = await bcrypt.hash(String(newPassword), 10);
+      // Only unclaimed accounts for the invited address; claimed ones go through reset-password
+      const updated = await User.findOneAndUpdate(
+        {
+          _id: record.subjectId,
+          'registration.email': record.email,
+          'registration.passwordHash': { $in: [null, ''] },
+        },
+        { $set: { 'registration.passwordHash': nextHash, 'verification.emailVerified': true } },
+        { new: true }
+      ).lean();
+      if (!updated) return res.status(409).json({ error: 'Account already activated; sign in or reset your password' });
+      const { token: accessToken, refreshToken } = await issueSession('user', updated._id, req);
+      return res.json({ token: accessToken, refreshToken, user: sanitizeUser(updated) });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/auth/admin/forgot-password
+  async forgotAdminPassword(req, res) {
+    try {
+      const email = String(req.body?.email || '').trim().toLowerCase();
+      if (!email) return res.status(400).json({ error: 'email is required' });
+      const admin = await Admin.findOne({ email }).select('name status').lean();
+      if (admin && admin.status === 'active') {
+        await sendPasswordResetEmail({ subjectType: 'admin', subjectId: admin._id, email, name: admin.name, ip: req.ip })
+          .catch((err) => console.warn(`Password reset email failed (admin ${admin._id}):`, err.message));
+      }
+      return res.json({ ok: true });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/auth/admin/reset-password
+  async resetAdminPassword(req, res) {
+    try {
+      const { token, newPassword } = req.body || {};
+      if (!token) return res.status(400).json({ error: 'token is required' });
+      if (!isStrongEnough(newPassword)) {
+        return res.status(400).json({ error: 'newPassword must be at least 8 characters' });
+      }
+      const record = await consumeAuthToken(token, 'password_reset', 'admin');
+      if (!record) return res.status(400).json({ error: 'Invalid or expired token' });
+      const nextHash = await bcrypt.hash(String(newPassword), 10);
+      const updated = await Admin.findByIdAndUpdate(record.subjectId, { $set: { password: nextHash } }, { new: true })
+        .select('_id')
+        .lean();
+      if (!updated) return res.status(404).json({ error: 'Admin not found' });
+      await revokeAllSessions('admin', updated._id, 'password_changed');
+      return res.json({ ok: true });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/auth/refresh
+  // Rotates the refresh token; the presented one stops working immediately
+  async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body || {};
+      if (!refreshToken) return res.status(400).json({ error: 'refreshToken is required' });
+      const session = await findSessionByRefreshToken(refreshToken);
+      if (!session) return res.status(401).json({ error: 'Invalid refresh token' });
+
+      // Re-check the account on every refresh so bans apply even to sessions not yet revoked
+      let claims = {};
+      if (session.subjectType === 'admin') {
+        const admin = await Admin.findById(session.subjectId).select('role status').lean();
+        if (!admin || admin.status === 'banned' || admin.status === 'inactive') {
+          await revokeSession(session._id, 'banned');
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+        claims = { role: admin.role };
+      } else {
+        const user = await User.findById(session.subjectId).select('meta.status').lean();
+        if (!user || user.meta?.status === 'banned') {
+          await revokeSession(session._id, 'banned');
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+      }
+
+      const rotated = await rotateSession(refreshToken, req, claims);
+      if (rotated.error) return res.status(401).json({ error: rotated.error });
+      return res.json({ token: rotated.token, refreshToken: rotated.refreshToken });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/auth/logout
+  // Revokes the session behind the access token
+  async logout(req, res) {
+    try {
+      await revokeSession(req.auth?.sessionId, 'logout');
+      return res.json({ ok: true });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/auth/logout-all
+  // Revokes every session of the caller ("log out all devices"), including the current one
+  async logoutAll(req, res) {
+    try {
+      const { type, id } = req.auth;
+      const revoked = await revokeAllSessions(type, id, 'logout_all');
+      return res.json({ ok: true, revoked });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
 };
 
 export default AuthController;
\ No newline at end of file
@@ -2,7 +2,6 @@
 // Exposes: list, getById, create, update, remove
 
 import Category from '../models/Category.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
 import mongoose from 'mongoose';
 
 function parseObjectId(id) {
@@ -15,13 +14,9 @@ function parseObjectId(id) {
 
 const CategoryController = {
   // List categories with filters
+  // Authorization: authenticate on the route
   async list(req, res) {
     try {
-      // Require any authenticated principal (admin or user)
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
       const { parent, is_active, slug, q, from, to } = req.query;
       const filter = {};
       if (parent) {
@@ -51,13 +46,9 @@ const CategoryController = {
   },
 
   // Get one category
+  // Authorization: authenticate on the route
   async getById(req, res) {
     try {
-      // Admin-only access to single category details
-      const auth = await getAuthFromRequest(req);
-       if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
@@ -70,13 +61,9 @@ const CategoryController = {
   },
 
   // Create category
+  // Authorization: requireAdmin on the route
   async create(req, res) {
     try {
-      // Admin-only creation
-      const auth = await getAuthFromRequest(req);
-      if (!auth || auth.type !== 'admin') {
-        return res.status(403).json({ error: 'Only admins can create categories' });
-      }
       const payload = req.body || {};
       if (!payload.name) return res.status(400).json({ error: 'name is required' });
       // Normalize slug when provided
@@ -100,13 +87,9 @@ const CategoryController = {
   },
 
   // Update category
+  // Authorization: requireAdmin on the route
   async update(req, res) {
     try {
-      // Admin-only update
-      const auth = await getAuthFromRequest(req);
-      if (!auth || auth.type !== 'admin') {
-        return res.status(403).json({ error: 'Only admins can update categories' });
-      }
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
@@ -130,13 +113,9 @@ const CategoryController = {
   },
 
   // Delete category
+  // Authorization: requireAdmin on the route
   async remove(req, res) {
     try {
-      // Admin-only delete
-      const auth = await getAuthFromRequest(req);
-      if (!auth || auth.type !== 'admin') {
-        return res.status(403).json({ error: 'Only admins can delete categories' });
-      }
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
@@ -4,21 +4,16 @@
 import Client from '../models/Client.js';
 import User from '../models/User.js';
 import { ensureOwnerRolesSeeded } from '../utils/roleSeeding.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
-import TeamMember from '../models/TeamMember.js';
-import Role from '../models/Role.js';
 import mongoose from 'mongoose';
 import { uploadImageBufferToCloudinary } from '../utils/cloudinary.js';
+import { sendAccountClaimEmail } from '../utils/authEmails.js';
 
 const ClientController = {
   // List clients with filters and simple text search
+  // Authorization: authorize('client', 'view_client') on the route
   async list(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-
+      const { scope } = req;
       const { type, industry, status, invoice_type, country, city, poc_email, poc_phone, q, user_id } = req.query;
       const filter = {};
       if (type) filter.type = type;
@@ -32,26 +27,9 @@ const ClientController = {
       if (q) filter.business_name = { $regex: q, $options: 'i' };
 
       // Scope: for non-admins, restrict to their owner scope
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let ownerScopeId = null;
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = auth.id;
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasView = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.view_client === true) ||
-            assignedRole.permissions.view_client === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: missing view_client permission' });
-          ownerScopeId = tm.managed_by;
-        }
+      if (!scope.isAdmin) {
         // Enforce scope by owner who added the client
-        filter.added_by = ownerScopeId;
+        filter.added_by = scope.ownerId;
       } else if (user_id) {
         // Admins may filter by user_id
         const oid = (() => { try { return new mongoose.Types.ObjectId(user_id); } catch { return null; } })();
@@ -68,11 +46,16 @@ const ClientController = {
   },
 
   // Get single client
+  // Authorization: authorize('client', 'view_client') on the route
   async getById(req, res) {
     try {
+      const { scope } = req;
       const { id } = req.params;
       const doc = await Client.findById(id).lean();
       if (!doc) return res.status(404).json({ error: 'Client not found' });
+      if (!scope.isAdmin && String(doc.added_by) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden: client not in scope' });
+      }
       return res.json(doc);
     } catch (err) {
       return res.status(500).json({ error: err.message });
@@ -80,38 +63,17 @@ const ClientController = {
   },
 
   // Get clients by linked user_id
+  // Authorization: authorize('client', 'view_client') on the route
   async getByUserId(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { userId } = req.params;
       let oid;
       try { oid = new mongoose.Types.ObjectId(userId); } catch { oid = null; }
       if (!oid) return res.status(400).json({ error: 'Invalid userId' });
 
       const filter = { user_id: oid };
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let ownerScopeId = null;
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = auth.id;
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasView = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.view_client === true) ||
-            assignedRole.permissions.view_client === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: missing view_client permission' });
-          ownerScopeId = tm.managed_by;
-        }
-        filter.added_by = ownerScopeId;
-      }
+      if (!scope.isAdmin) filter.added_by = scope.ownerId;
 
       const items = await Client.find(filter).lean();
       return res.json(items);
@@ -121,8 +83,10 @@ const ClientController = {
   },
 
   // Create client
+  // Authorization: authorize('client', 'create_client') on the route
   async create(req, res) {
       try {
+        const { scope } = req;
         // For multipart requests, fields may be under `data` string
         let payload = req.body || {};
         if (typeof req.body?.data === 'string') {
@@ -170,6 +134,12 @@ const ClientController = {
           });
           await user.validate();
           userDoc = await user.save();
+          // New passwordless account: email an activation link (best-effort)
+          try {
+            await sendAccountClaimEmail({ userId: userDoc._id, email, name: nameForUser, invitedByName: req.user?.registration?.name });
+          } catch (mailErr) {
+            // non-blocking; the user can request a new link from the login screen
+          }
         } else {
           // Ensure 'business' role is present
           const roles = Array.isArray(userDoc.registration?.roles) ? userDoc.registration.roles : [];
@@ -212,20 +182,7 @@ const ClientController = {
         payload.user_id = userDoc._id;
 
         // Attribute ownership to the current authenticated owner/team
-        try {
-          const auth = await getAuthFromRequest(req);
-          if (auth && auth.type === 'user') {
-            if (auth.entity?.registration?.isOwner) {
-              payload.added_by = auth.id;
-            } else {
-              const emailAuth = auth.entity?.registration?.email;
-              if (emailAuth) {
-                const tm = await TeamMember.findOne({ email: emailAuth, status: 'active' }).select('managed_by').lean();
-                if (tm && tm.managed_by) payload.added_by = tm.managed_by;
-              }
-            }
-          }
-        } catch {}
+        if (!scope.isAdmin) payload.added_by = scope.ownerId;
 
         const doc = new Client(payload);
         await doc.validate();
@@ -241,9 +198,16 @@ const ClientController = {
   },
 
   // Update client
+  // Authorization: authorize('client', 'update_client') on the route
   async update(req, res) {
     try {
+      const { scope } = req;
       const { id } = req.params;
+      const current = await Client.findById(id).select('added_by').lean();
+      if (!current) return res.status(404).json({ error: 'Client not found' });
+      if (!scope.isAdmin && String(current.added_by) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden: client not in scope' });
+      }
       // For multipart requests, fields may be under `data` string
       let payload = req.body || {};
       if (typeof req.body?.data === 'string') {
@@ -263,6 +227,8 @@ const ClientController = {
       if (payload.point_of_contact?.email) {
         payload.point_of_contact.email = String(payload.point_of_contact.email).toLowerCase();
       }
+      // Prevent non-admins from moving a client to another owner
+      if (!scope.isAdmin) delete payload.added_by;
       const updated = await Client.findByIdAndUpdate(
         id,
         { $set: payload },
@@ -276,9 +242,16 @@ const ClientController = {
   },
 
   // Delete client
+  // Authorization: authorize('client', 'delete_client') on the route
   async remove(req, res) {
     try {
+      const { scope } = req;
       const { id } = req.params;
+      const current = await Client.findById(id).select('added_by').lean();
+      if (!current) return res.status(404).json({ error: 'Client not found' });
+      if (!scope.isAdmin && String(current.added_by) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden: client not in scope' });
+      }
       const removed = await Client.findByIdAndDelete(id).lean();
       if (!removed) return res.status(404).json({ error: 'Client not found' });
       return res.json({ ok: true });
@@ -3,10 +3,8 @@
 
 import Collaborator from '../models/Collaborator.js';
 import User from '../models/User.js';
-import TeamMember from '../models/TeamMember.js';
-import Role from '../models/Role.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
 import mongoose from 'mongoose';
+import { sendAccountClaimEmail } from '../utils/authEmails.js';
 
 function parseObjectId(id) {
   try {
@@ -18,13 +16,10 @@ function parseObjectId(id) {
 
 const CollaboratorController = {
   // List collaborators with filters and search
+  // Authorization: authorize('collaborator', 'view_collaborator') on the route
   async list(req, res) {
     try {
-      // Authorization: owners or team members with view_collaborator; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { type, status, managed_by, user, q, role, skill, tool, city, state, language, work_mode, level, industry, preferred_type, has_portfolio, niche, tone_style, platform, audience_country, editor_style, editor_software, turnaround_lte, writing_tone, writing_language, vo_tone, vo_language, home_studio, height_min, height_max, camera_gear, shooting_style, shooting_location } = req.query;
       const filter = {};
       if (type) filter.type = type;
@@ -60,33 +55,15 @@ const CollaboratorController = {
       if (shooting_style) filter['role_profile.shooting_styles'] = { $regex: shooting_style, $options: 'i' };
       if (shooting_location) filter['role_profile.shooting_locations'] = { $regex: shooting_location, $options: 'i' };
 
-      let ownerScopeId = null;
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = new mongoose.Types.ObjectId(auth.id);
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasView = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.view_collaborator === true) ||
-            assignedRole.permissions.view_collaborator === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: missing view_collaborator permission' });
-          ownerScopeId = tm.managed_by;
-        }
-      }
+      const ownerScopeId = scope.isAdmin ? null : scope.ownerId;
       if (managed_by) {
         const oid = parseObjectId(managed_by);
         if (!oid) return res.status(400).json({ error: 'Invalid managed_by' });
-        if (auth.type !== 'admin' && ownerScopeId && String(oid) !== String(ownerScopeId)) {
+        if (ownerScopeId && String(oid) !== String(ownerScopeId)) {
           return res.status(403).json({ error: 'Forbidden: managed_by out of scope' });
         }
         filter.managed_by = oid;
-      } else if (auth.type !== 'admin' && ownerScopeId) {
+      } else if (ownerScopeId) {
         filter.managed_by = ownerScopeId;
       }
       if (user) {
@@ -113,37 +90,15 @@ const CollaboratorController = {
   },
 
   // Get single collaborator
+  // Authorization: authorize('collaborator', 'view_collaborator') on the route
   async getById(req, res) {
     try {
-      // Authorization: owners or team members with view_collaborator; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const doc = await Collaborator.findById(id).lean();
       if (!doc) return res.status(404).json({ error: 'Collaborator not found' });
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner) {
-          if (String(doc.managed_by) !== String(auth.id)) {
-            return res.status(403).json({ error: 'Forbidden: collaborator not in owner scope' });
-          }
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasView = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.view_collaborator === true) ||
-            assignedRole.permissions.view_collaborator === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: missing view_collaborator permission' });
-          if (String(doc.managed_by) !== String(tm.managed_by)) {
-            return res.status(403).json({ error: 'Forbidden: collaborator not in scope' });
-          }
-        }
+      if (!scope.isAdmin && String(doc.managed_by) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden: collaborator not in scope' });
       }
       return res.json(doc);
     } catch (err) {
@@ -152,37 +107,16 @@ const CollaboratorController = {
   },
 
   // Get collaborators by linked users (userId)
+  // Authorization: authorize('collaborator', 'view_collaborator') on the route
   async getByUserId(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { userId } = req.params;
       const oid = parseObjectId(userId);
       if (!oid) return res.status(400).json({ error: 'Invalid userId' });
 
       const filter = { users: oid };
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let ownerScopeId = null;
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = new mongoose.Types.ObjectId(auth.id);
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasView = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.view_collaborator === true) ||
-            assignedRole.permissions.view_collaborator === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: missing view_collaborator permission' });
-          ownerScopeId = tm.managed_by;
-        }
-        filter.managed_by = ownerScopeId;
-      }
+      if (!scope.isAdmin) filter.managed_by = scope.ownerId;
 
       const items = await Collaborator.find(filter).lean();
       return res.json(items);
@@ -192,13 +126,10 @@ const CollaboratorController = {
   },
 
   // Create collaborator (unique trio users+managed_by+type)
+  // Authorization: authorize('collaborator', 'create_collaborator') on the route
   async create(req, res) {
     try {
-      // Authorization: owners or team members with create_collaborator; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const payload = req.body || {};
       // Accept either provided user id or auto-provision via user_email/user_name
       const baseRequired = ['type', 'managed_by'];
@@ -218,6 +149,12 @@ const CollaboratorController = {
           });
           await user.validate();
           userDoc = await user.save();
+          // New passwordless account: email an activation link (best-effort)
+          try {
+            await sendAccountClaimEmail({ userId: userDoc._id, email: emailLower, name: nameForUser, invitedByName: req.user?.registration?.name });
+          } catch (mailErr) {
+            // non-blocking; the user can request a new link from the login screen
+          }
         } else {
           const update = {};
           if (!userDoc.registration?.name && payload.user_name) {
@@ -236,30 +173,8 @@ const CollaboratorController = {
       if (!userOid) return res.status(400).json({ error: 'users or user_email is required' });
       const ownerOid = parseObjectId(payload.managed_by);
       if (!ownerOid) return res.status(400).json({ error: 'Invalid managed_by' });
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let allowed = false;
-        let ownerScopeId = null;
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = new mongoose.Types.ObjectId(auth.id);
-          allowed = true;
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (tm && tm.role && tm.managed_by) {
-            const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-            const hasCreate = assignedRole && assignedRole.permissions && (
-              Object.values(assignedRole.permissions).some((g) => g && g.create_collaborator === true) ||
-              assignedRole.permissions.create_collaborator === true
-            );
-            allowed = !!hasCreate;
-            ownerScopeId = tm.managed_by;
-          }
-        }
-        if (!allowed) return res.status(403).json({ error: 'Forbidden: missing create_collaborator permission' });
-        if (String(ownerOid) !== String(ownerScopeId)) {
-          return res.status(403).json({ error: 'Forbidden: managed_by must be owner in scope' });
-        }
+      if (!scope.isAdmin && String(ownerOid) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden: managed_by must be owner in scope' });
       }
       payload.users = userOid;
       payload.managed_by = ownerOid;
@@ -277,41 +192,22 @@ const CollaboratorController = {
   },
 
   // Update collaborator
+  // Authorization: authorize('collaborator', 'update_collaborator') on the route
   async update(req, res) {
     try {
-      // Authorization: owners or team members with update_collaborator; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const payload = req.body || {};
       const current = await Collaborator.findById(id).lean();
       if (!current) return res.status(404).json({ error: 'Collaborator not found' });
-      let ownerScopeId = null;
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = auth.id;
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasUpdate = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.update_collaborator === true) ||
-            assignedRole.permissions.update_collaborator === true
-          );
-          if (!hasUpdate) return res.status(403).json({ error: 'Forbidden: missing update_collaborator permission' });
-          ownerScopeId = tm.managed_by;
-        }
-        if (String(current.managed_by) !== String(ownerScopeId)) {
+      if (!scope.isAdmin) {
+        if (String(current.managed_by) !== String(scope.ownerId)) {
           return res.status(403).json({ error: 'Forbidden: collaborator not in scope' });
         }
         if (payload.managed_by) {
           const nextOwner = parseObjectId(payload.managed_by);
           if (!nextOwner) return res.status(400).json({ error: 'Invalid managed_by' });
-          if (String(nextOwner) !== String(ownerScopeId)) {
+          if (String(nextOwner) !== String(scope.ownerId)) {
             return res.status(403).json({ error: 'Forbidden: managed_by must be owner in scope' });
           }
         }
@@ -334,38 +230,15 @@ const CollaboratorController = {
   },
 
   // Delete collaborator
+  // Authorization: authorize('collaborator', 'delete_collaborator') on the route
   async remove(req, res) {
     try {
-      // Authorization: owners or team members with delete_collaborator; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const current = await Collaborator.findById(id).lean();
       if (!current) return res.status(404).json({ error: 'Collaborator not found' });
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let ownerScopeId = null;
-        let hasDelete = false;
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = auth.id;
-          hasDelete = true;
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          hasDelete = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.delete_collaborator === true) ||
-            assignedRole.permissions.delete_collaborator === true
-          );
-          if (!hasDelete) return res.status(403).json({ error: 'Forbidden: missing delete_collaborator permission' });
-          ownerScopeId = tm.managed_by;
-        }
-        if (String(current.managed_by) !== String(ownerScopeId)) {
-          return res.status(403).json({ error: 'Forbidden: collaborator not in scope' });
-        }
+      if (!scope.isAdmin && String(current.managed_by) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden: collaborator not in scope' });
       }
       const removed = await Collaborator.findByIdAndDelete(id).lean();
       if (!removed) return res.status(404).json({ error: 'Collaborator not found' });
@@ -375,37 +248,17 @@ const CollaboratorController = {
     }
   },
 
+  // Authorization: authorize('collaborator', 'update_collaborator') on the route
   async updateProfileIcon(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const { profile_icon_url } = req.body || {};
       if (!profile_icon_url) return res.status(400).json({ error: 'profile_icon_url is required' });
       const current = await Collaborator.findById(id).lean();
       if (!current) return res.status(404).json({ error: 'Collaborator not found' });
-      let ownerScopeId = null;
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = auth.id;
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasUpdate = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.update_collaborator === true) ||
-            assignedRole.permissions.update_collaborator === true
-          );
-          if (!hasUpdate) return res.status(403).json({ error: 'Forbidden' });
-          ownerScopeId = tm.managed_by;
-        }
-        if (String(current.managed_by) !== String(ownerScopeId)) {
-          return res.status(403).json({ error: 'Forbidden' });
-        }
+      if (!scope.isAdmin && String(current.managed_by) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden' });
       }
       const updated = await Collaborator.findByIdAndUpdate(
         id,
@@ -419,36 +272,16 @@ const CollaboratorController = {
     }
   },
 
+  // Authorization: authorize('collaborator', 'update_collaborator') on the route
   async updateSamples(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const { videos, photos, voice_samples } = req.body || {};
       const current = await Collaborator.findById(id).lean();
       if (!current) return res.status(404).json({ error: 'Collaborator not found' });
-      let ownerScopeId = null;
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = auth.id;
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasUpdate = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.update_collaborator === true) ||
-            assignedRole.permissions.update_collaborator === true
-          );
-          if (!hasUpdate) return res.status(403).json({ error: 'Forbidden' });
-          ownerScopeId = tm.managed_by;
-        }
-        if (String(current.managed_by) !== String(ownerScopeId)) {
-          return res.status(403).json({ error: 'Forbidden' });
-        }
+      if (!scope.isAdmin && String(current.managed_by) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden' });
       }
       const toSet = {};
       if (Array.isArray(videos)) toSet['samples.videos'] = videos;
@@ -467,36 +300,16 @@ const CollaboratorController = {
     }
   },
 
+  // Authorization: authorize('collaborator', 'update_collaborator') on the route
   async updateRoleProfile(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const payload = req.body || {};
       const current = await Collaborator.findById(id).lean();
       if (!current) return res.status(404).json({ error: 'Collaborator not found' });
-      let ownerScopeId = null;
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = auth.id;
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasUpdate = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.update_collaborator === true) ||
-            assignedRole.permissions.update_collaborator === true
-          );
-          if (!hasUpdate) return res.status(403).json({ error: 'Forbidden' });
-          ownerScopeId = tm.managed_by;
-        }
-        if (String(current.managed_by) !== String(ownerScopeId)) {
-          return res.status(403).json({ error: 'Forbidden' });
-        }
+      if (!scope.isAdmin && String(current.managed_by) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden' });
       }
       const updated = await Collaborator.findByIdAndUpdate(
         id,
@@ -2,15 +2,11 @@
 // Exposes: list, getById, create, update, remove
 
 import ContentType from '../models/ContentType.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
 
 const ContentTypeController = {
+  // Authorization: authenticate on the route
   async list(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
       const { status, q } = req.query;
       const filter = {};
       if (status) filter.status = status;
@@ -27,12 +23,9 @@ const ContentTypeController = {
     }
   },
 
+  // Authorization: authenticate on the route
   async getById(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
       const { id } = req.params;
       const doc = await ContentType.findById(id).lean();
       if (!doc) return res.status(404).json({ error: 'ContentType not found' });
@@ -42,12 +35,9 @@ const ContentTypeController = {
     }
   },
 
+  // Authorization: requireAdmin on the route
   async create(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || auth.type !== 'admin') {
-        return res.status(403).json({ error: 'Admin only' });
-      }
       const payload = req.body || {};
       if (!payload.name) return res.status(400).json({ error: 'name is required' });
       const doc = new ContentType({
@@ -66,12 +56,9 @@ const ContentTypeController = {
     }
   },
 
+  // Authorization: requireAdmin on the route
   async update(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || auth.type !== 'admin') {
-        return res.status(403).json({ error: 'Admin only' });
-      }
       const { id } = req.params;
       const payload = req.body || {};
       if (payload.name) payload.name = String(payload.name).trim();
@@ -90,12 +77,9 @@ const ContentTypeController = {
     }
   },
 
+  // Authorization: requireAdmin on the route
   async remove(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || auth.type !== 'admin') {
-        return res.status(403).json({ error: 'Admin only' });
-      }
       const { id } = req.params;
       const removed = await ContentType.findByIdAndDelete(id).lean();
       if (!removed) return res.status(404).json({ error: 'ContentType not found' });
@@ -0,0 +1,177 @@
+// ExchangeRateController: the owner's manually maintained exchange rates and base currency (utils/fx.js)
+// Editing a rate never changes rates already captured on invoices, payments and payouts
+// Exposes: list, create, update, remove, getBaseCurrency, updateBaseCurrency
+
+import mongoose from 'mongoose';
+import ExchangeRate from '../models/ExchangeRate.js';
+import Invoice from '../models/Invoice.js';
+import InvoiceSettings from '../models/InvoiceSettings.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { getBaseCurrency, normalizeCurrency } from '../utils/fx.js';
+
+const EDITABLE_FIELDS = ['currency', 'rate', 'effectiveDate', 'notes'];
+
+function parseObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(id);
+  } catch {
+    return null;
+  }
+}
+
+function inScope(scope, doc) {
+  return scope.isAdmin || String(doc.ownerId) === String(scope.ownerId);
+}
+
+// Owner whose rates are addressed: the caller's scope, or ?ownerId= for admins
+function rateOwner(req) {
+  const { scope } = req;
+  if (!scope.isAdmin) return scope.ownerId;
+  return req.query.ownerId ? parseObjectId(req.query.ownerId) : null;
+}
+
+// Reject a rate quoted in the base currency itself (it is always 1)
+async function checkCurrency(ownerId, currency) {
+  const code = normalizeCurrency(currency);
+  if (!code) return 'currency must be a 3-letter ISO code';
+  if (code === (await getBaseCurrency(ownerId))) return `${code} is the base currency; its rate is always 1`;
+  return null;
+}
+
+const ExchangeRateController = {
+  // List rates, newest first
+  // Filters: currency, on (the rate in force on that date, per currency). Admins pass ?ownerId=
+  // Authorization: authorize('invoice', 'view_invoice') on the route
+  async list(req, res) {
+    try {
+      const ownerId = rateOwner(req);
+      if (!ownerId) return res.status(400).json({ error: 'Valid ownerId is required' });
+      const { currency, on } = req.query;
+      const filter = { ownerId };
+      if (currency) filter.currency = String(currency).toUpperCase();
+      if (on) {
+        const d = new Date(on);
+        if (Number.isNaN(d.getTime())) return res.status(400).json({ error: 'Invalid on' });
+        filter.effectiveDate = { $lte: d };
+      }
+      let items = await ExchangeRate.find(filter).sort({ currency: 1, effectiveDate: -1 }).lean();
+      if (on) items = items.filter((r, i) => i === 0 || items[i - 1].currency !== r.currency);
+      const baseCurrency = await getBaseCurrency(ownerId);
+      return res.json({ baseCurrency, items });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Add a rate. Body: currency, rate (in the base currency per unit), effectiveDate (default today), notes
+  // Authorization: authorize('invoice', 'update_invoice') on the route
+  async create(req, res) {
+    try {
+      const ownerId = rateOwner(req);
+      if (!ownerId) return res.status(400).json({ error: 'Valid ownerId is required' });
+      const payload = req.body || {};
+      const message = await checkCurrency(ownerId, payload.currency);
+      if (message) return res.status(400).json({ error: message });
+      const fields = Object.fromEntries(EDITABLE_FIELDS.filter((f) => payload[f] !== undefined).map((f) => [f, payload[f]]));
+      const doc = new ExchangeRate({
+        ...fields,
+        effectiveDate: payload.effectiveDate || new Date(),
+        ownerId,
+        createdBy: req.auth?.id || null,
+      });
+      await doc.validate();
+      const saved = await doc.save();
+      return res.status(201).json(saved);
+    } catch (err) {
+      if (err?.code === 11000) return res.status(409).json({ error: 'A rate for this currency and date already exists' });
+      return res.status(400).json({ error: err.message });
+    }
+  },
+
+  // Update a rate; documents that captured it keep the old value
+  // Authorization: authorize('invoice', 'update_invoice') on the route
+  async update(req, res) {
+    try {
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const doc = await ExchangeRate.findById(oid);
+      if (!doc) return res.status(404).json({ error: 'Exchange rate not found' });
+      if (!inScope(req.scope, doc)) return res.status(403).json({ error: 'Forbidden: exchange rate not in owner scope' });
+      const payload = req.body || {};
+      if (payload.currency !== undefined) {
+        const message = await checkCurrency(doc.ownerId, payload.currency);
+        if (message) return res.status(400).json({ error: message });
+      }
+      for (const f of EDITABLE_FIELDS) {
+        if (payload[f] !== undefined) doc[f] = payload[f];
+      }
+      await doc.validate();
+      const saved = await doc.save();
+      return res.json(saved);
+    } catch (err) {
+      if (err?.code === 11000) return res.status(409).json({ error: 'A rate for this currency and date already exists' });
+      return res.status(400).json({ error: err.message });
+    }
+  },
+
+  // Delete a rate
+  // Authorization: authorize('invoice', 'update_invoice') on the route
+  async remove(req, res) {
+    try {
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const doc = await ExchangeRate.findById(oid).lean();
+      if (!doc) return res.status(404).json({ error: 'Exchange rate not found' });
+      if (!inScope(req.scope, doc)) return res.status(403).json({ error: 'Forbidden: exchange rate not in owner scope' });
+      await ExchangeRate.deleteOne({ _id: oid });
+      return res.json({ ok: true });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  },
+
+  // Get the owner's base currency
+  // Authorization: authorize('invoice', 'view_invoice') on the route
+  async getBaseCurrency(req, res) {
+    try {
+      const ownerId = rateOwner(req);
+      if (!ownerId) return res.status(400).json({ error: 'Valid ownerId is required' });
+      const baseCurrency = await getBaseCurrency(ownerId);
+      return res.json({ ownerId, baseCurrency });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Change the base currency. Body: { baseCurrency }. Only allowed before anything is booked, since posted
+  // entries and captured rates are in the old one
+  // Authorization: authorize('invoice', 'update_invoice') on the route
+  async updateBaseCurrency(req, res) {
+    try {
+      const ownerId = rateOwner(req);
+      if (!ownerId) return res.status(400).json({ error: 'Valid ownerId is required' });
+      const code = normalizeCurrency(req.body?.baseCurrency);
+      if (!code) return res.status(400).json({ error: 'baseCurrency must be a 3-letter ISO code' });
+      const current = await getBaseCurrency(ownerId);
+      if (code !== current) {
+        const [posted, issued] = await Promise.all([
+          LedgerEntry.exists({ ownerId }),
+          Invoice.exists({ createdBy: ownerId, fx: { $ne: null } }),
+        ]);
+        if (posted || issued) {
+          return res.status(409).json({ error: `Cannot change the base currency from ${current}: documents are already booked in it` });
+        }
+      }
+      const settings = await InvoiceSettings.findOneAndUpdate(
+        { ownerId },
+        { $set: { baseCurrency: code } },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      ).lean();
+      return res.json({ ownerId, baseCurrency: settings.baseCurrency });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  },
+};
+
+export default ExchangeRateController;
@@ -1,9 +1,27 @@
 // InvoiceController: CRUD operations for Invoice model with validation and soft cancel
-// Exposes: list, getById, create, update, cancel
+// Exposes: list, getById, create, update, cancel, pdf, getNumbering, updateNumbering,
+// getReminderSettings, updateReminderSettings, stopReminders, resumeReminders
 
 import Invoice from '../models/Invoice.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
+import InvoiceSettings from '../models/InvoiceSettings.js';
 import mongoose from 'mongoose';
+import {
+  previewNextInvoiceNumber,
+  getNumberingConfig,
+  validateNumbering,
+} from '../utils/invoiceNumbering.js';
+import { refreshInvoicePdf } from '../utils/invoicePdf.js';
+import { createInvoice, refreshPdfOnIssue } from '../utils/invoiceCreation.js';
+import { calculateInvoiceTaxes } from '../utils/gstTax.js';
+import { creditableAmount, prepareNote, issueNote, issuedNotes } from '../utils/invoiceNotes.js';
+import { syncLedger } from '../utils/ledger.js';
+import { invoiceFx } from '../utils/fx.js';
+import {
+  DEFAULT_REMINDERS,
+  TEMPLATE_PLACEHOLDERS,
+  getReminderSettings,
+  validateReminderSettings,
+} from '../utils/invoiceReminders.js';
 
 function parseObjectId(id) {
   try {
@@ -13,25 +31,44 @@ function parseObjectId(id) {
   }
 }
 
-async function ensureOwnerOrAdmin(req) {
-  const auth = await getAuthFromRequest(req);
-  if (!auth || (auth.type !== 'admin' && !(auth.type === 'user' && auth.entity?.registration?.isOwner))) {
-    return { ok: false };
+const NUMBERING_FIELDS = ['prefix', 'creditNotePrefix', 'debitNotePrefix', 'receiptPrefix', 'format', 'padding', 'reset', 'fyStartMonth'];
+
+const REMINDER_FIELDS = ['enabled', 'offsets', 'templates'];
+
+// Owner whose invoice settings are addressed: the caller's scope, or ?ownerId= for admins
+function settingsOwner(req) {
+  const { scope } = req;
+  if (!scope.isAdmin) return scope.ownerId;
+  return req.query.ownerId ? parseObjectId(req.query.ownerId) : null;
+}
+
+async function setRemindersStopped(req, res, stopped) {
+  try {
+    const { scope } = req;
+    const oid = parseObjectId(req.params.id);
+    if (!oid) return res.status(400).json({ error: 'Invalid id' });
+    const invoice = await Invoice.findById(oid).select('createdBy').lean();
+    if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+    if (!scope.isAdmin && String(invoice.createdBy) !== String(scope.ownerId)) {
+      return res.status(403).json({ error: 'Forbidden: invoice not in owner scope' });
+    }
+    const updated = await Invoice.findByIdAndUpdate(oid, { $set: { remindersStopped: stopped } }, { new: true }).lean();
+    return res.json(updated);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
-  return { ok: true, auth };
 }
 
 const InvoiceController = {
   // List invoices with filters
   async list(req, res) {
     try {
-      const { ok, auth } = await ensureOwnerOrAdmin(req);
-      if (!ok) return res.status(403).json({ error: 'Forbidden' });
+      const { scope } = req;
       const { clientId, createdBy, status, from, to, q } = req.query;
       const filter = {};
 
-      if (auth.type !== 'admin') {
-        const ownerId = new mongoose.Types.ObjectId(auth.id);
+      if (!scope.isAdmin) {
+        const { ownerId } = scope;
         filter.createdBy = ownerId;
         if (createdBy) {
           const oid = parseObjectId(createdBy);
@@ -68,15 +105,14 @@ const InvoiceController = {
   // Get invoice by id
   async getById(req, res) {
     try {
-      const { ok, auth } = await ensureOwnerOrAdmin(req);
-      if (!ok) return res.status(403).json({ error: 'Forbidden' });
+      const { scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const invoice = await Invoice.findById(oid).lean();
       if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
-      if (auth.type !== 'admin') {
-        if (String(invoice.createdBy) !== String(auth.id)) {
+      if (!scope.isAdmin) {
+        if (String(invoice.createdBy) !== String(scope.ownerId)) {
           return res.status(403).json({ error: 'Forbidden: invoice not in owner scope' });
         }
       }
@@ -89,14 +125,13 @@ const InvoiceController = {
   // Get invoices by owner userId (createdBy)
   async getByUserId(req, res) {
     try {
-      const { ok, auth } = await ensureOwnerOrAdmin(req);
-      if (!ok) return res.status(403).json({ error: 'Forbidden' });
+      const { scope } = req;
       const { userId } = req.params;
       const oid = parseObjectId(userId);
       if (!oid) return res.status(400).json({ error: 'Invalid userId' });
 
-      if (auth.type !== 'admin') {
-        if (String(oid) !== String(auth.id)) {
+      if (!scope.isAdmin) {
+        if (String(oid) !== String(scope.ownerId)) {
           return res.status(403).json({ error: 'Forbidden: userId not owner' });
         }
       }
@@ -111,141 +146,152 @@ const InvoiceController = {
   // Create invoice
   async create(req, res) {
     try {
-      const { ok, auth } = await ensureOwnerOrAdmin(req);
-      if (!ok) return res.status(403).json({ error: 'Forbidden' });
+      const { auth, scope } = req;
       const payload = req.body || {};
-      const required = ['invoiceNo', 'clientId', 'issuedTo'];
-      for (const f of required) {
-        if (!payload[f]) return res.status(400).json({ error: `${f} is required` });
-      }
-      const createdBy = new mongoose.Types.ObjectId(auth.type === 'admin' ? (payload.createdBy || auth.id) : auth.id);
-      const clientId = parseObjectId(payload.clientId);
-      const projectId = payload.projectId ? parseObjectId(payload.projectId) : undefined;
-      const quotationId = payload.quotationId ? parseObjectId(payload.quotationId) : undefined;
-      if (!clientId) return res.status(400).json({ error: 'Invalid clientId' });
-      if (payload.projectId && !projectId) return res.status(400).json({ error: 'Invalid projectId' });
-      if (payload.quotationId && !quotationId) return res.status(400).json({ error: 'Invalid quotationId' });
-
-      // Owner-only scope already enforced; createdBy set to auth.id for owners
-
-      const dup = await Invoice.findOne({ invoiceNo: String(payload.invoiceNo).trim() }).lean();
-      if (dup) return res.status(409).json({ error: 'invoiceNo already exists' });
-
-      const doc = new Invoice({
-        invoiceNo: String(payload.invoiceNo).trim(),
-        clientId,
-        issuedTo: payload.issuedTo,
-        currency: payload.currency || 'INR',
-        items: Array.isArray(payload.items) ? payload.items : [],
-        taxes: Array.isArray(payload.taxes) ? payload.taxes : [],
-        total: payload.total ?? 0,
-        payments: Array.isArray(payload.payments) ? payload.payments : [],
-        status: payload.status || 'draft',
-        issuedAt: payload.issuedAt ? new Date(payload.issuedAt) : null,
-        dueDate: payload.dueDate ? new Date(payload.dueDate) : null,
-        taxInclusive: !!payload.taxInclusive,
-        notes: payload.notes ?? null,
-        terms: payload.terms ?? null,
-        pdfUrl: payload.pdfUrl ?? null,
-        createdBy,
-        updatedBy: null,
-        ledgerEntryId: payload.ledgerEntryId ?? null,
-        isActive: payload.isActive !== undefined ? !!payload.isActive : true,
-        isDeleted: false,
-        meta: payload.meta ?? {},
-        projectId,
-        quotationId,
-        // Backward fields for compatibility
-        invoice_number: String(payload.invoiceNo).trim(),
-        issue_date: payload.issuedAt ? new Date(payload.issuedAt) : null,
-        due_date: payload.dueDate ? new Date(payload.dueDate) : null,
-        created_by: createdBy,
-      });
-
-      await doc.validate();
-      const saved = await doc.save();
-      return res.status(201).json(saved);
+      const createdBy = scope.isAdmin ? new mongoose.Types.ObjectId(payload.createdBy || auth.id) : scope.ownerId;
+      // Owner scope already enforced; createdBy set to the owner for owners and team members
+      const result = await createInvoice(payload, createdBy);
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      return res.status(201).json(result.invoice);
     } catch (err) {
+      if (err?.code === 11000) return res.status(409).json({ error: 'invoiceNo already exists' });
       return res.status(400).json({ error: err.message });
     }
   },
 
   // Update invoice
+  // Saved through the model so its hook re-derives totals, balanceDue, status, payment_status and paidAt
   async update(req, res) {
     try {
-      const { ok, auth } = await ensureOwnerOrAdmin(req);
-      if (!ok) return res.status(403).json({ error: 'Forbidden' });
+      const { scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const payload = req.body || {};
 
       // Verify current document and scope
-      const current = await Invoice.findById(oid).lean();
-      if (!current) return res.status(404).json({ error: 'Invoice not found' });
-      if (auth.type !== 'admin') {
-        if (String(current.createdBy) !== String(auth.id)) {
+      const doc = await Invoice.findById(oid);
+      if (!doc) return res.status(404).json({ error: 'Invoice not found' });
+      const current = doc.toObject();
+      if (!scope.isAdmin) {
+        if (String(current.createdBy) !== String(scope.ownerId)) {
           return res.status(403).json({ error: 'Forbidden: invoice not in owner scope' });
         }
       }
 
+      if (payload.payments !== undefined) {
+        return res.status(400).json({ error: 'Record payments through /api/payments' });
+      }
       if (payload.invoiceNo) {
         payload.invoiceNo = String(payload.invoiceNo).trim();
-        const dup = await Invoice.findOne({ _id: { $ne: oid }, invoiceNo: payload.invoiceNo }).lean();
+        const dup = await Invoice.findOne({ _id: { $ne: oid }, createdBy: current.createdBy, invoiceNo: payload.invoiceNo }).lean();
         if (dup) return res.status(409).json({ error: 'invoiceNo already exists' });
       }
+      // Payments and notes are amounts in the invoice's currency
+      const changesCurrency = payload.currency && payload.currency !== current.currency;
+      if (changesCurrency && ((current.payments || []).length || current.creditedAmount || current.debitedAmount)) {
+        return res.status(409).json({ error: 'Cannot change the currency of an invoice with payments or notes' });
+      }
 
-      const updated = await Invoice.findByIdAndUpdate(
-        oid,
-        { $set: {
-          // New fields
-          ...(payload.invoiceNo != null ? { invoiceNo: payload.invoiceNo, invoice_number: payload.invoiceNo } : {}),
-          ...(payload.clientId ? { clientId: parseObjectId(payload.clientId) } : {}),
-          ...(payload.issuedTo ? { issuedTo: payload.issuedTo } : {}),
-          ...(payload.currency ? { currency: payload.currency } : {}),
-          ...(Array.isArray(payload.items) ? { items: payload.items } : {}),
-          ...(Array.isArray(payload.taxes) ? { taxes: payload.taxes } : {}),
-          ...(payload.total != null ? { total: payload.total } : {}),
-          ...(Array.isArray(payload.payments) ? { payments: payload.payments } : {}),
-          ...(payload.status ? { status: payload.status } : {}),
-          ...(payload.issuedAt ? { issuedAt: new Date(payload.issuedAt), issue_date: new Date(payload.issuedAt) } : {}),
-          ...(payload.dueDate ? { dueDate: new Date(payload.dueDate), due_date: new Date(payload.dueDate) } : {}),
-          ...(payload.taxInclusive != null ? { taxInclusive: !!payload.taxInclusive } : {}),
-          ...(payload.notes != null ? { notes: payload.notes } : {}),
-          ...(payload.terms != null ? { terms: payload.terms } : {}),
-          ...(payload.pdfUrl != null ? { pdfUrl: payload.pdfUrl, pdf_url: payload.pdfUrl } : {}),
-          ...(payload.updatedBy ? { updatedBy: parseObjectId(payload.updatedBy) } : {}),
-          ...(payload.ledgerEntryId ? { ledgerEntryId: parseObjectId(payload.ledgerEntryId) } : {}),
-          ...(payload.isActive != null ? { isActive: !!payload.isActive } : {}),
-          ...(payload.isDeleted != null ? { isDeleted: !!payload.isDeleted } : {}),
-          ...(payload.meta ? { meta: payload.meta } : {}),
-          ...(payload.projectId ? { projectId: parseObjectId(payload.projectId), project: parseObjectId(payload.projectId) } : {}),
-          ...(payload.quotationId ? { quotationId: parseObjectId(payload.quotationId) } : {}),
-        } },
-        { new: true, runValidators: true }
-      ).lean();
-      if (!updated) return res.status(404).json({ error: 'Invoice not found' });
-      return res.json(updated);
+      // Recompute line taxes when anything feeding them changes; the model hook sums them into the totals
+      let taxFields = {};
+      const affectsTax = ['items', 'taxInclusive', 'placeOfSupply', 'issuedTo', 'clientId', 'currency'].some((f) => payload[f] !== undefined);
+      if (affectsTax) {
+        // An explicit placeOfSupply wins; a new recipient re-derives it; otherwise the stored one is kept
+        let keptPlaceOfSupply = current.placeOfSupply?.code || null;
+        if (payload.placeOfSupply !== undefined) keptPlaceOfSupply = payload.placeOfSupply;
+        else if (payload.issuedTo || payload.clientId) keptPlaceOfSupply = null;
+        const tax = await calculateInvoiceTaxes({
+          ownerId: current.createdBy,
+          items: Array.isArray(payload.items) ? payload.items : current.items,
+          taxInclusive: payload.taxInclusive != null ? !!payload.taxInclusive : current.taxInclusive,
+          placeOfSupply: keptPlaceOfSupply,
+          issuedTo: payload.issuedTo || current.issuedTo,
+          client: current.client,
+          clientId: payload.clientId || current.clientId,
+          currency: payload.currency || current.currency,
+        });
+        taxFields = {
+          items: tax.items,
+          taxes: tax.taxes,
+          placeOfSupply: tax.placeOfSupply,
+          taxTreatment: tax.taxTreatment,
+        };
+      }
+
+      // Moving the due date of an overdue invoice into the future reopens it
+      let reopened = {};
+      if (payload.dueDate && !payload.status && current.status === 'overdue' && new Date(payload.dueDate) > new Date()) {
+        reopened = current.paidAmount > 0
+          ? { status: 'partial', payment_status: 'partially_paid', overdueAt: null }
+          : { status: 'sent', payment_status: 'pending', overdueAt: null };
+      }
+
+      // Issuing (or re-dating) captures the exchange rate of the issue date
+      const fx = await invoiceFx(current.createdBy, {
+        currency: payload.currency || current.currency,
+        status: payload.status || reopened.status || current.status,
+        issuedAt: payload.issuedAt ? new Date(payload.issuedAt) : current.issuedAt,
+      }, current);
+
+      doc.set({
+        ...reopened,
+        fx,
+        // New fields
+        ...(payload.invoiceNo != null ? { invoiceNo: payload.invoiceNo, invoice_number: payload.invoiceNo } : {}),
+        ...(payload.clientId ? { clientId: parseObjectId(payload.clientId) } : {}),
+        ...(payload.issuedTo ? { issuedTo: payload.issuedTo } : {}),
+        ...(payload.currency ? { currency: payload.currency } : {}),
+        ...taxFields,
+        ...(payload.status ? { status: payload.status } : {}),
+        ...(payload.issuedAt ? { issuedAt: new Date(payload.issuedAt), issue_date: new Date(payload.issuedAt) } : {}),
+        ...(payload.dueDate ? { dueDate: new Date(payload.dueDate), due_date: new Date(payload.dueDate) } : {}),
+        ...(payload.taxInclusive != null ? { taxInclusive: !!payload.taxInclusive } : {}),
+        ...(payload.notes != null ? { notes: payload.notes } : {}),
+        ...(payload.terms != null ? { terms: payload.terms } : {}),
+        ...(payload.pdfUrl != null ? { pdfUrl: payload.pdfUrl, pdf_url: payload.pdfUrl } : {}),
+        ...(payload.updatedBy ? { updatedBy: parseObjectId(payload.updatedBy) } : {}),
+        ...(payload.isActive != null ? { isActive: !!payload.isActive } : {}),
+        ...(payload.isDeleted != null ? { isDeleted: !!payload.isDeleted } : {}),
+        ...(payload.meta ? { meta: payload.meta } : {}),
+        ...(payload.projectId ? { projectId: parseObjectId(payload.projectId), project: parseObjectId(payload.projectId) } : {}),
+        ...(payload.quotationId ? { quotationId: parseObjectId(payload.quotationId) } : {}),
+      });
+      const updated = (await doc.save()).toObject();
+      refreshPdfOnIssue(updated);
+      // Issuing, editing or deleting an issued invoice re-posts it
+      const entry = await syncLedger('invoice', updated._id);
+      return res.json({ ...updated, ledgerEntryId: entry?._id || null });
     } catch (err) {
+      if (err?.code === 11000) return res.status(409).json({ error: 'invoiceNo already exists' });
       return res.status(400).json({ error: err.message });
     }
   },
 
   // Soft cancel (instead of delete), keeps linkage integrity
+  // Issued invoices are reversed with a credit note for the remaining value first; drafts only change status
   async cancel(req, res) {
     try {
-      const { ok, auth } = await ensureOwnerOrAdmin(req);
-      if (!ok) return res.status(403).json({ error: 'Forbidden' });
+      const { scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const invoice = await Invoice.findById(oid).lean();
       if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
-      if (auth.type !== 'admin') {
-        if (String(invoice.createdBy) !== String(auth.id)) {
+      if (!scope.isAdmin) {
+        if (String(invoice.createdBy) !== String(scope.ownerId)) {
           return res.status(403).json({ error: 'Forbidden: invoice not in owner scope' });
         }
       }
+      if (invoice.status !== 'draft' && invoice.status !== 'cancelled' && invoice.issuedAt && creditableAmount(invoice) > 0) {
+        const prepared = prepareNote(invoice, 'credit', {
+          reason: 'cancellation',
+          full: true,
+          description: req.body?.reason || 'Invoice cancelled',
+        }, await issuedNotes(invoice._id));
+        if (prepared.error) return res.status(prepared.status).json({ error: prepared.error });
+        await issueNote(prepared.fields);
+      }
       const updated = await Invoice.findByIdAndUpdate(
         oid,
         { $set: { status: 'cancelled', payment_status: 'cancelled' } },
@@ -257,6 +303,135 @@ const InvoiceController = {
       return res.status(400).json({ error: err.message });
     }
   },
+
+  // Render the GST tax invoice PDF
+  // A cached copy whose content is unchanged is served by redirecting to pdfUrl; ?refresh=true re-renders
+  // Authorization: authorize('invoice', 'view_invoice') on the route
+  async pdf(req, res) {
+    try {
+      const { scope } = req;
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const invoice = await Invoice.findById(oid).lean();
+      if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+      if (!scope.isAdmin && String(invoice.createdBy) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden: invoice not in owner scope' });
+      }
+      const result = await refreshInvoicePdf(invoice, { force: req.query.refresh === 'true' });
+      if (result.cached) return res.redirect(302, result.url);
+      const fileName = String(invoice.invoiceNo || 'invoice').replace(/[^A-Za-z0-9._-]+/g, '-');
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+      return res.send(result.buffer);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Get the owner's numbering scheme and the number the next invoice would receive
+  // Admins pass ?ownerId=
+  // Authorization: authorize('invoice', 'view_invoice') on the route
+  async getNumbering(req, res) {
+    try {
+      const ownerId = settingsOwner(req);
+      if (!ownerId) return res.status(400).json({ error: 'Valid ownerId is required' });
+      const numbering = await getNumberingConfig(ownerId);
+      const next = await previewNextInvoiceNumber(ownerId);
+      return res.json({ ownerId, numbering, next });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Update the owner's numbering scheme (prefixes, format, padding, reset, fyStartMonth)
+  // Existing counters are kept, so changing the prefix continues the current sequence
+  // Authorization: authorize('invoice', 'update_invoice') on the route
+  async updateNumbering(req, res) {
+    try {
+      const ownerId = settingsOwner(req);
+      if (!ownerId) return res.status(400).json({ error: 'Valid ownerId is required' });
+      const payload = req.body || {};
+      const $set = {};
+      for (const key of NUMBERING_FIELDS) {
+        if (payload[key] !== undefined) $set[`numbering.${key}`] = payload[key];
+      }
+      if (Object.keys($set).length === 0) return res.status(400).json({ error: 'No numbering fields to update' });
+      const current = await getNumberingConfig(ownerId);
+      const message = validateNumbering({ ...current, ...payload });
+      if (message) return res.status(400).json({ error: message });
+      const settings = await InvoiceSettings.findOneAndUpdate(
+        { ownerId },
+        { $set },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      ).lean();
+      const next = await previewNextInvoiceNumber(ownerId);
+      return res.json({ ownerId, numbering: settings.numbering, next });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  },
+
+  // Get the owner's payment reminder settings (defaults filled in)
+  // Admins pass ?ownerId=
+  // Authorization: authorize('invoice', 'view_invoice') on the route
+  async getReminderSettings(req, res) {
+    try {
+      const ownerId = settingsOwner(req);
+      if (!ownerId) return res.status(400).json({ error: 'Valid ownerId is required' });
+      const reminders = await getReminderSettings(ownerId);
+      return res.json({ ownerId, reminders, defaults: DEFAULT_REMINDERS, placeholders: TEMPLATE_PLACEHOLDERS });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Update reminder settings: { enabled?, offsets?, templates?: { before|due|overdue: { subject?, body? } } }
+  // Empty template fields fall back to the defaults
+  // Authorization: authorize('invoice', 'update_invoice') on the route
+  async updateReminderSettings(req, res) {
+    try {
+      const ownerId = settingsOwner(req);
+      if (!ownerId) return res.status(400).json({ error: 'Valid ownerId is required' });
+      const payload = req.body || {};
+      const message = validateReminderSettings(payload);
+      if (message) return res.status(400).json({ error: message });
+      const $set = {};
+      for (const key of REMINDER_FIELDS) {
+        if (payload[key] === undefined) continue;
+        if (key === 'templates') {
+          for (const [kind, template] of Object.entries(payload.templates)) {
+            for (const field of ['subject', 'body']) {
+              if (template?.[field] !== undefined) $set[`reminders.templates.${kind}.${field}`] = template[field];
+            }
+          }
+        } else {
+          $set[`reminders.${key}`] = key === 'offsets' ? payload.offsets.map(Number) : payload[key];
+        }
+      }
+      if (Object.keys($set).length === 0) return res.status(400).json({ error: 'No reminder fields to update' });
+      await InvoiceSettings.findOneAndUpdate(
+        { ownerId },
+        { $set },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+      const reminders = await getReminderSettings(ownerId);
+      return res.json({ ownerId, reminders });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  },
+
+  // Stop payment reminders for one invoice
+  // Authorization: authorize('invoice', 'update_invoice') on the route
+  async stopReminders(req, res) {
+    return setRemindersStopped(req, res, true);
+  },
+
+  // Resume payment reminders for one invoice; steps already sent are not repeated
+  // Authorization: authorize('invoice', 'update_invoice') on the route
+  async resumeReminders(req, res) {
+    return setRemindersStopped(req, res, false);
+  },
 };
 
 export default InvoiceController;
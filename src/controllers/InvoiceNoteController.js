@@ -0,0 +1,153 @@
+// InvoiceNoteController: credit and debit notes against issued invoices
+// Exposes: list, getById, listForInvoice, issueCredit, issueDebit, cancel
+
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import InvoiceNote from '../models/InvoiceNote.js';
+import { prepareNote, issueNote, issuedNotes, syncInvoiceAdjustments } from '../utils/invoiceNotes.js';
+import { syncLedger } from '../utils/ledger.js';
+
+function parseObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(id);
+  } catch {
+    return null;
+  }
+}
+
+function inScope(scope, doc) {
+  return scope.isAdmin || String(doc.createdBy) === String(scope.ownerId);
+}
+
+// Shared handler for POST /api/invoices/:id/credit-notes and /debit-notes
+function issue(type) {
+  return async (req, res) => {
+    try {
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const invoice = await Invoice.findById(oid).lean();
+      if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+      if (!inScope(req.scope, invoice)) {
+        return res.status(403).json({ error: 'Forbidden: invoice not in owner scope' });
+      }
+      const payload = req.body || {};
+      const notes = payload.full ? await issuedNotes(invoice._id) : [];
+      const prepared = prepareNote(invoice, type, payload, notes);
+      if (prepared.error) return res.status(prepared.status).json({ error: prepared.error });
+      const { note, invoice: updated } = await issueNote(prepared.fields);
+      return res.status(201).json({ note, invoice: updated });
+    } catch (err) {
+      if (err?.code === 11000) return res.status(409).json({ error: 'Note number already exists' });
+      return res.status(400).json({ error: err.message });
+    }
+  };
+}
+
+const InvoiceNoteController = {
+  // List notes
+  // Filters: type, invoiceId, clientId, status, from, to (issuedAt), createdBy (admins)
+  // Authorization: authorize('invoice', 'view_invoice') on the route
+  async list(req, res) {
+    try {
+      const { scope } = req;
+      const { type, invoiceId, clientId, status, from, to, createdBy } = req.query;
+      const filter = {};
+      if (!scope.isAdmin) {
+        filter.createdBy = scope.ownerId;
+      } else if (createdBy) {
+        const oid = parseObjectId(createdBy);
+        if (!oid) return res.status(400).json({ error: 'Invalid createdBy' });
+        filter.createdBy = oid;
+      }
+      if (type) {
+        if (!['credit', 'debit'].includes(type)) return res.status(400).json({ error: 'type must be credit or debit' });
+        filter.type = type;
+      }
+      if (invoiceId) {
+        const oid = parseObjectId(invoiceId);
+        if (!oid) return res.status(400).json({ error: 'Invalid invoiceId' });
+        filter.invoiceId = oid;
+      }
+      if (clientId) {
+        const oid = parseObjectId(clientId);
+        if (!oid) return res.status(400).json({ error: 'Invalid clientId' });
+        filter.clientId = oid;
+      }
+      if (status) filter.status = status;
+      if (from || to) {
+        filter.issuedAt = {};
+        if (from) filter.issuedAt.$gte = new Date(from);
+        if (to) filter.issuedAt.$lte = new Date(to);
+      }
+      const items = await InvoiceNote.find(filter).sort({ issuedAt: -1 }).lean();
+      return res.json(items);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Get note by id
+  // Authorization: authorize('invoice', 'view_invoice') on the route
+  async getById(req, res) {
+    try {
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const note = await InvoiceNote.findById(oid).lean();
+      if (!note) return res.status(404).json({ error: 'Note not found' });
+      if (!inScope(req.scope, note)) return res.status(403).json({ error: 'Forbidden: note not in owner scope' });
+      return res.json(note);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Notes issued against one invoice, oldest first
+  // Authorization: authorize('invoice', 'view_invoice') on the route
+  async listForInvoice(req, res) {
+    try {
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const invoice = await Invoice.findById(oid).select('createdBy').lean();
+      if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+      if (!inScope(req.scope, invoice)) {
+        return res.status(403).json({ error: 'Forbidden: invoice not in owner scope' });
+      }
+      const items = await InvoiceNote.find({ invoiceId: oid }).sort({ issuedAt: 1 }).lean();
+      return res.json(items);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Issue a credit note: { reason, description?, items: [{ invoiceItemId? | description, qty, unitPrice, hsnSac?, taxRatePercent? }] }
+  // or { reason, full: true } to credit whatever is still open on the invoice
+  // Authorization: authorize('invoice', 'update_invoice') on the route
+  issueCredit: issue('credit'),
+
+  // Issue a debit note: { reason, description?, items }
+  // Authorization: authorize('invoice', 'update_invoice') on the route
+  issueDebit: issue('debit'),
+
+  // Cancel a note issued in error; the invoice balance is recomputed without it
+  // Authorization: authorize('invoice', 'update_invoice') on the route
+  async cancel(req, res) {
+    try {
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const note = await InvoiceNote.findById(oid);
+      if (!note) return res.status(404).json({ error: 'Note not found' });
+      if (!inScope(req.scope, note)) return res.status(403).json({ error: 'Forbidden: note not in owner scope' });
+      if (note.status === 'cancelled') return res.status(409).json({ error: 'Note is already cancelled' });
+      note.status = 'cancelled';
+      note.cancelledAt = new Date();
+      await note.save();
+      await syncLedger('note', note._id);
+      const invoice = await syncInvoiceAdjustments(note.invoiceId);
+      return res.json({ note: note.toObject(), invoice });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  },
+};
+
+export default InvoiceNoteController;
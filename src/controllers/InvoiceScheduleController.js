@@ -0,0 +1,254 @@
+// InvoiceScheduleController: recurring invoices for retainer clients
+// Exposes: list, getById, create, update, pause, resume, preview, remove
+
+import mongoose from 'mongoose';
+import InvoiceSchedule from '../models/InvoiceSchedule.js';
+import { calculateInvoiceTaxes } from '../utils/gstTax.js';
+import { nextOccurrence, upcomingRuns, schedulePayload } from '../utils/invoiceSchedules.js';
+
+const EDITABLE_FIELDS = [
+  'name', 'issuedTo', 'currency', 'items', 'taxInclusive', 'placeOfSupply', 'notes', 'terms', 'dueInDays',
+  'frequency', 'interval', 'startDate', 'endDate', 'autoSend',
+];
+const TIMING_FIELDS = ['frequency', 'interval', 'startDate', 'endDate'];
+const MAX_PREVIEW = 24;
+
+function parseObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(id);
+  } catch {
+    return null;
+  }
+}
+
+function inScope(scope, doc) {
+  return scope.isAdmin || String(doc.createdBy) === String(scope.ownerId);
+}
+
+// Occurrences before today are never billed retroactively
+function startOfToday() {
+  const d = new Date();
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+// Next run on or after today; completes the schedule when none is left.
+// An occurrence that already produced an invoice is not billed twice (see runSchedule)
+function scheduleNextRun(doc) {
+  doc.nextRunAt = nextOccurrence(doc, startOfToday());
+  if (!doc.nextRunAt) doc.status = 'completed';
+  else if (doc.status === 'completed') doc.status = 'active';
+}
+
+// Price the template as the next invoice would be, so bad lines or GST settings fail now rather than at run time
+function priceTemplate(doc) {
+  const payload = schedulePayload(doc, doc.nextRunAt || doc.startDate);
+  return calculateInvoiceTaxes({
+    ownerId: doc.createdBy,
+    items: payload.items,
+    taxInclusive: payload.taxInclusive,
+    placeOfSupply: payload.placeOfSupply,
+    issuedTo: payload.issuedTo,
+    client: payload.client,
+    clientId: payload.clientId,
+    currency: payload.currency,
+  });
+}
+
+async function loadInScope(req, res) {
+  const oid = parseObjectId(req.params.id);
+  if (!oid) {
+    res.status(400).json({ error: 'Invalid id' });
+    return null;
+  }
+  const doc = await InvoiceSchedule.findById(oid);
+  if (!doc) {
+    res.status(404).json({ error: 'Schedule not found' });
+    return null;
+  }
+  if (!inScope(req.scope, doc)) {
+    res.status(403).json({ error: 'Forbidden: schedule not in owner scope' });
+    return null;
+  }
+  return doc;
+}
+
+const InvoiceScheduleController = {
+  // List schedules; filters: clientId, status, createdBy (admins)
+  // Authorization: authorize('invoice', 'view_invoice') on the route
+  async list(req, res) {
+    try {
+      const { scope } = req;
+      const { clientId, status, createdBy } = req.query;
+      const filter = {};
+      if (!scope.isAdmin) {
+        filter.createdBy = scope.ownerId;
+      } else if (createdBy) {
+        const oid = parseObjectId(createdBy);
+        if (!oid) return res.status(400).json({ error: 'Invalid createdBy' });
+        filter.createdBy = oid;
+      }
+      if (clientId) {
+        const oid = parseObjectId(clientId);
+        if (!oid) return res.status(400).json({ error: 'Invalid clientId' });
+        filter.clientId = oid;
+      }
+      if (status) filter.status = status;
+      const items = await InvoiceSchedule.find(filter).sort({ nextRunAt: 1 }).lean();
+      return res.json(items);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Authorization: authorize('invoice', 'view_invoice') on the route
+  async getById(req, res) {
+    try {
+      const doc = await loadInScope(req, res);
+      if (!doc) return undefined;
+      return res.json(doc);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Create a schedule: { clientId, issuedTo, items, frequency, startDate, interval?, endDate?, autoSend?, dueInDays?, ... }
+  // Authorization: authorize('invoice', 'create_invoice') on the route
+  async create(req, res) {
+    try {
+      const { auth, scope } = req;
+      const payload = req.body || {};
+      for (const f of ['clientId', 'issuedTo', 'items', 'frequency', 'startDate']) {
+        if (!payload[f]) return res.status(400).json({ error: `${f} is required` });
+      }
+      const clientId = parseObjectId(payload.clientId);
+      if (!clientId) return res.status(400).json({ error: 'Invalid clientId' });
+      const projectId = payload.projectId ? parseObjectId(payload.projectId) : null;
+      if (payload.projectId && !projectId) return res.status(400).json({ error: 'Invalid projectId' });
+      const client = payload.client ? parseObjectId(payload.client) : null;
+      if (payload.client && !client) return res.status(400).json({ error: 'Invalid client' });
+
+      const doc = new InvoiceSchedule({
+        ...Object.fromEntries(EDITABLE_FIELDS.filter((f) => payload[f] !== undefined).map((f) => [f, payload[f]])),
+        clientId,
+        client,
+        projectId,
+        createdBy: scope.isAdmin ? new mongoose.Types.ObjectId(payload.createdBy || auth.id) : scope.ownerId,
+        status: 'active',
+      });
+      if (doc.endDate && doc.endDate < doc.startDate) return res.status(400).json({ error: 'endDate must be after startDate' });
+      scheduleNextRun(doc);
+      await doc.validate();
+      await priceTemplate(doc);
+      const saved = await doc.save();
+      return res.status(201).json(saved);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  },
+
+  // Update template or timing; timing changes recompute nextRunAt
+  // Authorization: authorize('invoice', 'update_invoice') on the route
+  async update(req, res) {
+    try {
+      const doc = await loadInScope(req, res);
+      if (!doc) return undefined;
+      const payload = req.body || {};
+      for (const f of EDITABLE_FIELDS) {
+        if (payload[f] !== undefined) doc[f] = payload[f];
+      }
+      if (payload.clientId) {
+        const oid = parseObjectId(payload.clientId);
+        if (!oid) return res.status(400).json({ error: 'Invalid clientId' });
+        doc.clientId = oid;
+      }
+      if (payload.projectId !== undefined) {
+        const oid = payload.projectId ? parseObjectId(payload.projectId) : null;
+        if (payload.projectId && !oid) return res.status(400).json({ error: 'Invalid projectId' });
+        doc.projectId = oid;
+      }
+      if (doc.endDate && doc.endDate < doc.startDate) return res.status(400).json({ error: 'endDate must be after startDate' });
+      if (TIMING_FIELDS.some((f) => payload[f] !== undefined) && doc.status !== 'paused') scheduleNextRun(doc);
+      await doc.validate();
+      await priceTemplate(doc);
+      const saved = await doc.save();
+      return res.json(saved);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  },
+
+  // Stop generating invoices until resumed
+  // Authorization: authorize('invoice', 'update_invoice') on the route
+  async pause(req, res) {
+    try {
+      const doc = await loadInScope(req, res);
+      if (!doc) return undefined;
+      if (doc.status !== 'active') return res.status(409).json({ error: `Schedule is ${doc.status}` });
+      doc.status = 'paused';
+      doc.pausedAt = new Date();
+      const saved = await doc.save();
+      return res.json(saved);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  },
+
+  // Resume from the next occurrence on or after today; periods missed while paused are not billed
+  // Authorization: authorize('invoice', 'update_invoice') on the route
+  async resume(req, res) {
+    try {
+      const doc = await loadInScope(req, res);
+      if (!doc) return undefined;
+      if (doc.status !== 'paused') return res.status(409).json({ error: `Schedule is ${doc.status}` });
+      doc.status = 'active';
+      doc.pausedAt = null;
+      scheduleNextRun(doc);
+      const saved = await doc.save();
+      return res.json(saved);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  },
+
+  // Upcoming runs (?count=, default 6, max 24) with the amounts the next invoice would carry
+  // Authorization: authorize('invoice', 'view_invoice') on the route
+  async preview(req, res) {
+    try {
+      const doc = await loadInScope(req, res);
+      if (!doc) return undefined;
+      const count = Math.min(MAX_PREVIEW, Math.max(1, Number(req.query.count) || 6));
+      const runs = doc.status === 'active' ? upcomingRuns(doc, count) : [];
+      let pricing = null;
+      try {
+        const tax = await priceTemplate(doc);
+        pricing = { subTotal: tax.subTotal, taxes: tax.taxes, total: tax.total, taxTreatment: tax.taxTreatment };
+      } catch (err) {
+        pricing = { error: err.message };
+      }
+      return res.json({
+        scheduleId: doc._id,
+        status: doc.status,
+        autoSend: doc.autoSend,
+        pricing,
+        runs: runs.map((runDate) => ({ runDate, dueDate: schedulePayload(doc, runDate).dueDate })),
+      });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Delete a schedule; invoices already generated are kept
+  // Authorization: authorize('invoice', 'delete_invoice') on the route
+  async remove(req, res) {
+    try {
+      const doc = await loadInScope(req, res);
+      if (!doc) return undefined;
+      await doc.deleteOne();
+      return res.json({ ok: true });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+};
+
+export default InvoiceScheduleController;
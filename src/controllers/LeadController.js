@@ -3,9 +3,7 @@
 
 import Lead from '../models/Lead.js';
 import TeamMember from '../models/TeamMember.js';
-import Role from '../models/Role.js';
 import Service from '../models/Service.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
 import mongoose from 'mongoose';
 
 function parseObjectId(id) {
@@ -16,49 +14,69 @@ function parseObjectId(id) {
   }
 }
 
+// Active team member ids and service ids that define an owner's lead scope
+async function loadLeadScope(ownerScopeId) {
+  const teams = await TeamMember.find({ managed_by: ownerScopeId, status: 'active' }).select('_id').lean();
+  const services = await Service.find({ user_id: ownerScopeId }).select('_id').lean();
+  return {
+    teamIds: teams.map((t) => t._id),
+    serviceIds: services.map((s) => s._id),
+  };
+}
+
+// Lead is in scope when assigned to the owner's team OR looking_for the owner's services
+async function leadInScope(doc, ownerScopeId) {
+  const { teamIds, serviceIds } = await loadLeadScope(ownerScopeId);
+  const allowedTeamIds = teamIds.map(String);
+  if (doc.assigned_to && allowedTeamIds.includes(String(doc.assigned_to))) return true;
+  const allowedServiceIds = serviceIds.map(String);
+  return (doc.looking_for || []).some((sid) => allowedServiceIds.includes(String(sid)));
+}
+
+// Validate assigned_to / looking_for changes stay within a team member's owner scope
+async function validateLeadRefs(payload, ownerScopeId) {
+  if (payload.assigned_to) {
+    const aid = parseObjectId(payload.assigned_to);
+    if (!aid) return { status: 400, error: 'Invalid assigned_to' };
+    const assignedTm = await TeamMember.findById(aid).select('managed_by status').lean();
+    if (!assignedTm || String(assignedTm.managed_by) !== String(ownerScopeId) || assignedTm.status !== 'active') {
+      return { status: 403, error: 'Forbidden: assigned_to not in scope' };
+    }
+  }
+  if (Array.isArray(payload.looking_for)) {
+    for (const sid of payload.looking_for) {
+      const oid = parseObjectId(sid);
+      if (!oid) return { status: 400, error: 'Invalid service in looking_for' };
+      const svc = await Service.findById(oid).select('user_id').lean();
+      if (!svc || String(svc.user_id) !== String(ownerScopeId)) {
+        return { status: 403, error: 'Forbidden: service not in scope' };
+      }
+    }
+  }
+  return null;
+}
+
 const LeadController = {
   // List leads with filters and text search
+  // Authorization: authorize('lead', 'view_lead') on the route; owners see all leads
   async list(req, res) {
     try {
-      // Authorization: owners or team members with view_lead; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { status, assigned_to, service, from, to, q } = req.query;
       const filter = {};
       if (status) filter.status = status;
-      let ownerScopeId = null;
+      const teamScoped = !scope.isAdmin && !scope.isOwner;
       let allowedTeamIds = null;
       let allowedServiceIds = null;
-      let isOwner = false;
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        isOwner = entity?.registration?.isOwner === true;
-        if (isOwner) {
-          ownerScopeId = new mongoose.Types.ObjectId(auth.id);
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasView = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.view_lead === true) ||
-            assignedRole.permissions.view_lead === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: missing view_lead permission' });
-          ownerScopeId = tm.managed_by;
-          const teams = await TeamMember.find({ managed_by: ownerScopeId, status: 'active' }).select('_id').lean();
-          allowedTeamIds = teams.map((t) => t._id);
-          const services = await Service.find({ user_id: ownerScopeId }).select('_id').lean();
-          allowedServiceIds = services.map((s) => s._id);
-        }
+      if (teamScoped) {
+        const leadScope = await loadLeadScope(scope.ownerId);
+        allowedTeamIds = leadScope.teamIds;
+        allowedServiceIds = leadScope.serviceIds;
       }
       if (assigned_to) {
         const oid = parseObjectId(assigned_to);
         if (!oid) return res.status(400).json({ error: 'Invalid assigned_to' });
-        if (auth.type !== 'admin' && !isOwner && allowedTeamIds && !allowedTeamIds.some((id) => String(id) === String(oid))) {
+        if (teamScoped && !allowedTeamIds.some((id) => String(id) === String(oid))) {
           return res.status(403).json({ error: 'Forbidden: assigned_to not in scope' });
         }
         filter.assigned_to = oid;
@@ -66,12 +84,12 @@ const LeadController = {
       if (service) {
         const oid = parseObjectId(service);
         if (!oid) return res.status(400).json({ error: 'Invalid service' });
-        if (auth.type !== 'admin' && !isOwner && allowedServiceIds && !allowedServiceIds.some((id) => String(id) === String(oid))) {
+        if (teamScoped && !allowedServiceIds.some((id) => String(id) === String(oid))) {
           return res.status(403).json({ error: 'Forbidden: service not in scope' });
         }
         filter.looking_for = oid;
       }
-      if (auth.type !== 'admin' && !isOwner && !assigned_to && !service) {
+      if (teamScoped && !assigned_to && !service) {
         // Default scope for non-admin when no explicit filters provided
         filter.$or = [
           { assigned_to: { $in: allowedTeamIds } },
@@ -98,43 +116,15 @@ const LeadController = {
   },
 
   // Get single lead
+  // Authorization: authorize('lead', 'view_lead') on the route
   async getById(req, res) {
     try {
-      // Authorization: owners or team members with view_lead; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const doc = await Lead.findById(id).lean();
       if (!doc) return res.status(404).json({ error: 'Lead not found' });
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        const isOwner = entity?.registration?.isOwner === true;
-        let ownerScopeId = null;
-        if (!isOwner) {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasView = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.view_lead === true) ||
-            assignedRole.permissions.view_lead === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: missing view_lead permission' });
-          ownerScopeId = tm.managed_by;
-          // Scope: lead assigned to owner's team OR looking_for owner's services
-          const allowedTeam = await TeamMember.find({ managed_by: ownerScopeId, status: 'active' }).select('_id').lean();
-          const allowedTeamIds = allowedTeam.map((t) => String(t._id));
-          let inScope = (doc.assigned_to && allowedTeamIds.includes(String(doc.assigned_to)));
-          if (!inScope) {
-            const services = await Service.find({ user_id: ownerScopeId }).select('_id').lean();
-            const allowedServiceIds = services.map((s) => String(s._id));
-            inScope = (doc.looking_for || []).some((sid) => allowedServiceIds.includes(String(sid)));
-          }
-          if (!inScope) return res.status(403).json({ error: 'Forbidden: lead not in scope' });
-        }
+      if (!scope.isAdmin && !scope.isOwner && !(await leadInScope(doc, scope.ownerId))) {
+        return res.status(403).json({ error: 'Forbidden: lead not in scope' });
       }
       return res.json(doc);
     } catch (err) {
@@ -143,45 +133,19 @@ const LeadController = {
   },
 
   // Get leads by owner userId (scoped to their teams/services)
+  // Authorization: authorize('lead', 'view_lead') on the route
   async getByUserId(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { userId } = req.params;
       const ownerId = parseObjectId(userId);
       if (!ownerId) return res.status(400).json({ error: 'Invalid userId' });
 
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        const isOwner = entity?.registration?.isOwner === true;
-        if (isOwner) {
-          if (String(ownerId) !== String(auth.id)) {
-            return res.status(403).json({ error: 'Forbidden: userId not owner' });
-          }
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasView = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.view_lead === true) ||
-            assignedRole.permissions.view_lead === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: missing view_lead permission' });
-          if (String(tm.managed_by) !== String(ownerId)) {
-            return res.status(403).json({ error: 'Forbidden: userId out of scope' });
-          }
-        }
+      if (!scope.isAdmin && String(scope.ownerId) !== String(ownerId)) {
+        return res.status(403).json({ error: scope.isOwner ? 'Forbidden: userId not owner' : 'Forbidden: userId out of scope' });
       }
 
-      const teams = await TeamMember.find({ managed_by: ownerId, status: 'active' }).select('_id').lean();
-      const teamIds = teams.map((t) => t._id);
-      const services = await Service.find({ user_id: ownerId }).select('_id').lean();
-      const serviceIds = services.map((s) => s._id);
-
+      const { teamIds, serviceIds } = await loadLeadScope(ownerId);
       const filter = {
         $or: [
           { assigned_to: { $in: teamIds } },
@@ -196,68 +160,19 @@ const LeadController = {
   },
 
   // Create lead
+  // Authorization: authorize('lead', 'create_lead') on the route
   async create(req, res) {
     try {
-      // Authorization: owners or team members with create_lead; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const payload = req.body || {};
       if (!payload.name) return res.status(400).json({ error: 'name is required' });
-      let ownerScopeId = null;
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let allowed = false;
-        
-        const isOwner = entity?.registration?.isOwner === true;
-        if (isOwner) {
-          ownerScopeId = new mongoose.Types.ObjectId(auth.id);
-          allowed = true;
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (tm && tm.role && tm.managed_by) {
-            const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-            const hasCreate = assignedRole && assignedRole.permissions && (
-              Object.values(assignedRole.permissions).some((g) => g && g.create_lead === true) ||
-              assignedRole.permissions.create_lead === true
-            );
-            allowed = !!hasCreate;
-            ownerScopeId = tm.managed_by;
-          }
-        }
-        if (!allowed) return res.status(403).json({ error: 'Forbidden: missing create_lead permission' });
-      }
-      // Validate assigned_to within scope
-      if (payload.assigned_to) {
-        const aid = parseObjectId(payload.assigned_to);
-        if (!aid) return res.status(400).json({ error: 'Invalid assigned_to' });
-        if (auth.type !== 'admin') {
-          const entity = auth.entity || {};
-          const isOwner = entity?.registration?.isOwner === true;
-          if (!isOwner) {
-            const assignedTm = await TeamMember.findById(aid).select('managed_by status').lean();
-            if (!assignedTm || String(assignedTm.managed_by) !== String(ownerScopeId) || assignedTm.status !== 'active') {
-              return res.status(403).json({ error: 'Forbidden: assigned_to not in scope' });
-            }
-          }
-        }
+      if (payload.assigned_to && !parseObjectId(payload.assigned_to)) {
+        return res.status(400).json({ error: 'Invalid assigned_to' });
       }
-      // Validate looking_for services within scope
-      if (Array.isArray(payload.looking_for) && auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        const isOwner = entity?.registration?.isOwner === true;
-        if (!isOwner) {
-          for (const sid of payload.looking_for) {
-            const oid = parseObjectId(sid);
-            if (!oid) return res.status(400).json({ error: 'Invalid service in looking_for' });
-            const svc = await Service.findById(oid).select('user_id').lean();
-            if (!svc || String(svc.user_id) !== String(ownerScopeId)) {
-              return res.status(403).json({ error: 'Forbidden: service not in scope' });
-            }
-          }
-        }
+      // Team members may only reference their owner's team and services
+      if (!scope.isAdmin && !scope.isOwner) {
+        const invalid = await validateLeadRefs(payload, scope.ownerId);
+        if (invalid) return res.status(invalid.status).json({ error: invalid.error });
       }
       const doc = new Lead(payload);
       await doc.validate();
@@ -269,71 +184,25 @@ const LeadController = {
   },
 
   // Update lead
+  // Authorization: authorize('lead', 'update_lead') on the route
   async update(req, res) {
     try {
-      // Authorization: owners or team members with update_lead; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const payload = req.body || {};
       const current = await Lead.findById(id).lean();
       if (!current) return res.status(404).json({ error: 'Lead not found' });
-      let ownerScopeId = null;
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        const isOwner = entity?.registration?.isOwner === true;
-        let allowed = false;
-        if (isOwner) {
-          ownerScopeId = auth.id;
-          allowed = true;
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasUpdate = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.update_lead === true) ||
-            assignedRole.permissions.update_lead === true
-          );
-          if (!hasUpdate) return res.status(403).json({ error: 'Forbidden: missing update_lead permission' });
-          ownerScopeId = tm.managed_by;
-          allowed = true;
+      if (!scope.isAdmin) {
+        if (payload.assigned_to && !parseObjectId(payload.assigned_to)) {
+          return res.status(400).json({ error: 'Invalid assigned_to' });
         }
-        // Scope check on current document (owners bypass)
-        if (!isOwner) {
-          const allowedTeam = await TeamMember.find({ managed_by: ownerScopeId, status: 'active' }).select('_id').lean();
-          const allowedTeamIds = allowedTeam.map((t) => String(t._id));
-          let inScope = (current.assigned_to && allowedTeamIds.includes(String(current.assigned_to)));
-          if (!inScope) {
-            const services = await Service.find({ user_id: ownerScopeId }).select('_id').lean();
-            const allowedServiceIds = services.map((s) => String(s._id));
-            inScope = (current.looking_for || []).some((sid) => allowedServiceIds.includes(String(sid)));
-          }
-          if (!inScope) return res.status(403).json({ error: 'Forbidden: lead not in scope' });
-        }
-
-        // Validate changes remain in scope
-        if (payload.assigned_to) {
-          const aid = parseObjectId(payload.assigned_to);
-          if (!aid) return res.status(400).json({ error: 'Invalid assigned_to' });
-          const assignedTm = await TeamMember.findById(aid).select('managed_by status').lean();
-          if (!isOwner && (!assignedTm || String(assignedTm.managed_by) !== String(ownerScopeId) || assignedTm.status !== 'active')) {
-            return res.status(403).json({ error: 'Forbidden: assigned_to not in scope' });
-          }
-        }
-        if (Array.isArray(payload.looking_for)) {
-          if (!isOwner) {
-            for (const sid of payload.looking_for) {
-              const oid = parseObjectId(sid);
-              if (!oid) return res.status(400).json({ error: 'Invalid service in looking_for' });
-              const svc = await Service.findById(oid).select('user_id').lean();
-              if (!svc || String(svc.user_id) !== String(ownerScopeId)) {
-                return res.status(403).json({ error: 'Forbidden: service not in scope' });
-              }
-            }
+        // Scope check on current document and changes (owners bypass)
+        if (!scope.isOwner) {
+          if (!(await leadInScope(current, scope.ownerId))) {
+            return res.status(403).json({ error: 'Forbidden: lead not in scope' });
           }
+          const invalid = await validateLeadRefs(payload, scope.ownerId);
+          if (invalid) return res.status(invalid.status).json({ error: invalid.error });
         }
       }
       const updated = await Lead.findByIdAndUpdate(
@@ -349,47 +218,15 @@ const LeadController = {
   },
 
   // Delete lead
+  // Authorization: authorize('lead', 'delete_lead') on the route
   async remove(req, res) {
     try {
-      // Authorization: owners or team members with delete_lead; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const current = await Lead.findById(id).lean();
       if (!current) return res.status(404).json({ error: 'Lead not found' });
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        const isOwner = entity?.registration?.isOwner === true;
-        let ownerScopeId = null;
-        let hasDelete = false;
-        if (isOwner) {
-          ownerScopeId = auth.id;
-          hasDelete = true;
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          hasDelete = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.delete_lead === true) ||
-            assignedRole.permissions.delete_lead === true
-          );
-          if (!hasDelete) return res.status(403).json({ error: 'Forbidden: missing delete_lead permission' });
-          ownerScopeId = tm.managed_by;
-        }
-        if (!isOwner) {
-          const allowedTeam = await TeamMember.find({ managed_by: ownerScopeId, status: 'active' }).select('_id').lean();
-          const allowedTeamIds = allowedTeam.map((t) => String(t._id));
-          let inScope = (current.assigned_to && allowedTeamIds.includes(String(current.assigned_to)));
-          if (!inScope) {
-            const services = await Service.find({ user_id: ownerScopeId }).select('_id').lean();
-            const allowedServiceIds = services.map((s) => String(s._id));
-            inScope = (current.looking_for || []).some((sid) => allowedServiceIds.includes(String(sid)));
-          }
-          if (!inScope) return res.status(403).json({ error: 'Forbidden: lead not in scope' });
-        }
+      if (!scope.isAdmin && !scope.isOwner && !(await leadInScope(current, scope.ownerId))) {
+        return res.status(403).json({ error: 'Forbidden: lead not in scope' });
       }
       const removed = await Lead.findByIdAndDelete(id).lean();
       if (!removed) return res.status(404).json({ error: 'Lead not found' });
@@ -400,4 +237,4 @@ const LeadController = {
   },
 };
 
-export default LeadController;
+export default LeadController;
\ No newline at end of file
@@ -0,0 +1,114 @@
+// LedgerController: read access to an owner's chart of accounts and journal entries
+// Entries are posted automatically from invoices, notes and payments (utils/ledger.js); trial balance and
+// profit and loss live in ReportController
+// Exposes: listAccounts, listEntries, getEntry
+
+import mongoose from 'mongoose';
+import LedgerAccount from '../models/LedgerAccount.js';
+import LedgerEntry, { SOURCE_TYPES } from '../models/LedgerEntry.js';
+import { ensureAccounts } from '../utils/ledger.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function parseObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(id);
+  } catch {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// Books being read: the caller's owner scope, or ?ownerId= for admins
+function booksOwner(req) {
+  const { scope } = req;
+  if (!scope.isAdmin) return scope.ownerId;
+  return req.query.ownerId ? parseObjectId(req.query.ownerId) : null;
+}
+
+const LedgerController = {
+  // Chart of accounts, by code (system accounts are created on first request)
+  // Authorization: authorize('ledger', 'view_ledger') on the route
+  async listAccounts(req, res) {
+    try {
+      const ownerId = booksOwner(req);
+      if (!ownerId) return res.status(400).json({ error: 'Valid ownerId is required' });
+      await ensureAccounts(ownerId);
+      const items = await LedgerAccount.find({ ownerId }).sort({ code: 1 }).lean();
+      return res.json(items);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Journal entries, newest first
+  // Filters: from, to, sourceType, sourceId, accountId, limit, skip; reversed entries and their reversals are
+  // included unless ?activeOnly=true
+  // Authorization: authorize('ledger', 'view_ledger') on the route
+  async listEntries(req, res) {
+    try {
+      const ownerId = booksOwner(req);
+      if (!ownerId) return res.status(400).json({ error: 'Valid ownerId is required' });
+      const { from, to, sourceType, sourceId, accountId, activeOnly } = req.query;
+      const filter = { ownerId };
+      if (from || to) {
+        filter.date = {};
+        if (from) {
+          const d = parseDate(from);
+          if (!d) return res.status(400).json({ error: 'Invalid from date' });
+          filter.date.$gte = d;
+        }
+        if (to) {
+          const d = parseDate(to);
+          if (!d) return res.status(400).json({ error: 'Invalid to date' });
+          filter.date.$lte = d;
+        }
+      }
+      if (sourceType) {
+        if (!SOURCE_TYPES.includes(sourceType)) return res.status(400).json({ error: `sourceType must be one of ${SOURCE_TYPES.join(', ')}` });
+        filter.sourceType = sourceType;
+      }
+      if (sourceId) {
+        const oid = parseObjectId(sourceId);
+        if (!oid) return res.status(400).json({ error: 'Invalid sourceId' });
+        filter.sourceId = oid;
+      }
+      if (accountId) {
+        const oid = parseObjectId(accountId);
+        if (!oid) return res.status(400).json({ error: 'Invalid accountId' });
+        filter['lines.accountId'] = oid;
+      }
+      if (activeOnly === 'true') filter.active = true;
+      const limit = Math.min(MAX_LIMIT, Math.max(1, Number(req.query.limit) || DEFAULT_LIMIT));
+      const skip = Math.max(0, Number(req.query.skip) || 0);
+      const items = await LedgerEntry.find(filter).sort({ date: -1, createdAt: -1 }).skip(skip).limit(limit).lean();
+      return res.json(items);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Authorization: authorize('ledger', 'view_ledger') on the route
+  async getEntry(req, res) {
+    try {
+      const { scope } = req;
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const entry = await LedgerEntry.findById(oid).populate('lines.accountId', 'code name type').lean();
+      if (!entry) return res.status(404).json({ error: 'Entry not found' });
+      if (!scope.isAdmin && String(entry.ownerId) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden: entry not in owner scope' });
+      }
+      return res.json(entry);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+};
+
+export default LedgerController;
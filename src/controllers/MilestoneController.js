@@ -5,9 +5,6 @@ import Milestone from '../models/Milestone.js';
 import Project from '../models/Project.js';
 import Invoice from '../models/Invoice.js';
 import Client from '../models/Client.js';
-import TeamMember from '../models/TeamMember.js';
-import Role from '../models/Role.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
 import mongoose from 'mongoose';
 
 function parseObjectId(id) {
@@ -18,15 +15,58 @@ function parseObjectId(id) {
   }
 }
 
+// A client belongs to the owner either as its linked account or as the owner who added it
+function clientInScope(clientDoc, ownerScopeId) {
+  return !!clientDoc && (
+    String(clientDoc.user_id) === String(ownerScopeId) ||
+    String(clientDoc.added_by) === String(ownerScopeId)
+  );
+}
+
+async function invoiceInScope(invoice, ownerScopeId) {
+  if (!invoice) return false;
+  if (String(invoice.created_by) === String(ownerScopeId)) return true;
+  const clientDoc = invoice.client ? await Client.findById(invoice.client).select('user_id added_by').lean() : null;
+  return clientInScope(clientDoc, ownerScopeId);
+}
+
+async function projectInScope(project, ownerScopeId) {
+  if (!project) return false;
+  const clientDoc = await Client.findById(project.client).select('user_id added_by').lean();
+  return clientInScope(clientDoc, ownerScopeId);
+}
+
+// A milestone is in scope via its attached invoice or any project that lists it as a deliverable
+async function milestoneInScope(doc, ownerScopeId) {
+  if (doc.invoice_attached && doc.invoice_attached.invoice_id) {
+    const inv = await Invoice.findById(doc.invoice_attached.invoice_id).select('created_by client').lean();
+    if (await invoiceInScope(inv, ownerScopeId)) return true;
+  }
+  const projects = await Project.find({ deliverables: doc._id }).select('client').lean();
+  for (const p of projects) {
+    if (await projectInScope(p, ownerScopeId)) return true;
+  }
+  return false;
+}
+
+// Uploads on milestones created or edited by non-admins must be attributed to the owner in scope
+function validateUploads(uploads, ownerScopeId) {
+  for (const up of uploads) {
+    const uploader = parseObjectId(up.uploaded_by);
+    if (!uploader) return { status: 400, error: 'Invalid uploads.uploaded_by' };
+    if (String(uploader) !== String(ownerScopeId)) {
+      return { status: 403, error: 'Forbidden: uploads must be by owner in scope' };
+    }
+  }
+  return null;
+}
+
 const MilestoneController = {
   // List milestones with filters
+  // Authorization: authorize('milestone', 'view_milestone') on the route
   async list(req, res) {
     try {
-      // Authorization: owners or team members with view_milestone; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { status, from, to, has_invoice, uploaded_by } = req.query;
       const filter = {};
       if (status) filter.status = status;
@@ -35,26 +75,10 @@ const MilestoneController = {
         if (from) filter.due_date.$gte = new Date(from);
         if (to) filter.due_date.$lte = new Date(to);
       }
-      let ownerScopeId = null;
+      const ownerScopeId = scope.isAdmin ? null : scope.ownerId;
       let allowedInvoiceIds = null;
       let allowedMilestoneIds = null;
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = new mongoose.Types.ObjectId(auth.id);
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasView = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.view_milestone === true) ||
-            assignedRole.permissions.view_milestone === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: missing view_milestone permission' });
-          ownerScopeId = tm.managed_by;
-        }
+      if (!scope.isAdmin) {
         // Compute allowed invoices
         const allowedClients = await Client.find({ user_id: ownerScopeId }).select('_id').lean();
         const allowedClientIds = allowedClients.map((c) => c._id);
@@ -75,12 +99,12 @@ const MilestoneController = {
       }
 
       if (has_invoice === 'true') {
-        filter['invoice_attached.invoice_id'] = auth.type !== 'admin' && allowedInvoiceIds
+        filter['invoice_attached.invoice_id'] = !scope.isAdmin && allowedInvoiceIds
           ? { $in: allowedInvoiceIds }
           : { $ne: null };
       } else if (has_invoice === 'false') {
         filter['invoice_attached.invoice_id'] = null;
-      } else if (auth.type !== 'admin' && allowedInvoiceIds && allowedMilestoneIds) {
+      } else if (!scope.isAdmin && allowedInvoiceIds && allowedMilestoneIds) {
         // Scope results by either invoice scope or project scope
         filter.$or = [
           { 'invoice_attached.invoice_id': { $in: allowedInvoiceIds } },
@@ -91,7 +115,7 @@ const MilestoneController = {
       if (uploaded_by) {
         const oid = parseObjectId(uploaded_by);
         if (!oid) return res.status(400).json({ error: 'Invalid uploaded_by' });
-        if (auth.type !== 'admin' && ownerScopeId && String(oid) !== String(ownerScopeId)) {
+        if (ownerScopeId && String(oid) !== String(ownerScopeId)) {
           return res.status(403).json({ error: 'Forbidden: uploaded_by out of scope' });
         }
         filter['uploads.uploaded_by'] = oid;
@@ -104,68 +128,19 @@ const MilestoneController = {
   },
 
   // Get single milestone
+  // Authorization: authorize('milestone', 'view_milestone') on the route
   async getById(req, res) {
     try {
-      // Authorization: owners or team members with view_milestone; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const doc = await Milestone.findById(id).lean();
       if (!doc) return res.status(404).json({ error: 'Milestone not found' });
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let ownerScopeId = null;
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = auth.id;
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasView = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.view_milestone === true) ||
-            assignedRole.permissions.view_milestone === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: missing view_milestone permission' });
-          ownerScopeId = tm.managed_by;
-        }
-        // Check invoice scope
-        let inScope = false;
-        if (doc.invoice_attached && doc.invoice_attached.invoice_id) {
-          const inv = await Invoice.findById(doc.invoice_attached.invoice_id).select('created_by client').lean();
-          if (inv) {
-            const clientDoc = await Client.findById(inv.client).select('user_id added_by').lean();
-            inScope =
-              String(inv.created_by) === String(ownerScopeId) ||
-              (clientDoc && (
-                String(clientDoc.user_id) === String(ownerScopeId) ||
-                String(clientDoc.added_by) === String(ownerScopeId)
-              ));
-          }
-        }
-        if (!inScope) {
-          // Check project scope by looking up projects containing this milestone
-          const projects = await Project.find({ deliverables: doc._id }).select('client').lean();
-          for (const p of projects) {
-            const c = await Client.findById(p.client).select('user_id added_by').lean();
-            if (
-              c && (
-                String(c.user_id) === String(ownerScopeId) ||
-                String(c.added_by) === String(ownerScopeId)
-              )
-            ) {
-              inScope = true;
-              break;
-            }
-          }
-        }
-        if (!inScope) {
-          // Check uploads by owner
-          const hasOwnerUpload = (doc.uploads || []).some((u) => String(u.uploaded_by) === String(ownerScopeId));
-          if (!hasOwnerUpload) return res.status(403).json({ error: 'Forbidden: milestone not in scope' });
+      if (!scope.isAdmin) {
+        const ownerScopeId = scope.ownerId;
+        // Owners can also see milestones they uploaded to, even when unattached
+        const hasOwnerUpload = (doc.uploads || []).some((u) => String(u.uploaded_by) === String(ownerScopeId));
+        if (!hasOwnerUpload && !(await milestoneInScope(doc, ownerScopeId))) {
+          return res.status(403).json({ error: 'Forbidden: milestone not in scope' });
         }
       }
       return res.json(doc);
@@ -175,49 +150,19 @@ const MilestoneController = {
   },
 
   // Create milestone
+  // Authorization: authorize('milestone', 'create_milestone') on the route
   async create(req, res) {
     try {
-      // Authorization: owners or team members with create_milestone; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const payload = req.body || {};
       const required = ['name', 'due_date', 'amount'];
       for (const f of required) {
         if (!payload[f]) return res.status(400).json({ error: `${f} is required` });
       }
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let allowed = false;
-        let ownerScopeId = null;
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = new mongoose.Types.ObjectId(auth.id);
-          allowed = true;
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (tm && tm.role && tm.managed_by) {
-            const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-            const hasCreate = assignedRole && assignedRole.permissions && (
-              Object.values(assignedRole.permissions).some((g) => g && g.create_milestone === true) ||
-              assignedRole.permissions.create_milestone === true
-            );
-            allowed = !!hasCreate;
-            ownerScopeId = tm.managed_by;
-          }
-        }
-        if (!allowed) return res.status(403).json({ error: 'Forbidden: missing create_milestone permission' });
-        // If uploads present, enforce uploaded_by owner scope
-        if (Array.isArray(payload.uploads)) {
-          for (const up of payload.uploads) {
-            const uploader = parseObjectId(up.uploaded_by);
-            if (!uploader) return res.status(400).json({ error: 'Invalid uploads.uploaded_by' });
-            if (String(uploader) !== String(ownerScopeId)) {
-              return res.status(403).json({ error: 'Forbidden: uploads must be by owner in scope' });
-            }
-          }
-        }
+      // If uploads present, enforce uploaded_by owner scope
+      if (!scope.isAdmin && Array.isArray(payload.uploads)) {
+        const invalid = validateUploads(payload.uploads, scope.ownerId);
+        if (invalid) return res.status(invalid.status).json({ error: invalid.error });
       }
       const doc = new Milestone({
         name: payload.name,
@@ -236,56 +181,20 @@ const MilestoneController = {
   },
 
   // Update milestone
+  // Authorization: authorize('milestone', 'update_milestone') on the route
   async update(req, res) {
     try {
-      // Authorization: owners or team members with update_milestone; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const payload = req.body || {};
       const current = await Milestone.findById(id).lean();
       if (!current) return res.status(404).json({ error: 'Milestone not found' });
 
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let ownerScopeId = null;
-        let allowed = false;
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = auth.id;
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasUpdate = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.update_milestone === true) ||
-            assignedRole.permissions.update_milestone === true
-          );
-          if (!hasUpdate) return res.status(403).json({ error: 'Forbidden: missing update_milestone permission' });
-          ownerScopeId = tm.managed_by;
-        }
-        // Scope via invoice
-        if (current.invoice_attached && current.invoice_attached.invoice_id) {
-          const inv = await Invoice.findById(current.invoice_attached.invoice_id).select('created_by client').lean();
-          if (inv) {
-            const clientDoc = await Client.findById(inv.client).select('user_id').lean();
-            allowed = String(inv.created_by) === String(ownerScopeId) || (clientDoc && String(clientDoc.user_id) === String(ownerScopeId));
-          }
-        }
-        if (!allowed) {
-          // Scope via project
-          const projects = await Project.find({ deliverables: current._id }).select('client').lean();
-          for (const p of projects) {
-            const c = await Client.findById(p.client).select('user_id').lean();
-            if (c && String(c.user_id) === String(ownerScopeId)) {
-              allowed = true;
-              break;
-            }
-          }
+      if (!scope.isAdmin) {
+        const ownerScopeId = scope.ownerId;
+        if (!(await milestoneInScope(current, ownerScopeId))) {
+          return res.status(403).json({ error: 'Forbidden: milestone not in scope' });
         }
-        if (!allowed) return res.status(403).json({ error: 'Forbidden: milestone not in scope' });
 
         // If changing invoice attachment, validate next invoice in scope
         if (payload.invoice_attached && payload.invoice_attached.invoice_id) {
@@ -293,19 +202,14 @@ const MilestoneController = {
           if (!nextInv) return res.status(400).json({ error: 'Invalid invoice_id' });
           const inv = await Invoice.findById(nextInv).select('created_by client').lean();
           if (!inv) return res.status(404).json({ error: 'Invoice not found' });
-          const clientDoc = await Client.findById(inv.client).select('user_id').lean();
-          const inScope = String(inv.created_by) === String(ownerScopeId) || (clientDoc && String(clientDoc.user_id) === String(ownerScopeId));
-          if (!inScope) return res.status(403).json({ error: 'Forbidden: invoice not in scope' });
+          if (!(await invoiceInScope(inv, ownerScopeId))) {
+            return res.status(403).json({ error: 'Forbidden: invoice not in scope' });
+          }
         }
         // If changing uploads, enforce owner uploader
         if (Array.isArray(payload.uploads)) {
-          for (const up of payload.uploads) {
-            const uploader = parseObjectId(up.uploaded_by);
-            if (!uploader) return res.status(400).json({ error: 'Invalid uploads.uploaded_by' });
-            if (String(uploader) !== String(ownerScopeId)) {
-              return res.status(403).json({ error: 'Forbidden: uploads must be by owner in scope' });
-            }
-          }
+          const invalid = validateUploads(payload.uploads, ownerScopeId);
+          if (invalid) return res.status(invalid.status).json({ error: invalid.error });
         }
       }
 
@@ -322,53 +226,16 @@ const MilestoneController = {
   },
 
   // Delete milestone
+  // Authorization: authorize('milestone', 'delete_milestone') on the route
   async remove(req, res) {
     try {
-      // Authorization: owners or team members with delete_milestone; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const current = await Milestone.findById(id).lean();
       if (!current) return res.status(404).json({ error: 'Milestone not found' });
 
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let ownerScopeId = null;
-        let allowed = false;
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = auth.id;
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasDelete = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.delete_milestone === true) ||
-            assignedRole.permissions.delete_milestone === true
-          );
-          if (!hasDelete) return res.status(403).json({ error: 'Forbidden: missing delete_milestone permission' });
-          ownerScopeId = tm.managed_by;
-        }
-        if (current.invoice_attached && current.invoice_attached.invoice_id) {
-          const inv = await Invoice.findById(current.invoice_attached.invoice_id).select('created_by client').lean();
-          if (inv) {
-            const clientDoc = await Client.findById(inv.client).select('user_id').lean();
-            allowed = String(inv.created_by) === String(ownerScopeId) || (clientDoc && String(clientDoc.user_id) === String(ownerScopeId));
-          }
-        }
-        if (!allowed) {
-          const projects = await Project.find({ deliverables: current._id }).select('client').lean();
-          for (const p of projects) {
-            const c = await Client.findById(p.client).select('user_id').lean();
-            if (c && String(c.user_id) === String(ownerScopeId)) {
-              allowed = true;
-              break;
-            }
-          }
-        }
-        if (!allowed) return res.status(403).json({ error: 'Forbidden: milestone not in scope' });
+      if (!scope.isAdmin && !(await milestoneInScope(current, scope.ownerId))) {
+        return res.status(403).json({ error: 'Forbidden: milestone not in scope' });
       }
 
       const removed = await Milestone.findByIdAndDelete(id).lean();
@@ -380,13 +247,10 @@ const MilestoneController = {
   },
 
   // Attach milestone to a project
+  // Authorization: authorize('milestone', ['update_milestone', 'create_milestone']) on the route
   async attachToProject(req, res) {
     try {
-      // Authorization: owners or team members with update_milestone; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params; // milestone id
       const { project_id } = req.body || {};
       if (!project_id) return res.status(400).json({ error: 'project_id is required' });
@@ -396,37 +260,11 @@ const MilestoneController = {
       if (!pid) return res.status(400).json({ error: 'Invalid project_id' });
       const milestone = await Milestone.findById(mid).lean();
       if (!milestone) return res.status(404).json({ error: 'Milestone not found' });
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let ownerScopeId = null;
-        let allowed = false;
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = auth.id;
-          allowed = true;
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const perms = assignedRole?.permissions || {};
-          const hasAny = (
-            Object.values(perms).some((g) => g && (g.update_milestone === true || g.create_milestone === true)) ||
-            perms.update_milestone === true ||
-            perms.create_milestone === true
-          );
-          if (!hasAny) return res.status(403).json({ error: 'Forbidden: missing update_milestone or create_milestone permission' });
-          ownerScopeId = tm.managed_by;
-          allowed = true;
-        }
+      if (!scope.isAdmin) {
         // Verify project is in owner scope
         const proj = await Project.findById(pid).select('client').lean();
         if (!proj) return res.status(404).json({ error: 'Project not found' });
-        const clientDoc = await Client.findById(proj.client).select('user_id added_by').lean();
-        const inScope = clientDoc && (
-          String(clientDoc.user_id) === String(ownerScopeId) ||
-          String(clientDoc.added_by) === String(ownerScopeId)
-        );
-        if (!inScope) {
+        if (!(await projectInScope(proj, scope.ownerId))) {
           return res.status(403).json({ error: 'Forbidden: project not in scope' });
         }
       }
@@ -439,13 +277,10 @@ const MilestoneController = {
   },
 
   // Detach milestone from a project
+  // Authorization: authorize('milestone', 'update_milestone') on the route
   async detachFromProject(req, res) {
     try {
-      // Authorization: owners or team members with update_milestone; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params; // milestone id
       const { project_id } = req.body || {};
       if (!project_id) return res.status(400).json({ error: 'project_id is required' });
@@ -453,34 +288,10 @@ const MilestoneController = {
       const pid = parseObjectId(project_id);
       if (!mid) return res.status(400).json({ error: 'Invalid milestone id' });
       if (!pid) return res.status(400).json({ error: 'Invalid project_id' });
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let ownerScopeId = null;
-        let allowed = false;
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = auth.id;
-          allowed = true;
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasUpdate = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.update_milestone === true) ||
-            assignedRole.permissions.update_milestone === true
-          );
-          if (!hasUpdate) return res.status(403).json({ error: 'Forbidden: missing update_milestone permission' });
-          ownerScopeId = tm.managed_by;
-          allowed = true;
-        }
+      if (!scope.isAdmin) {
         const proj = await Project.findById(pid).select('client').lean();
         if (!proj) return res.status(404).json({ error: 'Project not found' });
-        const clientDoc = await Client.findById(proj.client).select('user_id added_by').lean();
-        const inScope = clientDoc && (
-          String(clientDoc.user_id) === String(ownerScopeId) ||
-          String(clientDoc.added_by) === String(ownerScopeId)
-        );
-        if (!inScope) {
+        if (!(await projectInScope(proj, scope.ownerId))) {
           return res.status(403).json({ error: 'Forbidden: project not in scope' });
         }
       }
@@ -493,13 +304,10 @@ const MilestoneController = {
   },
 
   // Attach an invoice to milestone
+  // Authorization: authorize('milestone', 'update_milestone') on the route
   async attachInvoice(req, res) {
     try {
-      // Authorization: owners or team members with update_milestone; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params; // milestone id
       const { invoice_id } = req.body || {};
       if (!invoice_id) return res.status(400).json({ error: 'invoice_id is required' });
@@ -509,30 +317,8 @@ const MilestoneController = {
       if (!iid) return res.status(400).json({ error: 'Invalid invoice_id' });
       const invoice = await Invoice.findById(iid).lean();
       if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let ownerScopeId = null;
-        let allowed = false;
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = auth.id;
-          allowed = true;
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasUpdate = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.update_milestone === true) ||
-            assignedRole.permissions.update_milestone === true
-          );
-          if (!hasUpdate) return res.status(403).json({ error: 'Forbidden: missing update_milestone permission' });
-          ownerScopeId = tm.managed_by;
-          allowed = true;
-        }
-        const clientDoc = await Client.findById(invoice.client).select('user_id').lean();
-        if (!clientDoc || (String(invoice.created_by) !== String(ownerScopeId) && String(clientDoc.user_id) !== String(ownerScopeId))) {
-          return res.status(403).json({ error: 'Forbidden: invoice not in scope' });
-        }
+      if (!scope.isAdmin && !(await invoiceInScope(invoice, scope.ownerId))) {
+        return res.status(403).json({ error: 'Forbidden: invoice not in scope' });
       }
       const updated = await Milestone.findByIdAndUpdate(
         mid,
@@ -547,4 +333,4 @@ const MilestoneController = {
   },
 };
 
-export default MilestoneController;
+export default MilestoneController;
\ No newline at end of file
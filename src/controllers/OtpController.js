@@ -1,53 +1,14 @@
-import Otp from '../models/Otp.js';
-import User from '../models/User.js';
-
-const FAST2SMS_ENDPOINT = 'https://www.fast2sms.com/dev/bulkV2';
-const OTP_TTL_MS = 5 * 60 * 1000;
-const RESEND_COOLDOWN_MS = 60 * 1000;
-
-function normalizePhone(phone) {
-  const p = String(phone || '').trim();
-  return p.replace(/[^0-9]/g, '');
-}
-
-function randomCode() {
-  return String(Math.floor(100000 + Math.random() * 900000));
-}
-
-async function sendViaFast2Sms(phone, code) {
-  const apiKey = process.env.FAST2SMS_API_KEY;
-  if (!apiKey) throw new Error('FAST2SMS_API_KEY is not configured');
-  const body = {
-    route: 'otp',
-    variables_values: code,
-    numbers: phone,
-  };
-  const res = await fetch(FAST2SMS_ENDPOINT, {
-    method: 'POST',
-    headers: {
-      authorization: apiKey,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(body),
-  });
-  if (!res.ok) {
-    const text = await res.text().catch(() => '');
-    throw new Error(`Fast2SMS error (${res.status}): ${text || res.statusText}`);
-  }
-  return true;
-}
+import { otpTargetFromBody, sendOtp, checkOtp, findUserForOtp, markOtpVerified } from '../utils/otp.js';
 
 const OtpController = {
+  // Body: { phone } for SMS or { email } for email codes
   async send(req, res) {
     try {
-      const phone = normalizePhone(req.body?.phone);
-      if (!phone || phone.length < 10) return res.status(400).json({ error: 'Invalid phone' });
-      const code = randomCode();
-      const now = Date.now();
-      const expiresAt = new Date(now + OTP_TTL_MS);
-      await sendViaFast2Sms(phone, code);
-      await Otp.create({ phone, code, expiresAt, lastSentAt: new Date(now), attempts: 0, status: 'sent' });
-      return res.json({ ok: true, expiresAt: expiresAt.toISOString() });
+      const target = otpTargetFromBody(req.body);
+      if (!target) return res.status(400).json({ error: 'Invalid phone or email' });
+      const result = await sendOtp(target, { ip: req.ip });
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      return res.json({ ok: true, expiresAt: result.expiresAt.toISOString() });
     } catch (err) {
       return res.status(400).json({ error: err.message });
     }
@@ -55,24 +16,13 @@ const OtpController = {
 
   async verify(req, res) {
     try {
-      const phone = normalizePhone(req.body?.phone);
+      const target = otpTargetFromBody(req.body);
       const code = String(req.body?.code || '').trim();
-      if (!phone || !code) return res.status(400).json({ error: 'phone and code are required' });
-      const otp = await Otp.findOne({ phone, status: 'sent' }).sort({ created_at: -1 }).lean();
-      if (!otp) return res.status(404).json({ error: 'OTP not found' });
-      if (new Date(otp.expiresAt).getTime() < Date.now()) {
-        await Otp.findByIdAndUpdate(otp._id, { $set: { status: 'expired' } });
-        return res.status(400).json({ error: 'OTP expired' });
-      }
-      if (otp.code !== code) {
-        await Otp.findByIdAndUpdate(otp._id, { $inc: { attempts: 1 } });
-        return res.status(401).json({ error: 'Incorrect OTP' });
-      }
-      await Otp.findByIdAndUpdate(otp._id, { $set: { status: 'verified' } });
-      const user = await User.findOne({ 'registration.phone': phone }).select('_id').lean();
-      if (user) {
-        await User.findByIdAndUpdate(user._id, { $set: { 'verification.phoneVerified': true } });
-      }
+      if (!target || !code) return res.status(400).json({ error: 'phone or email and code are required' });
+      const result = await checkOtp(target, code);
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      const user = await findUserForOtp(target);
+      if (user) await markOtpVerified(user._id, target);
       return res.json({ ok: true, verified: true });
     } catch (err) {
       return res.status(400).json({ error: err.message });
@@ -81,18 +31,11 @@ const OtpController = {
 
   async resend(req, res) {
     try {
-      const phone = normalizePhone(req.body?.phone);
-      if (!phone || phone.length < 10) return res.status(400).json({ error: 'Invalid phone' });
-      const latest = await Otp.findOne({ phone }).sort({ created_at: -1 }).lean();
-      const now = Date.now();
-      if (latest && latest.lastSentAt && now - new Date(latest.lastSentAt).getTime() < RESEND_COOLDOWN_MS) {
-        return res.status(429).json({ error: 'Resend too soon; please wait' });
-      }
-      const code = randomCode();
-      const expiresAt = new Date(now + OTP_TTL_MS);
-      await sendViaFast2Sms(phone, code);
-      await Otp.create({ phone, code, expiresAt, lastSentAt: new Date(now), attempts: 0, status: 'sent' });
-      return res.json({ ok: true, expiresAt: expiresAt.toISOString() });
+      const target = otpTargetFromBody(req.body);
+      if (!target) return res.status(400).json({ error: 'Invalid phone or email' });
+      const result = await sendOtp(target, { cooldown: true, ip: req.ip });
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      return res.json({ ok: true, expiresAt: result.expiresAt.toISOString() });
     } catch (err) {
       return res.status(400).json({ error: err.message });
     }
@@ -100,4 +43,3 @@ const OtpController = {
 };
 
 export default OtpController;
-
@@ -1,13 +1,25 @@
-// PaymentController: CRUD operations for Payment model, updates linked Invoice status
-// Exposes: list, getById, create, update, remove
+// PaymentController: CRUD operations for Payment model
+// Every write re-syncs the linked invoice's embedded payments, totals and both status fields
+// (utils/invoicePayments.js), inside a transaction where the deployment supports one, then re-posts the
+// payment in the owner's ledger (utils/ledger.js)
+// Verified payments carry a numbered receipt (utils/paymentReceipts.js)
+// TDS the client deducted (tds_section, tds_rate, tds_amount) settles the invoice with the cash amount; its
+// Form 16A certificate is recorded with recordForm16a
+// Draft and cancelled invoices take no payments
+// Exposes: list, getById, create, update, remove, receipt, recordForm16a
 
-import Payment from '../models/Payment.js';
+import Payment, { TDS_SECTIONS } from '../models/Payment.js';
 import Invoice from '../models/Invoice.js';
 import Client from '../models/Client.js';
-import TeamMember from '../models/TeamMember.js';
-import Role from '../models/Role.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
 import mongoose from 'mongoose';
+import { recordPayment, syncInvoicePayments } from '../utils/invoicePayments.js';
+import { runInTransaction } from '../utils/transactions.js';
+import { syncLedger } from '../utils/ledger.js';
+import { issueReceipt, issueReceiptOnVerify, receiptData, refreshReceiptPdf, sendReceiptEmail } from '../utils/paymentReceipts.js';
+import { tdsOnPayment } from '../utils/tds.js';
+import { paymentFx } from '../utils/fx.js';
+
+const PAYMENT_BLOCKED_STATUSES = ['draft', 'cancelled'];
 
 function parseObjectId(id) {
   try {
@@ -17,52 +29,48 @@ function parseObjectId(id) {
   }
 }
 
-async function recomputeInvoiceStatus(invoiceId) {
-  const totalAgg = await Payment.aggregate([
-    { $match: { invoice_id: new mongoose.Types.ObjectId(invoiceId) } },
-    { $group: { _id: null, paid: { $sum: '$amount' } } },
-  ]);
-  const paid = totalAgg[0]?.paid || 0;
-  const invoice = await Invoice.findById(invoiceId).lean();
-  if (!invoice) return;
-  let nextStatus = 'pending';
-  if (paid >= (invoice.total || 0)) nextStatus = 'paid';
-  else if (paid > 0) nextStatus = 'partially_paid';
-  await Invoice.findByIdAndUpdate(invoiceId, { $set: { payment_status: nextStatus } }).lean();
+// An invoice is in scope when the owner created it or added its client
+async function invoiceInScope(invoice, ownerScopeId) {
+  if (!invoice) return false;
+  if (String(invoice.created_by) === String(ownerScopeId)) return true;
+  const clientDoc = invoice.client ? await Client.findById(invoice.client).select('added_by').lean() : null;
+  return !!clientDoc && String(clientDoc.added_by) === String(ownerScopeId);
+}
+
+// TDS fields in a create/update payload, merged over the current payment. Without tds_amount, tds_rate applies
+// to the taxable part of this payment (utils/tds.js tdsOnPayment); a new amount re-applies the stored rate.
+// Returns the fields to set or { error }
+function tdsFields(payload, invoice, current = {}) {
+  const fields = {};
+  for (const f of ['tds_section', 'tds_rate', 'tds_amount']) {
+    if (payload[f] !== undefined) fields[f] = payload[f];
+  }
+  const rate = fields.tds_rate ?? (payload.amount !== undefined ? current.tds_rate : undefined);
+  if (fields.tds_amount === undefined && rate) {
+    fields.tds_amount = tdsOnPayment(payload.amount ?? current.amount, rate, invoice);
+  } else if (fields.tds_amount === undefined && fields.tds_rate !== undefined) {
+    fields.tds_amount = 0;
+  }
+  const section = fields.tds_section !== undefined ? fields.tds_section : current.tds_section;
+  const amount = Number(fields.tds_amount ?? current.tds_amount) || 0;
+  if (section && !TDS_SECTIONS.includes(section)) return { error: `tds_section must be one of ${TDS_SECTIONS.join(', ')}` };
+  if (amount > 0 && !section) return { error: 'tds_section is required when TDS is deducted' };
+  return fields;
 }
 
 const PaymentController = {
   // List payments with filters
+  // Authorization: authorize('payment', 'view_payment') on the route
   async list(req, res) {
     try {
-      // Authorization: owners or team members with view_payment; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-      const { invoice_id, paid_by, received_by, mode, from, to } = req.query;
+      const { scope } = req;
+      const { invoice_id, paid_by, received_by, mode, from, to, tds, form16a } = req.query;
       const filter = {};
       // Build scope for non-admin
       let allowedInvoiceIds = null;
       let allowedClientIds = null;
-      let ownerScopeId = null;
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = new mongoose.Types.ObjectId(auth.id);
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasView = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.view_payment === true) ||
-            assignedRole.permissions.view_payment === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: missing view_payment permission' });
-          ownerScopeId = tm.managed_by;
-        }
+      const ownerScopeId = scope.isAdmin ? null : scope.ownerId;
+      if (!scope.isAdmin) {
         // Compute allowed clients and invoices within scope
         const clients = await Client.find({ added_by: ownerScopeId }).select('_id').lean();
         allowedClientIds = clients.map((c) => c._id);
@@ -104,6 +112,10 @@ const PaymentController = {
         filter.received_by = oid;
       }
       if (mode) filter.mode = mode;
+      // tds=true: payments with TDS deducted; form16a=received|pending: by certificate status
+      if (tds === 'true' || form16a) filter.tds_amount = { $gt: 0 };
+      if (form16a === 'received') filter['form16a.received_on'] = { $ne: null };
+      else if (form16a === 'pending') filter['form16a.received_on'] = null;
       if (from || to) {
         filter.payment_date = {};
         if (from) filter.payment_date.$gte = new Date(from);
@@ -117,43 +129,20 @@ const PaymentController = {
   },
 
   // Get payment by id
+  // Authorization: authorize('payment', 'view_payment') on the route
   async getById(req, res) {
     try {
-      // Authorization: owners or team members with view_payment; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const doc = await Payment.findById(oid).lean();
       if (!doc) return res.status(404).json({ error: 'Payment not found' });
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let ownerScopeId = null;
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = auth.id;
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasView = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.view_payment === true) ||
-            assignedRole.permissions.view_payment === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: missing view_payment permission' });
-          ownerScopeId = tm.managed_by;
-        }
-        const clientDoc = await Client.findById(doc.paid_by).select('added_by').lean();
+      if (!scope.isAdmin) {
         const invoiceDoc = await Invoice.findById(doc.invoice_id).select('created_by client').lean();
-        const withinScope = (
-          (invoiceDoc && (String(invoiceDoc.created_by) === String(ownerScopeId))) ||
-          (invoiceDoc && String(invoiceDoc.client) && clientDoc && (String(clientDoc.added_by) === String(ownerScopeId)))
-        );
-        if (!withinScope) return res.status(403).json({ error: 'Forbidden: payment not in scope' });
+        if (!(await invoiceInScope(invoiceDoc, scope.ownerId))) {
+          return res.status(403).json({ error: 'Forbidden: payment not in scope' });
+        }
       }
       return res.json(doc);
     } catch (err) {
@@ -162,13 +151,10 @@ const PaymentController = {
   },
 
   // Create payment and link to invoice
+  // Authorization: authorize('payment', 'create_payment') on the route
   async create(req, res) {
     try {
-      // Authorization: owners or team members with create_payment; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const payload = req.body || {};
       const required = ['payment_date', 'amount', 'mode', 'invoice_id', 'paid_by', 'received_by'];
       for (const f of required) {
@@ -185,30 +171,11 @@ const PaymentController = {
       const invoice = await Invoice.findById(invoiceId).lean();
       if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
 
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let allowed = false;
-        let ownerScopeId = null;
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = new mongoose.Types.ObjectId(auth.id);
-          const clientDoc = await Client.findById(invoice.client).select('added_by').lean();
-          allowed = (String(invoice.created_by) === String(ownerScopeId)) || (clientDoc && String(clientDoc.added_by) === String(ownerScopeId));
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (tm && tm.role && tm.managed_by) {
-            const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-            const hasCreate = assignedRole && assignedRole.permissions && (
-              Object.values(assignedRole.permissions).some((g) => g && g.create_payment === true) ||
-              assignedRole.permissions.create_payment === true
-            );
-            ownerScopeId = tm.managed_by;
-            // Invoice must be within scope
-            const clientDoc = await Client.findById(invoice.client).select('added_by').lean();
-            allowed = !!hasCreate && ((String(invoice.created_by) === String(ownerScopeId)) || (clientDoc && String(clientDoc.added_by) === String(ownerScopeId)));
-          }
+      if (!scope.isAdmin) {
+        const ownerScopeId = scope.ownerId;
+        if (!(await invoiceInScope(invoice, ownerScopeId))) {
+          return res.status(403).json({ error: 'Forbidden: invoice out of scope' });
         }
-        if (!allowed) return res.status(403).json({ error: 'Forbidden: missing create_payment or invoice out of scope' });
         // received_by must be owner in scope
         if (String(receivedBy) !== String(ownerScopeId)) {
           return res.status(403).json({ error: 'Forbidden: received_by must be the owner in scope' });
@@ -220,9 +187,18 @@ const PaymentController = {
         }
       }
 
-      const doc = new Payment({
+      if (PAYMENT_BLOCKED_STATUSES.includes(invoice.status)) {
+        return res.status(409).json({ error: `Cannot record payments on a ${invoice.status} invoice` });
+      }
+
+      const tds = tdsFields(payload, invoice);
+      if (tds.error) return res.status(400).json({ error: tds.error });
+
+      const saved = await recordPayment({
         payment_date: new Date(payload.payment_date),
         amount: payload.amount,
+        ...tds,
+        form16a: payload.form16a,
         mode: payload.mode,
         transaction_id: payload.transaction_id,
         remarks: payload.remarks,
@@ -232,26 +208,17 @@ const PaymentController = {
         paid_by: paidBy,
         received_by: receivedBy,
       });
-      await doc.validate();
-      const saved = await doc.save();
-
-      // Link payment to invoice
-      await Invoice.findByIdAndUpdate(invoiceId, { $addToSet: { payments: saved._id } }).lean();
-      await recomputeInvoiceStatus(invoiceId);
       return res.status(201).json(saved);
     } catch (err) {
       return res.status(400).json({ error: err.message });
     }
   },
 
-  // Update payment (and recompute invoice status)
+  // Update payment (and re-sync the invoice)
+  // Authorization: authorize('payment', 'update_payment') on the route
   async update(req, res) {
     try {
-      // Authorization: owners or team members with update_payment; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
@@ -259,43 +226,22 @@ const PaymentController = {
       const current = await Payment.findById(oid).lean();
       if (!current) return res.status(404).json({ error: 'Payment not found' });
 
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let allowed = false;
-        let ownerScopeId = null;
+      if (!scope.isAdmin) {
+        const ownerScopeId = scope.ownerId;
         const invoiceDoc = await Invoice.findById(current.invoice_id).select('created_by client').lean();
         if (!invoiceDoc) return res.status(404).json({ error: 'Invoice not found' });
-        if (entity?.registration?.isOwner) {
-          ownerScopeId = auth.id;
-          allowed = (String(invoiceDoc.created_by) === String(ownerScopeId));
-          if (!allowed) {
-            const clientDoc = await Client.findById(invoiceDoc.client).select('user_id').lean();
-            allowed = !!clientDoc && (String(clientDoc.user_id) === String(ownerScopeId));
-          }
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (tm && tm.role && tm.managed_by) {
-            const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-            const hasUpdate = assignedRole && assignedRole.permissions && (
-              Object.values(assignedRole.permissions).some((g) => g && g.update_payment === true) ||
-              assignedRole.permissions.update_payment === true
-            );
-            ownerScopeId = tm.managed_by;
-            const clientDoc = await Client.findById(invoiceDoc.client).select('user_id').lean();
-            allowed = !!hasUpdate && ((String(invoiceDoc.created_by) === String(ownerScopeId)) || (clientDoc && String(clientDoc.user_id) === String(ownerScopeId)));
-          }
+        if (!(await invoiceInScope(invoiceDoc, ownerScopeId))) {
+          return res.status(403).json({ error: 'Forbidden: payment out of scope' });
         }
-        if (!allowed) return res.status(403).json({ error: 'Forbidden: missing update_payment or payment out of scope' });
         // If changing invoice_id, ensure new invoice in scope
         if (payload.invoice_id) {
           const nextInvoice = parseObjectId(payload.invoice_id);
           if (!nextInvoice) return res.status(400).json({ error: 'Invalid invoice_id' });
           const nextInvoiceDoc = await Invoice.findById(nextInvoice).select('created_by client').lean();
           if (!nextInvoiceDoc) return res.status(404).json({ error: 'Invoice not found' });
-          const nextClientDoc = await Client.findById(nextInvoiceDoc.client).select('added_by').lean();
-          const inScope = (String(nextInvoiceDoc.created_by) === String(ownerScopeId)) || (nextClientDoc && String(nextClientDoc.added_by) === String(ownerScopeId));
-          if (!inScope) return res.status(403).json({ error: 'Forbidden: new invoice not in scope' });
+          if (!(await invoiceInScope(nextInvoiceDoc, ownerScopeId))) {
+            return res.status(403).json({ error: 'Forbidden: new invoice not in scope' });
+          }
         }
         // If changing received_by, it must remain owner in scope
         if (payload.received_by) {
@@ -316,67 +262,166 @@ const PaymentController = {
         }
       }
 
-      const updated = await Payment.findByIdAndUpdate(
-        oid,
-        { $set: payload },
-        { new: true, runValidators: true }
-      ).lean();
+      // Moving a payment onto a draft or cancelled invoice is refused like creating one there
+      if (payload.invoice_id && String(payload.invoice_id) !== String(current.invoice_id)) {
+        const target = await Invoice.findById(payload.invoice_id).select('status').lean();
+        if (!target) return res.status(404).json({ error: 'Invoice not found' });
+        if (PAYMENT_BLOCKED_STATUSES.includes(target.status)) {
+          return res.status(409).json({ error: `Cannot record payments on a ${target.status} invoice` });
+        }
+      }
+
+      // Receipts are generated, never edited directly
+      const changes = { ...payload };
+      delete changes.receipt;
+      const tdsChanges = ['tds_section', 'tds_rate', 'tds_amount'].some((f) => payload[f] !== undefined)
+        || (payload.amount !== undefined && current.tds_rate);
+      if (tdsChanges) {
+        const tdsInvoice = await Invoice.findById(payload.invoice_id || current.invoice_id).select('subTotal total').lean();
+        const tds = tdsFields(payload, tdsInvoice, current);
+        if (tds.error) return res.status(400).json({ error: tds.error });
+        Object.assign(changes, tds);
+      }
+      // Exchange rate and realised gain/loss follow the amount, date and invoice
+      delete changes.fx;
+      if (['amount', 'payment_date', 'invoice_id', 'received_by', 'tds_amount'].some((f) => changes[f] !== undefined)) {
+        const next = { ...current, ...changes };
+        const fxInvoice = await Invoice.findById(next.invoice_id).select('currency fx').lean();
+        changes.fx = await paymentFx(next, fxInvoice);
+      }
+      const updated = await runInTransaction(async (session) => {
+        const next = await Payment.findByIdAndUpdate(
+          oid,
+          { $set: changes },
+          { new: true, runValidators: true, session }
+        ).lean();
+        if (!next) return null;
+        // Moving a payment to another invoice re-syncs both
+        await syncInvoicePayments(next.invoice_id, { session });
+        if (String(next.invoice_id) !== String(current.invoice_id)) {
+          await syncInvoicePayments(current.invoice_id, { session });
+        }
+        return next;
+      });
       if (!updated) return res.status(404).json({ error: 'Payment not found' });
-      await recomputeInvoiceStatus(updated.invoice_id);
-      return res.json(updated);
+      await syncLedger('payment', oid);
+      // Verifying a payment issues its receipt
+      return res.json(await issueReceiptOnVerify(updated));
     } catch (err) {
       return res.status(400).json({ error: err.message });
     }
   },
 
-  // Delete payment and unlink from invoice
+  // Delete payment and re-sync its invoice
+  // Authorization: authorize('payment', 'delete_payment') on the route
   async remove(req, res) {
     try {
-      // Authorization: owners or team members with delete_payment; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const removed = await Payment.findById(oid).lean();
       if (!removed) return res.status(404).json({ error: 'Payment not found' });
 
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let allowed = false;
-        if (entity?.registration?.isOwner) {
-          const ownerScopeId = auth.id;
-          const inv = await Invoice.findById(removed.invoice_id).select('created_by client').lean();
-          const clientDoc = inv ? await Client.findById(inv.client).select('added_by').lean() : null;
-          allowed = inv && ((String(inv.created_by) === String(ownerScopeId)) || (clientDoc && String(clientDoc.added_by) === String(ownerScopeId)));
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (tm && tm.role && tm.managed_by) {
-            const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-            const hasDelete = assignedRole && assignedRole.permissions && (
-              Object.values(assignedRole.permissions).some((g) => g && g.delete_payment === true) ||
-              assignedRole.permissions.delete_payment === true
-            );
-            const inv = await Invoice.findById(removed.invoice_id).select('created_by client').lean();
-            const clientDoc = inv ? await Client.findById(inv.client).select('added_by').lean() : null;
-            allowed = !!hasDelete && inv && ((String(inv.created_by) === String(tm.managed_by)) || (clientDoc && String(clientDoc.added_by) === String(tm.managed_by)));
-          }
+      if (!scope.isAdmin) {
+        const inv = await Invoice.findById(removed.invoice_id).select('created_by client').lean();
+        if (!(await invoiceInScope(inv, scope.ownerId))) {
+          return res.status(403).json({ error: 'Forbidden: payment out of scope' });
         }
-        if (!allowed) return res.status(403).json({ error: 'Forbidden: missing delete_payment or payment out of scope' });
       }
 
       // Perform deletion and cleanup
-      await Payment.findByIdAndDelete(oid).lean();
-      await Invoice.findByIdAndUpdate(removed.invoice_id, { $pull: { payments: removed._id } }).lean();
-      await recomputeInvoiceStatus(removed.invoice_id);
+      await runInTransaction(async (session) => {
+        await Payment.findByIdAndDelete(oid, { session }).lean();
+        await syncInvoicePayments(removed.invoice_id, { session });
+      });
+      await syncLedger('payment', oid);
       return res.json({ ok: true });
     } catch (err) {
       return res.status(400).json({ error: err.message });
     }
   },
+
+  // Receipt for a verified payment: JSON by default, ?format=pdf for the PDF (a cached copy is served by
+  // redirecting to its URL), ?email=true to also send it to the client's point of contact.
+  // Verified payments recorded before receipts existed are numbered on first request
+  // Authorization: authorize('payment', 'view_payment') on the route
+  async receipt(req, res) {
+    try {
+      const { scope } = req;
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const doc = await Payment.findById(oid).lean();
+      if (!doc) return res.status(404).json({ error: 'Payment not found' });
+      if (!scope.isAdmin) {
+        const invoiceDoc = await Invoice.findById(doc.invoice_id).select('created_by client').lean();
+        if (!(await invoiceInScope(invoiceDoc, scope.ownerId))) {
+          return res.status(403).json({ error: 'Forbidden: payment not in scope' });
+        }
+      }
+      if (!doc.is_verified) return res.status(409).json({ error: 'Receipts are issued for verified payments only' });
+      let payment = await issueReceipt(doc);
+
+      if (req.query.email === 'true') {
+        try {
+          await sendReceiptEmail(payment);
+        } catch (err) {
+          return res.status(502).json({ error: `Receipt email failed: ${err.message}` });
+        }
+        payment = await Payment.findById(oid).lean();
+      }
+
+      if (req.query.format === 'pdf') {
+        const result = await refreshReceiptPdf(payment, { force: req.query.refresh === 'true' });
+        if (result.cached) return res.redirect(302, result.url);
+        const fileName = String(payment.receipt.number).replace(/[^A-Za-z0-9._-]+/g, '-');
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+        return res.send(result.buffer);
+      }
+      return res.json({
+        ...(await receiptData(payment)),
+        pdfUrl: payment.receipt.pdfUrl || null,
+        emailedAt: payment.receipt.emailedAt || null,
+        emailedTo: payment.receipt.emailedTo || null,
+      });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Record receipt of the client's Form 16A for the TDS on this payment.
+  // Body: certificate_no, received_on (default today), file_url; received_on: null marks it pending again
+  // Authorization: authorize('payment', 'update_payment') on the route
+  async recordForm16a(req, res) {
+    try {
+      const { scope } = req;
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const current = await Payment.findById(oid).lean();
+      if (!current) return res.status(404).json({ error: 'Payment not found' });
+      if (!scope.isAdmin) {
+        const invoiceDoc = await Invoice.findById(current.invoice_id).select('created_by client').lean();
+        if (!(await invoiceInScope(invoiceDoc, scope.ownerId))) {
+          return res.status(403).json({ error: 'Forbidden: payment out of scope' });
+        }
+      }
+      if (!current.tds_amount) return res.status(409).json({ error: 'No TDS was deducted on this payment' });
+
+      const payload = req.body || {};
+      const receivedOn = payload.received_on === null ? null : new Date(payload.received_on || Date.now());
+      if (receivedOn && Number.isNaN(receivedOn.getTime())) return res.status(400).json({ error: 'Invalid received_on' });
+      const form16a = {
+        certificate_no: payload.certificate_no ?? current.form16a?.certificate_no ?? null,
+        received_on: receivedOn,
+        file_url: payload.file_url ?? current.form16a?.file_url ?? null,
+      };
+      const updated = await Payment.findByIdAndUpdate(oid, { $set: { form16a } }, { new: true, runValidators: true }).lean();
+      return res.json(updated);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  },
 };
 
 export default PaymentController;
\ No newline at end of file
@@ -0,0 +1,236 @@
+// PaymentImportController: bank statement CSV import and reconciliation against open invoices
+// Exposes: importStatement, list, getById, confirm
+
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+import BankStatementImport from '../models/BankStatementImport.js';
+import { parseBankStatement } from '../utils/bankStatements.js';
+import { suggestMatches } from '../utils/paymentMatching.js';
+import { recordPayment, payerForInvoice } from '../utils/invoicePayments.js';
+import { tdsOnPayment } from '../utils/tds.js';
+
+const OPEN_STATUSES = ['sent', 'partial', 'overdue'];
+const PENDING_ROW_STATUSES = ['suggested', 'unmatched'];
+
+function parseObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(id);
+  } catch {
+    return null;
+  }
+}
+
+// Owner the statement belongs to: the caller's scope, or ownerId for admins
+function importOwner(req) {
+  const { scope } = req;
+  if (!scope.isAdmin) return scope.ownerId;
+  const ownerId = req.body?.ownerId || req.query.ownerId;
+  return ownerId ? parseObjectId(ownerId) : null;
+}
+
+function inScope(scope, doc) {
+  return scope.isAdmin || String(doc.ownerId) === String(scope.ownerId);
+}
+
+// Multipart sends the generic mapping as a JSON string
+function parseMapping(value) {
+  if (!value || typeof value === 'object') return value || null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+// Set fields on one statement row (by its index); rowFilter narrows which row state may be changed.
+// Returns whether a row was updated
+async function updateRow(importId, index, fields, rowFilter = {}) {
+  const $set = Object.fromEntries(Object.entries(fields).map(([k, v]) => [`rows.$.${k}`, v]));
+  const result = await BankStatementImport.updateOne({ _id: importId, rows: { $elemMatch: { index, ...rowFilter } } }, { $set });
+  return result.modifiedCount > 0;
+}
+
+// Create a verified Payment for a statement row, with any TDS the client deducted
+// ({ tds_section, tds_rate, tds_amount }; a rate alone applies to this payment's taxable part); returns the
+// Payment or throws
+async function confirmRow(row, invoice, ownerId, tds = {}) {
+  const payer = await payerForInvoice(invoice);
+  if (!payer) throw new Error('Invoice has no client record to attribute the payment to');
+  return recordPayment({
+    payment_date: row.date,
+    amount: row.amount,
+    mode: row.mode,
+    transaction_id: row.reference || undefined,
+    remarks: `Bank statement: ${row.description}`.slice(0, 1000),
+    tds_section: tds.tds_section || null,
+    tds_rate: Number(tds.tds_rate) || 0,
+    tds_amount: tds.tds_amount !== undefined ? Number(tds.tds_amount) || 0 : tdsOnPayment(row.amount, tds.tds_rate, invoice),
+    is_verified: true,
+    invoice_id: invoice._id,
+    paid_by: payer,
+    received_by: ownerId,
+  });
+}
+
+const PaymentImportController = {
+  // Upload a statement (multipart field "file", or JSON { csv }) with bank = hdfc | icici | sbi | generic
+  // and, for generic, mapping = { date, description, reference?, credit? | amount?, dateFormat? }.
+  // Credits are matched against the owner's open invoices; nothing is recorded until confirmed.
+  // Authorization: authorize('payment', 'create_payment') on the route
+  async importStatement(req, res) {
+    try {
+      const ownerId = importOwner(req);
+      if (!ownerId) return res.status(400).json({ error: 'Valid ownerId is required' });
+      const text = req.file?.buffer ? req.file.buffer.toString('utf8') : req.body?.csv;
+      if (!text) return res.status(400).json({ error: 'A statement CSV is required (file or csv)' });
+      const bank = String(req.body?.bank || 'generic').toLowerCase();
+
+      let parsed;
+      try {
+        parsed = parseBankStatement(text, { bank, mapping: parseMapping(req.body?.mapping) });
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      const invoices = await Invoice.find({
+        createdBy: ownerId,
+        status: { $in: OPEN_STATUSES },
+        balanceDue: { $gt: 0 },
+        isDeleted: { $ne: true },
+      }).select('invoiceNo issuedTo subTotal total paidAmount balanceDue debitedAmount creditedAmount').lean();
+      const refs = [...new Set(parsed.rows.flatMap((r) => [r.reference, ...r.references]).filter(Boolean))];
+      const existing = refs.length
+        ? await Payment.find({ received_by: ownerId, transaction_id: { $in: refs } }).select('_id transaction_id').lean()
+        : [];
+      const paymentsByRef = new Map(existing.map((p) => [p.transaction_id, p._id]));
+
+      const rows = suggestMatches(parsed.rows, invoices, paymentsByRef);
+      const doc = await BankStatementImport.create({
+        ownerId,
+        bank,
+        fileName: req.file?.originalname || req.body?.fileName || null,
+        status: rows.some((r) => PENDING_ROW_STATUSES.includes(r.status)) ? 'open' : 'completed',
+        rows,
+        debitsSkipped: parsed.debitsSkipped,
+        invalidRows: parsed.invalidRows,
+        importedBy: req.auth?.id || null,
+      });
+      return res.status(201).json(doc);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Recent imports (rows omitted)
+  // Authorization: authorize('payment', 'view_payment') on the route
+  async list(req, res) {
+    try {
+      const { scope } = req;
+      const filter = {};
+      if (!scope.isAdmin) filter.ownerId = scope.ownerId;
+      else if (req.query.ownerId) {
+        const oid = parseObjectId(req.query.ownerId);
+        if (!oid) return res.status(400).json({ error: 'Invalid ownerId' });
+        filter.ownerId = oid;
+      }
+      const items = await BankStatementImport.find(filter).select('-rows').sort({ createdAt: -1 }).limit(100).lean();
+      return res.json(items);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Authorization: authorize('payment', 'view_payment') on the route
+  async getById(req, res) {
+    try {
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const doc = await BankStatementImport.findById(oid).lean();
+      if (!doc) return res.status(404).json({ error: 'Import not found' });
+      if (!inScope(req.scope, doc)) return res.status(403).json({ error: 'Forbidden: import not in owner scope' });
+      return res.json(doc);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Confirm matches: { matches?: [{ row, invoiceId, tds_section?, tds_rate?, tds_amount? }], acceptSuggested?: true,
+  // ignore?: [row] }. acceptSuggested confirms every pre-selected suggestion not overridden in matches;
+  // TDS is only recorded when given in matches (a suggestion's tds shows the amount it implies).
+  // Each confirmed row becomes a verified Payment on the chosen invoice.
+  // Authorization: authorize('payment', 'create_payment') on the route
+  async confirm(req, res) {
+    try {
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const doc = await BankStatementImport.findById(oid);
+      if (!doc) return res.status(404).json({ error: 'Import not found' });
+      if (!inScope(req.scope, doc)) return res.status(403).json({ error: 'Forbidden: import not in owner scope' });
+      if (doc.status !== 'open') return res.status(409).json({ error: 'Import is already completed' });
+
+      const payload = req.body || {};
+      const plan = new Map();
+      if (payload.acceptSuggested) {
+        for (const row of doc.rows) {
+          if (row.status === 'suggested' && row.suggestedInvoiceId) plan.set(row.index, { invoiceId: row.suggestedInvoiceId });
+        }
+      }
+      for (const match of Array.isArray(payload.matches) ? payload.matches : []) {
+        plan.set(Number(match.row), match);
+      }
+      const ignore = new Set((Array.isArray(payload.ignore) ? payload.ignore : []).map(Number));
+      if (plan.size === 0 && ignore.size === 0) return res.status(400).json({ error: 'Nothing to confirm' });
+
+      // Rows are claimed and settled one at a time with conditional updates, so a concurrent confirm of the
+      // same import cannot record a row twice
+      const pending = { status: { $in: PENDING_ROW_STATUSES } };
+      const results = [];
+      for (const [index, match] of plan) {
+        const row = doc.rows.find((r) => r.index === index);
+        if (!row) {
+          results.push({ row: index, status: 'error', error: 'Row not found' });
+          continue;
+        }
+        const invoiceId = parseObjectId(match.invoiceId);
+        const invoice = invoiceId ? await Invoice.findById(invoiceId).lean() : null;
+        if (!invoice || String(invoice.createdBy) !== String(doc.ownerId)) {
+          const error = 'Invoice not found for this owner';
+          await updateRow(doc._id, index, { error }, pending);
+          results.push({ row: index, status: 'error', error });
+          continue;
+        }
+        if (!(await updateRow(doc._id, index, { status: 'confirmed', invoiceId: invoice._id, error: null }, pending))) {
+          const current = await BankStatementImport.findOne({ _id: doc._id }, { rows: { $elemMatch: { index } } }).lean();
+          const status = current?.rows?.[0]?.status || row.status;
+          results.push({ row: index, status, error: `Row is already ${status}` });
+          continue;
+        }
+        try {
+          const payment = await confirmRow(row, invoice, doc.ownerId, match);
+          await updateRow(doc._id, index, { paymentId: payment._id });
+          results.push({ row: index, status: 'confirmed', invoiceId: invoice._id, paymentId: payment._id });
+        } catch (err) {
+          // Release the claim: back to its previous state, or duplicate when the reference is already recorded
+          const duplicate = err?.code === 11000;
+          const error = duplicate ? 'A payment with this reference already exists' : err.message;
+          await updateRow(doc._id, index, { status: duplicate ? 'duplicate' : row.status, invoiceId: row.invoiceId ?? null, error });
+          results.push({ row: index, status: duplicate ? 'duplicate' : 'error', error });
+        }
+      }
+      for (const index of ignore) {
+        if (await updateRow(doc._id, index, { status: 'ignored' }, pending)) results.push({ row: index, status: 'ignored' });
+      }
+      await BankStatementImport.updateOne(
+        { _id: doc._id, status: 'open', rows: { $not: { $elemMatch: pending } } },
+        { $set: { status: 'completed' } }
+      );
+      const updated = await BankStatementImport.findById(doc._id).lean();
+      return res.json({ import: updated, results });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  },
+};
+
+export default PaymentImportController;
@@ -0,0 +1,300 @@
+// PayoutController: collaborator payouts and their approval workflow (pending -> approved -> paid)
+// Approval posts the cost and the payable to the owner's ledger and payment settles it (utils/ledger.js);
+// each captures the exchange rate of the day for foreign-currency payouts (utils/fx.js)
+// Exposes: list, getById, create, update, approve, markPaid, remove
+
+import mongoose from 'mongoose';
+import Payout from '../models/Payout.js';
+import Collaborator from '../models/Collaborator.js';
+import Project from '../models/Project.js';
+import Client from '../models/Client.js';
+import RateCard from '../models/RateCard.js';
+import User from '../models/User.js';
+import { choosePaymentMethod } from '../utils/payouts.js';
+import { syncLedger } from '../utils/ledger.js';
+import { fxSnapshot } from '../utils/fx.js';
+
+// Fields a pending payout accepts from the client; workflow fields are set by approve/markPaid
+const EDITABLE_FIELDS = ['amount', 'tdsSection', 'tdsPercent', 'tdsAmount', 'currency', 'description', 'notes'];
+
+function parseObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(id);
+  } catch {
+    return null;
+  }
+}
+
+function inScope(scope, doc) {
+  return scope.isAdmin || String(doc.ownerId) === String(scope.ownerId);
+}
+
+// Approval and payment each have their own ledger entry
+async function syncPayoutLedger(id) {
+  await syncLedger('payout', id);
+  await syncLedger('payout_payment', id);
+}
+
+// Load a payout for a workflow action; responds and returns null when it is missing or out of scope
+async function loadPayout(req, res) {
+  const oid = parseObjectId(req.params.id);
+  if (!oid) {
+    res.status(400).json({ error: 'Invalid id' });
+    return null;
+  }
+  const payout = await Payout.findById(oid);
+  if (!payout) {
+    res.status(404).json({ error: 'Payout not found' });
+    return null;
+  }
+  if (!inScope(req.scope, payout)) {
+    res.status(403).json({ error: 'Forbidden: payout not in owner scope' });
+    return null;
+  }
+  return payout;
+}
+
+// Check the project and rate card belong to the payout's owner (and the rate card to the collaborator,
+// when it names one). Returns { project, rateCard } or { status, error }
+async function resolveLinks(ownerId, collaboratorId, { projectId, rateCardId }) {
+  const projectOid = parseObjectId(projectId);
+  if (!projectOid) return { status: 400, error: 'Valid projectId is required' };
+  const project = await Project.findById(projectOid).select('name client').lean();
+  if (!project) return { status: 404, error: 'Project not found' };
+  const client = await Client.findById(project.client).select('added_by').lean();
+  if (!client || String(client.added_by) !== String(ownerId)) {
+    return { status: 403, error: 'Forbidden: project not in scope' };
+  }
+  let rateCard = null;
+  if (rateCardId) {
+    const rateCardOid = parseObjectId(rateCardId);
+    if (!rateCardOid) return { status: 400, error: 'Invalid rateCardId' };
+    rateCard = await RateCard.findById(rateCardOid).select('ownerRef price currency meta').lean();
+    if (!rateCard) return { status: 404, error: 'RateCard not found' };
+    if (String(rateCard.ownerRef) !== String(ownerId)) return { status: 403, error: 'Forbidden: rate card not in scope' };
+    const collaboratorRef = rateCard.meta?.collaboratorRef;
+    if (collaboratorRef && String(collaboratorRef) !== String(collaboratorId)) {
+      return { status: 400, error: 'Rate card belongs to a different collaborator' };
+    }
+  }
+  return { project, rateCard };
+}
+
+const PayoutController = {
+  // List payouts
+  // Filters: status, collaboratorId, projectId, from, to (createdAt), ownerId (admins)
+  // Authorization: authorize('payout', 'view_payout') on the route
+  async list(req, res) {
+    try {
+      const { scope } = req;
+      const { status, collaboratorId, projectId, from, to, ownerId } = req.query;
+      const filter = {};
+      if (!scope.isAdmin) {
+        filter.ownerId = scope.ownerId;
+      } else if (ownerId) {
+        const oid = parseObjectId(ownerId);
+        if (!oid) return res.status(400).json({ error: 'Invalid ownerId' });
+        filter.ownerId = oid;
+      }
+      if (status) filter.status = status;
+      if (collaboratorId) {
+        const oid = parseObjectId(collaboratorId);
+        if (!oid) return res.status(400).json({ error: 'Invalid collaboratorId' });
+        filter.collaboratorId = oid;
+      }
+      if (projectId) {
+        const oid = parseObjectId(projectId);
+        if (!oid) return res.status(400).json({ error: 'Invalid projectId' });
+        filter.projectId = oid;
+      }
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+      }
+      const items = await Payout.find(filter).sort({ createdAt: -1 }).lean();
+      return res.json(items);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Get payout by id
+  // Authorization: authorize('payout', 'view_payout') on the route
+  async getById(req, res) {
+    try {
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const doc = await Payout.findById(oid).lean();
+      if (!doc) return res.status(404).json({ error: 'Payout not found' });
+      if (!inScope(req.scope, doc)) return res.status(403).json({ error: 'Forbidden: payout not in owner scope' });
+      return res.json(doc);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Create a pending payout. Body: collaboratorId, projectId, rateCardId?, amount (defaults to the rate card
+  // price), tdsPercent or tdsAmount, currency, description, notes, and paymentMethod: an index into the
+  // collaborator user's paymentInformation or a method name (default: the highest-priority entry)
+  // Authorization: authorize('payout', 'create_payout') on the route
+  async create(req, res) {
+    try {
+      const { scope } = req;
+      const payload = req.body || {};
+      const collaboratorOid = parseObjectId(payload.collaboratorId);
+      if (!collaboratorOid) return res.status(400).json({ error: 'Valid collaboratorId is required' });
+      const collaborator = await Collaborator.findById(collaboratorOid).select('users managed_by identity').lean();
+      if (!collaborator) return res.status(404).json({ error: 'Collaborator not found' });
+      if (!scope.isAdmin && String(collaborator.managed_by) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden: collaborator not in scope' });
+      }
+      const ownerId = collaborator.managed_by;
+
+      const links = await resolveLinks(ownerId, collaborator._id, payload);
+      if (links.error) return res.status(links.status).json({ error: links.error });
+      const { rateCard } = links;
+
+      const user = await User.findById(collaborator.users).select('registration.name paymentInformation').lean();
+      if (!user) return res.status(404).json({ error: 'Collaborator user not found' });
+      const chosen = choosePaymentMethod(user, payload.paymentMethod);
+      if (chosen.error) return res.status(400).json({ error: chosen.error });
+
+      const amount = payload.amount ?? rateCard?.price;
+      if (amount === undefined || amount === null || Number.isNaN(Number(amount))) {
+        return res.status(400).json({ error: 'amount is required' });
+      }
+      const fields = Object.fromEntries(EDITABLE_FIELDS.filter((f) => payload[f] !== undefined).map((f) => [f, payload[f]]));
+      const doc = new Payout({
+        ...fields,
+        amount: Number(amount),
+        currency: payload.currency || rateCard?.currency || 'INR',
+        ownerId,
+        collaboratorId: collaborator._id,
+        collaboratorUserId: collaborator.users,
+        collaboratorName: collaborator.identity?.display_name || collaborator.identity?.full_name || user.registration?.name || null,
+        projectId: links.project._id,
+        rateCardId: rateCard?._id || null,
+        paymentMethod: chosen.method,
+        status: 'pending',
+        createdBy: req.auth?.id || null,
+      });
+      await doc.validate();
+      const saved = await doc.save();
+      return res.status(201).json(saved);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  },
+
+  // Update a pending payout: amounts, TDS, description, project/rate card and paymentMethod (re-chosen from
+  // the collaborator user's paymentInformation). Approved and paid payouts are locked
+  // Authorization: authorize('payout', 'update_payout') on the route
+  async update(req, res) {
+    try {
+      const payout = await loadPayout(req, res);
+      if (!payout) return undefined;
+      if (payout.status !== 'pending') return res.status(409).json({ error: `Cannot edit a ${payout.status} payout` });
+      const payload = req.body || {};
+
+      if (payload.projectId !== undefined || payload.rateCardId !== undefined) {
+        const links = await resolveLinks(payout.ownerId, payout.collaboratorId, {
+          projectId: payload.projectId ?? payout.projectId,
+          rateCardId: payload.rateCardId === undefined ? payout.rateCardId : payload.rateCardId,
+        });
+        if (links.error) return res.status(links.status).json({ error: links.error });
+        payout.projectId = links.project._id;
+        payout.rateCardId = links.rateCard?._id || null;
+      }
+      if (payload.paymentMethod !== undefined) {
+        const user = await User.findById(payout.collaboratorUserId).select('paymentInformation').lean();
+        const chosen = choosePaymentMethod(user, payload.paymentMethod);
+        if (chosen.error) return res.status(400).json({ error: chosen.error });
+        payout.paymentMethod = chosen.method;
+      }
+      for (const f of EDITABLE_FIELDS) {
+        if (payload[f] !== undefined) payout[f] = payload[f];
+      }
+      // A flat tdsAmount replaces a percentage set earlier
+      if (payload.tdsAmount !== undefined && payload.tdsPercent === undefined) payout.tdsPercent = 0;
+      await payout.validate();
+      const saved = await payout.save();
+      return res.json(saved);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  },
+
+  // Approve a pending payout; it becomes payable and is posted to the ledger at the day's exchange rate
+  // Authorization: authorize('payout', 'approve_payout') on the route
+  async approve(req, res) {
+    try {
+      const payout = await loadPayout(req, res);
+      if (!payout) return undefined;
+      const approvedAt = new Date();
+      const fx = await fxSnapshot(payout.ownerId, payout.currency, approvedAt);
+      const updated = await Payout.findOneAndUpdate(
+        { _id: payout._id, status: 'pending' },
+        { $set: { status: 'approved', approvedBy: req.auth?.id || null, approvedAt, fx } },
+        { new: true }
+      ).lean();
+      if (!updated) return res.status(409).json({ error: `Only pending payouts can be approved (this one is ${payout.status})` });
+      await syncPayoutLedger(updated._id);
+      return res.json(updated);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  },
+
+  // Record the transfer of an approved payout. Body: transactionRef, paidAt (default now)
+  // Authorization: authorize('payout', 'approve_payout') on the route
+  async markPaid(req, res) {
+    try {
+      const payout = await loadPayout(req, res);
+      if (!payout) return undefined;
+      const payload = req.body || {};
+      const paidAt = payload.paidAt ? new Date(payload.paidAt) : new Date();
+      if (Number.isNaN(paidAt.getTime())) return res.status(400).json({ error: 'Invalid paidAt' });
+      if (payout.approvedAt && paidAt < payout.approvedAt) {
+        return res.status(400).json({ error: 'paidAt cannot be before the approval' });
+      }
+      if (!payout.paymentMethod) return res.status(400).json({ error: 'Choose a paymentMethod before paying' });
+      const paidFx = await fxSnapshot(payout.ownerId, payout.currency, paidAt);
+      const updated = await Payout.findOneAndUpdate(
+        { _id: payout._id, status: 'approved' },
+        {
+          $set: {
+            status: 'paid',
+            paidBy: req.auth?.id || null,
+            paidAt,
+            paidFx,
+            transactionRef: payload.transactionRef ? String(payload.transactionRef).trim() : null,
+          },
+        },
+        { new: true }
+      ).lean();
+      if (!updated) return res.status(409).json({ error: `Only approved payouts can be paid (this one is ${payout.status})` });
+      await syncPayoutLedger(updated._id);
+      return res.json(updated);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  },
+
+  // Delete a pending or approved payout (an approval's ledger entry is reversed); paid payouts are final
+  // Authorization: authorize('payout', 'delete_payout') on the route
+  async remove(req, res) {
+    try {
+      const payout = await loadPayout(req, res);
+      if (!payout) return undefined;
+      const removed = await Payout.findOneAndDelete({ _id: payout._id, status: { $ne: 'paid' } }).lean();
+      if (!removed) return res.status(409).json({ error: 'Paid payouts cannot be deleted' });
+      await syncPayoutLedger(removed._id);
+      return res.json({ ok: true });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  },
+};
+
+export default PayoutController;
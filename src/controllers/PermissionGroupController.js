@@ -2,17 +2,13 @@
 // Exposes: list, getById, create, update, remove
 
 import PermissionGroup from '../models/PermissionGroup.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
 
 const PermissionGroupController = {
   // List permission groups with filters and search
+  // Authorization: authenticate on the route
   async list(req, res) {
     try {
-      // Allow both admin and user, but require a valid authenticated principal
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { auth } = req;
       const { group, permission_key, q, from, to } = req.query;
       const filter = {};
       // Restrict user to only public groups
@@ -40,13 +36,10 @@ const PermissionGroupController = {
   },
 
   // Get one permission group
+  // Authorization: authenticate on the route
   async getById(req, res) {
     try {
-      // Restrict to admin only
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { auth } = req;
       const { id } = req.params;
       const query = { _id: id };
       // Restrict user to only public groups
@@ -62,13 +55,9 @@ const PermissionGroupController = {
   },
 
   // Create permission group
+  // Authorization: requireAdmin on the route
   async create(req, res) {
     try {
-      // Admin-only: enforce via JWT auth without touching route wiring
-      const auth = await getAuthFromRequest(req);
-      if (!auth || auth.type !== 'admin') {
-        return res.status(403).json({ error: 'Only admins can create permission groups' });
-      }
       const payload = req.body || {};
       if (!payload.group) return res.status(400).json({ error: 'group is required' });
       if (!payload.name) return res.status(400).json({ error: 'name is required' });
@@ -86,13 +75,9 @@ const PermissionGroupController = {
   },
 
   // Update permission group
+  // Authorization: requireAdmin on the route
   async update(req, res) {
     try {
-      // Admin-only
-      const auth = await getAuthFromRequest(req);
-      if (!auth || auth.type !== 'admin') {
-        return res.status(403).json({ error: 'Only admins can update permission groups' });
-      }
       const { id } = req.params;
       const payload = req.body || {};
       if (payload.group) payload.group = String(payload.group).toLowerCase().trim();
@@ -109,13 +94,9 @@ const PermissionGroupController = {
   },
 
   // Delete permission group
+  // Authorization: requireAdmin on the route
   async remove(req, res) {
     try {
-      // Admin-only
-      const auth = await getAuthFromRequest(req);
-      if (!auth || auth.type !== 'admin') {
-        return res.status(403).json({ error: 'Only admins can delete permission groups' });
-      }
       const { id } = req.params;
       const removed = await PermissionGroup.findByIdAndDelete(id).lean();
       if (!removed) return res.status(404).json({ error: 'PermissionGroup not found' });
@@ -1,5 +1,6 @@
 // PortfolioController: CRUD operations and filters for Portfolio model
-// Exposes: list, getById, create, update, remove
+// Portfolio items belong to an owner (belongs_to); non-admins only see and manage their owner's items
+// Exposes: list, getById, getByUserId, create, update, remove
 
 import Portfolio from '../models/Portfolio.js';
 import mongoose from 'mongoose';
@@ -13,10 +14,16 @@ function parseObjectId(id) {
   }
 }
 
+function inScope(scope, doc) {
+  return scope.isAdmin || String(doc.belongs_to) === String(scope.ownerId);
+}
+
 const PortfolioController = {
   // List portfolio items with filters and search
+  // Authorization: authorize('portfolio', 'view_portfolio') on the route
   async list(req, res) {
     try {
+      const { scope } = req;
       const { type, status, belongs_to, tag, from, to, q } = req.query;
       const filter = {};
       if (type) filter.type = type;
@@ -26,6 +33,12 @@ const PortfolioController = {
         if (!oid) return res.status(400).json({ error: 'Invalid belongs_to' });
         filter.belongs_to = oid;
       }
+      if (!scope.isAdmin) {
+        if (filter.belongs_to && String(filter.belongs_to) !== String(scope.ownerId)) {
+          return res.status(403).json({ error: 'Forbidden: belongs_to not owner' });
+        }
+        filter.belongs_to = scope.ownerId;
+      }
       if (tag) filter.tags = String(tag).toLowerCase().trim();
       if (from || to) {
         filter.uploaded_on = {};
@@ -46,6 +59,7 @@ const PortfolioController = {
   },
 
   // Get one portfolio item
+  // Authorization: authorize('portfolio', 'view_portfolio') on the route
   async getById(req, res) {
     try {
       const { id } = req.params;
@@ -53,6 +67,7 @@ const PortfolioController = {
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const doc = await Portfolio.findById(oid).lean();
       if (!doc) return res.status(404).json({ error: 'Portfolio item not found' });
+      if (!inScope(req.scope, doc)) return res.status(403).json({ error: 'Forbidden: portfolio item not in owner scope' });
       return res.json(doc);
     } catch (err) {
       return res.status(500).json({ error: err.message });
@@ -60,11 +75,13 @@ const PortfolioController = {
   },
 
   // Get portfolio items by owner userId (belongs_to)
+  // Authorization: authorize('portfolio', 'view_portfolio') on the route
   async getByUserId(req, res) {
     try {
       const { userId } = req.params;
       const oid = parseObjectId(userId);
       if (!oid) return res.status(400).json({ error: 'Invalid userId' });
+      if (!inScope(req.scope, { belongs_to: oid })) return res.status(403).json({ error: 'Forbidden: userId not owner' });
       const items = await Portfolio.find({ belongs_to: oid }).lean();
       return res.json(items);
     } catch (err) {
@@ -72,15 +89,18 @@ const PortfolioController = {
     }
   },
 
-  // Create portfolio item
+  // Create portfolio item; non-admins always create under their owner
+  // Authorization: authorize('portfolio', 'create_portfolio') on the route
   async create(req, res) {
     try {
+      const { scope } = req;
       const payload = req.body || {};
       if (!payload.type) return res.status(400).json({ error: 'type is required' });
-      if (!payload.belongs_to) return res.status(400).json({ error: 'belongs_to is required' });
+      if (!payload.belongs_to && scope.isAdmin) return res.status(400).json({ error: 'belongs_to is required' });
       if (!payload.media_url) return res.status(400).json({ error: 'media_url is required' });
-      const ownerOid = parseObjectId(payload.belongs_to);
+      const ownerOid = payload.belongs_to ? parseObjectId(payload.belongs_to) : scope.ownerId;
       if (!ownerOid) return res.status(400).json({ error: 'Invalid belongs_to' });
+      if (!inScope(scope, { belongs_to: ownerOid })) return res.status(403).json({ error: 'Forbidden: belongs_to not owner' });
       const doc = new Portfolio({
         type: payload.type,
         belongs_to: ownerOid,
@@ -105,8 +125,10 @@ const PortfolioController = {
   },
 
   // Update portfolio item
+  // Authorization: authorize('portfolio', 'update_portfolio') on the route
   async update(req, res) {
     try {
+      const { scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
@@ -114,11 +136,13 @@ const PortfolioController = {
       // Load current doc to compare URLs and cleanly set only provided fields
       const current = await Portfolio.findById(oid).lean();
       if (!current) return res.status(404).json({ error: 'Portfolio item not found' });
+      if (!inScope(scope, current)) return res.status(403).json({ error: 'Forbidden: portfolio item not in owner scope' });
 
-      // Normalize belongs_to if provided
+      // Normalize belongs_to if provided; only admins move items between owners
       if (payload.belongs_to) {
         const ownerOid = parseObjectId(payload.belongs_to);
         if (!ownerOid) return res.status(400).json({ error: 'Invalid belongs_to' });
+        if (!inScope(scope, { belongs_to: ownerOid })) return res.status(403).json({ error: 'Forbidden: cannot change belongs_to' });
         payload.belongs_to = ownerOid;
       }
 
@@ -173,11 +197,15 @@ const PortfolioController = {
   },
 
   // Delete portfolio item
+  // Authorization: authorize('portfolio', 'delete_portfolio') on the route
   async remove(req, res) {
     try {
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const current = await Portfolio.findById(oid).select('belongs_to').lean();
+      if (!current) return res.status(404).json({ error: 'Portfolio item not found' });
+      if (!inScope(req.scope, current)) return res.status(403).json({ error: 'Forbidden: portfolio item not in owner scope' });
       const removed = await Portfolio.findByIdAndDelete(oid).lean();
       if (!removed) return res.status(404).json({ error: 'Portfolio item not found' });
 
@@ -1,12 +1,10 @@
 // ProjectController: CRUD operations and filters for Project model
-// Exposes: list, getById, create, update, remove
+// Exposes: list, getById, financials, create, update, remove
 
 import Project from '../models/Project.js';
 import Client from '../models/Client.js';
-import TeamMember from '../models/TeamMember.js';
-import Role from '../models/Role.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
 import mongoose from 'mongoose';
+import { projectFinancials } from '../utils/projectFinancials.js';
 
 function parseObjectId(id) {
   try {
@@ -18,34 +16,15 @@ function parseObjectId(id) {
 
 const ProjectController = {
   // List projects with filters and search
+  // Authorization: authorize('project', 'view_project') on the route
   async list(req, res) {
     try {
-      // Authorization: owners or team members with view_project; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { client, status, approval_status, service, collaborator, category, from, to, q } = req.query;
       const filter = {};
       // Scope to allowed clients for non-admin
-      if (auth.type !== 'admin') {
-        let allowedClients = [];
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner) {
-          allowedClients = await Client.find({ added_by: auth.id }).select('_id').lean();
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasView = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.view_project === true) ||
-            assignedRole.permissions.view_project === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: missing view_project permission' });
-          allowedClients = await Client.find({ added_by: tm.managed_by }).select('_id').lean();
-        }
+      if (!scope.isAdmin) {
+        const allowedClients = await Client.find({ added_by: scope.ownerId }).select('_id').lean();
         const allowedIds = allowedClients.map((c) => c._id);
         if (client) {
           const oid = parseObjectId(client);
@@ -89,37 +68,18 @@ const ProjectController = {
   },
 
   // Get single project
+  // Authorization: authorize('project', 'view_project') on the route
   async getById(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const doc = await Project.findById(id).lean();
       if (!doc) return res.status(404).json({ error: 'Project not found' });
-      if (auth.type !== 'admin') {
+      if (!scope.isAdmin) {
         const clientDoc = await Client.findById(doc.client).select('added_by').lean();
         if (!clientDoc) return res.status(404).json({ error: 'Client not found' });
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner) {
-          if (String(clientDoc.added_by) !== String(auth.id)) {
-            return res.status(403).json({ error: 'Forbidden: project not in owner scope' });
-          }
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasView = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.view_project === true) ||
-            assignedRole.permissions.view_project === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: missing view_project permission' });
-          if (String(clientDoc.added_by) !== String(tm.managed_by)) {
-            return res.status(403).json({ error: 'Forbidden: project not in team scope' });
-          }
+        if (String(clientDoc.added_by) !== String(scope.ownerId)) {
+          return res.status(403).json({ error: 'Forbidden: project not in owner scope' });
         }
       }
       return res.json(doc);
@@ -128,38 +88,41 @@ const ProjectController = {
     }
   },
 
+  // Profitability of one project: contracted value, invoiced, collected, internal and collaborator costs,
+  // gross margin and budget alerts, in the owner's base currency. ?alertPercent= overrides cost_alert_percent
+  // Authorization: authorize('project', 'view_project') on the route
+  async financials(req, res) {
+    try {
+      const { scope } = req;
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const alertPercent = req.query.alertPercent !== undefined ? Number(req.query.alertPercent) : null;
+      if (alertPercent !== null && !(alertPercent > 0)) return res.status(400).json({ error: 'alertPercent must be a positive number' });
+      const project = await Project.findById(oid).lean();
+      if (!project) return res.status(404).json({ error: 'Project not found' });
+      const clientDoc = await Client.findById(project.client).select('added_by').lean();
+      if (!clientDoc) return res.status(404).json({ error: 'Client not found' });
+      if (!scope.isAdmin && String(clientDoc.added_by) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden: project not in owner scope' });
+      }
+      const { baseCurrency, projects } = await projectFinancials([project], clientDoc.added_by, { alertPercent });
+      return res.json({ baseCurrency, ...projects[0] });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
   // Get projects by owner userId (through owner-added clients)
+  // Authorization: authorize('project', 'view_project') on the route
   async getByUserId(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { userId } = req.params;
       const ownerId = parseObjectId(userId);
       if (!ownerId) return res.status(400).json({ error: 'Invalid userId' });
 
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner) {
-          if (String(ownerId) !== String(auth.id)) {
-            return res.status(403).json({ error: 'Forbidden: userId not owner' });
-          }
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-          if (!tm || !tm.role || !tm.managed_by) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasView = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.view_project === true) ||
-            assignedRole.permissions.view_project === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: missing view_project permission' });
-          if (String(tm.managed_by) !== String(ownerId)) {
-            return res.status(403).json({ error: 'Forbidden: userId out of scope' });
-          }
-        }
+      if (!scope.isAdmin && String(ownerId) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: scope.isOwner ? 'Forbidden: userId not owner' : 'Forbidden: userId out of scope' });
       }
 
       const clients = await Client.find({ added_by: ownerId }).select('_id').lean();
@@ -172,12 +135,10 @@ const ProjectController = {
   },
 
   // Create project
+  // Authorization: authorize('project', 'create_project') on the route
   async create(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const payload = req.body || {};
       if (!payload.name) return res.status(400).json({ error: 'name is required' });
       if (!payload.client) return res.status(400).json({ error: 'client is required' });
@@ -186,26 +147,8 @@ const ProjectController = {
       const clientDoc = await Client.findById(clientOid).select('added_by').lean();
       if (!clientDoc) return res.status(404).json({ error: 'Client not found' });
 
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let allowed = false;
-        if (entity?.registration?.isOwner) {
-          allowed = String(clientDoc.added_by) === String(auth.id);
-        } else {
-          const email = entity?.registration?.email;
-          if (email) {
-            const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-            if (tm && tm.role && tm.managed_by) {
-              const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-              const hasCreate = assignedRole && assignedRole.permissions && (
-                Object.values(assignedRole.permissions).some((g) => g && g.create_project === true) ||
-                assignedRole.permissions.create_project === true
-              );
-              allowed = !!hasCreate && String(clientDoc.added_by) === String(tm.managed_by);
-            }
-          }
-        }
-        if (!allowed) return res.status(403).json({ error: 'Forbidden: missing create_project or wrong client scope' });
+      if (!scope.isAdmin && String(clientDoc.added_by) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden: wrong client scope' });
       }
       const doc = new Project(payload);
       await doc.validate();
@@ -217,39 +160,21 @@ const ProjectController = {
   },
 
   // Update project
+  // Authorization: authorize('project', 'update_project') on the route
   async update(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const payload = req.body || {};
       const current = await Project.findById(id).lean();
       if (!current) return res.status(404).json({ error: 'Project not found' });
 
-      if (auth.type !== 'admin') {
+      if (!scope.isAdmin) {
         const currentClient = await Client.findById(current.client).select('added_by').lean();
         if (!currentClient) return res.status(404).json({ error: 'Client not found' });
-        const entity = auth.entity || {};
-        let allowed = false;
-        if (entity?.registration?.isOwner) {
-          allowed = String(currentClient.added_by) === String(auth.id);
-        } else {
-          const email = entity?.registration?.email;
-          if (email) {
-            const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-            if (tm && tm.role && tm.managed_by) {
-              const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-              const hasUpdate = assignedRole && assignedRole.permissions && (
-                Object.values(assignedRole.permissions).some((g) => g && g.update_project === true) ||
-                assignedRole.permissions.update_project === true
-              );
-              allowed = !!hasUpdate && String(currentClient.added_by) === String(tm.managed_by);
-            }
-          }
+        if (String(currentClient.added_by) !== String(scope.ownerId)) {
+          return res.status(403).json({ error: 'Forbidden: wrong client scope' });
         }
-        if (!allowed) return res.status(403).json({ error: 'Forbidden: missing update_project or wrong client scope' });
 
         // If changing client, ensure new client stays within scope
         if (payload.client) {
@@ -257,16 +182,8 @@ const ProjectController = {
           if (!nextClient) return res.status(400).json({ error: 'Invalid client' });
           const nextClientDoc = await Client.findById(nextClient).select('added_by').lean();
           if (!nextClientDoc) return res.status(404).json({ error: 'Client not found' });
-          if (entity?.registration?.isOwner) {
-            if (String(nextClientDoc.added_by) !== String(auth.id)) {
-              return res.status(403).json({ error: 'Forbidden: cannot move project to another owner' });
-            }
-          } else {
-            const email = entity?.registration?.email;
-            const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('managed_by').lean() : null;
-            if (!tm || String(nextClientDoc.added_by) !== String(tm.managed_by)) {
-              return res.status(403).json({ error: 'Forbidden: cannot move project outside team scope' });
-            }
+          if (String(nextClientDoc.added_by) !== String(scope.ownerId)) {
+            return res.status(403).json({ error: 'Forbidden: cannot move project to another owner' });
           }
         }
       }
@@ -283,38 +200,20 @@ const ProjectController = {
   },
 
   // Delete project
+  // Authorization: authorize('project', 'delete_project') on the route
   async remove(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const current = await Project.findById(id).lean();
       if (!current) return res.status(404).json({ error: 'Project not found' });
 
-      if (auth.type !== 'admin') {
+      if (!scope.isAdmin) {
         const clientDoc = await Client.findById(current.client).select('added_by').lean();
         if (!clientDoc) return res.status(404).json({ error: 'Client not found' });
-        const entity = auth.entity || {};
-        let allowed = false;
-        if (entity?.registration?.isOwner) {
-          allowed = String(clientDoc.added_by) === String(auth.id);
-        } else {
-          const email = entity?.registration?.email;
-          if (email) {
-            const tm = await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean();
-            if (tm && tm.role && tm.managed_by) {
-              const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-              const hasDelete = assignedRole && assignedRole.permissions && (
-                Object.values(assignedRole.permissions).some((g) => g && g.delete_project === true) ||
-                assignedRole.permissions.delete_project === true
-              );
-              allowed = !!hasDelete && String(clientDoc.added_by) === String(tm.managed_by);
-            }
-          }
+        if (String(clientDoc.added_by) !== String(scope.ownerId)) {
+          return res.status(403).json({ error: 'Forbidden: wrong client scope' });
         }
-        if (!allowed) return res.status(403).json({ error: 'Forbidden: missing delete_project or wrong client scope' });
       }
 
       const removed = await Project.findByIdAndDelete(id).lean();
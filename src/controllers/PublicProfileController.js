@@ -3,9 +3,6 @@
 
 import PublicProfile from '../models/PublicProfile.js';
 import User from '../models/User.js';
-import TeamMember from '../models/TeamMember.js';
-import Role from '../models/Role.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
 import mongoose from 'mongoose';
 
 function parseObjectId(id) {
@@ -35,18 +32,19 @@ function sanitizePublicProfile(doc) {
 }
 
 const PublicProfileController = {
+  // Authorization: authorize('profile', 'view_profile') on the route
   async list(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && !(auth.type === 'user' && auth.entity?.registration?.isOwner))) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+      const { scope } = req;
       const { owner_ref, is_published, from, to, q } = req.query;
       const filter = {};
-      if (auth.type !== 'admin') filter.ownerRef = new mongoose.Types.ObjectId(auth.id);
+      if (!scope.isAdmin) filter.ownerRef = scope.ownerId;
       if (owner_ref) {
         const oid = parseObjectId(owner_ref);
         if (!oid) return res.status(400).json({ error: 'Invalid owner_ref' });
+        if (!scope.isAdmin && String(oid) !== String(scope.ownerId)) {
+          return res.status(403).json({ error: 'Forbidden' });
+        }
         filter.ownerRef = oid;
       }
       if (is_published === 'true') filter.isPublished = true;
@@ -100,18 +98,16 @@ const PublicProfileController = {
     }
   },
 
+  // Authorization: authorize('profile', 'create_profile') on the route
   async create(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && !(auth.type === 'user' && auth.entity?.registration?.isOwner))) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+      const { auth, scope } = req;
       const payload = req.body || {};
       const ownerRef = parseObjectId(payload.ownerRef);
       const slug = String(payload.slug || '').trim().toLowerCase();
       if (!ownerRef) return res.status(400).json({ error: 'Invalid ownerRef' });
       if (!slug) return res.status(400).json({ error: 'slug is required' });
-      if (auth.type !== 'admin' && String(ownerRef) !== String(auth.id)) {
+      if (!scope.isAdmin && String(ownerRef) !== String(scope.ownerId)) {
         return res.status(403).json({ error: 'Forbidden' });
       }
 
@@ -141,36 +137,17 @@ const PublicProfileController = {
     }
   },
 
+  // Authorization: authorize('profile', 'update_profile') on the route
   async update(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { auth, scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const current = await PublicProfile.findById(oid).select(['ownerRef']).lean();
       if (!current) return res.status(404).json({ error: 'PublicProfile not found' });
-
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let allowed = false;
-        if (entity?.registration?.isOwner) {
-          allowed = String(current.ownerRef) === String(auth.id);
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (tm && tm.role && tm.managed_by) {
-            const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-            const hasUpdate = assignedRole && assignedRole.permissions && (
-              Object.values(assignedRole.permissions).some((g) => g && g.update_profile === true) ||
-              assignedRole.permissions.update_profile === true
-            );
-            allowed = !!hasUpdate && String(current.ownerRef) === String(tm.managed_by);
-          }
-        }
-        if (!allowed) return res.status(403).json({ error: 'Forbidden' });
+      if (!scope.isAdmin && String(current.ownerRef) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden' });
       }
       const payload = req.body || {};
       const update = {};
@@ -198,35 +175,17 @@ const PublicProfileController = {
     }
   },
 
+  // Authorization: authorize('profile', 'delete_profile') on the route
   async remove(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const current = await PublicProfile.findById(oid).select(['ownerRef']).lean();
       if (!current) return res.status(404).json({ error: 'PublicProfile not found' });
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let allowed = false;
-        if (entity?.registration?.isOwner) {
-          allowed = String(current.ownerRef) === String(auth.id);
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (tm && tm.role && tm.managed_by) {
-            const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-            const hasDelete = assignedRole && assignedRole.permissions && (
-              Object.values(assignedRole.permissions).some((g) => g && g.delete_profile === true) ||
-              assignedRole.permissions.delete_profile === true
-            );
-            allowed = !!hasDelete && String(current.ownerRef) === String(tm.managed_by);
-          }
-        }
-        if (!allowed) return res.status(403).json({ error: 'Forbidden' });
+      if (!scope.isAdmin && String(current.ownerRef) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden' });
       }
 
       const removed = await PublicProfile.findByIdAndDelete(oid).lean();
@@ -237,35 +196,17 @@ const PublicProfileController = {
     }
   },
 
+  // Authorization: authorize('profile', 'update_profile') on the route
   async publish(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const current = await PublicProfile.findById(oid).select(['ownerRef']).lean();
       if (!current) return res.status(404).json({ error: 'PublicProfile not found' });
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let allowed = false;
-        if (entity?.registration?.isOwner) {
-          allowed = String(current.ownerRef) === String(auth.id);
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (tm && tm.role && tm.managed_by) {
-            const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-            const hasUpdate = assignedRole && assignedRole.permissions && (
-              Object.values(assignedRole.permissions).some((g) => g && g.update_profile === true) ||
-              assignedRole.permissions.update_profile === true
-            );
-            allowed = !!hasUpdate && String(current.ownerRef) === String(tm.managed_by);
-          }
-        }
-        if (!allowed) return res.status(403).json({ error: 'Forbidden' });
+      if (!scope.isAdmin && String(current.ownerRef) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden' });
       }
       const updated = await PublicProfile.findByIdAndUpdate(oid, { $set: { isPublished: true, publishedAt: new Date() } }, { new: true }).lean();
       return res.json(sanitizePublicProfile(updated));
@@ -274,35 +215,17 @@ const PublicProfileController = {
     }
   },
 
+  // Authorization: authorize('profile', 'update_profile') on the route
   async unpublish(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const current = await PublicProfile.findById(oid).select(['ownerRef']).lean();
       if (!current) return res.status(404).json({ error: 'PublicProfile not found' });
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let allowed = false;
-        if (entity?.registration?.isOwner) {
-          allowed = String(current.ownerRef) === String(auth.id);
-        } else {
-          const email = entity?.registration?.email;
-          const tm = email ? await TeamMember.findOne({ email, status: 'active' }).select('role managed_by').lean() : null;
-          if (tm && tm.role && tm.managed_by) {
-            const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-            const hasUpdate = assignedRole && assignedRole.permissions && (
-              Object.values(assignedRole.permissions).some((g) => g && g.update_profile === true) ||
-              assignedRole.permissions.update_profile === true
-            );
-            allowed = !!hasUpdate && String(current.ownerRef) === String(tm.managed_by);
-          }
-        }
-        if (!allowed) return res.status(403).json({ error: 'Forbidden' });
+      if (!scope.isAdmin && String(current.ownerRef) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden' });
       }
       const updated = await PublicProfile.findByIdAndUpdate(oid, { $set: { isPublished: false, publishedAt: null } }, { new: true }).lean();
       return res.json(sanitizePublicProfile(updated));
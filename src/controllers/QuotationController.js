@@ -1,9 +1,12 @@
+// QuotationController: quotations priced from a service and rate card for a client
+// A quotation belongs to the owner of its client, service or rate card
+// Exposes: list, getById, getByUserId, create, update, remove
+
 import mongoose from 'mongoose';
 import Quotation from '../models/Quotation.js';
 import Client from '../models/Client.js';
 import Service from '../models/Service.js';
 import RateCard from '../models/RateCard.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
 
 function parseObjectId(id) {
   try {
@@ -13,13 +16,47 @@ function parseObjectId(id) {
   }
 }
 
+// Quotations of one owner: linked to their clients, services or rate cards
+async function ownerQuotationFilter(ownerId) {
+  const [clients, services, rateCards] = await Promise.all([
+    Client.find({ added_by: ownerId }).select('_id').lean(),
+    Service.find({ user_id: ownerId }).select('_id').lean(),
+    RateCard.find({ ownerRef: ownerId }).select('_id').lean(),
+  ]);
+  return {
+    $or: [
+      { clientId: { $in: clients.map((c) => c._id) } },
+      { serviceId: { $in: services.map((s) => s._id) } },
+      { rateCardId: { $in: rateCards.map((r) => r._id) } },
+    ],
+  };
+}
+
+async function inScope(scope, quotationId) {
+  if (scope.isAdmin) return true;
+  return !!(await Quotation.exists({ _id: quotationId, ...(await ownerQuotationFilter(scope.ownerId)) }));
+}
+
+// Non-admins may only quote their own client with their own service (or a catalog-wide one) and rate card
+async function referencesInScope(scope, { clientId, serviceId, rateCardId }) {
+  if (scope.isAdmin) return null;
+  const [client, service, rateCard] = await Promise.all([
+    clientId ? Client.findById(clientId).select('added_by').lean() : null,
+    serviceId ? Service.findById(serviceId).select('user_id').lean() : null,
+    rateCardId ? RateCard.findById(rateCardId).select('ownerRef visibility').lean() : null,
+  ]);
+  const owner = String(scope.ownerId);
+  if (client && String(client.added_by) !== owner) return 'client';
+  if (service && service.user_id && String(service.user_id) !== owner) return 'service';
+  if (rateCard && String(rateCard.ownerRef) !== owner && rateCard.visibility !== 'public') return 'rate card';
+  return null;
+}
+
 const QuotationController = {
+  // Authorization: authorize('quotation', 'view_quotation') on the route
   async list(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && !(auth.type === 'user' && auth.entity?.registration?.isOwner))) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+      const { scope } = req;
       const { client_id, service_id, rate_card_id, is_active, from, to, q } = req.query;
       const filter = {};
       if (client_id) {
@@ -50,6 +87,7 @@ const QuotationController = {
           { deliverables: { $regex: q, $options: 'i' } },
         ];
       }
+      if (!scope.isAdmin) filter.$and = [await ownerQuotationFilter(scope.ownerId)];
       const items = await Quotation.find(filter).lean();
       return res.json(items);
     } catch (err) {
@@ -57,17 +95,16 @@ const QuotationController = {
     }
   },
 
+  // Authorization: authorize('quotation', 'view_quotation') on the route
   async getById(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && !(auth.type === 'user' && auth.entity?.registration?.isOwner))) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const doc = await Quotation.findById(oid).lean();
       if (!doc) return res.status(404).json({ error: 'Quotation not found' });
+      if (!(await inScope(scope, oid))) return res.status(403).json({ error: 'Forbidden: quotation not in owner scope' });
       return res.json(doc);
     } catch (err) {
       return res.status(500).json({ error: err.message });
@@ -75,47 +112,27 @@ const QuotationController = {
   },
 
   // Get quotations by owner userId via client/service/rateCard ownership
+  // Authorization: authorize('quotation', 'view_quotation') on the route
   async getByUserId(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && !(auth.type === 'user' && auth.entity?.registration?.isOwner))) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+      const { scope } = req;
       const { userId } = req.params;
       const ownerId = parseObjectId(userId);
       if (!ownerId) return res.status(400).json({ error: 'Invalid userId' });
-      if (auth.type !== 'admin' && String(ownerId) !== String(auth.id)) {
+      if (!scope.isAdmin && String(ownerId) !== String(scope.ownerId)) {
         return res.status(403).json({ error: 'Forbidden: userId not owner' });
       }
-
-      const [clients, services, rateCards] = await Promise.all([
-        Client.find({ added_by: ownerId }).select('_id').lean(),
-        Service.find({ user_id: ownerId }).select('_id').lean(),
-        RateCard.find({ ownerRef: ownerId }).select('_id').lean(),
-      ]);
-      const clientIds = clients.map((c) => c._id);
-      const serviceIds = services.map((s) => s._id);
-      const rateCardIds = rateCards.map((r) => r._id);
-
-      const items = await Quotation.find({
-        $or: [
-          { clientId: { $in: clientIds } },
-          { serviceId: { $in: serviceIds } },
-          { rateCardId: { $in: rateCardIds } },
-        ],
-      }).lean();
+      const items = await Quotation.find(await ownerQuotationFilter(ownerId)).lean();
       return res.json(items);
     } catch (err) {
       return res.status(500).json({ error: err.message });
     }
   },
 
+  // Authorization: authorize('quotation', 'create_quotation') on the route
   async create(req, res) {
       try {
-        const auth = await getAuthFromRequest(req);
-        if (!auth || (auth.type !== 'admin' && !(auth.type === 'user' && auth.entity?.registration?.isOwner))) {
-          return res.status(403).json({ error: 'Forbidden' });
-        }
+        const { scope } = req;
         const payload = req.body || {};
         const required = ['clientId', 'serviceId', 'rateCardId', 'quantity', 'totalCost'];
         for (const f of required) {
@@ -135,6 +152,8 @@ const QuotationController = {
         if (!client) return res.status(404).json({ error: 'Client not found' });
         if (!service) return res.status(404).json({ error: 'Service not found' });
         if (!rateCard) return res.status(404).json({ error: 'RateCard not found' });
+        const outside = await referencesInScope(scope, { clientId: clientOid, serviceId: serviceOid, rateCardId: rateCardOid });
+        if (outside) return res.status(403).json({ error: `Forbidden: ${outside} not in owner scope` });
         const doc = new Quotation({
           clientId: clientOid,
           serviceId: serviceOid,
@@ -156,15 +175,15 @@ const QuotationController = {
       }
   },
 
+  // Authorization: authorize('quotation', 'update_quotation') on the route
   async update(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && !(auth.type === 'user' && auth.entity?.registration?.isOwner))) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      if (!(await Quotation.exists({ _id: oid }))) return res.status(404).json({ error: 'Quotation not found' });
+      if (!(await inScope(scope, oid))) return res.status(403).json({ error: 'Forbidden: quotation not in owner scope' });
       const payload = req.body || {};
       const update = {};
       if (payload.clientId) {
@@ -190,6 +209,8 @@ const QuotationController = {
       if (payload.validity !== undefined) update.validity = payload.validity ?? null;
       if (Array.isArray(payload.addOns)) update.addOns = payload.addOns.map((a) => ({ ...a, price: Math.round(Number(a.price)), name: String(a.name || '').trim() }));
       if (payload.isActive !== undefined) update.isActive = !!payload.isActive;
+      const outside = await referencesInScope(scope, update);
+      if (outside) return res.status(403).json({ error: `Forbidden: ${outside} not in owner scope` });
       const updated = await Quotation.findByIdAndUpdate(oid, { $set: update }, { new: true, runValidators: true }).lean();
       if (!updated) return res.status(404).json({ error: 'Quotation not found' });
       return res.json(updated);
@@ -198,15 +219,15 @@ const QuotationController = {
     }
   },
 
+  // Authorization: authorize('quotation', 'delete_quotation') on the route
   async remove(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && !(auth.type === 'user' && auth.entity?.registration?.isOwner))) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      if (!(await Quotation.exists({ _id: oid }))) return res.status(404).json({ error: 'Quotation not found' });
+      if (!(await inScope(scope, oid))) return res.status(403).json({ error: 'Forbidden: quotation not in owner scope' });
       const removed = await Quotation.findByIdAndDelete(oid).lean();
       if (!removed) return res.status(404).json({ error: 'Quotation not found' });
       return res.json({ ok: true });
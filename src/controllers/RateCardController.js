@@ -1,6 +1,11 @@
+// RateCardController: priced offers for a service (agency, internal or collaborator rates)
+// Public, active rate cards are a catalog any signed-in user can read; owners and their team also see and
+// manage their own (ownerRef)
+// Exposes: list, getById, getByUserId, create, update, remove
+
 import RateCard from '../models/RateCard.js';
 import Service from '../models/Service.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
+import { resolveScope, can } from '../middleware/auth.js';
 import mongoose from 'mongoose';
 
 function parseObjectId(id) {
@@ -11,13 +16,22 @@ function parseObjectId(id) {
   }
 }
 
+// Owner whose private rate cards the caller may read: their scope's owner with view_rate_card, null otherwise
+// (admins are handled separately). ownerHint picks the membership of team members of several owners
+async function readerOwner(auth, ownerHint = null) {
+  const scope = await resolveScope(auth, ownerHint);
+  return scope && !scope.isAdmin && can(scope, 'view_rate_card') ? scope.ownerId : null;
+}
+
+function inScope(scope, doc) {
+  return scope.isAdmin || String(doc.ownerRef) === String(scope.ownerId);
+}
+
 const RateCardController = {
+  // Authorization: authenticate on the route (catalog read)
   async list(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { auth } = req;
       const { service_id, owner_type, owner_ref, visibility, is_active, currency, min_price, max_price, q, from, to } = req.query;
       const filter = {};
       if (service_id) {
@@ -52,9 +66,8 @@ const RateCardController = {
         ];
       }
       if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner) {
-          const ownerId = new mongoose.Types.ObjectId(auth.id);
+        const ownerId = await readerOwner(auth, owner_ref);
+        if (ownerId) {
           if (!visibility) {
             filter.$or = (filter.$or || []).concat([
               { visibility: 'public', isActive: true },
@@ -77,21 +90,18 @@ const RateCardController = {
     }
   },
 
+  // Authorization: authenticate on the route (catalog read)
   async getById(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { auth } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const doc = await RateCard.findById(oid).lean();
       if (!doc) return res.status(404).json({ error: 'RateCard not found' });
       if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner) {
-          const ownerId = new mongoose.Types.ObjectId(auth.id);
+        const ownerId = await readerOwner(auth, doc.ownerRef);
+        if (ownerId) {
           const allowed = doc.visibility === 'public' || String(doc.ownerRef) === String(ownerId);
           if (!allowed) return res.status(403).json({ error: 'Forbidden' });
         } else {
@@ -106,28 +116,19 @@ const RateCardController = {
     }
   },
 
-  // Get rate cards by owner userId
+  // Get rate cards by owner userId; other owners' cards are limited to the public catalog
+  // Authorization: authenticate on the route (catalog read)
   async getByUserId(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { auth } = req;
       const { userId } = req.params;
       const ownerId = parseObjectId(userId);
       if (!ownerId) return res.status(400).json({ error: 'Invalid userId' });
 
       const filter = { ownerRef: ownerId };
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner) {
-          if (String(ownerId) !== String(auth.id)) {
-            return res.status(403).json({ error: 'Forbidden: userId not owner' });
-          }
-        } else {
-          filter.visibility = 'public';
-          filter.isActive = true;
-        }
+      if (auth.type !== 'admin' && String(await readerOwner(auth, ownerId)) !== String(ownerId)) {
+        filter.visibility = 'public';
+        filter.isActive = true;
       }
       const items = await RateCard.find(filter).lean();
       return res.json(items);
@@ -136,12 +137,10 @@ const RateCardController = {
     }
   },
 
+  // Authorization: authorize('rate_card', 'create_rate_card') on the route
   async create(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && !(auth.type === 'user' && auth.entity?.registration?.isOwner))) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+      const { scope } = req;
       const payload = req.body || {};
       if (!payload.serviceId) return res.status(400).json({ error: 'serviceId is required' });
       if (!payload.ownerType) return res.status(400).json({ error: 'ownerType is required' });
@@ -151,14 +150,13 @@ const RateCardController = {
       const svc = await Service.findById(serviceOid).select('_id').lean();
       if (!svc) return res.status(404).json({ error: 'Service not found' });
       let ownerRefOid = payload.ownerRef ? parseObjectId(payload.ownerRef) : null;
-      if (auth.type === 'admin') {
+      if (scope.isAdmin) {
         if (!ownerRefOid) return res.status(400).json({ error: 'ownerRef is required' });
       } else {
-        const ownerId = new mongoose.Types.ObjectId(auth.id);
-        if (ownerRefOid && String(ownerRefOid) !== String(ownerId)) {
+        if (ownerRefOid && String(ownerRefOid) !== String(scope.ownerId)) {
           return res.status(403).json({ error: 'Forbidden: ownerRef mismatch' });
         }
-        ownerRefOid = ownerId;
+        ownerRefOid = scope.ownerId;
       }
       const doc = new RateCard({
         serviceId: serviceOid,
@@ -183,23 +181,16 @@ const RateCardController = {
     }
   },
 
+  // Authorization: authorize('rate_card', 'update_rate_card') on the route
   async update(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && !(auth.type === 'user' && auth.entity?.registration?.isOwner))) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const current = await RateCard.findById(oid).select(['ownerRef']).lean();
       if (!current) return res.status(404).json({ error: 'RateCard not found' });
-      if (auth.type !== 'admin') {
-        const ownerId = new mongoose.Types.ObjectId(auth.id);
-        if (String(current.ownerRef) !== String(ownerId)) {
-          return res.status(403).json({ error: 'Forbidden' });
-        }
-      }
+      if (!inScope(scope, current)) return res.status(403).json({ error: 'Forbidden: rate card not in owner scope' });
       const payload = req.body || {};
       const update = {};
       if (payload.serviceId) {
@@ -209,7 +200,7 @@ const RateCardController = {
       }
       if (payload.ownerType) update.ownerType = String(payload.ownerType);
       if (payload.ownerRef) {
-        if (auth.type === 'admin') {
+        if (scope.isAdmin) {
           const orf = parseObjectId(payload.ownerRef);
           if (!orf) return res.status(400).json({ error: 'Invalid ownerRef' });
           update.ownerRef = orf;
@@ -235,23 +226,16 @@ const RateCardController = {
     }
   },
 
+  // Authorization: authorize('rate_card', 'delete_rate_card') on the route
   async remove(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && !(auth.type === 'user' && auth.entity?.registration?.isOwner))) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+      const { scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const current = await RateCard.findById(oid).select(['ownerRef']).lean();
       if (!current) return res.status(404).json({ error: 'RateCard not found' });
-      if (auth.type !== 'admin') {
-        const ownerId = new mongoose.Types.ObjectId(auth.id);
-        if (String(current.ownerRef) !== String(ownerId)) {
-          return res.status(403).json({ error: 'Forbidden' });
-        }
-      }
+      if (!inScope(scope, current)) return res.status(403).json({ error: 'Forbidden: rate card not in owner scope' });
       const removed = await RateCard.findByIdAndDelete(oid).lean();
       if (!removed) return res.status(404).json({ error: 'RateCard not found' });
       return res.json({ ok: true });
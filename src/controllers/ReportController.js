@@ -0,0 +1,369 @@
+// ReportController: finance reports with JSON, CSV and PDF output (?format=json|csv|pdf)
+// Amounts are in the owner's base currency (utils/fx.js)
+// Exposes: receivablesAging, clientStatement, collaboratorPayables, tdsSummary, trialBalance, profitAndLoss,
+// projectProfitability
+
+import mongoose from 'mongoose';
+import Client from '../models/Client.js';
+import Project from '../models/Project.js';
+import User from '../models/User.js';
+import { toCsv } from '../utils/csv.js';
+import { renderTableReport } from '../utils/reportPdf.js';
+import { sellerDetails, formatDate } from '../utils/invoicePdf.js';
+import { receivablesAging, agingTable, clientStatement, statementTable } from '../utils/receivables.js';
+import { trialBalance, trialBalanceTable, profitAndLoss, profitAndLossTable } from '../utils/ledger.js';
+import { collaboratorPayables, payablesTable } from '../utils/payouts.js';
+import { tdsSummary, tdsSummaryTable, financialYearStartYear } from '../utils/tds.js';
+import { getNumberingConfig } from '../utils/invoiceNumbering.js';
+import { getBaseCurrency } from '../utils/fx.js';
+import { portfolioFinancials, portfolioTable } from '../utils/projectFinancials.js';
+
+const FORMATS = ['json', 'csv', 'pdf'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(id);
+  } catch {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+// Invoice owner filter like InvoiceController.list: non-admins see their owner scope, admins may pass ?createdBy=
+// Returns the filter, or null after responding with an error
+function ownerFilter(req, res) {
+  const { scope } = req;
+  const { createdBy } = req.query;
+  const oid = createdBy ? parseObjectId(createdBy) : null;
+  if (createdBy && !oid) {
+    res.status(400).json({ error: 'Invalid createdBy' });
+    return null;
+  }
+  if (!scope.isAdmin) {
+    if (oid && String(oid) !== String(scope.ownerId)) {
+      res.status(403).json({ error: 'Forbidden: createdBy not owner' });
+      return null;
+    }
+    return { createdBy: scope.ownerId };
+  }
+  return oid ? { createdBy: oid } : {};
+}
+
+// Books being reported on: the caller's owner scope, or ?ownerId= for admins
+function booksOwner(req) {
+  const { scope } = req;
+  if (!scope.isAdmin) return scope.ownerId;
+  return req.query.ownerId ? parseObjectId(req.query.ownerId) : null;
+}
+
+// Last millisecond of the given day (UTC), so date-only bounds include that day
+function endOfDay(date) {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) + DAY_MS - 1);
+}
+
+// First day of the financial year containing date (fyStartMonth from the owner's numbering settings)
+function financialYearStart(date, fyStartMonth) {
+  const d = new Date(date);
+  const year = d.getUTCMonth() + 1 >= fyStartMonth ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+  return new Date(Date.UTC(year, fyStartMonth - 1, 1));
+}
+
+// Subtitle line naming the currency amounts are in (owners may differ when an admin reports across all of them)
+function currencyLine(baseCurrency) {
+  return baseCurrency ? `Amounts in ${baseCurrency}` : "Amounts in each owner's base currency";
+}
+
+// Send the report in the requested format; table is { columns, rows, totals }
+async function sendReport(req, res, { json, table, title, subtitle, fileName, ownerId, landscape = false }) {
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (format === 'csv') {
+    const csv = toCsv([table.columns.map((c) => c.label), ...table.rows, ...table.totals]);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    return res.send(`\uFEFF${csv}`);
+  }
+  if (format === 'pdf') {
+    const owner = ownerId ? await User.findById(ownerId).select('registration businessInformation').lean() : null;
+    const buffer = await renderTableReport({ ...table, title, subtitle, seller: owner ? sellerDetails(owner) : null }, { landscape });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+    return res.send(buffer);
+  }
+  return res.json(json);
+}
+
+const ReportController = {
+  // Open receivables by client in aging buckets (days past due): not due, 0–30, 31–60, 61–90, 90+
+  // Filters: clientId (client user), createdBy (required for admins, since owners' base currencies differ)
+  // Authorization: authorize('invoice', 'view_invoice') on the route
+  async receivablesAging(req, res) {
+    try {
+      const format = String(req.query.format || 'json').toLowerCase();
+      if (!FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+      const filter = ownerFilter(req, res);
+      if (!filter) return undefined;
+      if (!filter.createdBy) return res.status(400).json({ error: 'Valid createdBy is required' });
+      if (req.query.clientId) {
+        const oid = parseObjectId(req.query.clientId);
+        if (!oid) return res.status(400).json({ error: 'Invalid clientId' });
+        filter.clientId = oid;
+      }
+      const report = await receivablesAging(filter);
+      const baseCurrency = await getBaseCurrency(filter.createdBy);
+      return sendReport(req, res, {
+        json: { ...report, baseCurrency },
+        table: agingTable(report),
+        title: 'Receivables Aging',
+        subtitle: [
+          `As of ${formatDate(report.asOf)}`,
+          `Amounts are balances due, bucketed by days past the due date. ${currencyLine(baseCurrency)}`,
+        ],
+        fileName: `receivables-aging-${report.asOf.toISOString().slice(0, 10)}`,
+        ownerId: filter.createdBy,
+        landscape: true,
+      });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Running ledger of a client's invoices, debit/credit notes and payments (?from=&to=, inclusive)
+  // with the opening balance carried in from earlier entries
+  // Authorization: authorize('invoice', 'view_invoice') on the route
+  async clientStatement(req, res) {
+    try {
+      const format = String(req.query.format || 'json').toLowerCase();
+      if (!FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+      const from = parseDate(req.query.from);
+      const to = parseDate(req.query.to);
+      if (from === undefined || to === undefined) return res.status(400).json({ error: 'Invalid from/to date' });
+      if (from && to && from > to) return res.status(400).json({ error: 'from must be before to' });
+
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const client = await Client.findById(oid).select('business_name point_of_contact user_id added_by').lean();
+      if (!client) return res.status(404).json({ error: 'Client not found' });
+      const { scope } = req;
+      if (!scope.isAdmin && String(client.added_by) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden: client not in scope' });
+      }
+
+      // Invoices link the Client directly (client) or through its user account (clientId)
+      const ownerId = scope.isAdmin ? client.added_by : scope.ownerId;
+      const statement = await clientStatement(
+        {
+          createdBy: ownerId,
+          $or: [{ client: client._id }, ...(client.user_id ? [{ clientId: client.user_id }] : [])],
+        },
+        { from, to }
+      );
+      const period = `${from ? formatDate(from) : 'Beginning'} to ${formatDate(to || new Date())}`;
+      const baseCurrency = await getBaseCurrency(ownerId);
+      return sendReport(req, res, {
+        json: {
+          client: { id: client._id, name: client.business_name, email: client.point_of_contact?.email || null },
+          baseCurrency,
+          ...statement,
+        },
+        table: statementTable(statement),
+        title: `Statement of Account: ${client.business_name}`,
+        subtitle: [
+          period,
+          `Closing balance: ${baseCurrency} ${statement.closingBalance.toFixed(2)} (positive is owed by the client)`,
+        ],
+        fileName: `statement-${String(client.business_name).replace(/[^A-Za-z0-9._-]+/g, '-')}`,
+        ownerId,
+      });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Payables per collaborator: net amounts pending approval, approved (owed) and paid, with TDS withheld
+  // Filters: collaboratorId, projectId, from, to (payout createdAt, inclusive), ownerId (admins)
+  // Authorization: authorize('payout', 'view_payout') on the route
+  async collaboratorPayables(req, res) {
+    try {
+      const format = String(req.query.format || 'json').toLowerCase();
+      if (!FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+      const { scope } = req;
+      const filter = {};
+      if (!scope.isAdmin) {
+        filter.ownerId = scope.ownerId;
+      } else if (req.query.ownerId) {
+        const oid = parseObjectId(req.query.ownerId);
+        if (!oid) return res.status(400).json({ error: 'Invalid ownerId' });
+        filter.ownerId = oid;
+      }
+      for (const key of ['collaboratorId', 'projectId']) {
+        if (!req.query[key]) continue;
+        const oid = parseObjectId(req.query[key]);
+        if (!oid) return res.status(400).json({ error: `Invalid ${key}` });
+        filter[key] = oid;
+      }
+      const from = parseDate(req.query.from);
+      const to = parseDate(req.query.to);
+      if (from === undefined || to === undefined) return res.status(400).json({ error: 'Invalid from/to date' });
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = endOfDay(to);
+      }
+      const report = await collaboratorPayables(filter);
+      const baseCurrency = filter.ownerId ? await getBaseCurrency(filter.ownerId) : null;
+      return sendReport(req, res, {
+        json: { ...report, baseCurrency },
+        table: payablesTable(report),
+        title: 'Collaborator Payables',
+        subtitle: [
+          `As of ${formatDate(report.asOf)}${from || to ? `, payouts created ${from ? formatDate(from) : 'any time'} to ${formatDate(to || report.asOf)}` : ''}`,
+          `Amounts are net of TDS. ${currencyLine(baseCurrency)}`,
+          ...(report.missingRates.length
+            ? [`Pending payouts in ${report.missingRates.join(', ')} are left out: no exchange rate on file`]
+            : []),
+        ],
+        fileName: `collaborator-payables-${report.asOf.toISOString().slice(0, 10)}`,
+        ownerId: filter.ownerId,
+        landscape: true,
+      });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Quarterly TDS for a financial year (?fy=2026 or 2026-27; default the current one): TDS receivable from
+  // client payments with Form 16A received/pending, and TDS payable withheld from collaborator payouts
+  // Authorization: authorize('ledger', 'view_ledger') on the route
+  async tdsSummary(req, res) {
+    try {
+      const format = String(req.query.format || 'json').toLowerCase();
+      if (!FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+      const ownerId = booksOwner(req);
+      if (!ownerId) return res.status(400).json({ error: 'Valid ownerId is required' });
+      const fy = req.query.fy ? String(req.query.fy).match(/^(\d{4})(-\d{2})?$/) : null;
+      if (req.query.fy && !fy) return res.status(400).json({ error: 'fy must look like 2026 or 2026-27' });
+      const report = await tdsSummary(ownerId, fy ? Number(fy[1]) : financialYearStartYear());
+      const baseCurrency = await getBaseCurrency(ownerId);
+      return sendReport(req, res, {
+        json: { ...report, baseCurrency },
+        table: tdsSummaryTable(report),
+        title: 'TDS Summary',
+        subtitle: [
+          `Financial year ${report.financialYear} (${formatDate(report.from)} to ${formatDate(report.to)})`,
+          'Receivable: deducted by clients on payments; payable: withheld from approved collaborator payouts',
+          currencyLine(baseCurrency),
+        ],
+        fileName: `tds-summary-${report.financialYear}`,
+        ownerId,
+        landscape: true,
+      });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Trial balance from the ledger as of ?asOf= (default today): net balance per account, debits = credits
+  // Authorization: authorize('ledger', 'view_ledger') on the route
+  async trialBalance(req, res) {
+    try {
+      const format = String(req.query.format || 'json').toLowerCase();
+      if (!FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+      const ownerId = booksOwner(req);
+      if (!ownerId) return res.status(400).json({ error: 'Valid ownerId is required' });
+      const asOf = parseDate(req.query.asOf);
+      if (asOf === undefined) return res.status(400).json({ error: 'Invalid asOf date' });
+      const report = await trialBalance(ownerId, endOfDay(asOf || new Date()));
+      const baseCurrency = await getBaseCurrency(ownerId);
+      return sendReport(req, res, {
+        json: { ...report, baseCurrency },
+        table: trialBalanceTable(report),
+        title: 'Trial Balance',
+        subtitle: [`As of ${formatDate(report.asOf)}`, currencyLine(baseCurrency)],
+        fileName: `trial-balance-${report.asOf.toISOString().slice(0, 10)}`,
+        ownerId,
+      });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Profit and loss for ?from=&to= (default: the current financial year to date)
+  // Authorization: authorize('ledger', 'view_ledger') on the route
+  async profitAndLoss(req, res) {
+    try {
+      const format = String(req.query.format || 'json').toLowerCase();
+      if (!FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+      const ownerId = booksOwner(req);
+      if (!ownerId) return res.status(400).json({ error: 'Valid ownerId is required' });
+      const from = parseDate(req.query.from);
+      const to = parseDate(req.query.to);
+      if (from === undefined || to === undefined) return res.status(400).json({ error: 'Invalid from/to date' });
+      const end = endOfDay(to || new Date());
+      const start = from || financialYearStart(end, (await getNumberingConfig(ownerId)).fyStartMonth);
+      if (start > end) return res.status(400).json({ error: 'from must be before to' });
+      const report = await profitAndLoss(ownerId, start, end);
+      const baseCurrency = await getBaseCurrency(ownerId);
+      return sendReport(req, res, {
+        json: { ...report, baseCurrency },
+        table: profitAndLossTable(report),
+        title: 'Profit and Loss',
+        subtitle: [`${formatDate(start)} to ${formatDate(end)}`, currencyLine(baseCurrency)],
+        fileName: `profit-and-loss-${start.toISOString().slice(0, 10)}-${end.toISOString().slice(0, 10)}`,
+        ownerId,
+      });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Portfolio profitability: every project's contracted value, invoiced, collected, costs and gross margin,
+  // most budget used first. Filters: status, client, alertsOnly=true, alertPercent (overrides each project's
+  // cost_alert_percent), ownerId (admins)
+  // Authorization: authorize('project', 'view_project') on the route
+  async projectProfitability(req, res) {
+    try {
+      const format = String(req.query.format || 'json').toLowerCase();
+      if (!FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+      const ownerId = booksOwner(req);
+      if (!ownerId) return res.status(400).json({ error: 'Valid ownerId is required' });
+      const alertPercent = req.query.alertPercent !== undefined ? Number(req.query.alertPercent) : null;
+      if (alertPercent !== null && !(alertPercent > 0)) return res.status(400).json({ error: 'alertPercent must be a positive number' });
+      const clients = await Client.find({ added_by: ownerId }).select('_id').lean();
+      const filter = { client: { $in: clients.map((c) => c._id) } };
+      if (req.query.client) {
+        const oid = parseObjectId(req.query.client);
+        if (!oid) return res.status(400).json({ error: 'Invalid client' });
+        if (!clients.some((c) => String(c._id) === String(oid))) return res.status(403).json({ error: 'Forbidden: client not in scope' });
+        filter.client = oid;
+      }
+      if (req.query.status) filter.status = req.query.status;
+      const projects = await Project.find(filter)
+        .select('name client status project_budget quotation_id internal_costs invoices final_confirmed_rate_cards cost_alert_percent')
+        .lean();
+      const report = await portfolioFinancials(projects, ownerId, { alertPercent, alertsOnly: String(req.query.alertsOnly) === 'true' });
+      return sendReport(req, res, {
+        json: report,
+        table: portfolioTable(report),
+        title: 'Project Profitability',
+        subtitle: [
+          `As of ${formatDate(report.asOf)}${req.query.status ? `, ${req.query.status} projects` : ''}`,
+          `Gross margin is invoiced excluding GST less internal and collaborator costs. ${currencyLine(report.baseCurrency)}`,
+        ],
+        fileName: `project-profitability-${report.asOf.toISOString().slice(0, 10)}`,
+        ownerId,
+        landscape: true,
+      });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+};
+
+export default ReportController;
@@ -3,7 +3,6 @@
 
 import Role from '../models/Role.js';
 import TeamMember from '../models/TeamMember.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
 import mongoose from 'mongoose';
 
 function parseObjectId(id) {
@@ -16,13 +15,19 @@ function parseObjectId(id) {
 
 const RoleController = {
   // List roles with filters and search
+  // Authorization: authorize('role', 'view_role') on the route; non-admins only see their owner's roles
   async list(req, res) {
     try {
+      const { scope } = req;
       const { createdBy, is_system_role, q } = req.query;
       const filter = {};
+      if (!scope.isAdmin) filter.createdBy = scope.ownerId;
       if (createdBy) {
         const oid = parseObjectId(createdBy);
         if (!oid) return res.status(400).json({ error: 'Invalid createdBy' });
+        if (!scope.isAdmin && String(oid) !== String(scope.ownerId)) {
+          return res.status(403).json({ error: 'Forbidden: createdBy not in owner scope' });
+        }
         filter.createdBy = oid;
       }
       if (is_system_role === 'true') filter.is_system_role = true;
@@ -52,13 +57,18 @@ const RoleController = {
   },
 
   // Get one role
+  // Authorization: authorize('role', 'view_role') on the route
   async getById(req, res) {
     try {
+      const { scope } = req;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const doc = await Role.findById(oid).lean();
       if (!doc) return res.status(404).json({ error: 'Role not found' });
+      if (!scope.isAdmin && String(doc.createdBy) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden: role not in owner scope' });
+      }
       return res.json(doc);
     } catch (err) {
       return res.status(500).json({ error: err.message });
@@ -66,58 +76,18 @@ const RoleController = {
   },
 
   // Create role
+  // Authorization: authorize('role', 'create_role', { owner: createdBy body }) on the route
   async create(req, res) {
     try {
+      const auth = req.auth;
       const payload = req.body || {};
       if (!payload.name) return res.status(400).json({ error: 'name is required' });
       if (!payload.createdBy) return res.status(400).json({ error: 'createdBy is required' });
       const ownerOid = parseObjectId(payload.createdBy);
       if (!ownerOid) return res.status(400).json({ error: 'Invalid createdBy' });
 
-      // Authorization: owners or team members with create_role permission (admins bypass)
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-
-      async function hasPermissionKeys(permissions, keys = []) {
-        if (!permissions || typeof permissions !== 'object') return false;
-        for (const group of Object.keys(permissions)) {
-          const g = permissions[group];
-          if (!g || typeof g !== 'object') continue;
-          for (const key of keys) {
-            if (g[key] === true) return true;
-          }
-        }
-        // Also allow top-level keys
-        for (const key of keys) {
-          if (permissions[key] === true) return true;
-        }
-        return false;
-      }
-
-      async function canManageRoles(ownerId, neededKeys) {
-        if (auth.type === 'admin') return true;
-        if (auth.type !== 'user') return false;
-        const entity = auth.entity || {};
-        // Owner check
-        if (entity?.registration?.isOwner && String(auth.id) === String(ownerId)) {
-          return true;
-        }
-        // Team member check by email under this owner
-        const email = entity?.registration?.email;
-        if (!email) return false;
-        const tm = await TeamMember.findOne({ email, managed_by: ownerId, status: 'active' })
-          .select('role managed_by')
-          .lean();
-        if (!tm || !tm.role) return false;
-        const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-        if (!assignedRole) return false;
-        return hasPermissionKeys(assignedRole.permissions, neededKeys);
-      }
-
-      const allowed = await canManageRoles(ownerOid, ['create_role']);
-      if (!allowed) {
+      // Role must be created within the caller's owner scope
+      if (!req.scope.isAdmin && String(req.scope.ownerId) !== String(ownerOid)) {
         return res.status(403).json({ error: 'Forbidden: requires owner or create_role permission' });
       }
 
@@ -153,8 +123,10 @@ const RoleController = {
   },
 
   // Update role
+  // Authorization: authorize('role', 'update_role') on the route
   async update(req, res) {
     try {
+      const auth = req.auth;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
@@ -164,47 +136,7 @@ const RoleController = {
       const current = await Role.findById(oid).lean();
       if (!current) return res.status(404).json({ error: 'Role not found' });
 
-      // Authorization: owners or team members with update_role permission (admins bypass)
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-
-      async function hasPermissionKeys(permissions, keys = []) {
-        if (!permissions || typeof permissions !== 'object') return false;
-        for (const group of Object.keys(permissions)) {
-          const g = permissions[group];
-          if (!g || typeof g !== 'object') continue;
-          for (const key of keys) {
-            if (g[key] === true) return true;
-          }
-        }
-        for (const key of keys) {
-          if (permissions[key] === true) return true;
-        }
-        return false;
-      }
-
-      async function canManageRoles(ownerId, neededKeys) {
-        if (auth.type === 'admin') return true;
-        if (auth.type !== 'user') return false;
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner && String(auth.id) === String(ownerId)) {
-          return true;
-        }
-        const email = entity?.registration?.email;
-        if (!email) return false;
-        const tm = await TeamMember.findOne({ email, managed_by: ownerId, status: 'active' })
-          .select('role managed_by')
-          .lean();
-        if (!tm || !tm.role) return false;
-        const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-        if (!assignedRole) return false;
-        return hasPermissionKeys(assignedRole.permissions, neededKeys);
-      }
-
-      const allowed = await canManageRoles(current.createdBy, ['update_role']);
-      if (!allowed) {
+      if (!req.scope.isAdmin && String(req.scope.ownerId) !== String(current.createdBy)) {
         return res.status(403).json({ error: 'Forbidden: requires owner or update_role permission' });
       }
 
@@ -252,55 +184,17 @@ const RoleController = {
   },
 
   // Delete role
+  // Authorization: authorize('role', 'delete_role') on the route
   async remove(req, res) {
     try {
+      const auth = req.auth;
       const { id } = req.params;
       const oid = parseObjectId(id);
       if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const current = await Role.findById(oid).lean();
       if (!current) return res.status(404).json({ error: 'Role not found' });
 
-      // Authorization: owners or team members with delete_role permission (admins bypass)
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-
-      async function hasPermissionKeys(permissions, keys = []) {
-        if (!permissions || typeof permissions !== 'object') return false;
-        for (const group of Object.keys(permissions)) {
-          const g = permissions[group];
-          if (!g || typeof g !== 'object') continue;
-          for (const key of keys) {
-            if (g[key] === true) return true;
-          }
-        }
-        for (const key of keys) {
-          if (permissions[key] === true) return true;
-        }
-        return false;
-      }
-
-      async function canManageRoles(ownerId, neededKeys) {
-        if (auth.type === 'admin') return true;
-        if (auth.type !== 'user') return false;
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner && String(auth.id) === String(ownerId)) {
-          return true;
-        }
-        const email = entity?.registration?.email;
-        if (!email) return false;
-        const tm = await TeamMember.findOne({ email, managed_by: ownerId, status: 'active' })
-          .select('role managed_by')
-          .lean();
-        if (!tm || !tm.role) return false;
-        const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-        if (!assignedRole) return false;
-        return hasPermissionKeys(assignedRole.permissions, neededKeys);
-      }
-
-      const allowed = await canManageRoles(current.createdBy, ['delete_role']);
-      if (!allowed) {
+      if (!req.scope.isAdmin && String(req.scope.ownerId) !== String(current.createdBy)) {
         return res.status(403).json({ error: 'Forbidden: requires owner or delete_role permission' });
       }
 
@@ -1,13 +1,9 @@
 import Service from '../models/Service.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
 
 const ServiceController = {
+  // Authorization: authenticate on the route
   async list(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
       const { category, is_active, unit, tag, q, from, to } = req.query;
       const filter = {};
       if (category) filter.category = String(category).trim();
@@ -34,12 +30,9 @@ const ServiceController = {
     }
   },
 
+  // Authorization: authenticate on the route
   async getById(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
       const { id } = req.params;
       const doc = await Service.findById(id).lean();
       if (!doc) return res.status(404).json({ error: 'Service not found' });
@@ -49,12 +42,9 @@ const ServiceController = {
     }
   },
 
+  // Authorization: authenticate on the route
   async getByUserId(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
       const { userId } = req.params;
       let oid;
       try { oid = new (await import('mongoose')).default.Types.ObjectId(userId); } catch { oid = null; }
@@ -66,12 +56,11 @@ const ServiceController = {
     }
   },
 
+  // Authorization: authorize('service', 'create_service') on the route
+  // Owners and their team manage only their own services (user_id); catalog-wide services are admin-managed
   async create(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && !(auth.type === 'user' && auth.entity?.registration?.isOwner))) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+      const { scope } = req;
       const payload = req.body || {};
       if (!payload.name) return res.status(400).json({ error: 'name is required' });
       if (!payload.category) return res.status(400).json({ error: 'category is required' });
@@ -83,7 +72,11 @@ const ServiceController = {
         unit: String(payload.unit).trim(),
         defaultDeliverables: Array.isArray(payload.defaultDeliverables) ? payload.defaultDeliverables : [],
         tags: Array.isArray(payload.tags) ? payload.tags : [],
+        sacCode: payload.sacCode ?? null,
+        gstRatePercent: payload.gstRatePercent ?? null,
         isActive: payload.isActive !== undefined ? !!payload.isActive : true,
+        // Admins may create catalog-wide services (no user_id); owners and team create under their owner
+        user_id: scope.isAdmin ? (payload.user_id || null) : scope.ownerId,
       });
       await doc.validate();
       const saved = await doc.save();
@@ -96,14 +89,18 @@ const ServiceController = {
     }
   },
 
+  // Authorization: authorize('service', 'update_service') on the route
   async update(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && !(auth.type === 'user' && auth.entity?.registration?.isOwner))) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+      const { scope } = req;
       const { id } = req.params;
+      const current = await Service.findById(id).select('user_id').lean();
+      if (!current) return res.status(404).json({ error: 'Service not found' });
+      if (!scope.isAdmin && String(current.user_id || '') !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden: service not in owner scope' });
+      }
       const payload = req.body || {};
+      if (!scope.isAdmin) delete payload.user_id;
       if (payload.name) payload.name = String(payload.name).trim();
       if (payload.category) payload.category = String(payload.category).trim();
       if (payload.unit) payload.unit = String(payload.unit).trim();
@@ -124,13 +121,16 @@ const ServiceController = {
     }
   },
 
+  // Authorization: authorize('service', 'delete_service') on the route
   async remove(req, res) {
     try {
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && !(auth.type === 'user' && auth.entity?.registration?.isOwner))) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+      const { scope } = req;
       const { id } = req.params;
+      const current = await Service.findById(id).select('user_id').lean();
+      if (!current) return res.status(404).json({ error: 'Service not found' });
+      if (!scope.isAdmin && String(current.user_id || '') !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden: service not in owner scope' });
+      }
       const removed = await Service.findByIdAndDelete(id).lean();
       if (!removed) return res.status(404).json({ error: 'Service not found' });
       return res.json({ ok: true });
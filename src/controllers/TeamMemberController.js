@@ -2,10 +2,10 @@
 // Exposes: list, getById, create, update, remove
 
 import TeamMember from '../models/TeamMember.js';
-import Role from '../models/Role.js';
 import User from '../models/User.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
+import { revokeUserSessionsByEmail } from '../utils/sessions.js';
 import mongoose from 'mongoose';
+import { sendAccountClaimEmail } from '../utils/authEmails.js';
 
 function parseObjectId(id) {
   try {
@@ -17,55 +17,18 @@ function parseObjectId(id) {
 
 const TeamMemberController = {
   // List team members with filters and search
+  // Authorization: authorize('team', 'view_team', { owner: managed_by query }) on the route
   async list(req, res) {
     try {
+      const { scope } = req;
       const { managed_by, role, status, q } = req.query;
       const filter = {};
-      // Authorization: owners or team members with view_team; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-
-      async function hasPermissionKeys(permissions, keys = []) {
-        if (!permissions || typeof permissions !== 'object') return false;
-        for (const group of Object.keys(permissions)) {
-          const g = permissions[group];
-          if (!g || typeof g !== 'object') continue;
-          for (const key of keys) {
-            if (g[key] === true) return true;
-          }
-        }
-        for (const key of keys) {
-          if (permissions[key] === true) return true;
-        }
-        return false;
-      }
-
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let ownerScope = null;
-        if (entity?.registration?.isOwner) {
-          ownerScope = parseObjectId(auth.id);
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const requestedOwner = managed_by ? parseObjectId(managed_by) : null;
-          const tmFilter = { email, status: 'active' };
-          if (requestedOwner) tmFilter.managed_by = requestedOwner;
-          const tm = await TeamMember.findOne(tmFilter).select('role managed_by').lean();
-          if (!tm || !tm.role) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          if (!assignedRole || !hasPermissionKeys(assignedRole.permissions, ['view_team'])) {
-            return res.status(403).json({ error: 'Forbidden: requires view_team permission' });
-          }
-          ownerScope = tm.managed_by;
-        }
-        filter.managed_by = ownerScope;
+      if (!scope.isAdmin) {
+        filter.managed_by = scope.ownerId;
         if (managed_by) {
           const reqOwner = parseObjectId(managed_by);
           if (!reqOwner) return res.status(400).json({ error: 'Invalid managed_by' });
-          if (String(reqOwner) !== String(ownerScope)) {
+          if (String(reqOwner) !== String(scope.ownerId)) {
             return res.status(403).json({ error: 'Forbidden: cannot view another owner\'s team' });
           }
         }
@@ -95,37 +58,15 @@ const TeamMemberController = {
   },
 
   // Get single team member
+  // Authorization: authorize('team', 'view_team') on the route
   async getById(req, res) {
     try {
+      const { scope } = req;
       const { id } = req.params;
       const doc = await TeamMember.findById(id).lean();
       if (!doc) return res.status(404).json({ error: 'Team member not found' });
-      // Authorization: owners or team members with view_team; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner) {
-          if (String(auth.id) !== String(doc.managed_by)) {
-            return res.status(403).json({ error: 'Forbidden: cannot view another owner\'s team' });
-          }
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, managed_by: doc.managed_by, status: 'active' })
-            .select('role managed_by')
-            .lean();
-          if (!tm || !tm.role) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          if (!assignedRole) return res.status(403).json({ error: 'Forbidden' });
-          const hasView = assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some(g => g && g.view_team === true) ||
-            assignedRole.permissions.view_team === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: requires view_team permission' });
-        }
+      if (!scope.isAdmin && String(scope.ownerId) !== String(doc.managed_by)) {
+        return res.status(403).json({ error: 'Forbidden: cannot view another owner\'s team' });
       }
       return res.json(doc);
     } catch (err) {
@@ -134,41 +75,18 @@ const TeamMemberController = {
   },
 
   // Create team member
+  // Authorization: authorize('team', 'create_team', { owner: managed_by body }) on the route
   async create(req, res) {
     try {
+      const { scope } = req;
       const payload = req.body || {};
       if (!payload.name) return res.status(400).json({ error: 'name is required' });
       if (!payload.managed_by) return res.status(400).json({ error: 'managed_by is required' });
       const ownerOid = parseObjectId(payload.managed_by);
       if (!ownerOid) return res.status(400).json({ error: 'Invalid managed_by' });
 
-      // Authorization: owners or team members with create_team; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let allowed = false;
-        if (entity?.registration?.isOwner && String(auth.id) === String(ownerOid)) {
-          allowed = true;
-        } else {
-          const email = entity?.registration?.email;
-          if (email) {
-            const tm = await TeamMember.findOne({ email, managed_by: ownerOid, status: 'active' })
-              .select('role managed_by')
-              .lean();
-            if (tm && tm.role) {
-              const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-              const hasCreate = assignedRole && assignedRole.permissions && (
-                Object.values(assignedRole.permissions).some(g => g && g.create_team === true) ||
-                assignedRole.permissions.create_team === true
-              );
-              allowed = !!hasCreate;
-            }
-          }
-        }
-        if (!allowed) {
+      if (!scope.isAdmin) {
+        if (String(scope.ownerId) !== String(ownerOid)) {
           return res.status(403).json({ error: 'Forbidden: requires owner or create_team permission' });
         }
         payload.managed_by = ownerOid; // enforce scope
@@ -193,6 +111,12 @@ const TeamMemberController = {
             });
             await user.validate();
             userDoc = await user.save();
+            // New passwordless account: email an activation link (best-effort)
+            try {
+              await sendAccountClaimEmail({ userId: userDoc._id, email: emailLower, name: payload.name, invitedByName: req.user?.registration?.name });
+            } catch (mailErr) {
+              // non-blocking; the user can request a new link from the login screen
+            }
           } else {
             const update = {};
             if (!userDoc.registration?.name && payload.name) {
@@ -225,40 +149,17 @@ const TeamMemberController = {
   },
 
   // Update team member
+  // Authorization: authorize('team', 'update_team') on the route
   async update(req, res) {
     try {
+      const { scope } = req;
       const { id } = req.params;
       const payload = req.body || {};
       const current = await TeamMember.findById(id).lean();
       if (!current) return res.status(404).json({ error: 'Team member not found' });
 
-      // Authorization: owners or team members with update_team; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let allowed = false;
-        if (entity?.registration?.isOwner && String(auth.id) === String(current.managed_by)) {
-          allowed = true;
-        } else {
-          const email = entity?.registration?.email;
-          if (email) {
-            const tm = await TeamMember.findOne({ email, managed_by: current.managed_by, status: 'active' })
-              .select('role managed_by')
-              .lean();
-            if (tm && tm.role) {
-              const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-              const hasUpdate = assignedRole && assignedRole.permissions && (
-                Object.values(assignedRole.permissions).some(g => g && g.update_team === true) ||
-                assignedRole.permissions.update_team === true
-              );
-              allowed = !!hasUpdate;
-            }
-          }
-        }
-        if (!allowed) {
+      if (!scope.isAdmin) {
+        if (String(scope.ownerId) !== String(current.managed_by)) {
           return res.status(403).json({ error: 'Forbidden: requires owner or update_team permission' });
         }
         // Prevent non-admins from changing owner scope
@@ -273,6 +174,11 @@ const TeamMemberController = {
         { new: true, runValidators: true }
       ).lean();
       if (!updated) return res.status(404).json({ error: 'Team member not found' });
+      // Deactivated or banned members lose this owner's scope at once; they are signed out of every device
+      // when no other owner still has them active
+      if (current.status === 'active' && updated.status !== 'active') {
+        await revokeUserSessionsByEmail(updated.email, 'deactivated');
+      }
       return res.json(updated);
     } catch (err) {
       if (err && err.code === 11000) {
@@ -283,45 +189,21 @@ const TeamMemberController = {
   },
 
   // Delete team member
+  // Authorization: authorize('team', 'delete_team') on the route
   async remove(req, res) {
     try {
+      const { scope } = req;
       const { id } = req.params;
       const current = await TeamMember.findById(id).lean();
       if (!current) return res.status(404).json({ error: 'Team member not found' });
 
-      // Authorization: owners or team members with delete_team; admins bypass
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        let allowed = false;
-        if (entity?.registration?.isOwner && String(auth.id) === String(current.managed_by)) {
-          allowed = true;
-        } else {
-          const email = entity?.registration?.email;
-          if (email) {
-            const tm = await TeamMember.findOne({ email, managed_by: current.managed_by, status: 'active' })
-              .select('role managed_by')
-              .lean();
-            if (tm && tm.role) {
-              const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-              const hasDelete = assignedRole && assignedRole.permissions && (
-                Object.values(assignedRole.permissions).some(g => g && g.delete_team === true) ||
-                assignedRole.permissions.delete_team === true
-              );
-              allowed = !!hasDelete;
-            }
-          }
-        }
-        if (!allowed) {
-          return res.status(403).json({ error: 'Forbidden: requires owner or delete_team permission' });
-        }
+      if (!scope.isAdmin && String(scope.ownerId) !== String(current.managed_by)) {
+        return res.status(403).json({ error: 'Forbidden: requires owner or delete_team permission' });
       }
 
       const removed = await TeamMember.findByIdAndDelete(id).lean();
       if (!removed) return res.status(404).json({ error: 'Team member not found' });
+      if (removed.status === 'active') await revokeUserSessionsByEmail(removed.email, 'deactivated');
       return res.json({ ok: true });
     } catch (err) {
       return res.status(400).json({ error: err.message });
@@ -329,36 +211,17 @@ const TeamMemberController = {
   },
 
   // Get team members by owner userId (managed_by)
+  // Authorization: authorize('team', 'view_team', { owner: userId param }) on the route
   async getByUserId(req, res) {
     try {
-      const { managed_by } = req.query; // preserve existing query behavior
-      const auth = await getAuthFromRequest(req);
-      if (!auth || (auth.type !== 'admin' && auth.type !== 'user')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const { scope } = req;
       const { userId } = req.params;
       const ownerOid = parseObjectId(userId);
       if (!ownerOid) return res.status(400).json({ error: 'Invalid userId' });
 
       const filter = { managed_by: ownerOid };
-      if (auth.type !== 'admin') {
-        const entity = auth.entity || {};
-        if (entity?.registration?.isOwner) {
-          if (String(ownerOid) !== String(auth.id)) {
-            return res.status(403).json({ error: 'Forbidden: userId not owner' });
-          }
-        } else {
-          const email = entity?.registration?.email;
-          if (!email) return res.status(403).json({ error: 'Forbidden' });
-          const tm = await TeamMember.findOne({ email, managed_by: ownerOid, status: 'active' }).select('role managed_by').lean();
-          if (!tm || !tm.role) return res.status(403).json({ error: 'Forbidden' });
-          const assignedRole = await Role.findById(tm.role).select('permissions').lean();
-          const hasView = assignedRole && assignedRole.permissions && (
-            Object.values(assignedRole.permissions).some((g) => g && g.view_team === true) ||
-            assignedRole.permissions.view_team === true
-          );
-          if (!hasView) return res.status(403).json({ error: 'Forbidden: requires view_team permission' });
-        }
+      if (!scope.isAdmin && String(ownerOid) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: scope.isOwner ? 'Forbidden: userId not owner' : 'Forbidden' });
       }
       const items = await TeamMember.find(filter).lean();
       return res.json(items);
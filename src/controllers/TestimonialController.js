@@ -1,15 +1,34 @@
 // TestimonialController: CRUD operations and filters for Testimonial model
-// Exposes: list, getById, create, update, remove
+// A testimonial belongs to the owner of the client whose project lists it; non-admins see only those
+// Exposes: list, getById, getByUserId, create, update, remove
 
 import Testimonial from '../models/Testimonial.js';
 import Client from '../models/Client.js';
 import Project from '../models/Project.js';
 import mongoose from 'mongoose';
 
+// Testimonials listed on projects of the owner's clients
+async function ownerTestimonialIds(ownerId) {
+  const clients = await Client.find({ added_by: ownerId }).select('_id').lean();
+  const clientIds = clients.map((c) => c._id);
+  const projects = clientIds.length ? await Project.find({ client: { $in: clientIds } }).select('testimonials').lean() : [];
+  return Array.from(new Set(
+    projects.flatMap((p) => Array.isArray(p.testimonials) ? p.testimonials.map((t) => String(t)).filter(Boolean) : [])
+  )).map((s) => { try { return new mongoose.Types.ObjectId(s); } catch { return null; } }).filter(Boolean);
+}
+
+async function inScope(scope, testimonialId) {
+  if (scope.isAdmin) return true;
+  const ids = await ownerTestimonialIds(scope.ownerId);
+  return ids.some((id) => String(id) === String(testimonialId));
+}
+
 const TestimonialController = {
   // List testimonials with filters
+  // Authorization: authorize('testimonial', 'view_testimonial') on the route
   async list(req, res) {
     try {
+      const { scope } = req;
       const { status, min_rating, max_rating, from, to, q } = req.query;
       const filter = {};
       if (status) filter.status = status;
@@ -24,6 +43,7 @@ const TestimonialController = {
         if (to) filter.given_on.$lte = new Date(to);
       }
       if (q) filter.testimonials = { $regex: q, $options: 'i' };
+      if (!scope.isAdmin) filter._id = { $in: await ownerTestimonialIds(scope.ownerId) };
       const items = await Testimonial.find(filter).lean();
       return res.json(items);
     } catch (err) {
@@ -32,11 +52,13 @@ const TestimonialController = {
   },
 
   // Get single testimonial
+  // Authorization: authorize('testimonial', 'view_testimonial') on the route
   async getById(req, res) {
     try {
       const { id } = req.params;
       const doc = await Testimonial.findById(id).lean();
       if (!doc) return res.status(404).json({ error: 'Testimonial not found' });
+      if (!(await inScope(req.scope, doc._id))) return res.status(403).json({ error: 'Forbidden: testimonial not in owner scope' });
       return res.json(doc);
     } catch (err) {
       return res.status(500).json({ error: err.message });
@@ -44,18 +66,18 @@ const TestimonialController = {
   },
 
   // Get testimonials by owner userId via projects under owner clients
+  // Authorization: authorize('testimonial', 'view_testimonial') on the route
   async getByUserId(req, res) {
     try {
+      const { scope } = req;
       const { userId } = req.params;
       let ownerId;
       try { ownerId = new mongoose.Types.ObjectId(userId); } catch { ownerId = null; }
       if (!ownerId) return res.status(400).json({ error: 'Invalid userId' });
-      const clients = await Client.find({ added_by: ownerId }).select('_id').lean();
-      const clientIds = clients.map((c) => c._id);
-      const projects = clientIds.length ? await Project.find({ client: { $in: clientIds } }).select('testimonials').lean() : [];
-      const testimonialIds = Array.from(new Set(
-        projects.flatMap((p) => Array.isArray(p.testimonials) ? p.testimonials.map((t) => String(t)).filter(Boolean) : [])
-      )).map((s) => { try { return new mongoose.Types.ObjectId(s); } catch { return null; } }).filter(Boolean);
+      if (!scope.isAdmin && String(ownerId) !== String(scope.ownerId)) {
+        return res.status(403).json({ error: 'Forbidden: userId not owner' });
+      }
+      const testimonialIds = await ownerTestimonialIds(ownerId);
       const items = testimonialIds.length ? await Testimonial.find({ _id: { $in: testimonialIds } }).lean() : [];
       return res.json(items);
     } catch (err) {
@@ -63,7 +85,8 @@ const TestimonialController = {
     }
   },
 
-  // Create testimonial
+  // Create testimonial; it joins the owner's scope once listed on one of their projects
+  // Authorization: authorize('testimonial', 'create_testimonial') on the route
   async create(req, res) {
     try {
       const payload = req.body || {};
@@ -78,9 +101,12 @@ const TestimonialController = {
   },
 
   // Update testimonial
+  // Authorization: authorize('testimonial', 'update_testimonial') on the route
   async update(req, res) {
     try {
       const { id } = req.params;
+      if (!(await Testimonial.exists({ _id: id }))) return res.status(404).json({ error: 'Testimonial not found' });
+      if (!(await inScope(req.scope, id))) return res.status(403).json({ error: 'Forbidden: testimonial not in owner scope' });
       const payload = req.body || {};
       const updated = await Testimonial.findByIdAndUpdate(
         id,
@@ -95,9 +121,12 @@ const TestimonialController = {
   },
 
   // Delete testimonial
+  // Authorization: authorize('testimonial', 'delete_testimonial') on the route
   async remove(req, res) {
     try {
       const { id } = req.params;
+      if (!(await Testimonial.exists({ _id: id }))) return res.status(404).json({ error: 'Testimonial not found' });
+      if (!(await inScope(req.scope, id))) return res.status(403).json({ error: 'Forbidden: testimonial not in owner scope' });
       const removed = await Testimonial.findByIdAndDelete(id).lean();
       if (!removed) return res.status(404).json({ error: 'Testimonial not found' });
       return res.json({ ok: true });
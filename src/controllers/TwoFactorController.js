@@ -0,0 +1,184 @@
+// TwoFactorController: TOTP enrollment for admins and users, recovery codes and the owner team policy
+// Exposes: status, setup, enable, disable, regenerateRecoveryCodes, setTeamPolicy
+
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import {
+  generateTotpSecret,
+  buildOtpauthUrl,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+} from '../utils/totp.js';
+import { modelFor, verifySecondFactor, isTwoFactorRequiredByOwner } from '../utils/twoFactor.js';
+import { revokeAllSessions } from '../utils/sessions.js';
+
+function accountEmail(auth) {
+  return auth.type === 'admin' ? auth.entity?.email : auth.entity?.registration?.email;
+}
+
+async function verifyAccountPassword(auth, password) {
+  if (!password) return false;
+  const Model = modelFor(auth.type);
+  const field = auth.type === 'admin' ? 'password' : 'registration.passwordHash';
+  const doc = await Model.findById(auth.id).select(`+${field}`).lean();
+  const hash = auth.type === 'admin' ? doc?.password : doc?.registration?.passwordHash;
+  if (typeof hash !== 'string' || !hash.startsWith('$2')) return false;
+  try { return await bcrypt.compare(String(password), hash); } catch { return false; }
+}
+
+const TwoFactorController = {
+  // GET /api/auth/2fa
+  async status(req, res) {
+    try {
+      const { auth } = req;
+      const Model = modelFor(auth.type);
+      const doc = await Model.findById(auth.id).select('twoFactor.enabled twoFactor.enabledAt twoFactor.requireForTeam +twoFactor.recoveryCodes').lean();
+      if (!doc) return res.status(404).json({ error: 'Account not found' });
+      const tf = doc.twoFactor || {};
+      const out = {
+        enabled: !!tf.enabled,
+        enabledAt: tf.enabledAt || null,
+        recoveryCodesRemaining: Array.isArray(tf.recoveryCodes) ? tf.recoveryCodes.length : 0,
+      };
+      if (auth.type === 'user') {
+        out.requireForTeam = !!tf.requireForTeam;
+        out.requiredByOrganization = await isTwoFactorRequiredByOwner(accountEmail(auth));
+      }
+      return res.json(out);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/auth/2fa/setup
+  // Starts enrollment: returns the secret and otpauth:// URI to render as a QR code
+  async setup(req, res) {
+    try {
+      const { auth } = req;
+      const Model = modelFor(auth.type);
+      const doc = await Model.findById(auth.id).select('twoFactor.enabled').lean();
+      if (!doc) return res.status(404).json({ error: 'Account not found' });
+      if (doc.twoFactor?.enabled) return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+      const secret = generateTotpSecret();
+      await Model.updateOne({ _id: auth.id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+      return res.json({ secret, otpauthUrl: buildOtpauthUrl(secret, accountEmail(auth) || String(auth.id)) });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/auth/2fa/enable
+  // Confirms enrollment with a code from the app; returns recovery codes once
+  async enable(req, res) {
+    try {
+      const { auth } = req;
+      const { code } = req.body || {};
+      if (!code) return res.status(400).json({ error: 'code is required' });
+      const Model = modelFor(auth.type);
+      const doc = await Model.findById(auth.id).select('twoFactor.enabled +twoFactor.pendingSecret').lean();
+      if (!doc) return res.status(404).json({ error: 'Account not found' });
+      if (doc.twoFactor?.enabled) return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+      if (!doc.twoFactor?.pendingSecret) return res.status(400).json({ error: 'Start setup first' });
+
+      const secret = decryptSecret(doc.twoFactor.pendingSecret);
+      const step = verifyTotp(secret, code);
+      if (step == null) return res.status(400).json({ error: 'Invalid verification code' });
+
+      const { codes, hashes } = generateRecoveryCodes();
+      await Model.updateOne(
+        { _id: auth.id },
+        {
+          $set: {
+            'twoFactor.enabled': true,
+            'twoFactor.secret': doc.twoFactor.pendingSecret,
+            'twoFactor.recoveryCodes': hashes,
+            'twoFactor.lastUsedStep': step,
+            'twoFactor.enabledAt': new Date(),
+          },
+          $unset: { 'twoFactor.pendingSecret': '' },
+        }
+      );
+      // Sessions opened with only a password are signed out; this one stays
+      await revokeAllSessions(auth.type, auth.id, 'two_factor_enabled', { exceptSessionId: auth.sessionId });
+      return res.json({ enabled: true, recoveryCodes: codes });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/auth/2fa/disable
+  // Requires the account password plus a current code or recovery code
+  async disable(req, res) {
+    try {
+      const { auth } = req;
+      const { password, code, recoveryCode } = req.body || {};
+      if (!code && !recoveryCode) return res.status(400).json({ error: 'code or recoveryCode is required' });
+      if (auth.type === 'user' && (await isTwoFactorRequiredByOwner(accountEmail(auth)))) {
+        return res.status(403).json({ error: 'Two-factor authentication is required by your organization' });
+      }
+      if (!(await verifyAccountPassword(auth, password))) {
+        return res.status(401).json({ error: 'Invalid password' });
+      }
+      const method = await verifySecondFactor(auth.type, auth.id, { code, recoveryCode });
+      if (!method) return res.status(401).json({ error: 'Invalid verification code' });
+
+      const Model = modelFor(auth.type);
+      await Model.updateOne(
+        { _id: auth.id },
+        {
+          $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null },
+          $unset: {
+            'twoFactor.secret': '',
+            'twoFactor.pendingSecret': '',
+            'twoFactor.recoveryCodes': '',
+            'twoFactor.lastUsedStep': '',
+          },
+        }
+      );
+      return res.json({ enabled: false });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/auth/2fa/recovery-codes
+  // Replaces all recovery codes; requires a current TOTP code
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const { auth } = req;
+      const { code } = req.body || {};
+      if (!code) return res.status(400).json({ error: 'code is required' });
+      const method = await verifySecondFactor(auth.type, auth.id, { code });
+      if (!method) return res.status(401).json({ error: 'Invalid verification code' });
+      const { codes, hashes } = generateRecoveryCodes();
+      const Model = modelFor(auth.type);
+      await Model.updateOne({ _id: auth.id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+      return res.json({ recoveryCodes: codes });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+
+  // PUT /api/auth/2fa/team-policy
+  // Owners: require 2FA for every TeamMember under their managed_by scope
+  async setTeamPolicy(req, res) {
+    try {
+      const { auth } = req;
+      if (!auth.entity?.registration?.isOwner) return res.status(403).json({ error: 'Forbidden: owners only' });
+      const { required } = req.body || {};
+      if (typeof required !== 'boolean') return res.status(400).json({ error: 'required must be a boolean' });
+      // The owner must be enrolled before enforcing it on the team
+      if (required && !auth.entity?.twoFactor?.enabled) {
+        return res.status(400).json({ error: 'Enable two-factor authentication on your own account first' });
+      }
+      await User.updateOne({ _id: auth.id }, { $set: { 'twoFactor.requireForTeam': required } });
+      return res.json({ requireForTeam: required });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  },
+};
+
+export default TwoFactorController;
@@ -5,11 +5,117 @@ import User from '../models/User.js';
 import PublicProfile from '../models/PublicProfile.js';
 import TeamMember from '../models/TeamMember.js';
 import Role from '../models/Role.js';
+import Collaborator from '../models/Collaborator.js';
+import mongoose from 'mongoose';
 import { ensureOwnerRolesSeeded } from '../utils/roleSeeding.js';
-import { getAuthFromRequest } from '../middleware/auth.js';
+import { getAuthFromRequest, resolveScope, can } from '../middleware/auth.js';
 import { ensureUserFolder } from '../utils/bunnyStorage.js';
+import { revokeAllSessions } from '../utils/sessions.js';
+import { sendAccountClaimEmail } from '../utils/authEmails.js';
+import bcrypt from 'bcryptjs';
 import { uploadImageBufferToCloudinary } from '../utils/cloudinary.js';
 
+// Fields each actor type may change through update (dotted paths; a path also covers its children)
+// - self: own profile, business and payment details, preferences
+// - owner: basic identity of users they manage (team members, collaborators, invitees)
+// - admin: everything except credentials
+const SELF_UPDATABLE_FIELDS = [
+  'registration.name',
+  'registration.country',
+  'registration.phone',
+  'registration.avatar',
+  'registration.acceptTerms',
+  'registration.roles',
+  'registration.primaryRole',
+  'profile',
+  'shortBio',
+  'gender',
+  'dateOfBirth',
+  'categories',
+  'socialHandles',
+  'measurements',
+  'portfolio',
+  'businessInformation',
+  'paymentInformation',
+  'preferences',
+];
+const OWNER_UPDATABLE_FIELDS = [
+  'registration.name',
+  'registration.phone',
+  'registration.avatar',
+  'registration.roles',
+  'registration.primaryRole',
+];
+const ADMIN_UPDATABLE_FIELDS = [
+  ...SELF_UPDATABLE_FIELDS,
+  'registration.email',
+  'registration.isOwner',
+  'registration.inviteCode',
+  'registration.invitedBy',
+  'verification',
+  'meta',
+  'publicProfileId',
+];
+// Fields a new account may be created with: self-registration and owner invitations get the self-service
+// profile plus the email; admins the admin list. Credentials, ownership and verification are set by create
+const CREATABLE_FIELDS = [...SELF_UPDATABLE_FIELDS, 'registration.email'];
+const UPDATABLE_FIELDS = {
+  self: SELF_UPDATABLE_FIELDS,
+  owner: OWNER_UPDATABLE_FIELDS,
+  admin: ADMIN_UPDATABLE_FIELDS,
+};
+
+function parseObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(id);
+  } catch {
+    return null;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+// Flatten an update payload into dotted $set paths limited to the allowed list.
+// Nested objects are merged path by path so partial updates do not wipe sibling fields.
+function pickAllowedUpdates(payload, allowed, prefix = '', out = { set: {}, rejected: [] }) {
+  for (const [key, value] of Object.entries(payload || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const covered = allowed.some((a) => path === a || path.startsWith(`${a}.`));
+    if (isPlainObject(value) && (covered || allowed.some((a) => a.startsWith(`${path}.`)))) {
+      pickAllowedUpdates(value, allowed, path, out);
+    } else if (covered) {
+      out.set[path] = value;
+    } else {
+      out.rejected.push(path);
+    }
+  }
+  return out;
+}
+
+// Whether the owner manages the target user (team member, collaborator or invitee)
+async function isManagedBy(target, ownerId) {
+  if (!target || !ownerId) return false;
+  if (String(target.registration?.invitedBy || '') === String(ownerId)) return true;
+  const email = target.registration?.email;
+  const [tm, collab] = await Promise.all([
+    email ? TeamMember.exists({ email, managed_by: ownerId }) : null,
+    Collaborator.exists({ users: target._id, managed_by: ownerId }),
+  ]);
+  return !!(tm || collab);
+}
+
+// Resolve how the caller relates to the target user: 'admin' | 'self' | 'owner' | null
+async function resolveUserActor(auth, target, permission) {
+  if (!auth) return null;
+  if (auth.type === 'admin') return 'admin';
+  if (String(auth.id) === String(target._id)) return 'self';
+  const scope = await resolveScope(auth);
+  if (!scope || !can(scope, permission)) return null;
+  return (await isManagedBy(target, scope.ownerId)) ? 'owner' : null;
+}
+
 const UserController = {
   // Check slug availability
   async checkSlug(req, res) {
@@ -72,6 +178,7 @@ const UserController = {
     }
   },
   // List users with filters and text search
+  // Authorization: requireAdmin on the route
   async list(req, res) {
     try {
       const { primaryRole, status, email, phone, slug, q, from, to } = req.query;
@@ -100,12 +207,15 @@ const UserController = {
     }
   },
 
-  // Get one user
+  // Get one user (self, managing owner/team with view_user, or admin)
   async getById(req, res) {
     try {
-      const { id } = req.params;
-      const doc = await User.findById(id).lean();
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
+      const doc = await User.findById(oid).lean();
       if (!doc) return res.status(404).json({ error: 'User not found' });
+      const actor = await resolveUserActor(req.auth, doc, 'view_user');
+      if (!actor) return res.status(403).json({ error: 'Forbidden' });
       return res.json(doc);
     } catch (err) {
       return res.status(500).json({ error: err.message });
@@ -122,16 +232,32 @@ const UserController = {
       // Normalize email to lowercase
       payload.registration.email = String(payload.registration.email).toLowerCase();
 
+      // Never accept a precomputed hash; a plain password (min 8 chars) is hashed here.
+      // Without one the account stays passwordless until claimed via the emailed activation link.
+      const password = payload.password ?? payload.registration.password;
+      delete payload.password;
+      delete payload.passwordHash;
+      delete payload.registration.password;
+      delete payload.registration.passwordHash;
+      const derived = {};
+      if (password !== undefined && password !== null && password !== '') {
+        if (typeof password !== 'string' || password.length < 8) {
+          return res.status(400).json({ error: 'password must be at least 8 characters' });
+        }
+        derived['registration.passwordHash'] = await bcrypt.hash(password, 10);
+      }
+
       // Determine isOwner based on authentication context and invitation intent
       // - Self-registration (no auth): set isOwner = true
       // - Owner inviting collaborators: set isOwner = false
       // - Owner referring independents (referral): set isOwner = true
       // - Admin or other contexts: leave as provided/default
+      let auth = null;
       try {
-        const auth = await getAuthFromRequest(req);
+        auth = await getAuthFromRequest(req);
         if (!auth) {
           // no auth -> self registration
-          payload.registration.isOwner = true;
+          derived['registration.isOwner'] = true;
         } else if (auth.type === 'user' && auth.entity?.registration?.isOwner === true) {
           // owner authenticated -> distinguish collaborator vs referral
           const isReferral = (
@@ -140,16 +266,20 @@ const UserController = {
             payload?.registration?.isReferral === true ||
             payload?.isReferral === true
           );
-          payload.registration.isOwner = isReferral ? true : false;
+          derived['registration.isOwner'] = isReferral;
           // Attribute invitation to the owner
-          payload.registration.invitedBy = auth.id;
+          derived['registration.invitedBy'] = auth.id;
         }
       } catch (e) {
         // If auth checking fails due to config, proceed without blocking creation
         // Default behavior remains unless explicitly set in payload
       }
 
-      const doc = new User(payload);
+      // Only whitelisted fields are taken from the body, so a registration cannot mark itself verified or
+      // seed twoFactor/meta
+      const { set } = pickAllowedUpdates(payload, auth?.type === 'admin' ? ADMIN_UPDATABLE_FIELDS : CREATABLE_FIELDS);
+      const doc = new User();
+      doc.set({ ...set, ...derived });
       await doc.validate();
       const saved = await doc.save();
       // Seed default roles for owners (locked Owner Admin + cloned system templates)
@@ -211,6 +341,13 @@ const UserController = {
           }
         } catch {}
       }
+      if (!saved?.registration?.passwordHash) {
+        try {
+          await sendAccountClaimEmail({ userId: saved._id, email: saved.registration.email, name: saved.registration?.name });
+        } catch (mailErr) {
+          // non-blocking; the user can request a new link from the login screen
+        }
+      }
       // Ensure Bunny folder exists for this user (best-effort)
       try {
         await ensureUserFolder(String(saved._id));
@@ -227,37 +364,62 @@ const UserController = {
   },
 
   // Update user
+  // Self, managing owner/team with update_user, or admin; fields limited per actor type (UPDATABLE_FIELDS)
   async update(req, res) {
     try {
-      const { id } = req.params;
+      const oid = parseObjectId(req.params.id);
+      if (!oid) return res.status(400).json({ error: 'Invalid id' });
       const payload = req.body || {};
-      if (payload.registration?.email) {
-        payload.registration.email = String(payload.registration.email).toLowerCase();
+      const current = await User.findById(oid).select('registration.email registration.invitedBy').lean();
+      if (!current) return res.status(404).json({ error: 'User not found' });
+      const actor = await resolveUserActor(req.auth, current, 'update_user');
+      if (!actor) return res.status(403).json({ error: 'Forbidden' });
+
+      const { set, rejected } = pickAllowedUpdates(payload, UPDATABLE_FIELDS[actor]);
+      if (rejected.length > 0) {
+        return res.status(403).json({ error: `Forbidden: cannot update ${rejected.join(', ')}` });
       }
-      if (payload.profile?.slug) {
-        const raw = String(payload.profile.slug);
+      if (set['registration.email']) {
+        set['registration.email'] = String(set['registration.email']).toLowerCase();
+        // A new address must be verified again
+        if (set['registration.email'] !== current.registration?.email && set['verification.emailVerified'] === undefined) {
+          set['verification.emailVerified'] = false;
+        }
+      }
+      if (set['profile.slug']) {
+        const raw = String(set['profile.slug']);
         // Normalize/validate slug per model rules
-        const normalized = raw.trim().toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9._]/g, '').replace(/\.{2,}/g, '.').replace(/^\.+|\.+$/g, '');
-        payload.profile.slug = normalized;
+        set['profile.slug'] = raw.trim().toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9._]/g, '').replace(/\.{2,}/g, '.').replace(/^\.+|\.+$/g, '');
       }
+      if (Object.keys(set).length === 0) return res.status(400).json({ error: 'No updatable fields provided' });
       const updated = await User.findByIdAndUpdate(
-        id,
-        { $set: payload },
+        oid,
+        { $set: set },
         { new: true, runValidators: true }
       ).lean();
       if (!updated) return res.status(404).json({ error: 'User not found' });
+      // Banned, deactivated or deleted accounts lose every session immediately
+      const status = updated.meta?.status;
+      if (set['meta.status'] && status !== 'active') {
+        await revokeAllSessions('user', updated._id, status === 'banned' ? 'banned' : 'deactivated');
+      }
       return res.json(updated);
     } catch (err) {
+      if (err && err.code === 11000) {
+        return res.status(409).json({ error: 'Duplicate key: email/phone/slug must be unique' });
+      }
       return res.status(400).json({ error: err.message });
     }
   },
 
   // Delete user
+  // Authorization: requireAdmin on the route
   async remove(req, res) {
     try {
       const { id } = req.params;
       const removed = await User.findByIdAndDelete(id).lean();
       if (!removed) return res.status(404).json({ error: 'User not found' });
+      await revokeAllSessions('user', removed._id, 'deleted');
       return res.json({ ok: true });
     } catch (err) {
       return res.status(400).json({ error: err.message });
@@ -17,6 +17,8 @@ import connectDB from './config/db.js';
 import healthRouter from './routes/health.js';
 import servicesRouter from './routes/services.js';
 import invoicesRouter from './routes/invoices.js';
+import invoiceNotesRouter from './routes/invoiceNotes.js';
+import invoiceSchedulesRouter from './routes/invoiceSchedules.js';
 import paymentsRouter from './routes/payments.js';
 import clientsRouter from './routes/clients.js';
 import projectsRouter from './routes/projects.js';
@@ -38,8 +40,16 @@ import authRouter from './routes/auth.js';
 import uploadsRouter from './routes/uploads.js';
 import emailRouter from './routes/email.js';
 import otpRouter from './routes/otp.js';
+import auditLogsRouter from './routes/auditLogs.js';
+import { requestContext } from './utils/requestContext.js';
 import rateCardsRouter from './routes/rateCards.js';
 import quotationsRouter from './routes/quotations.js';
+import reportsRouter from './routes/reports.js';
+import ledgerRouter from './routes/ledger.js';
+import payoutsRouter from './routes/payouts.js';
+import exchangeRatesRouter from './routes/exchangeRates.js';
+import { startRecurringInvoiceJob } from './jobs/recurringInvoices.js';
+import { startInvoiceReminderJob } from './jobs/invoiceReminders.js';
 
 // Environment variables (PORT, MONGO_URI, etc.) are initialized via side-effect import above
 
@@ -50,6 +60,12 @@ const __dirname = path.dirname(__filename);
 // Create our Express application instance
 const app = express();
 
+// Behind a proxy/load balancer set TRUST_PROXY (e.g. 1) so req.ip is the client address used by rate limits
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isFinite(hops) ? hops : process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY);
+}
+
 // Debug: print env variables used by the server (safely masked)
 
 
@@ -58,6 +74,8 @@ const app = express();
 app.use(cors());
 // Parse incoming JSON request bodies into req.body
 app.use(express.json());
+// Per-request context (IP, user agent, actor) for the audit log
+app.use(requestContext());
 // Log HTTP requests (more verbose in dev, standard in production)
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 
@@ -70,6 +88,10 @@ app.use('/api/auth', authRouter);
 app.use('/api/services', servicesRouter);
 // Mount invoices CRUD under /api/invoices
 app.use('/api/invoices', invoicesRouter);
+// Credit/debit notes against invoices under /api/invoice-notes
+app.use('/api/invoice-notes', invoiceNotesRouter);
+// Recurring invoice schedules under /api/invoice-schedules
+app.use('/api/invoice-schedules', invoiceSchedulesRouter);
 // Mount payments CRUD under /api/payments
 app.use('/api/payments', paymentsRouter);
 // Mount clients CRUD under /api/clients
@@ -107,8 +129,14 @@ app.use('/api/uploads', uploadsRouter);
 app.use('/api/email', emailRouter);
 // OTP endpoints (send, verify, resend)
 app.use('/api/otp', otpRouter);
+// Audit trail of writes (read-only)
+app.use('/api/audit-logs', auditLogsRouter);
 app.use('/api/rate-cards', rateCardsRouter);
 app.use('/api/quotations', quotationsRouter);
+app.use('/api/reports', reportsRouter);
+app.use('/api/ledger', ledgerRouter);
+app.use('/api/payouts', payoutsRouter);
+app.use('/api/exchange-rates', exchangeRatesRouter);
 
 // Static serving for frontend build (if present)
 // Serve the production frontend build (if present) from server/public
@@ -127,6 +155,10 @@ if (fs.existsSync(publicDir)) {
 // Connect to MongoDB (skips gracefully when MONGO_URI is not defined)
 await connectDB();
 
+// Background jobs (no-ops while the DB is unavailable)
+startRecurringInvoiceJob();
+startInvoiceReminderJob();
+
 // Start server
 // Read port from environment (DigitalOcean sets PORT); default to 8080 locally
 const port = process.env.PORT || 8080;
@@ -0,0 +1,24 @@
+// Dunning job: marks invoices overdue and sends due payment reminders
+// - Started from index.js every INVOICE_REMINDERS_INTERVAL_MS (default 1 hour) unless
+//   INVOICE_REMINDERS_DISABLED=true; can also run once from cron with `npm run jobs:invoice-reminders`
+
+import { markOverdueInvoices, sendDueReminders } from '../utils/invoiceReminders.js';
+import { startIntervalJob } from './runner.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+export async function runInvoiceReminders({ now = new Date() } = {}) {
+  const overdue = await markOverdueInvoices(now);
+  const { sent, failed } = await sendDueReminders(now);
+  return { overdue, sent, failed };
+}
+
+export function startInvoiceReminderJob() {
+  return startIntervalJob('Invoice reminders', async () => {
+    const { overdue, sent, failed } = await runInvoiceReminders();
+    return overdue || sent || failed ? `${overdue} marked overdue, ${sent} reminders sent, ${failed} failed` : null;
+  }, {
+    intervalMs: Number(process.env.INVOICE_REMINDERS_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+    disabledEnv: 'INVOICE_REMINDERS_DISABLED',
+  });
+}
@@ -0,0 +1,55 @@
+// Recurring invoice job: generates invoices for every active schedule whose nextRunAt has passed
+// - Started from index.js every INVOICE_SCHEDULER_INTERVAL_MS (default 15 minutes) unless
+//   INVOICE_SCHEDULER_DISABLED=true; can also run once from cron with `npm run jobs:recurring-invoices`
+// - Each schedule is claimed (lockedUntil) before it runs, so several app instances can share the job
+// - Missed occurrences (downtime) are caught up one invoice per occurrence
+
+import InvoiceSchedule from '../models/InvoiceSchedule.js';
+import { runSchedule } from '../utils/invoiceSchedules.js';
+import { startIntervalJob } from './runner.js';
+
+const LOCK_MS = 5 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+async function claimNext(now, skip) {
+  return InvoiceSchedule.findOneAndUpdate(
+    {
+      status: 'active',
+      nextRunAt: { $ne: null, $lte: now },
+      _id: { $nin: skip },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { new: true, sort: { nextRunAt: 1 } }
+  ).lean();
+}
+
+// Process every due schedule once; a failing schedule keeps its nextRunAt and is retried next pass
+export async function runDueSchedules({ now = new Date() } = {}) {
+  const summary = { created: 0, failed: 0 };
+  const failed = [];
+  for (;;) {
+    const schedule = await claimNext(now, failed);
+    if (!schedule) break;
+    try {
+      await runSchedule(schedule);
+      summary.created += 1;
+    } catch (err) {
+      failed.push(schedule._id);
+      summary.failed += 1;
+      console.warn(`Recurring invoice failed (schedule ${schedule._id}):`, err.message);
+      await InvoiceSchedule.updateOne({ _id: schedule._id }, { $set: { lastError: err.message, lockedUntil: null } });
+    }
+  }
+  return summary;
+}
+
+export function startRecurringInvoiceJob() {
+  return startIntervalJob('Recurring invoices', async () => {
+    const { created, failed } = await runDueSchedules();
+    return created || failed ? `${created} created, ${failed} failed` : null;
+  }, {
+    intervalMs: Number(process.env.INVOICE_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+    disabledEnv: 'INVOICE_SCHEDULER_DISABLED',
+  });
+}
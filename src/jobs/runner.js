@@ -0,0 +1,26 @@
+// Interval runner shared by the background jobs started from index.js
+// A pass is skipped while the DB is disconnected or the previous pass is still running.
+
+import mongoose from 'mongoose';
+
+// Run `task` every intervalMs (and once at start); returns the timer, or null when disabledEnv is 'true'
+export function startIntervalJob(name, task, { intervalMs, disabledEnv }) {
+  if (disabledEnv && process.env[disabledEnv] === 'true') return null;
+  let running = false;
+  const tick = async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+      const summary = await task();
+      if (summary) console.log(`${name}: ${summary}`);
+    } catch (err) {
+      console.warn(`${name} failed:`, err.message);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  return timer;
+}
@@ -1,6 +1,11 @@
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import Admin from '../models/Admin.js';
 import User from '../models/User.js';
+import TeamMember from '../models/TeamMember.js';
+import Role from '../models/Role.js';
+import { isSessionActive } from '../utils/sessions.js';
+import { setRequestActor } from '../utils/requestContext.js';
 
 function getTokenFromHeader(req) {
   const header = req.headers?.authorization || '';
@@ -19,9 +24,13 @@ export async function getAuthFromRequest(req) {
   } catch {
     return null;
   }
-  const type = payload.type === 'admin' ? 'admin' : 'user';
+  // Only session tokens authenticate; 2FA login challenges and other token kinds do not
+  if (payload.type !== 'admin' && payload.type !== 'user') return null;
+  const type = payload.type;
   const id = payload.sub;
   if (!id) return null;
+  // Every access token belongs to a server-side session; logout, bans and password changes revoke it
+  if (!(await isSessionActive(payload.sid))) return null;
   let entity = null;
   if (type === 'admin') {
     entity = await Admin.findById(id).lean();
@@ -30,7 +39,7 @@ export async function getAuthFromRequest(req) {
     entity = await User.findById(id).lean();
     if (!entity || entity.meta?.status === 'banned') return null;
   }
-  return { type, id, token, entity };
+  return { type, id, token, entity, sessionId: payload.sid };
 }
 
 export async function authenticate(req, res, next) {
@@ -40,6 +49,7 @@ export async function authenticate(req, res, next) {
     req.auth = auth;
     if (auth.type === 'admin') req.admin = auth.entity;
     else req.user = auth.entity;
+    setRequestActor(auth);
     next();
   } catch (err) {
     return res.status(500).json({ error: err.message });
@@ -52,6 +62,7 @@ export async function requireAdmin(req, res, next) {
     if (!auth || auth.type !== 'admin') return res.status(403).json({ error: 'Admin only' });
     req.auth = auth;
     req.admin = auth.entity;
+    setRequestActor(auth);
     next();
   } catch (err) {
     return res.status(500).json({ error: err.message });
@@ -64,8 +75,116 @@ export async function requireUser(req, res, next) {
     if (!auth || auth.type !== 'user') return res.status(403).json({ error: 'User only' });
     req.auth = auth;
     req.user = auth.entity;
+    setRequestActor(auth);
     next();
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
-}
\ No newline at end of file
+}
+
+// Match one or more permission keys against a role's permission matrix.
+// Matrices are grouped ({ [group]: { [key]: true } }); flat top-level keys are still honoured.
+export function hasPermission(permissions, keys) {
+  if (!permissions || typeof permissions !== 'object') return false;
+  const wanted = Array.isArray(keys) ? keys : [keys];
+  return wanted.some((key) => (
+    permissions[key] === true ||
+    Object.values(permissions).some((g) => g && typeof g === 'object' && g[key] === true)
+  ));
+}
+
+// Resolve the owner scope an authenticated caller acts within.
+// - Admins: no owner scope (full access)
+// - Owners: their own account, full access
+// - Team members: the owner who manages them (managed_by), limited to their Role permissions
+//   (mfaRequired when that owner requires 2FA and the member has not enrolled; grants nothing)
+// Returns null when a non-owner user has no active team membership.
+export async function resolveScope(auth, ownerHint = null) {
+  if (!auth) return null;
+  if (auth.type === 'admin') {
+    return { isAdmin: true, isOwner: false, ownerId: null, teamMemberId: null, permissions: null };
+  }
+  const entity = auth.entity || {};
+  if (entity?.registration?.isOwner) {
+    return {
+      isAdmin: false,
+      isOwner: true,
+      ownerId: new mongoose.Types.ObjectId(auth.id),
+      teamMemberId: null,
+      permissions: null,
+    };
+  }
+  const email = entity?.registration?.email;
+  if (!email) return null;
+  const tmFilter = { email, status: 'active' };
+  if (ownerHint && mongoose.isValidObjectId(ownerHint)) tmFilter.managed_by = ownerHint;
+  const tm = await TeamMember.findOne(tmFilter).select('role managed_by').lean();
+  if (!tm || !tm.role || !tm.managed_by) return null;
+  const [assignedRole, owner] = await Promise.all([
+    Role.findById(tm.role).select('permissions').lean(),
+    User.findById(tm.managed_by).select('twoFactor.requireForTeam').lean(),
+  ]);
+  return {
+    isAdmin: false,
+    isOwner: false,
+    ownerId: tm.managed_by,
+    teamMemberId: tm._id,
+    permissions: assignedRole?.permissions || {},
+    mfaRequired: !!owner?.twoFactor?.requireForTeam && !entity?.twoFactor?.enabled,
+  };
+}
+
+// Whether a resolved scope grants any of the given permission keys (admins and owners always do)
+export function can(scope, keys) {
+  if (!scope || scope.mfaRequired) return false;
+  if (scope.isAdmin || scope.isOwner) return true;
+  return hasPermission(scope.permissions, keys);
+}
+
+// Route-level authorization: authenticates, resolves the owner scope once and checks a permission.
+// Usage: router.get('/', authorize('payment', 'view_payment'), PaymentController.list)
+// - permission: a key, a list of keys (any grants access), or null to only require an owner scope
+// - options.owner: (req) => ownerId hint (or a promise of one), for team members who belong to several owners
+// Attaches req.auth, req.admin/req.user and req.scope = { ownerId, teamMemberId, permissions, isAdmin, isOwner, resource }.
+export function authorize(resource, permission = null, options = {}) {
+  const keys = permission ? (Array.isArray(permission) ? permission : [permission]) : [];
+  return async function authorizeMiddleware(req, res, next) {
+    try {
+      const auth = await getAuthFromRequest(req);
+      if (!auth) return res.status(401).json({ error: 'Unauthorized' });
+      req.auth = auth;
+      if (auth.type === 'admin') req.admin = auth.entity;
+      else req.user = auth.entity;
+
+      const ownerHint = typeof options.owner === 'function' ? await options.owner(req) : null;
+      const scope = await resolveScope(auth, ownerHint);
+      if (!scope) return res.status(403).json({ error: 'Forbidden' });
+      if (scope.mfaRequired) {
+        return res.status(403).json({
+          error: 'Two-factor authentication is required by your organization',
+          code: 'MFA_ENROLLMENT_REQUIRED',
+        });
+      }
+      if (keys.length > 0 && !can(scope, keys)) {
+        return res.status(403).json({ error: `Forbidden: missing ${keys.join(' or ')} permission` });
+      }
+      req.scope = { ...scope, resource };
+      setRequestActor(auth, scope);
+      next();
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+// Owner hint for /:id routes: the owner field of the document addressed by req.params.id, or what
+// resolveOwner(doc) returns for documents owned through a reference (e.g. ownerThrough from the audit plugin)
+// Usage: authorize('team', 'view_team', { owner: ownerOf(TeamMember, 'managed_by') })
+export function ownerOf(Model, field, resolveOwner = null) {
+  return async (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return null;
+    const doc = await Model.findById(req.params.id).select(field).lean();
+    if (!doc) return null;
+    return resolveOwner ? resolveOwner(doc) : doc[field] || null;
+  };
+}
@@ -0,0 +1,120 @@
+// Sliding-window rate limiting for Express routes
+// Policies are declared in the router files: router.post('/login', rateLimit({ name, windowMs, max }), handler)
+// - Estimate = previous window count weighted by its overlap + current window count
+// - Store: RATE_LIMIT_STORE=memory (default, per process) or mongo (shared across instances)
+// - RATE_LIMIT_DISABLED=true turns every policy off (local scripts)
+
+import RateLimitBucket from '../models/RateLimitBucket.js';
+
+// In-process counters: key -> { windowMs, windows: Map(windowStart -> count) }
+function createMemoryStore() {
+  const buckets = new Map();
+  let lastSweep = Date.now();
+
+  // Drop windows that can no longer affect an estimate
+  function sweep(now) {
+    if (now - lastSweep < 60 * 1000) return;
+    lastSweep = now;
+    for (const [key, entry] of buckets) {
+      for (const start of entry.windows.keys()) {
+        if (start + 2 * entry.windowMs <= now) entry.windows.delete(start);
+      }
+      if (entry.windows.size === 0) buckets.delete(key);
+    }
+  }
+
+  return {
+    async hit(key, windowStart, windowMs) {
+      sweep(Date.now());
+      let entry = buckets.get(key);
+      if (!entry) {
+        entry = { windowMs, windows: new Map() };
+        buckets.set(key, entry);
+      }
+      const current = (entry.windows.get(windowStart) || 0) + 1;
+      entry.windows.set(windowStart, current);
+      return { current, previous: entry.windows.get(windowStart - windowMs) || 0 };
+    },
+  };
+}
+
+function createMongoStore() {
+  return {
+    async hit(key, windowStart, windowMs) {
+      const bucket = await RateLimitBucket.findOneAndUpdate(
+        { key, windowStart },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowStart + 2 * windowMs) } },
+        { upsert: true, new: true }
+      ).lean();
+      const prev = await RateLimitBucket.findOne({ key, windowStart: windowStart - windowMs }).select('count').lean();
+      return { current: bucket.count, previous: prev?.count || 0 };
+    },
+  };
+}
+
+let defaultStore = null;
+
+function getDefaultStore() {
+  if (!defaultStore) {
+    defaultStore = String(process.env.RATE_LIMIT_STORE || 'memory').toLowerCase() === 'mongo'
+      ? createMongoStore()
+      : createMemoryStore();
+  }
+  return defaultStore;
+}
+
+export function clientIp(req) {
+  return String(req.ip || req.headers?.['x-forwarded-for'] || req.socket?.remoteAddress || 'unknown');
+}
+
+// options:
+// - name: policy name, prefixes every key
+// - windowMs, max: at most `max` requests per sliding `windowMs`
+// - key(req): client key (default: IP); return null to skip limiting for the request
+// - message: error returned with 429
+// - store: override the configured store
+export function rateLimit(options = {}) {
+  const {
+    name = 'default',
+    windowMs = 60 * 1000,
+    max = 60,
+    key = clientIp,
+    message = 'Too many requests, please try again later',
+    store,
+  } = options;
+
+  return async function rateLimitMiddleware(req, res, next) {
+    if (String(process.env.RATE_LIMIT_DISABLED || '').toLowerCase() === 'true') return next();
+    let clientKey;
+    try {
+      clientKey = key(req);
+    } catch {
+      clientKey = clientIp(req);
+    }
+    if (clientKey == null || clientKey === '') return next();
+
+    try {
+      const now = Date.now();
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      const { current, previous } = await (store || getDefaultStore()).hit(`${name}:${clientKey}`, windowStart, windowMs);
+      const overlap = 1 - (now - windowStart) / windowMs;
+      const estimate = Math.floor(previous * overlap) + current;
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - estimate)));
+      if (estimate > max) {
+        // When the weighted previous window will have decayed enough; otherwise the end of this window
+        const freeAt = previous > 0 && current <= max
+          ? windowStart + windowMs * (1 - (max - current) / previous)
+          : windowStart + windowMs;
+        res.set('Retry-After', String(Math.max(1, Math.ceil((freeAt - now) / 1000))));
+        return res.status(429).json({ error: message });
+      }
+      return next();
+    } catch (err) {
+      // Fail open: a store outage must not take the API down with it
+      console.warn(`rateLimit(${name}) store error:`, err.message);
+      return next();
+    }
+  };
+}
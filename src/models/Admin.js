@@ -2,6 +2,7 @@
 // Implements your schema with validation, indexes, and clear comments.
 
 import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
 
 // Reusable validators
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -31,8 +32,8 @@ const AdminSchema = new mongoose.Schema(
       match: [EMAIL_REGEX, 'Invalid email address'],
     },
 
-    // Password hash (store hashed/encoded passwords only, never plaintext)
-    password: { type: String, required: true },
+    // Password hash (bcrypt; plaintext input is hashed by the hooks below); excluded from queries by default
+    password: { type: String, required: true, select: false },
 
     // Contact phone number: unique, optional, validated
     phone: {
@@ -60,15 +61,61 @@ const AdminSchema = new mongoose.Schema(
 
     // Timestamp of last successful login
     last_login: { type: Date },
+
+    // TOTP two-factor authentication (secrets encrypted, recovery codes hashed; never selected by default)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: { type: [String], select: false },
+      lastUsedStep: { type: Number, select: false },
+      enabledAt: { type: Date },
+    },
   },
   {
     // Map timestamps to snake_case keys
     timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      transform(doc, ret) {
+        delete ret.password;
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
 
+// Passwords are always stored as bcrypt hashes; plaintext input is hashed on save/update
+const BCRYPT_PREFIX = /^\$2[aby]\$/;
+function needsHash(value) {
+  return typeof value === 'string' && value.length > 0 && !BCRYPT_PREFIX.test(value);
+}
+
+AdminSchema.pre('save', async function (next) {
+  try {
+    if (this.isModified('password') && needsHash(this.password)) {
+      this.password = await bcrypt.hash(this.password, 10);
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+AdminSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function (next) {
+  try {
+    const update = this.getUpdate() || {};
+    const target = update.$set && update.$set.password !== undefined ? update.$set : update;
+    if (needsHash(target.password)) {
+      target.password = await bcrypt.hash(target.password, 10);
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Indexes for lookups and uniqueness
 AdminSchema.index({ email: 1 }, { unique: true });
 AdminSchema.index({ phone: 1 }, { unique: true, sparse: true });
@@ -0,0 +1,62 @@
+// AuditLog model: append-only record of create/update/delete on business entities
+// Written by the auditLog plugin (models/plugins/auditLog.js); entries cannot be changed or removed through the model.
+
+import mongoose from 'mongoose';
+
+const ChangeSchema = new mongoose.Schema(
+  {
+    path: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    // Model name, e.g. Invoice, TeamMember
+    entity: { type: String, required: true, index: true },
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    action: { type: String, enum: ['create', 'update', 'delete'], required: true },
+    // Who made the change; system when it did not come from an authenticated request
+    actor: {
+      type: { type: String, enum: ['admin', 'owner', 'team_member', 'user', 'system'], default: 'system' },
+      id: { type: mongoose.Schema.Types.ObjectId, default: null, index: true },
+      teamMemberId: { type: mongoose.Schema.Types.ObjectId, ref: 'TeamMember', default: null },
+      email: { type: String, trim: true, default: null },
+    },
+    // Owner account the entity belongs to (tenant scope for GET /api/audit-logs)
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    // Field-level diff for updates
+    changes: { type: [ChangeSchema], default: [] },
+    // Full snapshot: the created document, or the deleted one
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    ip: { type: String, trim: true, default: null },
+    userAgent: { type: String, trim: true, default: null },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+AuditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ ownerId: 1, createdAt: -1 });
+
+function immutable(next) {
+  next(new Error('Audit log entries are immutable'));
+}
+
+AuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  immutable
+);
+AuditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Audit log entries are immutable'));
+  return next();
+});
+
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+export default AuditLog;
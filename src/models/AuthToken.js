@@ -0,0 +1,31 @@
+// AuthToken model: single-use, expiring tokens for password reset, email verification and account claim
+// Only a SHA-256 of the token is stored; the raw value travels by email.
+
+import mongoose from 'mongoose';
+
+const AuthTokenSchema = new mongoose.Schema(
+  {
+    subjectType: { type: String, enum: ['admin', 'user'], required: true },
+    subjectId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    purpose: { type: String, enum: ['password_reset', 'email_verify', 'account_claim'], required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    // The email the token was sent to; verification only applies while it is still current
+    email: { type: String, lowercase: true, trim: true },
+    expiresAt: { type: Date, required: true },
+    // Set once the token is consumed (or superseded by a newer one)
+    usedAt: { type: Date, default: null },
+    requestedIp: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+AuthTokenSchema.index({ subjectType: 1, subjectId: 1, purpose: 1, usedAt: 1 });
+// Purge expired tokens automatically
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthToken = mongoose.model('AuthToken', AuthTokenSchema);
+export default AuthToken;
@@ -0,0 +1,73 @@
+// BankStatementImport model: one uploaded bank statement and its reconciliation state
+// Rows are credits parsed by utils/bankStatements.js with invoice suggestions from utils/paymentMatching.js;
+// confirming a row creates a verified Payment (PaymentImportController.confirm)
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const SuggestedTdsSchema = new Schema(
+  {
+    ratePercent: { type: Number, required: true },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const SuggestionSchema = new Schema(
+  {
+    invoiceId: { type: Schema.Types.ObjectId, ref: 'Invoice', required: true },
+    invoiceNo: { type: String, default: null },
+    clientName: { type: String, default: null },
+    balanceDue: { type: Number, default: 0 },
+    score: { type: Number, default: 0 },
+    reasons: { type: [String], default: [] },
+    // Implied TDS when the credit is the balance due less TDS
+    tds: { type: SuggestedTdsSchema, default: null },
+  },
+  { _id: false }
+);
+
+const StatementRowSchema = new Schema(
+  {
+    index: { type: Number, required: true },
+    date: { type: Date, required: true },
+    description: { type: String, default: '' },
+    reference: { type: String, default: null },
+    amount: { type: Number, required: true, min: 0 },
+    mode: { type: String, enum: ['BANK', 'UPI'], default: 'BANK' },
+    status: { type: String, enum: ['suggested', 'unmatched', 'duplicate', 'confirmed', 'ignored'], default: 'unmatched' },
+    // Best suggestion when it is confident enough to pre-select
+    suggestedInvoiceId: { type: Schema.Types.ObjectId, ref: 'Invoice', default: null },
+    suggestions: { type: [SuggestionSchema], default: [] },
+    // Set once confirmed (or the existing Payment for duplicates)
+    invoiceId: { type: Schema.Types.ObjectId, ref: 'Invoice', default: null },
+    paymentId: { type: Schema.Types.ObjectId, ref: 'Payment', default: null },
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const BankStatementImportSchema = new Schema(
+  {
+    ownerId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    bank: { type: String, enum: ['hdfc', 'icici', 'sbi', 'generic'], required: true },
+    fileName: { type: String, default: null, trim: true },
+    status: { type: String, enum: ['open', 'completed'], default: 'open' },
+    rows: { type: [StatementRowSchema], default: [] },
+    debitsSkipped: { type: Number, default: 0 },
+    invalidRows: { type: Number, default: 0 },
+    importedBy: { type: Schema.Types.ObjectId, default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    versionKey: false,
+  }
+);
+
+BankStatementImportSchema.index({ ownerId: 1, createdAt: -1 });
+
+const BankStatementImport = mongoose.model('BankStatementImport', BankStatementImportSchema);
+export default BankStatementImport;
@@ -2,6 +2,7 @@
 // Based on your provided schema with validation, comments, and indexes.
 
 import mongoose from 'mongoose';
+import auditLogPlugin from './plugins/auditLog.js';
 
 // Validators
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -121,6 +122,8 @@ ClientSchema.index({ 'location.country': 1, 'location.city': 1 });
 ClientSchema.index({ 'point_of_contact.email': 1 }, { sparse: true });
 ClientSchema.index({ 'point_of_contact.phone': 1 }, { sparse: true });
 
+ClientSchema.plugin(auditLogPlugin, { ownerField: 'added_by' });
+
 // Export model
 const Client = mongoose.model('Client', ClientSchema);
 export default Client;
\ No newline at end of file
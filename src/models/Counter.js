@@ -0,0 +1,25 @@
+// Counter model: atomic per-owner sequences (e.g. invoice numbers per financial year)
+// Incremented with findOneAndUpdate + $inc so concurrent requests never share a value.
+
+import mongoose from 'mongoose';
+
+const CounterSchema = new mongoose.Schema(
+  {
+    // Owner account the sequence belongs to
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Sequence name, e.g. 'invoice'
+    name: { type: String, required: true, trim: true },
+    // Reset bucket, e.g. '2026-27' for financial-year numbering or 'all' when it never resets
+    period: { type: String, required: true, trim: true },
+    // Last value handed out
+    seq: { type: Number, default: 0, min: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CounterSchema.index({ ownerId: 1, name: 1, period: 1 }, { unique: true });
+
+const Counter = mongoose.model('Counter', CounterSchema);
+export default Counter;
@@ -0,0 +1,53 @@
+// ExchangeRate model: manually maintained exchange rates per owner (there is no live rate feed)
+// - rate is the value of one unit of currency in the owner's base currency (InvoiceSettings.baseCurrency),
+//   e.g. USD 83.25 for an INR base
+// - A rate applies from effectiveDate until the next one for the same currency (utils/fx.js)
+
+import mongoose from 'mongoose';
+import auditLogPlugin from './plugins/auditLog.js';
+
+const { Schema } = mongoose;
+
+// Rate captured on an invoice or payout when it is issued, approved or paid
+export const FxSnapshotSchema = new Schema(
+  {
+    baseCurrency: { type: String, required: true },
+    rate: { type: Number, required: true, min: 0 },
+    // effectiveDate of the ExchangeRate used; null when the document is in the base currency
+    rateDate: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const ExchangeRateSchema = new Schema(
+  {
+    ownerId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    currency: { type: String, required: true, uppercase: true, trim: true, match: /^[A-Z]{3}$/ },
+    rate: { type: Number, required: true, min: 0.000001 },
+    // Start of the UTC day the rate applies from
+    effectiveDate: { type: Date, required: true },
+    notes: { type: String, trim: true, default: null, maxlength: 500 },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    versionKey: false,
+  }
+);
+
+ExchangeRateSchema.index({ ownerId: 1, currency: 1, effectiveDate: -1 }, { unique: true });
+
+ExchangeRateSchema.pre('validate', function (next) {
+  if (this.effectiveDate) {
+    const d = new Date(this.effectiveDate);
+    this.effectiveDate = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  }
+  next();
+});
+
+ExchangeRateSchema.plugin(auditLogPlugin, { ownerField: 'ownerId' });
+
+const ExchangeRate = mongoose.model('ExchangeRate', ExchangeRateSchema);
+export default ExchangeRate;
@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import auditLogPlugin from './plugins/auditLog.js';
+import { FxSnapshotSchema } from './ExchangeRate.js';
+import { roundTotal } from '../utils/fx.js';
+import { round2 } from '../utils/helpers.js';
 
 function isURL(value) {
   if (!value) return true;
@@ -12,21 +16,25 @@ function isURL(value) {
 
 const { Schema } = mongoose;
 
-const LineItemSchema = new Schema(
+// Shared with InvoiceNote (credit/debit notes)
+export const LineItemSchema = new Schema(
   {
     description: { type: String, required: true, trim: true },
     serviceId: { type: Schema.Types.ObjectId, ref: 'Service', default: null },
     rateCardId: { type: Schema.Types.ObjectId, ref: 'RateCard', default: null },
+    // HSN (goods) or SAC (services) code printed on the tax invoice
+    hsnSac: { type: String, default: null, trim: true, match: [/^[0-9]{4,8}$/, 'Invalid HSN/SAC code'] },
     qty: { type: Number, required: true, min: 0, default: 1 },
     unitPrice: { type: Number, required: true, min: 0 },
+    // Taxable value of the line (after back-calculation for tax-inclusive prices); see utils/gstTax.js
     amount: { type: Number, required: true, min: 0 },
-    taxRatePercent: { type: Number, default: 0 },
+    taxRatePercent: { type: Number, default: 0, min: 0, max: 100 },
     taxAmount: { type: Number, default: 0 },
   },
   { _id: true }
 );
 
-const TaxBreakdownSchema = new Schema(
+export const TaxBreakdownSchema = new Schema(
   {
     name: { type: String, required: true, trim: true },
     ratePercent: { type: Number, required: true },
@@ -40,6 +48,8 @@ const PaymentRecordSchema = new Schema(
     paymentId: { type: String, default: null, trim: true },
     paidAt: { type: Date, required: true },
     amount: { type: Number, required: true },
+    // TDS the client deducted; settles the invoice alongside amount
+    tdsAmount: { type: Number, default: 0 },
     currency: { type: String, default: 'INR' },
     method: { type: String, enum: ['bank_transfer','upi','card','wallet','cheque','cash','other'], default: 'bank_transfer' },
     reference: { type: String, default: null, trim: true },
@@ -48,12 +58,28 @@ const PaymentRecordSchema = new Schema(
   { _id: true }
 );
 
+// One entry per reminder step sent (utils/invoiceReminders.js)
+const ReminderRecordSchema = new Schema(
+  {
+    // Step, in days relative to dueDate
+    offsetDays: { type: Number, required: true },
+    sentAt: { type: Date, required: true },
+    to: { type: String, default: null, trim: true },
+    status: { type: String, enum: ['sending', 'sent', 'failed'], default: 'sending' },
+    error: { type: String, default: null },
+  },
+  { _id: true }
+);
+
 const InvoiceSchema = new Schema(
   {
     // New fields
-    invoiceNo: { type: String, required: true, unique: true, trim: true },
+    // Unique per owner (createdBy); generated from InvoiceSettings.numbering when not supplied
+    invoiceNo: { type: String, required: true, trim: true },
     projectId: { type: Schema.Types.ObjectId, ref: 'Project', default: null },
     quotationId: { type: Schema.Types.ObjectId, ref: 'Quotation', default: null },
+    // Recurring schedule that generated this invoice (InvoiceSchedule)
+    scheduleId: { type: Schema.Types.ObjectId, ref: 'InvoiceSchedule', default: null },
 
     clientId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
 
@@ -67,14 +93,30 @@ const InvoiceSchema = new Schema(
     },
 
     currency: { type: String, default: 'INR' },
+    // Exchange rate to the owner's base currency captured when the invoice is issued (utils/fx.js)
+    fx: { type: FxSnapshotSchema, default: null },
     items: { type: [LineItemSchema], default: [] },
 
     subTotal: { type: Number, required: true, default: 0 },
+    // Computed by utils/gstTax.js: CGST+SGST/UTGST (intra-state) or IGST (inter-state), one entry per rate
     taxes: { type: [TaxBreakdownSchema], default: [] },
+    placeOfSupply: {
+      code: { type: String, default: null },
+      name: { type: String, default: null },
+    },
+    taxTreatment: { type: String, enum: ['intra_state', 'inter_state', 'none'], default: 'none' },
     total: { type: Number, required: true, default: 0 },
 
+    // Projection of the Payment collection (paymentId = Payment._id), rebuilt by utils/invoicePayments.js
     payments: { type: [PaymentRecordSchema], default: [] },
+    // Settled by payments: cash received plus TDS deducted by the client (tdsAmount, the part of paidAmount
+    // to be claimed through Form 16A)
     paidAmount: { type: Number, default: 0 },
+    tdsAmount: { type: Number, default: 0 },
+    // Totals of issued credit/debit notes (InvoiceNote), maintained by utils/invoiceNotes.js
+    creditedAmount: { type: Number, default: 0, min: 0 },
+    debitedAmount: { type: Number, default: 0, min: 0 },
+    // total + debitedAmount - creditedAmount - paidAmount, never below zero
     balanceDue: { type: Number, default: 0 },
 
     status: { type: String, enum: ['draft','sent','partial','paid','overdue','cancelled','disputed'], default: 'draft' },
@@ -82,12 +124,21 @@ const InvoiceSchema = new Schema(
     issuedAt: { type: Date, default: null },
     dueDate: { type: Date, default: null },
     paidAt: { type: Date, default: null },
+    // Set when jobs/invoiceReminders.js marks the invoice overdue
+    overdueAt: { type: Date, default: null },
+
+    reminders: { type: [ReminderRecordSchema], default: [] },
+    // Owner switched payment reminders off for this invoice
+    remindersStopped: { type: Boolean, default: false },
 
     taxInclusive: { type: Boolean, default: false },
     notes: { type: String, default: null, trim: true },
     terms: { type: String, default: null, trim: true },
 
     pdfUrl: { type: String, default: null, trim: true, validate: [isURL, 'Invalid URL'] },
+    // Fingerprint of the content behind the generated pdfUrl (utils/invoicePdf.js); stale when it differs
+    pdfHash: { type: String, default: null },
+    pdfGeneratedAt: { type: Date, default: null },
     createdBy: { type: Schema.Types.ObjectId, required: true, ref: 'User' },
     updatedBy: { type: Schema.Types.ObjectId, default: null, ref: 'User' },
 
@@ -121,25 +172,36 @@ const InvoiceSchema = new Schema(
 InvoiceSchema.pre('validate', function (next) {
   const items = Array.isArray(this.items) ? this.items : [];
   const sub = items.reduce((s, it) => s + (Number(it.amount) || 0), 0);
-  this.subTotal = Math.round(sub);
+  this.subTotal = round2(sub);
 
   const taxSum = (Array.isArray(this.taxes) ? this.taxes : []).reduce((s, t) => s + (Number(t.amount) || 0), 0);
-  this.total = Math.round(this.subTotal + taxSum);
+  this.total = roundTotal(this.subTotal + taxSum, this.currency);
 
-  const paid = (Array.isArray(this.payments) ? this.payments : []).reduce((s, p) => s + (Number(p.amount) || 0), 0);
-  this.paidAmount = Math.round(paid);
-  this.balanceDue = Math.max(0, this.total - this.paidAmount);
+  const payments = Array.isArray(this.payments) ? this.payments : [];
+  const tds = payments.reduce((s, p) => s + (Number(p.tdsAmount) || 0), 0);
+  const paid = payments.reduce((s, p) => s + (Number(p.amount) || 0), 0) + tds;
+  this.tdsAmount = round2(tds);
+  this.paidAmount = roundTotal(paid, this.currency);
+  const payable = this.total + (this.debitedAmount || 0) - (this.creditedAmount || 0);
+  this.balanceDue = Math.max(0, roundTotal(payable - this.paidAmount, this.currency));
 
-  if (this.paidAmount >= this.total && this.total > 0) {
+  if (this.paidAmount >= payable && payable > 0) {
     this.status = 'paid';
     this.payment_status = 'paid';
     this.paidAt = this.paidAt || new Date();
-  } else if (this.paidAmount > 0 && this.paidAmount < this.total) {
+  } else if (this.paidAmount > 0 && this.paidAmount < payable) {
     this.status = 'partial';
     this.payment_status = 'partially_paid';
+    this.paidAt = null;
   } else if (this.status === 'draft' && this.issuedAt) {
     this.status = 'sent';
     this.payment_status = this.payment_status || 'pending';
+  } else if (this.paidAmount === 0 && ['paid', 'partial'].includes(this.status)) {
+    // Payments removed: back to unpaid, overdue when the due date has passed
+    const overdue = this.dueDate && this.dueDate < new Date();
+    this.status = overdue ? 'overdue' : 'sent';
+    this.payment_status = overdue ? 'overdue' : 'pending';
+    this.paidAt = null;
   }
 
   // Keep backward fields synchronized
@@ -153,16 +215,16 @@ InvoiceSchema.pre('validate', function (next) {
 });
 
 // Indexes
+InvoiceSchema.index({ createdBy: 1, invoiceNo: 1 }, { unique: true });
 InvoiceSchema.index({ clientId: 1 });
 InvoiceSchema.index({ projectId: 1 });
+InvoiceSchema.index({ scheduleId: 1 });
 InvoiceSchema.index({ status: 1, dueDate: 1 });
 InvoiceSchema.index({ created_by: 1, client: 1, issue_date: 1 });
 InvoiceSchema.index({ due_date: 1, payment_status: 1 });
 
-InvoiceSchema.methods.applyPayment = function (payment) {
-  this.payments.push(payment);
-  return this.save();
-};
+
+InvoiceSchema.plugin(auditLogPlugin, { ownerField: 'createdBy' });
 
 const Invoice = mongoose.model('Invoice', InvoiceSchema);
 export default Invoice;
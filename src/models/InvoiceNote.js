@@ -0,0 +1,64 @@
+// InvoiceNote model: GST credit notes (reduce) and debit notes (increase) issued against an Invoice
+// - Own numbering series per type (utils/invoiceNumbering.js: CN/2026-27/0001, DN/2026-27/0001)
+// - Tax follows the invoice's place of supply and treatment (utils/invoiceNotes.js)
+// - Issued notes adjust Invoice.creditedAmount / debitedAmount and therefore balanceDue
+
+import mongoose from 'mongoose';
+import auditLogPlugin from './plugins/auditLog.js';
+import { LineItemSchema, TaxBreakdownSchema } from './Invoice.js';
+
+const { Schema } = mongoose;
+
+export const CREDIT_NOTE_REASONS = ['discount', 'return', 'refund', 'deficiency', 'cancellation', 'correction', 'other'];
+export const DEBIT_NOTE_REASONS = ['additional_charge', 'price_revision', 'correction', 'other'];
+
+const InvoiceNoteSchema = new Schema(
+  {
+    type: { type: String, enum: ['credit', 'debit'], required: true },
+    // Unique per owner and type
+    noteNo: { type: String, required: true, trim: true },
+    invoiceId: { type: Schema.Types.ObjectId, ref: 'Invoice', required: true },
+    // Copied from the invoice so statements can query notes directly
+    invoiceNo: { type: String, default: null, trim: true },
+    clientId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    client: { type: Schema.Types.ObjectId, ref: 'Client', default: null },
+    projectId: { type: Schema.Types.ObjectId, ref: 'Project', default: null },
+
+    reason: { type: String, enum: [...new Set([...CREDIT_NOTE_REASONS, ...DEBIT_NOTE_REASONS])], required: true },
+    description: { type: String, default: null, trim: true },
+
+    currency: { type: String, default: 'INR' },
+    items: { type: [LineItemSchema], default: [] },
+    taxInclusive: { type: Boolean, default: false },
+    subTotal: { type: Number, required: true, default: 0 },
+    taxes: { type: [TaxBreakdownSchema], default: [] },
+    placeOfSupply: {
+      code: { type: String, default: null },
+      name: { type: String, default: null },
+    },
+    taxTreatment: { type: String, enum: ['intra_state', 'inter_state', 'none'], default: 'none' },
+    // Rounded like Invoice.total (whole rupees for INR)
+    total: { type: Number, required: true, default: 0, min: 0 },
+
+    status: { type: String, enum: ['issued', 'cancelled'], default: 'issued' },
+    issuedAt: { type: Date, default: Date.now },
+    cancelledAt: { type: Date, default: null },
+
+    createdBy: { type: Schema.Types.ObjectId, required: true, ref: 'User' },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    versionKey: false,
+  }
+);
+
+InvoiceNoteSchema.index({ createdBy: 1, type: 1, noteNo: 1 }, { unique: true });
+InvoiceNoteSchema.index({ invoiceId: 1, status: 1 });
+InvoiceNoteSchema.index({ createdBy: 1, clientId: 1, issuedAt: 1 });
+
+InvoiceNoteSchema.plugin(auditLogPlugin, { ownerField: 'createdBy' });
+
+const InvoiceNote = mongoose.model('InvoiceNote', InvoiceNoteSchema);
+export default InvoiceNote;
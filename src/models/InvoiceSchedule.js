@@ -0,0 +1,87 @@
+// InvoiceSchedule model: recurring invoice template for retainer clients
+// - Occurrences step from startDate by frequency x interval (month ends clamp, e.g. Jan 31 -> Feb 28)
+// - jobs/recurringInvoices.js creates an invoice for every due occurrence through utils/invoiceCreation.js
+// - autoSend issues the invoice and emails it; otherwise a draft is left for review
+
+import mongoose from 'mongoose';
+import auditLogPlugin from './plugins/auditLog.js';
+
+const { Schema } = mongoose;
+
+// Line template: priced and taxed at generation time like an invoice payload
+const ScheduleItemSchema = new Schema(
+  {
+    description: { type: String, required: true, trim: true },
+    serviceId: { type: Schema.Types.ObjectId, ref: 'Service', default: null },
+    rateCardId: { type: Schema.Types.ObjectId, ref: 'RateCard', default: null },
+    hsnSac: { type: String, default: null, trim: true, match: [/^[0-9]{4,8}$/, 'Invalid HSN/SAC code'] },
+    qty: { type: Number, required: true, min: 0, default: 1 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    taxRatePercent: { type: Number, default: null, min: 0, max: 100 },
+  },
+  { _id: true }
+);
+
+const InvoiceScheduleSchema = new Schema(
+  {
+    name: { type: String, default: null, trim: true },
+    createdBy: { type: Schema.Types.ObjectId, required: true, ref: 'User' },
+
+    clientId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    client: { type: Schema.Types.ObjectId, ref: 'Client', default: null },
+    projectId: { type: Schema.Types.ObjectId, ref: 'Project', default: null },
+    issuedTo: {
+      name: { type: String, required: true, trim: true },
+      company: { type: String, default: null, trim: true },
+      billingAddress: { type: String, default: null, trim: true },
+      email: { type: String, default: null, trim: true },
+      phone: { type: String, default: null, trim: true },
+      gstNumber: { type: String, default: null, trim: true },
+    },
+
+    currency: { type: String, default: 'INR' },
+    items: {
+      type: [ScheduleItemSchema],
+      validate: [(v) => Array.isArray(v) && v.length > 0, 'At least one item is required'],
+    },
+    taxInclusive: { type: Boolean, default: false },
+    placeOfSupply: { type: String, default: null, trim: true },
+    notes: { type: String, default: null, trim: true },
+    terms: { type: String, default: null, trim: true },
+    // Due date of each generated invoice, counted from its issue date
+    dueInDays: { type: Number, default: 15, min: 0, max: 365 },
+
+    frequency: { type: String, enum: ['weekly', 'monthly', 'quarterly', 'yearly'], required: true },
+    // Every N periods, e.g. frequency monthly + interval 2 = every other month
+    interval: { type: Number, default: 1, min: 1, max: 24 },
+    startDate: { type: Date, required: true },
+    // Last date an occurrence may fall on (inclusive); null runs indefinitely
+    endDate: { type: Date, default: null },
+    nextRunAt: { type: Date, default: null },
+    autoSend: { type: Boolean, default: false },
+
+    status: { type: String, enum: ['active', 'paused', 'completed'], default: 'active' },
+    pausedAt: { type: Date, default: null },
+    runCount: { type: Number, default: 0 },
+    lastRunAt: { type: Date, default: null },
+    lastInvoiceId: { type: Schema.Types.ObjectId, ref: 'Invoice', default: null },
+    lastError: { type: String, default: null },
+    // Claimed by a job run until this time, so parallel workers never bill the same occurrence twice
+    lockedUntil: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    versionKey: false,
+  }
+);
+
+InvoiceScheduleSchema.index({ status: 1, nextRunAt: 1 });
+InvoiceScheduleSchema.index({ createdBy: 1, clientId: 1 });
+
+// Claiming a run (lockedUntil) alone is not audited
+InvoiceScheduleSchema.plugin(auditLogPlugin, { ownerField: 'createdBy', ignorePaths: ['lockedUntil'] });
+
+const InvoiceSchedule = mongoose.model('InvoiceSchedule', InvoiceScheduleSchema);
+export default InvoiceSchedule;
@@ -0,0 +1,66 @@
+// InvoiceSettings model: per-owner invoicing preferences
+// numbering drives automatic invoice, credit/debit note and payment receipt numbers (utils/invoiceNumbering.js), e.g. INF/2026-27/0001
+// reminders configures the payment reminder sequence (utils/invoiceReminders.js)
+// baseCurrency is the currency of the owner's books and reports; other currencies convert through ExchangeRate
+
+import mongoose from 'mongoose';
+
+const NumberingSchema = new mongoose.Schema(
+  {
+    prefix: { type: String, trim: true, default: 'INV', maxlength: 20 },
+    // Credit/debit notes and payment receipts run their own series with the same format
+    creditNotePrefix: { type: String, trim: true, default: 'CN', maxlength: 20 },
+    debitNotePrefix: { type: String, trim: true, default: 'DN', maxlength: 20 },
+    receiptPrefix: { type: String, trim: true, default: 'RCT', maxlength: 20 },
+    // Tokens: {prefix}, {fy} (2026-27), {yyyy}, {seq} (zero-padded)
+    format: { type: String, trim: true, default: '{prefix}/{fy}/{seq}', maxlength: 60 },
+    padding: { type: Number, min: 1, max: 10, default: 4 },
+    // financial_year: sequence restarts at 1 every financial year; never: one running sequence
+    reset: { type: String, enum: ['financial_year', 'never'], default: 'financial_year' },
+    // First month of the financial year (4 = April, India)
+    fyStartMonth: { type: Number, min: 1, max: 12, default: 4 },
+  },
+  { _id: false }
+);
+
+// Email template; placeholders: {clientName} {invoiceNo} {amount} {currency} {dueDate} {days} {sellerName} {link}
+const ReminderTemplateSchema = new mongoose.Schema(
+  {
+    subject: { type: String, trim: true, maxlength: 200 },
+    body: { type: String, maxlength: 5000 },
+  },
+  { _id: false }
+);
+
+const RemindersSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: true },
+    // Days relative to the due date: negative = before, 0 = on the day, positive = overdue
+    offsets: { type: [Number], default: () => [-3, 0, 7, 14] },
+    // Overrides of the built-in templates (utils/invoiceReminders.js); unset fields use the defaults
+    templates: {
+      before: { type: ReminderTemplateSchema, default: () => ({}) },
+      due: { type: ReminderTemplateSchema, default: () => ({}) },
+      overdue: { type: ReminderTemplateSchema, default: () => ({}) },
+    },
+  },
+  { _id: false }
+);
+
+const InvoiceSettingsSchema = new mongoose.Schema(
+  {
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+    numbering: { type: NumberingSchema, default: () => ({}) },
+    // Payment reminders (dunning) sent by jobs/invoiceReminders.js
+    reminders: { type: RemindersSchema, default: () => ({}) },
+    baseCurrency: { type: String, uppercase: true, trim: true, default: 'INR', match: /^[A-Z]{3}$/ },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+const InvoiceSettings = mongoose.model('InvoiceSettings', InvoiceSettingsSchema);
+export default InvoiceSettings;
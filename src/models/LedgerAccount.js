@@ -0,0 +1,34 @@
+// LedgerAccount model: an owner's chart of accounts for double-entry bookkeeping
+// System accounts (key set, isSystem) are created on first posting by utils/ledger.js and referenced by key;
+// balances are never stored, they are summed from LedgerEntry lines
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'income', 'expense'];
+
+const LedgerAccountSchema = new Schema(
+  {
+    ownerId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    code: { type: String, required: true, trim: true, maxlength: 20 },
+    name: { type: String, required: true, trim: true, maxlength: 120 },
+    type: { type: String, enum: ACCOUNT_TYPES, required: true },
+    // Stable identifier of a system account, e.g. accounts_receivable
+    key: { type: String, trim: true, default: null },
+    isSystem: { type: Boolean, default: false },
+    description: { type: String, trim: true, default: null, maxlength: 500 },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    versionKey: false,
+  }
+);
+
+LedgerAccountSchema.index({ ownerId: 1, code: 1 }, { unique: true });
+LedgerAccountSchema.index({ ownerId: 1, key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+
+const LedgerAccount = mongoose.model('LedgerAccount', LedgerAccountSchema);
+export default LedgerAccount;
@@ -0,0 +1,68 @@
+// LedgerEntry model: a balanced journal entry (sum of debits = sum of credits) in an owner's books
+// - Entries are posted from invoices, credit/debit notes, payments and collaborator payouts (utils/ledger.js)
+// - Each source has at most one active entry per source type (a payout posts its accrual and its payment
+//   separately); when the source changes, the active entry is reversed by a
+//   mirror entry (reversalOf) and a fresh one is posted, so posted entries are never edited
+// - Amounts are in the owner's base currency; currency and fxRate record the source document's currency and
+//   the rate it was converted at
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const SOURCE_TYPES = ['invoice', 'credit_note', 'debit_note', 'payment', 'payout', 'payout_payment', 'manual'];
+
+const JournalLineSchema = new Schema(
+  {
+    accountId: { type: Schema.Types.ObjectId, ref: 'LedgerAccount', required: true },
+    accountCode: { type: String, required: true },
+    debit: { type: Number, default: 0, min: 0 },
+    credit: { type: Number, default: 0, min: 0 },
+    memo: { type: String, trim: true, default: null },
+  },
+  { _id: false }
+);
+
+const LedgerEntrySchema = new Schema(
+  {
+    ownerId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    date: { type: Date, required: true },
+    narration: { type: String, trim: true, default: null, maxlength: 500 },
+    currency: { type: String, default: 'INR' },
+    fxRate: { type: Number, default: 1 },
+    sourceType: { type: String, enum: SOURCE_TYPES, required: true },
+    sourceId: { type: Schema.Types.ObjectId, default: null },
+    lines: { type: [JournalLineSchema], default: [] },
+    // The current posting for its source; false once reversed and on reversal entries
+    active: { type: Boolean, default: true },
+    reversalOf: { type: Schema.Types.ObjectId, ref: 'LedgerEntry', default: null },
+    reversedBy: { type: Schema.Types.ObjectId, ref: 'LedgerEntry', default: null },
+    reversedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    versionKey: false,
+  }
+);
+
+LedgerEntrySchema.index({ ownerId: 1, date: 1 });
+LedgerEntrySchema.index({ ownerId: 1, 'lines.accountId': 1, date: 1 });
+LedgerEntrySchema.index({ sourceId: 1, sourceType: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+// Every entry must balance, with each line on one side only
+LedgerEntrySchema.pre('validate', function (next) {
+  const lines = this.lines || [];
+  if (lines.length < 2) return next(new Error('A journal entry needs at least two lines'));
+  if (lines.some((l) => (l.debit > 0) === (l.credit > 0))) {
+    return next(new Error('Each journal line must carry either a debit or a credit'));
+  }
+  const debit = lines.reduce((s, l) => s + l.debit, 0);
+  const credit = lines.reduce((s, l) => s + l.credit, 0);
+  if (Math.abs(debit - credit) >= 0.005) return next(new Error(`Journal entry does not balance (${debit} vs ${credit})`));
+  return next();
+});
+
+const LedgerEntry = mongoose.model('LedgerEntry', LedgerEntrySchema);
+export default LedgerEntry;
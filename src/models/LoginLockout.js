@@ -0,0 +1,24 @@
+// LoginLockout model: failed sign-in counter per account identifier, driving progressive lockout
+// Keyed by identifier rather than account id so unknown emails lock the same way as real ones.
+
+import mongoose from 'mongoose';
+
+const LoginLockoutSchema = new mongoose.Schema(
+  {
+    // e.g. "user:jane@example.com", "admin:ops@example.com", "mfa:user:<id>"
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0, min: 0 },
+    lastFailureAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
+    // Counter is forgotten a day after the last failure
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+LoginLockoutSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginLockout = mongoose.model('LoginLockout', LoginLockoutSchema);
+export default LoginLockout;
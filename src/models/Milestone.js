@@ -2,6 +2,7 @@
 // Implements your schema with validation, refs, indexes, and snake_case timestamps.
 
 import mongoose from 'mongoose';
+import auditLogPlugin from './plugins/auditLog.js';
 
 function isURL(value) {
   if (!value) return true; // allow empty
@@ -71,5 +72,18 @@ MilestoneSchema.index({ due_date: 1, status: 1 });
 MilestoneSchema.index({ 'invoice_attached.invoice_id': 1 });
 MilestoneSchema.index({ created_on: 1 });
 
+// Audit entries find the owner through the project's client
+MilestoneSchema.plugin(auditLogPlugin, {
+  resolveOwner: async (doc) => {
+    const project = await mongoose.model('Project')
+      .findOne({ $or: [{ milestones: doc._id }, { deliverables: doc._id }] })
+      .select('client')
+      .lean();
+    if (!project?.client) return null;
+    const client = await mongoose.model('Client').findById(project.client).select('added_by').lean();
+    return client?.added_by || null;
+  },
+});
+
 const Milestone = mongoose.model('Milestone', MilestoneSchema);
 export default Milestone;
\ No newline at end of file
@@ -2,13 +2,21 @@ import mongoose from 'mongoose';
 
 const OtpSchema = new mongoose.Schema(
   {
-    phone: { type: String, required: true, trim: true, index: true },
-    code: { type: String, required: true, trim: true },
-    expiresAt: { type: Date, required: true, index: true },
+    // sms codes are addressed to phone, email codes to email
+    channel: { type: String, enum: ['sms', 'email'], default: 'sms' },
+    phone: { type: String, trim: true, index: true },
+    email: { type: String, trim: true, lowercase: true, index: true },
+    // HMAC of the code (see utils/otp.js); the code itself is never stored
+    codeHash: { type: String, required: true },
+    // Requesting client, for the per-IP daily quota
+    ip: { type: String, trim: true, default: null },
+    expiresAt: { type: Date, required: true },
     lastSentAt: { type: Date, required: true },
     attempts: { type: Number, default: 0, min: 0 },
-    status: { type: String, enum: ['sent', 'verified', 'expired'], default: 'sent', index: true },
+    // locked: too many incorrect attempts
+    status: { type: String, enum: ['sent', 'verified', 'expired', 'locked'], default: 'sent', index: true },
     meta: {
+      // SMS provider name, or 'email'
       provider: { type: String, default: 'fast2sms' },
       route: { type: String, default: 'otp' },
     },
@@ -21,6 +29,10 @@ const OtpSchema = new mongoose.Schema(
 );
 
 OtpSchema.index({ phone: 1, created_at: -1 });
+OtpSchema.index({ email: 1, created_at: -1 });
+OtpSchema.index({ ip: 1, created_at: -1 });
+// Purge a day after expiry; the daily quotas count documents from the last 24h
+OtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
 
 const Otp = mongoose.model('Otp', OtpSchema);
 export default Otp;
@@ -1,7 +1,10 @@
 // Payment model: records payments against invoices with payer/receiver refs
 // Implements your schema with validation, enums, indexes, and snake_case timestamps.
+// amount is the cash received; tds_amount is TDS the client deducted, which settles the invoice as well
 
 import mongoose from 'mongoose';
+import auditLogPlugin from './plugins/auditLog.js';
+import { round2 } from '../utils/helpers.js';
 
 function isURL(value) {
   if (!value) return true; // allow empty
@@ -13,6 +16,46 @@ function isURL(value) {
   }
 }
 
+// Income-tax sections TDS is deducted under (also used by Payout)
+export const TDS_SECTIONS = ['194C', '194J', '194H', '194I', '194O', '194Q', '195', 'other'];
+
+// Form 16A: the client's TDS certificate for the quarter, needed to claim the deduction
+const Form16aSchema = new mongoose.Schema(
+  {
+    certificate_no: { type: String, trim: true, default: null },
+    received_on: { type: Date, default: null },
+    file_url: { type: String, trim: true, default: null, validate: [isURL, 'Invalid URL'] },
+  },
+  { _id: false }
+);
+
+// Exchange rate on the payment date and the realised gain (+) or loss (-) against the invoice's rate,
+// in the owner's base currency (utils/fx.js)
+const PaymentFxSchema = new mongoose.Schema(
+  {
+    base_currency: { type: String, required: true },
+    rate: { type: Number, required: true, min: 0 },
+    rate_date: { type: Date, default: null },
+    invoice_rate: { type: Number, required: true, min: 0 },
+    gain_loss: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Numbered receipt generated once the payment is verified (utils/paymentReceipts.js)
+const ReceiptSchema = new mongoose.Schema(
+  {
+    number: { type: String, trim: true },
+    issuedAt: { type: Date },
+    // Cached PDF in storage; pdfHash fingerprints the content it was rendered from
+    pdfUrl: { type: String, trim: true, default: null },
+    pdfHash: { type: String, default: null },
+    emailedAt: { type: Date, default: null },
+    emailedTo: { type: String, trim: true, default: null },
+  },
+  { _id: false }
+);
+
 const PaymentSchema = new mongoose.Schema(
   {
     // Date when payment occurred
@@ -24,15 +67,27 @@ const PaymentSchema = new mongoose.Schema(
     // Mode of payment
     mode: { type: String, enum: ['BANK', 'UPI'], required: true, index: true },
 
+    // TDS deducted by the client: section, rate (percent) and amount
+    tds_section: { type: String, enum: [...TDS_SECTIONS, null], default: null },
+    tds_rate: { type: Number, min: 0, max: 100, default: 0 },
+    tds_amount: { type: Number, min: 0, default: 0 },
+    form16a: { type: Form16aSchema, default: undefined },
+
+    // Amounts are in the invoice's currency; fx converts them to the owner's base currency
+    fx: { type: PaymentFxSchema, default: undefined },
+
     // External transaction identifier (if any)
     transaction_id: { type: String, trim: true, unique: true, sparse: true, index: true },
 
     // Notes or remarks
     remarks: { type: String, trim: true, maxlength: 1000 },
 
-    // Receipt URL
+    // Receipt URL (externally uploaded file)
     receipt_url: { type: String, trim: true, validate: [isURL, 'Invalid URL'] },
 
+    // Generated payment receipt
+    receipt: { type: ReceiptSchema, default: undefined },
+
     // Verification state
     is_verified: { type: Boolean, default: false, index: true },
 
@@ -48,11 +103,25 @@ const PaymentSchema = new mongoose.Schema(
   }
 );
 
+PaymentSchema.pre('validate', function (next) {
+  this.tds_amount = round2(this.tds_amount);
+  if (this.tds_amount > 0 && !this.tds_section) return next(new Error('tds_section is required when TDS is deducted'));
+  return next();
+});
+
 // Helpful indexes for reporting and lookups
 PaymentSchema.index({ invoice_id: 1, payment_date: 1 });
 PaymentSchema.index({ paid_by: 1, payment_date: 1 });
 PaymentSchema.index({ received_by: 1, payment_date: 1 });
+PaymentSchema.index({ received_by: 1, tds_amount: 1, payment_date: 1 });
+// Receipt numbers are unique per owner
+PaymentSchema.index(
+  { received_by: 1, 'receipt.number': 1 },
+  { unique: true, partialFilterExpression: { 'receipt.number': { $type: 'string' } } }
+);
 
 // Export model
+PaymentSchema.plugin(auditLogPlugin, { ownerField: 'received_by' });
+
 const Payment = mongoose.model('Payment', PaymentSchema);
 export default Payment;
\ No newline at end of file
@@ -0,0 +1,91 @@
+// Payout model: money owed to a collaborator for work on a project, optionally priced from a RateCard
+// - Workflow: pending -> approved -> paid; only pending payouts can be edited, paid ones are final
+// - tdsAmount is withheld from amount (gross); netAmount is what the collaborator receives
+// - paymentMethod is a snapshot of the entry chosen from the collaborator user's paymentInformation
+// - Approval and payment post to the owner's books (utils/ledger.js) in its base currency
+
+import mongoose from 'mongoose';
+import auditLogPlugin from './plugins/auditLog.js';
+import { TDS_SECTIONS } from './Payment.js';
+import { FxSnapshotSchema } from './ExchangeRate.js';
+import { round2 } from '../utils/helpers.js';
+
+const { Schema } = mongoose;
+
+export const PAYOUT_STATUSES = ['pending', 'approved', 'paid'];
+
+const PayoutMethodSchema = new Schema(
+  {
+    method: { type: String, enum: ['upi', 'bank_transfer', 'payoneer', 'paypal', 'stripe', 'other'], required: true },
+    upiId: { type: String, trim: true, default: null },
+    bank: {
+      accountName: { type: String, trim: true, default: null },
+      ifsc: { type: String, trim: true, default: null },
+    },
+    isVerified: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const PayoutSchema = new Schema(
+  {
+    // Owner whose books carry the payout (the collaborator's managed_by)
+    ownerId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    collaboratorId: { type: Schema.Types.ObjectId, ref: 'Collaborator', required: true },
+    // Copied from the collaborator so reports and ledger narrations don't need a lookup
+    collaboratorUserId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    collaboratorName: { type: String, trim: true, default: null },
+    projectId: { type: Schema.Types.ObjectId, ref: 'Project', required: true },
+    rateCardId: { type: Schema.Types.ObjectId, ref: 'RateCard', default: null },
+    description: { type: String, trim: true, default: null, maxlength: 1000 },
+
+    currency: { type: String, default: 'INR' },
+    amount: { type: Number, required: true, min: 0 },
+    tdsSection: { type: String, enum: [...TDS_SECTIONS, null], default: null },
+    tdsPercent: { type: Number, default: 0, min: 0, max: 100 },
+    tdsAmount: { type: Number, default: 0, min: 0 },
+    netAmount: { type: Number, default: 0, min: 0 },
+    // Exchange rates to the owner's base currency captured on approval and on payment (utils/fx.js)
+    fx: { type: FxSnapshotSchema, default: null },
+    paidFx: { type: FxSnapshotSchema, default: null },
+
+    paymentMethod: { type: PayoutMethodSchema, default: null },
+
+    status: { type: String, enum: PAYOUT_STATUSES, default: 'pending' },
+    approvedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    approvedAt: { type: Date, default: null },
+    paidBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    paidAt: { type: Date, default: null },
+    // Bank/UPI reference of the transfer
+    transactionRef: { type: String, trim: true, default: null },
+    notes: { type: String, trim: true, default: null, maxlength: 2000 },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    versionKey: false,
+  }
+);
+
+PayoutSchema.index({ ownerId: 1, status: 1, createdAt: -1 });
+PayoutSchema.index({ ownerId: 1, collaboratorId: 1 });
+PayoutSchema.index({ projectId: 1 });
+
+// TDS is withheld from the gross amount: derived from tdsPercent when one is set, otherwise tdsAmount as given
+PayoutSchema.pre('validate', function (next) {
+  this.amount = round2(this.amount);
+  if (this.tdsPercent) this.tdsAmount = round2((this.amount * this.tdsPercent) / 100);
+  this.tdsAmount = round2(this.tdsAmount);
+  if (this.tdsAmount > this.amount) return next(new Error('tdsAmount cannot exceed amount'));
+  if (this.tdsAmount > 0 && !this.tdsSection) return next(new Error('tdsSection is required when TDS is withheld'));
+  this.netAmount = round2(this.amount - this.tdsAmount);
+  return next();
+});
+
+PayoutSchema.plugin(auditLogPlugin, { ownerField: 'ownerId' });
+
+const Payout = mongoose.model('Payout', PayoutSchema);
+export default Payout;
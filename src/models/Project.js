@@ -2,6 +2,7 @@
 // Implements your schema with validation, references, normalization, indexes, and snake_case timestamps.
 
 import mongoose from 'mongoose';
+import auditLogPlugin, { ownerThrough } from './plugins/auditLog.js';
 
 function isURL(value) {
   if (!value) return true;
@@ -82,6 +83,8 @@ const ProjectSchema = new mongoose.Schema(
     end_date: { type: Date, index: true },
 
     project_budget: { type: Number, min: 0, default: 0 },
+    // Costs at this share of the budget raise a profitability alert (utils/projectFinancials.js); null = default
+    cost_alert_percent: { type: Number, min: 1, max: 1000, default: null },
 
     status: {
       type: String,
@@ -175,5 +178,7 @@ ProjectSchema.index({ invoices: 1 });
 ProjectSchema.index({ 'target.platforms': 1 });
 ProjectSchema.index({ name: 1, client: 1 }, { unique: true });
 
+ProjectSchema.plugin(auditLogPlugin, { resolveOwner: ownerThrough('Client', 'client', 'added_by') });
+
 const Project = mongoose.model('Project', ProjectSchema);
 export default Project;
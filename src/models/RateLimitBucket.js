@@ -0,0 +1,25 @@
+// RateLimitBucket model: per-key request counters for the Mongo rate-limit store (middleware/rateLimit.js)
+// One document per key and fixed window; the sliding estimate combines the current and previous window.
+
+import mongoose from 'mongoose';
+
+const RateLimitBucketSchema = new mongoose.Schema(
+  {
+    // "<policy name>:<client key>", e.g. "auth:login:203.0.113.7"
+    key: { type: String, required: true },
+    // Start of the fixed window (ms since epoch, aligned to the policy window)
+    windowStart: { type: Number, required: true },
+    count: { type: Number, default: 0, min: 0 },
+    // Kept until the following window has also passed
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+RateLimitBucketSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+RateLimitBucketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitBucket = mongoose.model('RateLimitBucket', RateLimitBucketSchema);
+export default RateLimitBucket;
@@ -2,6 +2,7 @@
 // Allows each user (owner) to create their own roles and assign team members.
 
 import mongoose from 'mongoose';
+import auditLogPlugin from './plugins/auditLog.js';
 
 // Permission matrix: flexible object { [group]: { [key]: boolean } }
 // We use Mixed for flexibility and add validations in hooks.
@@ -129,5 +130,7 @@ RoleSchema.pre('findOneAndUpdate', async function (next) {
   }
 });
 
+RoleSchema.plugin(auditLogPlugin, { ownerField: 'createdBy' });
+
 const Role = mongoose.model('Role', RoleSchema);
 export default Role;
\ No newline at end of file
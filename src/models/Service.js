@@ -8,6 +8,9 @@ const ServiceSchema = new mongoose.Schema(
     unit: { type: String, required: true, trim: true },
     defaultDeliverables: { type: [String], default: [] },
     tags: { type: [String], default: [] },
+    // GST defaults for invoice lines that reference this service
+    sacCode: { type: String, default: null, trim: true, match: [/^[0-9]{4,8}$/, 'Invalid HSN/SAC code'] },
+    gstRatePercent: { type: Number, default: null, min: 0, max: 100 },
     isActive: { type: Boolean, default: true },
     user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
     status: { type: String, enum: ['active','inactive'], default: 'active', index: true },
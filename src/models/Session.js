@@ -0,0 +1,37 @@
+// Session model: one row per login (device), backing refresh-token rotation and server-side revocation
+// Access JWTs carry the session id (sid); a revoked or expired session invalidates its tokens.
+
+import mongoose from 'mongoose';
+
+const SessionSchema = new mongoose.Schema(
+  {
+    // Who the session belongs to
+    subjectType: { type: String, enum: ['admin', 'user'], required: true },
+    subjectId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    // SHA-256 of the current refresh token secret (never store the raw token)
+    refreshTokenHash: { type: String, required: true },
+    // Hash of the token this one replaced; presenting it again signals token theft
+    previousTokenHash: { type: String, default: null },
+    // Client details captured at login/refresh
+    userAgent: { type: String, trim: true, default: null },
+    ip: { type: String, trim: true, default: null },
+    lastUsedAt: { type: Date, default: null },
+    // Absolute refresh expiry; documents are purged by the TTL index below
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    // e.g. logout, logout_all, password_changed, banned, deactivated, refresh_reuse
+    revokedReason: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+SessionSchema.index({ subjectType: 1, subjectId: 1, revokedAt: 1 });
+// Purge sessions once their refresh window has passed
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', SessionSchema);
+export default Session;
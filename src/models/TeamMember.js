@@ -2,6 +2,7 @@
 // Separate from User model; links to owner (managed_by) and tenant-scoped Role
 
 import mongoose from 'mongoose';
+import auditLogPlugin from './plugins/auditLog.js';
 
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 const PHONE_REGEX = /^\+?[0-9]{7,15}$/; // E.164-like
@@ -92,5 +93,7 @@ TeamMemberSchema.pre('findOneAndUpdate', async function (next) {
   }
 });
 
+TeamMemberSchema.plugin(auditLogPlugin, { ownerField: 'managed_by' });
+
 const TeamMember = mongoose.model('TeamMember', TeamMemberSchema);
 export default TeamMember;
\ No newline at end of file
@@ -155,8 +155,8 @@ const PaymentInformationSchema = new mongoose.Schema(
         trim: true,
         match: [PHONE_REGEX, 'Invalid phone number'],
       },
-      // Password hash storage (never store plain text)
-      passwordHash: { type: String },
+      // Password hash storage (never store plain text); excluded from queries unless selected explicitly
+      passwordHash: { type: String, select: false },
       // User accepted ToS/Privacy terms
       acceptTerms: { type: Boolean, default: true },
       // Avatar image URL for profile picture
@@ -252,6 +252,20 @@ const PaymentInformationSchema = new mongoose.Schema(
       notificationSettings: { type: mongoose.Schema.Types.Mixed },
     },
 
+    // TOTP two-factor authentication (secrets encrypted, recovery codes hashed; never selected by default)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      // Secret generated at setup, promoted to secret once a code confirms enrollment
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: { type: [String], select: false },
+      // Last accepted TOTP time step, to reject replays of the same code
+      lastUsedStep: { type: Number, select: false },
+      enabledAt: { type: Date },
+      // Owners only: every TeamMember under this owner must enroll before accessing owner data
+      requireForTeam: { type: Boolean, default: false },
+    },
+
     // Verification state tracking for email/phone/KYC
     verification: {
       emailVerified: { type: Boolean, default: false },
@@ -280,8 +294,14 @@ const PaymentInformationSchema = new mongoose.Schema(
     {
     // Enable automatic top-level timestamps (createdAt, updatedAt)
     timestamps: true,
-    // Include virtuals when converting to JSON/Object
-    toJSON: { virtuals: true },
+    // Include virtuals when converting to JSON/Object; never serialize the password hash
+    toJSON: {
+      virtuals: true,
+      transform(doc, ret) {
+        if (ret.registration) delete ret.registration.passwordHash;
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
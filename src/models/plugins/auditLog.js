@@ -0,0 +1,172 @@
+// Mongoose plugin: write an AuditLog entry for every create/update/delete on the schema's model
+// Covers document save/deleteOne, insertMany and the update/delete query helpers
+// (findByIdAndUpdate, updateOne, updateMany, findByIdAndDelete, deleteOne, deleteMany).
+// The actor, IP and user agent come from utils/requestContext.js.
+//
+// Options:
+// - ownerField: path holding the owner account id (e.g. 'createdBy', 'managed_by')
+// - resolveOwner(doc): async fallback when the owner is not stored on the document
+// - ignorePaths: extra top-level paths whose changes are not worth an entry (e.g. job locks)
+//
+// Audit reads and writes join the operation's session, so inside a transaction they see its uncommitted
+// state and are rolled back with it.
+// Audit writes never fail the original operation; errors are logged and swallowed.
+
+import mongoose from 'mongoose';
+import AuditLog from '../AuditLog.js';
+import { getRequestContext } from '../../utils/requestContext.js';
+
+// Bookkeeping paths that change on every write
+const IGNORED_PATHS = new Set(['__v', 'updatedAt', 'updated_at']);
+const BEFORE = Symbol('auditBefore');
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value ?? null));
+}
+
+// Flatten to dotted paths; arrays are compared as a whole
+function flatten(value, prefix = '', out = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+    for (const [key, child] of Object.entries(value)) {
+      if (!prefix && IGNORED_PATHS.has(key)) continue;
+      flatten(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+export function diffDocuments(before, after) {
+  const a = flatten(plain(before));
+  const b = flatten(plain(after));
+  const changes = [];
+  for (const path of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (JSON.stringify(a[path] ?? null) !== JSON.stringify(b[path] ?? null)) {
+      changes.push({ path, before: a[path] ?? null, after: b[path] ?? null });
+    }
+  }
+  return changes;
+}
+
+export default function auditLogPlugin(schema, options = {}) {
+  const { ownerField = null, resolveOwner = null } = options;
+  const ignored = new Set(options.ignorePaths || []);
+
+  async function ownerOf(doc, ctx) {
+    if (ownerField) {
+      const value = ownerField.split('.').reduce((acc, key) => (acc == null ? acc : acc[key]), doc);
+      if (value) return value._id || value;
+    }
+    if (resolveOwner) {
+      const resolved = await resolveOwner(doc);
+      if (resolved) return resolved;
+    }
+    return ctx?.ownerId || null;
+  }
+
+  async function record(modelName, action, { before = null, after = null }, session = null) {
+    try {
+      const ctx = getRequestContext();
+      const doc = after || before;
+      if (!doc?._id) return;
+      const entry = {
+        entity: modelName,
+        entityId: doc._id,
+        action,
+        actor: ctx?.actor
+          ? { type: ctx.actor.type, id: ctx.actor.id, teamMemberId: ctx.actor.teamMemberId, email: ctx.actor.email }
+          : { type: 'system' },
+        ownerId: await ownerOf(doc, ctx),
+        ip: ctx?.ip ? String(ctx.ip) : null,
+        userAgent: ctx?.userAgent || null,
+      };
+      if (action === 'update') {
+        entry.changes = diffDocuments(before, after).filter((c) => !ignored.has(c.path.split('.')[0]));
+        if (entry.changes.length === 0) return;
+      } else if (action === 'create') {
+        entry.after = plain(after);
+      } else {
+        entry.before = plain(before);
+      }
+      await new AuditLog(entry).save({ session });
+    } catch (err) {
+      console.warn(`auditLog(${modelName}) failed:`, err.message);
+    }
+  }
+
+  // Document save: create, or update against the stored version
+  schema.pre('save', async function () {
+    this.$locals.auditAction = this.isNew ? 'create' : 'update';
+    if (!this.isNew) {
+      this.$locals.auditBefore = await this.constructor.findById(this._id).session(this.$session()).lean();
+    }
+  });
+  schema.post('save', async function (doc) {
+    const after = doc.toObject({ depopulate: true, virtuals: false, transform: false });
+    if (doc.$locals.auditAction === 'create') {
+      await record(doc.constructor.modelName, 'create', { after }, doc.$session());
+    } else if (doc.$locals.auditBefore) {
+      await record(doc.constructor.modelName, 'update', { before: doc.$locals.auditBefore, after }, doc.$session());
+    }
+  });
+
+  schema.post('insertMany', async function (docs) {
+    for (const doc of docs || []) {
+      await record(this.modelName, 'create', { after: doc.toObject({ depopulate: true, virtuals: false, transform: false }) }, doc.$session());
+    }
+  });
+
+  // Query updates: snapshot matched documents, then diff against their new state
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], { document: false, query: true }, async function () {
+    const single = this.op !== 'updateMany';
+    const query = this.model.find(this.getFilter()).session(this.getOptions().session || null).lean();
+    this[BEFORE] = await (single ? query.limit(1) : query);
+  });
+  schema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], { document: false, query: true }, async function () {
+    const befores = this[BEFORE] || [];
+    if (befores.length === 0) return;
+    const session = this.getOptions().session || null;
+    const afters = await this.model.find({ _id: { $in: befores.map((d) => d._id) } }).session(session).lean();
+    const byId = new Map(afters.map((d) => [String(d._id), d]));
+    for (const before of befores) {
+      const after = byId.get(String(before._id));
+      if (after) await record(this.model.modelName, 'update', { before, after }, session);
+    }
+  });
+
+  // Query deletes: snapshot matched documents and log the ones that are gone afterwards
+  schema.pre(['findOneAndDelete', 'deleteOne', 'deleteMany'], { document: false, query: true }, async function () {
+    const single = this.op !== 'deleteMany';
+    const query = this.model.find(this.getFilter()).session(this.getOptions().session || null).lean();
+    this[BEFORE] = await (single ? query.limit(1) : query);
+  });
+  schema.post(['findOneAndDelete', 'deleteOne', 'deleteMany'], { document: false, query: true }, async function () {
+    const befores = this[BEFORE] || [];
+    if (befores.length === 0) return;
+    const session = this.getOptions().session || null;
+    const remaining = await this.model.find({ _id: { $in: befores.map((d) => d._id) } }).select('_id').session(session).lean();
+    const left = new Set(remaining.map((d) => String(d._id)));
+    for (const before of befores) {
+      if (!left.has(String(before._id))) await record(this.model.modelName, 'delete', { before }, session);
+    }
+  });
+
+  // Document deleteOne (doc.deleteOne())
+  schema.pre('deleteOne', { document: true, query: false }, function () {
+    this.$locals.auditBefore = this.toObject({ depopulate: true, virtuals: false, transform: false });
+  });
+  schema.post('deleteOne', { document: true, query: false }, async function () {
+    await record(this.constructor.modelName, 'delete', { before: this.$locals.auditBefore }, this.$session());
+  });
+}
+
+// Owner lookup through a referenced model, e.g. Project -> Client.added_by
+export function ownerThrough(modelName, refPath, ownerPath) {
+  return async (doc) => {
+    const refId = doc?.[refPath];
+    if (!refId) return null;
+    const ref = await mongoose.model(modelName).findById(refId._id || refId).select(ownerPath).lean();
+    return ref?.[ownerPath] || null;
+  };
+}
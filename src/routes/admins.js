@@ -5,11 +5,12 @@ import { requireAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.get('/', AdminController.list);
+// Admin accounts are managed by admins only
+router.get('/', requireAdmin, AdminController.list);
 router.get('/me', requireAdmin, AdminController.me);
-router.get('/:id', AdminController.getById);
-router.post('/', AdminController.create);
-router.put('/:id', AdminController.update);
-router.delete('/:id', AdminController.remove);
+router.get('/:id', requireAdmin, AdminController.getById);
+router.post('/', requireAdmin, AdminController.create);
+router.put('/:id', requireAdmin, AdminController.update);
+router.delete('/:id', requireAdmin, AdminController.remove);
 
-export default router;
\ No newline at end of file
+export default router;
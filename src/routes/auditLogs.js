@@ -0,0 +1,11 @@
+// AuditLogs routes: wires AuditLogController to HTTP endpoints (read-only)
+import express from 'express';
+import AuditLogController from '../controllers/AuditLogController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/', authorize('audit_log', 'view_audit_log'), AuditLogController.list);
+router.get('/:id', authorize('audit_log', 'view_audit_log'), AuditLogController.getById);
+
+export default router;
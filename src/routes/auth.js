@@ -1,17 +1,60 @@
 // Auth routes: admin and user login endpoints
 import express from 'express';
 import AuthController from '../controllers/AuthController.js';
-import { requireUser } from '../middleware/auth.js';
+import TwoFactorController from '../controllers/TwoFactorController.js';
+import { authenticate, requireUser } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
+// Rate-limit policies (per client IP); failed logins also lock the account progressively (utils/loginLockout.js)
+const MINUTE = 60 * 1000;
+const loginLimit = rateLimit({ name: 'auth:login', windowMs: 15 * MINUTE, max: 20 });
+const secondFactorLimit = rateLimit({ name: 'auth:2fa', windowMs: 15 * MINUTE, max: 20 });
+const emailLinkLimit = rateLimit({ name: 'auth:email-link', windowMs: 60 * MINUTE, max: 10 });
+const tokenLimit = rateLimit({ name: 'auth:token', windowMs: 15 * MINUTE, max: 30 });
+const refreshLimit = rateLimit({ name: 'auth:refresh', windowMs: MINUTE, max: 30 });
+
 // Admin login: returns JWT token and admin info
-router.post('/admin/login', AuthController.loginAdmin);
+router.post('/admin/login', loginLimit, AuthController.loginAdmin);
+
+// User login: returns JWT token and user info (password required)
+router.post('/user/login', loginLimit, AuthController.loginUser);
 
-// User login (optional stub): returns JWT token and user info
-router.post('/user/login', AuthController.loginUser);
+// Passwordless login with a phone or email OTP (codes from /api/otp/send)
+router.post('/otp/login', loginLimit, AuthController.loginWithOtp);
+
+// Claim an auto-provisioned account (first password via emailed link)
+router.post('/user/claim', emailLinkLimit, AuthController.requestUserClaim);
+router.post('/user/claim/complete', tokenLimit, AuthController.completeUserClaim);
 
 // Secure password change for authenticated user
-router.put('/user/password', requireUser, AuthController.changeUserPassword);
+router.put('/user/password', loginLimit, requireUser, AuthController.changeUserPassword);
+
+// Forgot/reset password via single-use emailed tokens
+router.post('/user/forgot-password', emailLinkLimit, AuthController.forgotUserPassword);
+router.post('/user/reset-password', tokenLimit, AuthController.resetUserPassword);
+router.post('/admin/forgot-password', emailLinkLimit, AuthController.forgotAdminPassword);
+router.post('/admin/reset-password', tokenLimit, AuthController.resetAdminPassword);
+
+// Email verification for users
+router.post('/user/verify-email/send', emailLinkLimit, requireUser, AuthController.sendUserVerification);
+router.post('/user/verify-email', tokenLimit, AuthController.verifyUserEmail);
+
+// Two-factor authentication (TOTP): second login step, enrollment and owner team policy
+router.post('/2fa/verify', secondFactorLimit, AuthController.verifyTwoFactorLogin);
+router.get('/2fa', authenticate, TwoFactorController.status);
+router.post('/2fa/setup', authenticate, TwoFactorController.setup);
+router.post('/2fa/enable', authenticate, TwoFactorController.enable);
+router.post('/2fa/disable', secondFactorLimit, authenticate, TwoFactorController.disable);
+router.post('/2fa/recovery-codes', authenticate, TwoFactorController.regenerateRecoveryCodes);
+router.put('/2fa/team-policy', requireUser, TwoFactorController.setTeamPolicy);
+
+// Exchange a refresh token for a new access/refresh pair (rotation)
+router.post('/refresh', refreshLimit, AuthController.refresh);
+
+// Revoke the current session, or every session of the caller
+router.post('/logout', authenticate, AuthController.logout);
+router.post('/logout-all', authenticate, AuthController.logoutAll);
 
 export default router;
\ No newline at end of file
@@ -1,13 +1,14 @@
 // Categories routes: wires CategoryController to HTTP endpoints
 import express from 'express';
 import CategoryController from '../controllers/CategoryController.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.get('/', CategoryController.list);
-router.get('/:id', CategoryController.getById);
-router.post('/', CategoryController.create);
-router.put('/:id', CategoryController.update);
-router.delete('/:id', CategoryController.remove);
+router.get('/', authenticate, CategoryController.list);
+router.get('/:id', authenticate, CategoryController.getById);
+router.post('/', requireAdmin, CategoryController.create);
+router.put('/:id', requireAdmin, CategoryController.update);
+router.delete('/:id', requireAdmin, CategoryController.remove);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -2,16 +2,20 @@
 import express from 'express';
 import multer from 'multer';
 import ClientController from '../controllers/ClientController.js';
+import ReportController from '../controllers/ReportController.js';
+import { authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
 
-router.get('/', ClientController.list);
-router.get('/:id', ClientController.getById);
-router.get('/user/:userId', ClientController.getByUserId);
+router.get('/', authorize('client', 'view_client'), ClientController.list);
+router.get('/:id', authorize('client', 'view_client'), ClientController.getById);
+// Statement of account: ?from=&to=&format=json|csv|pdf
+router.get('/:id/statement', authorize('invoice', 'view_invoice'), ReportController.clientStatement);
+router.get('/user/:userId', authorize('client', 'view_client'), ClientController.getByUserId);
 // Accept optional logo file via multipart form-data
-router.post('/', upload.single('logo'), ClientController.create);
-router.put('/:id', upload.single('logo'), ClientController.update);
-router.delete('/:id', ClientController.remove);
+router.post('/', authorize('client', 'create_client'), upload.single('logo'), ClientController.create);
+router.put('/:id', authorize('client', 'update_client'), upload.single('logo'), ClientController.update);
+router.delete('/:id', authorize('client', 'delete_client'), ClientController.remove);
 
 export default router;
@@ -1,17 +1,18 @@
 // Collaborators routes: wires CollaboratorController to HTTP endpoints
 import express from 'express';
 import CollaboratorController from '../controllers/CollaboratorController.js';
+import { authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.get('/', CollaboratorController.list);
-router.get('/user/:userId', CollaboratorController.getByUserId);
-router.get('/:id', CollaboratorController.getById);
-router.post('/', CollaboratorController.create);
-router.put('/:id', CollaboratorController.update);
-router.put('/:id/profile-icon', CollaboratorController.updateProfileIcon);
-router.put('/:id/samples', CollaboratorController.updateSamples);
-router.put('/:id/role-profile', CollaboratorController.updateRoleProfile);
-router.delete('/:id', CollaboratorController.remove);
+router.get('/', authorize('collaborator', 'view_collaborator'), CollaboratorController.list);
+router.get('/user/:userId', authorize('collaborator', 'view_collaborator'), CollaboratorController.getByUserId);
+router.get('/:id', authorize('collaborator', 'view_collaborator'), CollaboratorController.getById);
+router.post('/', authorize('collaborator', 'create_collaborator'), CollaboratorController.create);
+router.put('/:id', authorize('collaborator', 'update_collaborator'), CollaboratorController.update);
+router.put('/:id/profile-icon', authorize('collaborator', 'update_collaborator'), CollaboratorController.updateProfileIcon);
+router.put('/:id/samples', authorize('collaborator', 'update_collaborator'), CollaboratorController.updateSamples);
+router.put('/:id/role-profile', authorize('collaborator', 'update_collaborator'), CollaboratorController.updateRoleProfile);
+router.delete('/:id', authorize('collaborator', 'delete_collaborator'), CollaboratorController.remove);
 
 export default router;
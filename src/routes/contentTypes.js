@@ -1,17 +1,18 @@
 import express from 'express';
 import ContentTypeController from '../controllers/ContentTypeController.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // List
-router.get('/', ContentTypeController.list);
+router.get('/', authenticate, ContentTypeController.list);
 // Get by id
-router.get('/:id', ContentTypeController.getById);
-// Create
-router.post('/', ContentTypeController.create);
-// Update
-router.put('/:id', ContentTypeController.update);
-// Delete
-router.delete('/:id', ContentTypeController.remove);
+router.get('/:id', authenticate, ContentTypeController.getById);
+// Create (admin only)
+router.post('/', requireAdmin, ContentTypeController.create);
+// Update (admin only)
+router.put('/:id', requireAdmin, ContentTypeController.update);
+// Delete (admin only)
+router.delete('/:id', requireAdmin, ContentTypeController.remove);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -1,9 +1,13 @@
 import express from 'express';
 import EmailController from '../controllers/EmailController.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
-router.post('/welcome', EmailController.sendWelcome);
+const welcomeLimit = rateLimit({ name: 'email:welcome', windowMs: 60 * 60 * 1000, max: 5 });
+
+// Public, no auth needed (rate limited)
+router.post('/welcome', welcomeLimit, EmailController.sendWelcome);
 
 export default router;
 
@@ -0,0 +1,15 @@
+// Exchange rates routes: wires ExchangeRateController to HTTP endpoints
+import express from 'express';
+import ExchangeRateController from '../controllers/ExchangeRateController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/', authorize('invoice', 'view_invoice'), ExchangeRateController.list);
+router.post('/', authorize('invoice', 'update_invoice'), ExchangeRateController.create);
+router.get('/base-currency', authorize('invoice', 'view_invoice'), ExchangeRateController.getBaseCurrency);
+router.put('/base-currency', authorize('invoice', 'update_invoice'), ExchangeRateController.updateBaseCurrency);
+router.put('/:id', authorize('invoice', 'update_invoice'), ExchangeRateController.update);
+router.delete('/:id', authorize('invoice', 'update_invoice'), ExchangeRateController.remove);
+
+export default router;
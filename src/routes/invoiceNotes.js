@@ -0,0 +1,13 @@
+// Invoice notes routes: wires InvoiceNoteController to HTTP endpoints
+// Notes are issued under /api/invoices/:id/credit-notes and /debit-notes
+import express from 'express';
+import InvoiceNoteController from '../controllers/InvoiceNoteController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/', authorize('invoice', 'view_invoice'), InvoiceNoteController.list);
+router.get('/:id', authorize('invoice', 'view_invoice'), InvoiceNoteController.getById);
+router.post('/:id/cancel', authorize('invoice', 'update_invoice'), InvoiceNoteController.cancel);
+
+export default router;
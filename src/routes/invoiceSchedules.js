@@ -0,0 +1,17 @@
+// Invoice schedules routes: wires InvoiceScheduleController to HTTP endpoints
+import express from 'express';
+import InvoiceScheduleController from '../controllers/InvoiceScheduleController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/', authorize('invoice', 'view_invoice'), InvoiceScheduleController.list);
+router.get('/:id', authorize('invoice', 'view_invoice'), InvoiceScheduleController.getById);
+router.get('/:id/preview', authorize('invoice', 'view_invoice'), InvoiceScheduleController.preview);
+router.post('/', authorize('invoice', 'create_invoice'), InvoiceScheduleController.create);
+router.put('/:id', authorize('invoice', 'update_invoice'), InvoiceScheduleController.update);
+router.post('/:id/pause', authorize('invoice', 'update_invoice'), InvoiceScheduleController.pause);
+router.post('/:id/resume', authorize('invoice', 'update_invoice'), InvoiceScheduleController.resume);
+router.delete('/:id', authorize('invoice', 'delete_invoice'), InvoiceScheduleController.remove);
+
+export default router;
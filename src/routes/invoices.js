@@ -1,14 +1,26 @@
 // Invoices routes: wires InvoiceController to HTTP endpoints
 import express from 'express';
 import InvoiceController from '../controllers/InvoiceController.js';
+import InvoiceNoteController from '../controllers/InvoiceNoteController.js';
+import { authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.get('/', InvoiceController.list);
-router.get('/user/:userId', InvoiceController.getByUserId);
-router.get('/:id', InvoiceController.getById);
-router.post('/', InvoiceController.create);
-router.put('/:id', InvoiceController.update);
-router.post('/:id/cancel', InvoiceController.cancel);
+router.get('/', authorize('invoice', 'view_invoice'), InvoiceController.list);
+router.get('/settings/numbering', authorize('invoice', 'view_invoice'), InvoiceController.getNumbering);
+router.put('/settings/numbering', authorize('invoice', 'update_invoice'), InvoiceController.updateNumbering);
+router.get('/settings/reminders', authorize('invoice', 'view_invoice'), InvoiceController.getReminderSettings);
+router.put('/settings/reminders', authorize('invoice', 'update_invoice'), InvoiceController.updateReminderSettings);
+router.get('/user/:userId', authorize('invoice', 'view_invoice', { owner: (req) => req.params.userId }), InvoiceController.getByUserId);
+router.get('/:id', authorize('invoice', 'view_invoice'), InvoiceController.getById);
+router.get('/:id/pdf', authorize('invoice', 'view_invoice'), InvoiceController.pdf);
+router.post('/', authorize('invoice', 'create_invoice'), InvoiceController.create);
+router.put('/:id', authorize('invoice', 'update_invoice'), InvoiceController.update);
+router.post('/:id/cancel', authorize('invoice', ['update_invoice', 'delete_invoice']), InvoiceController.cancel);
+router.post('/:id/reminders/stop', authorize('invoice', 'update_invoice'), InvoiceController.stopReminders);
+router.post('/:id/reminders/resume', authorize('invoice', 'update_invoice'), InvoiceController.resumeReminders);
+router.get('/:id/notes', authorize('invoice', 'view_invoice'), InvoiceNoteController.listForInvoice);
+router.post('/:id/credit-notes', authorize('invoice', 'update_invoice'), InvoiceNoteController.issueCredit);
+router.post('/:id/debit-notes', authorize('invoice', 'update_invoice'), InvoiceNoteController.issueDebit);
 
 export default router;
@@ -1,14 +1,15 @@
 // Leads routes: wires LeadController to HTTP endpoints
 import express from 'express';
 import LeadController from '../controllers/LeadController.js';
+import { authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.get('/', LeadController.list);
-router.get('/user/:userId', LeadController.getByUserId);
-router.get('/:id', LeadController.getById);
-router.post('/', LeadController.create);
-router.put('/:id', LeadController.update);
-router.delete('/:id', LeadController.remove);
+router.get('/', authorize('lead', 'view_lead'), LeadController.list);
+router.get('/user/:userId', authorize('lead', 'view_lead'), LeadController.getByUserId);
+router.get('/:id', authorize('lead', 'view_lead'), LeadController.getById);
+router.post('/', authorize('lead', 'create_lead'), LeadController.create);
+router.put('/:id', authorize('lead', 'update_lead'), LeadController.update);
+router.delete('/:id', authorize('lead', 'delete_lead'), LeadController.remove);
 
 export default router;
@@ -0,0 +1,12 @@
+// Ledger routes: wires LedgerController to HTTP endpoints (read-only)
+import express from 'express';
+import LedgerController from '../controllers/LedgerController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/accounts', authorize('ledger', 'view_ledger'), LedgerController.listAccounts);
+router.get('/entries', authorize('ledger', 'view_ledger'), LedgerController.listEntries);
+router.get('/entries/:id', authorize('ledger', 'view_ledger'), LedgerController.getEntry);
+
+export default router;
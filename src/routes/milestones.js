@@ -1,16 +1,17 @@
 // Milestones routes: wires MilestoneController to HTTP endpoints
 import express from 'express';
 import MilestoneController from '../controllers/MilestoneController.js';
+import { authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.get('/', MilestoneController.list);
-router.get('/:id', MilestoneController.getById);
-router.post('/', MilestoneController.create);
-router.put('/:id', MilestoneController.update);
-router.delete('/:id', MilestoneController.remove);
-router.post('/:id/attach-to-project', MilestoneController.attachToProject);
-router.post('/:id/detach-from-project', MilestoneController.detachFromProject);
-router.post('/:id/attach-invoice', MilestoneController.attachInvoice);
+router.get('/', authorize('milestone', 'view_milestone'), MilestoneController.list);
+router.get('/:id', authorize('milestone', 'view_milestone'), MilestoneController.getById);
+router.post('/', authorize('milestone', 'create_milestone'), MilestoneController.create);
+router.put('/:id', authorize('milestone', 'update_milestone'), MilestoneController.update);
+router.delete('/:id', authorize('milestone', 'delete_milestone'), MilestoneController.remove);
+router.post('/:id/attach-to-project', authorize('milestone', ['update_milestone', 'create_milestone']), MilestoneController.attachToProject);
+router.post('/:id/detach-from-project', authorize('milestone', 'update_milestone'), MilestoneController.detachFromProject);
+router.post('/:id/attach-invoice', authorize('milestone', 'update_milestone'), MilestoneController.attachInvoice);
 
 export default router;
\ No newline at end of file
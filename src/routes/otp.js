@@ -1,11 +1,16 @@
 import express from 'express';
 import OtpController from '../controllers/OtpController.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
-router.post('/send', OtpController.send);
-router.post('/verify', OtpController.verify);
-router.post('/resend', OtpController.resend);
+// Rate-limit policies (per client IP) on top of the daily OTP quotas in utils/otp.js
+const sendLimit = rateLimit({ name: 'otp:send', windowMs: 10 * 60 * 1000, max: 5 });
+const verifyLimit = rateLimit({ name: 'otp:verify', windowMs: 10 * 60 * 1000, max: 20 });
+
+router.post('/send', sendLimit, OtpController.send);
+router.post('/verify', verifyLimit, OtpController.verify);
+router.post('/resend', sendLimit, OtpController.resend);
 
 export default router;
 
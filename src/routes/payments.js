@@ -1,13 +1,24 @@
 // Payments routes: wires PaymentController to HTTP endpoints
 import express from 'express';
+import multer from 'multer';
 import PaymentController from '../controllers/PaymentController.js';
+import PaymentImportController from '../controllers/PaymentImportController.js';
+import { authorize } from '../middleware/auth.js';
 
 const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
 
-router.get('/', PaymentController.list);
-router.get('/:id', PaymentController.getById);
-router.post('/', PaymentController.create);
-router.put('/:id', PaymentController.update);
-router.delete('/:id', PaymentController.remove);
+router.get('/', authorize('payment', 'view_payment'), PaymentController.list);
+// Bank statement import: upload a CSV (field "file"), review suggested matches, then confirm
+router.get('/import', authorize('payment', 'view_payment'), PaymentImportController.list);
+router.post('/import', authorize('payment', 'create_payment'), upload.single('file'), PaymentImportController.importStatement);
+router.get('/import/:id', authorize('payment', 'view_payment'), PaymentImportController.getById);
+router.post('/import/:id/confirm', authorize('payment', 'create_payment'), PaymentImportController.confirm);
+router.get('/:id', authorize('payment', 'view_payment'), PaymentController.getById);
+router.get('/:id/receipt', authorize('payment', 'view_payment'), PaymentController.receipt);
+router.post('/', authorize('payment', 'create_payment'), PaymentController.create);
+router.put('/:id', authorize('payment', 'update_payment'), PaymentController.update);
+router.put('/:id/form16a', authorize('payment', 'update_payment'), PaymentController.recordForm16a);
+router.delete('/:id', authorize('payment', 'delete_payment'), PaymentController.remove);
 
-export default router;
\ No newline at end of file
+export default router;
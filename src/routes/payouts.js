@@ -0,0 +1,17 @@
+// Payouts routes: wires PayoutController to HTTP endpoints
+// The payables report is served under /api/reports/collaborator-payables
+import express from 'express';
+import PayoutController from '../controllers/PayoutController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/', authorize('payout', 'view_payout'), PayoutController.list);
+router.get('/:id', authorize('payout', 'view_payout'), PayoutController.getById);
+router.post('/', authorize('payout', 'create_payout'), PayoutController.create);
+router.put('/:id', authorize('payout', 'update_payout'), PayoutController.update);
+router.post('/:id/approve', authorize('payout', 'approve_payout'), PayoutController.approve);
+router.post('/:id/pay', authorize('payout', 'approve_payout'), PayoutController.markPaid);
+router.delete('/:id', authorize('payout', 'delete_payout'), PayoutController.remove);
+
+export default router;
@@ -1,13 +1,14 @@
 // PermissionGroups routes: wires PermissionGroupController to HTTP endpoints
 import express from 'express';
 import PermissionGroupController from '../controllers/PermissionGroupController.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.get('/', PermissionGroupController.list);
-router.get('/:id', PermissionGroupController.getById);
-router.post('/', PermissionGroupController.create);
-router.put('/:id', PermissionGroupController.update);
-router.delete('/:id', PermissionGroupController.remove);
+router.get('/', authenticate, PermissionGroupController.list);
+router.get('/:id', authenticate, PermissionGroupController.getById);
+router.post('/', requireAdmin, PermissionGroupController.create);
+router.put('/:id', requireAdmin, PermissionGroupController.update);
+router.delete('/:id', requireAdmin, PermissionGroupController.remove);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -1,14 +1,20 @@
 // Portfolios routes: wires PortfolioController to HTTP endpoints
 import express from 'express';
 import PortfolioController from '../controllers/PortfolioController.js';
+import { authorize, ownerOf } from '../middleware/auth.js';
+import Portfolio from '../models/Portfolio.js';
 
 const router = express.Router();
 
-router.get('/', PortfolioController.list);
-router.get('/user/:userId', PortfolioController.getByUserId);
-router.get('/:id', PortfolioController.getById);
-router.post('/', PortfolioController.create);
-router.put('/:id', PortfolioController.update);
-router.delete('/:id', PortfolioController.remove);
+// Team members can belong to several owners; pick the membership for the item's owner
+// (published profiles show portfolio items through /api/public)
+const ownerOfItem = ownerOf(Portfolio, 'belongs_to');
+
+router.get('/', authorize('portfolio', 'view_portfolio', { owner: (req) => req.query.belongs_to }), PortfolioController.list);
+router.get('/user/:userId', authorize('portfolio', 'view_portfolio', { owner: (req) => req.params.userId }), PortfolioController.getByUserId);
+router.get('/:id', authorize('portfolio', 'view_portfolio', { owner: ownerOfItem }), PortfolioController.getById);
+router.post('/', authorize('portfolio', 'create_portfolio', { owner: (req) => req.body?.belongs_to }), PortfolioController.create);
+router.put('/:id', authorize('portfolio', 'update_portfolio', { owner: ownerOfItem }), PortfolioController.update);
+router.delete('/:id', authorize('portfolio', 'delete_portfolio', { owner: ownerOfItem }), PortfolioController.remove);
 
 export default router;
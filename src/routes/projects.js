@@ -1,14 +1,16 @@
 // Projects routes: wires ProjectController to HTTP endpoints
 import express from 'express';
 import ProjectController from '../controllers/ProjectController.js';
+import { authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.get('/', ProjectController.list);
-router.get('/user/:userId', ProjectController.getByUserId);
-router.get('/:id', ProjectController.getById);
-router.post('/', ProjectController.create);
-router.put('/:id', ProjectController.update);
-router.delete('/:id', ProjectController.remove);
+router.get('/', authorize('project', 'view_project'), ProjectController.list);
+router.get('/user/:userId', authorize('project', 'view_project'), ProjectController.getByUserId);
+router.get('/:id', authorize('project', 'view_project'), ProjectController.getById);
+router.get('/:id/financials', authorize('project', 'view_project'), ProjectController.financials);
+router.post('/', authorize('project', 'create_project'), ProjectController.create);
+router.put('/:id', authorize('project', 'update_project'), ProjectController.update);
+router.delete('/:id', authorize('project', 'delete_project'), ProjectController.remove);
 
 export default router;
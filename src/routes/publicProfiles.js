@@ -1,17 +1,29 @@
 // PublicProfiles routes: wires PublicProfileController to HTTP endpoints
 import express from 'express';
 import PublicProfileController from '../controllers/PublicProfileController.js';
+import { authorize } from '../middleware/auth.js';
+import { rateLimit, clientIp } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
-router.get('/', PublicProfileController.list);
+// View counting: one client may bump a given profile a few times per hour
+const viewLimit = rateLimit({
+  name: 'profile:view',
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  key: (req) => `${clientIp(req)}:${req.params.id}`,
+});
+
+router.get('/', authorize('profile', 'view_profile'), PublicProfileController.list);
+// Public, no auth needed: published profiles
 router.get('/slug/:slug', PublicProfileController.getBySlug);
 router.get('/:id', PublicProfileController.getById);
-router.post('/', PublicProfileController.create);
-router.put('/:id', PublicProfileController.update);
-router.delete('/:id', PublicProfileController.remove);
-router.post('/:id/publish', PublicProfileController.publish);
-router.post('/:id/unpublish', PublicProfileController.unpublish);
-router.post('/:id/view', PublicProfileController.incrementView);
+router.post('/', authorize('profile', 'create_profile'), PublicProfileController.create);
+router.put('/:id', authorize('profile', 'update_profile'), PublicProfileController.update);
+router.delete('/:id', authorize('profile', 'delete_profile'), PublicProfileController.remove);
+router.post('/:id/publish', authorize('profile', 'update_profile'), PublicProfileController.publish);
+router.post('/:id/unpublish', authorize('profile', 'update_profile'), PublicProfileController.unpublish);
+// Public, no auth needed
+router.post('/:id/view', viewLimit, PublicProfileController.incrementView);
 
 export default router;
@@ -1,13 +1,27 @@
+// Quotations routes: wires QuotationController to HTTP endpoints
 import express from 'express';
+import mongoose from 'mongoose';
 import QuotationController from '../controllers/QuotationController.js';
+import { authorize, ownerOf } from '../middleware/auth.js';
+import Client from '../models/Client.js';
+import Quotation from '../models/Quotation.js';
+import { ownerThrough } from '../models/plugins/auditLog.js';
 
 const router = express.Router();
 
-router.get('/', QuotationController.list);
-router.get('/user/:userId', QuotationController.getByUserId);
-router.get('/:id', QuotationController.getById);
-router.post('/', QuotationController.create);
-router.put('/:id', QuotationController.update);
-router.delete('/:id', QuotationController.remove);
+// Team members can belong to several owners; pick the membership for the quotation's client owner
+const ownerOfQuotation = ownerOf(Quotation, 'clientId', ownerThrough('Client', 'clientId', 'added_by'));
+const ownerOfClient = async (req) => {
+  const clientId = req.body?.clientId;
+  if (!mongoose.isValidObjectId(clientId)) return null;
+  return (await Client.findById(clientId).select('added_by').lean())?.added_by || null;
+};
+
+router.get('/', authorize('quotation', 'view_quotation'), QuotationController.list);
+router.get('/user/:userId', authorize('quotation', 'view_quotation', { owner: (req) => req.params.userId }), QuotationController.getByUserId);
+router.get('/:id', authorize('quotation', 'view_quotation', { owner: ownerOfQuotation }), QuotationController.getById);
+router.post('/', authorize('quotation', 'create_quotation', { owner: ownerOfClient }), QuotationController.create);
+router.put('/:id', authorize('quotation', 'update_quotation', { owner: ownerOfQuotation }), QuotationController.update);
+router.delete('/:id', authorize('quotation', 'delete_quotation', { owner: ownerOfQuotation }), QuotationController.remove);
 
 export default router;
@@ -1,13 +1,20 @@
+// RateCards routes: wires RateCardController to HTTP endpoints
 import express from 'express';
 import RateCardController from '../controllers/RateCardController.js';
+import { authenticate, authorize, ownerOf } from '../middleware/auth.js';
+import RateCard from '../models/RateCard.js';
 
 const router = express.Router();
 
-router.get('/', RateCardController.list);
-router.get('/user/:userId', RateCardController.getByUserId);
-router.get('/:id', RateCardController.getById);
-router.post('/', RateCardController.create);
-router.put('/:id', RateCardController.update);
-router.delete('/:id', RateCardController.remove);
+// Team members can belong to several owners; pick the membership for the rate card's owner
+const ownerOfRateCard = ownerOf(RateCard, 'ownerRef');
+
+// Catalog reads: any signed-in user sees public rate cards; the controller adds the caller's own
+router.get('/', authenticate, RateCardController.list);
+router.get('/user/:userId', authenticate, RateCardController.getByUserId);
+router.get('/:id', authenticate, RateCardController.getById);
+router.post('/', authorize('rate_card', 'create_rate_card', { owner: (req) => req.body?.ownerRef }), RateCardController.create);
+router.put('/:id', authorize('rate_card', 'update_rate_card', { owner: ownerOfRateCard }), RateCardController.update);
+router.delete('/:id', authorize('rate_card', 'delete_rate_card', { owner: ownerOfRateCard }), RateCardController.remove);
 
 export default router;
@@ -0,0 +1,15 @@
+// Reports routes: wires ReportController to HTTP endpoints (read-only)
+import express from 'express';
+import ReportController from '../controllers/ReportController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/receivables-aging', authorize('invoice', 'view_invoice'), ReportController.receivablesAging);
+router.get('/collaborator-payables', authorize('payout', 'view_payout'), ReportController.collaboratorPayables);
+router.get('/tds-summary', authorize('ledger', 'view_ledger'), ReportController.tdsSummary);
+router.get('/trial-balance', authorize('ledger', 'view_ledger'), ReportController.trialBalance);
+router.get('/profit-and-loss', authorize('ledger', 'view_ledger'), ReportController.profitAndLoss);
+router.get('/project-profitability', authorize('project', 'view_project'), ReportController.projectProfitability);
+
+export default router;
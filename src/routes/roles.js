@@ -1,13 +1,18 @@
 // Roles routes: wires RoleController to HTTP endpoints
 import express from 'express';
 import RoleController from '../controllers/RoleController.js';
+import { authorize, ownerOf } from '../middleware/auth.js';
+import Role from '../models/Role.js';
 
 const router = express.Router();
 
-router.get('/', RoleController.list);
-router.get('/:id', RoleController.getById);
-router.post('/', RoleController.create);
-router.put('/:id', RoleController.update);
-router.delete('/:id', RoleController.remove);
+// Team members can belong to several owners; pick the membership for the role's owner
+const ownerOfRole = ownerOf(Role, 'createdBy');
+
+router.get('/', authorize('role', 'view_role', { owner: (req) => req.query.createdBy }), RoleController.list);
+router.get('/:id', authorize('role', 'view_role', { owner: ownerOfRole }), RoleController.getById);
+router.post('/', authorize('role', 'create_role', { owner: (req) => req.body?.createdBy }), RoleController.create);
+router.put('/:id', authorize('role', 'update_role', { owner: ownerOfRole }), RoleController.update);
+router.delete('/:id', authorize('role', 'delete_role', { owner: ownerOfRole }), RoleController.remove);
 
 export default router;
\ No newline at end of file
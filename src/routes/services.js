@@ -1,14 +1,15 @@
 // Services routes: wires ServiceController to HTTP endpoints
 import express from 'express';
 import ServiceController from '../controllers/ServiceController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.get('/', ServiceController.list);
-router.get('/:id', ServiceController.getById);
-router.get('/user/:userId', ServiceController.getByUserId);
-router.post('/', ServiceController.create);
-router.put('/:id', ServiceController.update);
-router.delete('/:id', ServiceController.remove);
+router.get('/', authenticate, ServiceController.list);
+router.get('/:id', authenticate, ServiceController.getById);
+router.get('/user/:userId', authenticate, ServiceController.getByUserId);
+router.post('/', authorize('service', 'create_service'), ServiceController.create);
+router.put('/:id', authorize('service', 'update_service'), ServiceController.update);
+router.delete('/:id', authorize('service', 'delete_service'), ServiceController.remove);
 
 export default router;
@@ -1,14 +1,22 @@
 // TeamMembers routes: wires TeamMemberController to HTTP endpoints
 import express from 'express';
 import TeamMemberController from '../controllers/TeamMemberController.js';
+import { authorize, ownerOf } from '../middleware/auth.js';
+import TeamMember from '../models/TeamMember.js';
 
 const router = express.Router();
 
-router.get('/', TeamMemberController.list);
-router.get('/user/:userId', TeamMemberController.getByUserId);
-router.get('/:id', TeamMemberController.getById);
-router.post('/', TeamMemberController.create);
-router.put('/:id', TeamMemberController.update);
-router.delete('/:id', TeamMemberController.remove);
+// Team members can belong to several owners; pick the membership for the requested owner
+const ownerFromQuery = (req) => req.query.managed_by;
+const ownerFromBody = (req) => req.body?.managed_by;
+const ownerFromParams = (req) => req.params.userId;
+const ownerOfMember = ownerOf(TeamMember, 'managed_by');
+
+router.get('/', authorize('team', 'view_team', { owner: ownerFromQuery }), TeamMemberController.list);
+router.get('/user/:userId', authorize('team', 'view_team', { owner: ownerFromParams }), TeamMemberController.getByUserId);
+router.get('/:id', authorize('team', 'view_team', { owner: ownerOfMember }), TeamMemberController.getById);
+router.post('/', authorize('team', 'create_team', { owner: ownerFromBody }), TeamMemberController.create);
+router.put('/:id', authorize('team', 'update_team', { owner: ownerOfMember }), TeamMemberController.update);
+router.delete('/:id', authorize('team', 'delete_team', { owner: ownerOfMember }), TeamMemberController.remove);
 
 export default router;
@@ -1,14 +1,26 @@
 // Testimonials routes: wires TestimonialController to HTTP endpoints
 import express from 'express';
 import TestimonialController from '../controllers/TestimonialController.js';
+import { authorize, ownerOf } from '../middleware/auth.js';
+import Project from '../models/Project.js';
+import Testimonial from '../models/Testimonial.js';
+import { ownerThrough } from '../models/plugins/auditLog.js';
 
 const router = express.Router();
 
-router.get('/', TestimonialController.list);
-router.get('/user/:userId', TestimonialController.getByUserId);
-router.get('/:id', TestimonialController.getById);
-router.post('/', TestimonialController.create);
-router.put('/:id', TestimonialController.update);
-router.delete('/:id', TestimonialController.remove);
+// Team members can belong to several owners; pick the membership for the owner of the project listing it
+// (published profiles show testimonials through /api/public)
+const clientOwner = ownerThrough('Client', 'client', 'added_by');
+const ownerOfTestimonial = ownerOf(Testimonial, '_id', async (doc) => {
+  const project = await Project.findOne({ testimonials: doc._id }).select('client').lean();
+  return project ? clientOwner(project) : null;
+});
+
+router.get('/', authorize('testimonial', 'view_testimonial'), TestimonialController.list);
+router.get('/user/:userId', authorize('testimonial', 'view_testimonial', { owner: (req) => req.params.userId }), TestimonialController.getByUserId);
+router.get('/:id', authorize('testimonial', 'view_testimonial', { owner: ownerOfTestimonial }), TestimonialController.getById);
+router.post('/', authorize('testimonial', 'create_testimonial'), TestimonialController.create);
+router.put('/:id', authorize('testimonial', 'update_testimonial', { owner: ownerOfTestimonial }), TestimonialController.update);
+router.delete('/:id', authorize('testimonial', 'delete_testimonial', { owner: ownerOfTestimonial }), TestimonialController.remove);
 
 export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import UploadController from '../controllers/UploadController.js';
+import { authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -7,6 +8,7 @@ const router = express.Router();
 // This avoids mismatches when the client sets the file's MIME type.
 router.put(
   '/portfolio',
+  authorize('portfolio'),
   express.raw({ type: '*/*', limit: '100mb' }),
   UploadController.portfolio
 );
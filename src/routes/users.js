@@ -2,20 +2,23 @@
 import express from 'express';
 import multer from 'multer';
 import UserController from '../controllers/UserController.js';
-import { requireUser } from '../middleware/auth.js';
+import { authenticate, requireAdmin, requireUser } from '../middleware/auth.js';
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
 
-router.get('/', UserController.list);
+router.get('/', requireAdmin, UserController.list);
+// Public, no auth needed (signup form)
 router.get('/slug-available', UserController.checkSlug);
 // Authenticated current user profile
 router.get('/me', requireUser, UserController.me);
 // Upload and update current user's avatar (Cloudinary)
 router.put('/me/avatar', requireUser, upload.single('avatar'), UserController.updateAvatar);
-router.get('/:id', UserController.getById);
+// Self, managing owner (or team with view_user/update_user) or admin; see UserController
+router.get('/:id', authenticate, UserController.getById);
+// Open for self-registration; an authenticated owner creates invitees
 router.post('/', UserController.create);
-router.put('/:id', UserController.update);
-router.delete('/:id', UserController.remove);
+router.put('/:id', authenticate, UserController.update);
+router.delete('/:id', requireAdmin, UserController.remove);
 
-export default router;
\ No newline at end of file
+export default router;
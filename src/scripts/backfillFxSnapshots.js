@@ -0,0 +1,98 @@
+// Capture exchange-rate snapshots (utils/fx.js) on documents booked before multi-currency support: issued
+// invoices, payments, and approved or paid payouts that have none. Base-currency documents get rate 1;
+// foreign ones need a rate on or before their date in the owner's ExchangeRate table, otherwise they are
+// logged and skipped (add the rate and run again). Run migrate:ledger afterwards to re-post converted entries.
+// Run with: npm run migrate:fx-snapshots  (pass --owner=<userId> to limit it to one owner)
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+import Payout from '../models/Payout.js';
+import { fxSnapshot, paymentFx } from '../utils/fx.js';
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI || process.env.DATABASE_URL || 'mongodb://127.0.0.1:27017/influ';
+const OWNER_ARG = process.argv.find((a) => a.startsWith('--owner='));
+
+async function connect() {
+  await mongoose.connect(MONGO_URI, { dbName: process.env.DB_NAME || undefined });
+  mongoose.set('strictQuery', true);
+}
+
+// Run capture(doc) -> $set for each document and store the result
+async function backfill(label, Model, cursor, capture) {
+  const report = { label, documents: 0, captured: 0, failed: 0 };
+  for await (const doc of cursor) {
+    report.documents += 1;
+    try {
+      const $set = await capture(doc);
+      await Model.updateOne({ _id: doc._id }, { $set });
+      report.captured += 1;
+    } catch (err) {
+      report.failed += 1;
+      console.log(`[${label} ${doc._id}] ${err.message}`);
+    }
+  }
+  console.log(`${report.label}: ${report.documents} without rates, ${report.captured} captured, ${report.failed} failed`);
+}
+
+async function main() {
+  let owner = null;
+  if (OWNER_ARG) {
+    const value = OWNER_ARG.slice('--owner='.length);
+    if (!mongoose.isValidObjectId(value)) throw new Error(`Invalid --owner ${value}`);
+    owner = new mongoose.Types.ObjectId(value);
+  }
+  console.log('Connecting to DB...');
+  await connect();
+
+  // Payments settle at their invoice's rate, so invoices go first
+  await backfill(
+    'invoice',
+    Invoice,
+    Invoice.find({ ...(owner ? { createdBy: owner } : {}), fx: null, status: { $ne: 'draft' }, issuedAt: { $ne: null } })
+      .select('createdBy currency issuedAt')
+      .lean()
+      .cursor(),
+    async (invoice) => ({ fx: await fxSnapshot(invoice.createdBy, invoice.currency, invoice.issuedAt) })
+  );
+  await backfill(
+    'payment',
+    Payment,
+    Payment.find({ ...(owner ? { received_by: owner } : {}), fx: null })
+      .select('received_by invoice_id amount tds_amount payment_date')
+      .lean()
+      .cursor(),
+    async (payment) => {
+      const invoice = await Invoice.findById(payment.invoice_id).select('currency fx').lean();
+      return { fx: await paymentFx(payment, invoice) };
+    }
+  );
+  await backfill(
+    'payout approval',
+    Payout,
+    Payout.find({ ...(owner ? { ownerId: owner } : {}), status: { $in: ['approved', 'paid'] }, fx: null })
+      .select('ownerId currency approvedAt')
+      .lean()
+      .cursor(),
+    async (payout) => ({ fx: await fxSnapshot(payout.ownerId, payout.currency, payout.approvedAt || new Date()) })
+  );
+  await backfill(
+    'payout payment',
+    Payout,
+    Payout.find({ ...(owner ? { ownerId: owner } : {}), status: 'paid', paidFx: null })
+      .select('ownerId currency paidAt')
+      .lean()
+      .cursor(),
+    async (payout) => ({ paidFx: await fxSnapshot(payout.ownerId, payout.currency, payout.paidAt || new Date()) })
+  );
+  await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+  console.error('FX snapshot backfill failed:', err);
+  try { await mongoose.disconnect(); } catch {}
+  process.exit(1);
+});
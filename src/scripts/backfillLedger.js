@@ -0,0 +1,65 @@
+// Post (or re-post) ledger entries for every invoice, credit/debit note, payment and collaborator payout.
+// Syncing is idempotent (utils/ledger.js): sources already in the books are left alone, changed ones are
+// reversed and re-posted. Run it once after upgrading, after migrate:reconcile-payments, or whenever a
+// ledger sync failed and was logged.
+// Run with: npm run migrate:ledger  (pass --owner=<userId> to limit it to one owner)
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import InvoiceNote from '../models/InvoiceNote.js';
+import Payment from '../models/Payment.js';
+import Payout from '../models/Payout.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { syncSourceEntry, activeEntry } from '../utils/ledger.js';
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI || process.env.DATABASE_URL || 'mongodb://127.0.0.1:27017/influ';
+const OWNER_ARG = process.argv.find((a) => a.startsWith('--owner='));
+
+async function connect() {
+  await mongoose.connect(MONGO_URI, { dbName: process.env.DB_NAME || undefined });
+  mongoose.set('strictQuery', true);
+}
+
+async function backfill(kind, cursor) {
+  const report = { kind, sources: 0, posted: 0, failed: 0 };
+  for await (const doc of cursor) {
+    report.sources += 1;
+    try {
+      const before = await activeEntry(kind, doc._id);
+      const after = await syncSourceEntry(kind, doc._id);
+      if (String(before?._id || '') !== String(after?._id || '')) report.posted += 1;
+    } catch (err) {
+      report.failed += 1;
+      console.log(`[${kind} ${doc._id}] ${err.message}`);
+    }
+  }
+  console.log(`${report.kind}: ${report.sources} checked, ${report.posted} (re)posted or reversed, ${report.failed} failed`);
+}
+
+async function main() {
+  let owner = null;
+  if (OWNER_ARG) {
+    const value = OWNER_ARG.slice('--owner='.length);
+    if (!mongoose.isValidObjectId(value)) throw new Error(`Invalid --owner ${value}`);
+    owner = new mongoose.Types.ObjectId(value);
+  }
+  console.log('Connecting to DB...');
+  await connect();
+  // Entries are unique per source and source type; this also replaces the older per-source index
+  await LedgerEntry.syncIndexes();
+  await backfill('invoice', Invoice.find(owner ? { createdBy: owner } : {}).select('_id').lean().cursor());
+  await backfill('note', InvoiceNote.find(owner ? { createdBy: owner } : {}).select('_id').lean().cursor());
+  await backfill('payment', Payment.find(owner ? { received_by: owner } : {}).select('_id').lean().cursor());
+  await backfill('payout', Payout.find(owner ? { ownerId: owner } : {}).select('_id').lean().cursor());
+  await backfill('payout_payment', Payout.find(owner ? { ownerId: owner } : {}).select('_id').lean().cursor());
+  await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+  console.error('Ledger backfill failed:', err);
+  try { await mongoose.disconnect(); } catch {}
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+// Migration: invoice numbers are unique per owner (createdBy + invoiceNo) instead of globally.
+// Drops the old global invoiceNo_1 unique index and builds the compound one. Run with: npm run migrate:invoice-numbers
+// Pass --dry-run to only report duplicates that would block the new index.
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI || process.env.DATABASE_URL || 'mongodb://127.0.0.1:27017/influ';
+const DRY_RUN = process.argv.includes('--dry-run');
+const LEGACY_INDEX = 'invoiceNo_1';
+
+async function connect() {
+  await mongoose.connect(MONGO_URI, { dbName: process.env.DB_NAME || undefined });
+  mongoose.set('strictQuery', true);
+}
+
+async function main() {
+  console.log('Connecting to DB...');
+  await connect();
+  const duplicates = await Invoice.aggregate([
+    { $group: { _id: { createdBy: '$createdBy', invoiceNo: '$invoiceNo' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+  ]);
+  for (const dup of duplicates) {
+    console.log('Duplicate invoiceNo within owner:', String(dup._id.createdBy), dup._id.invoiceNo, `(${dup.count})`);
+  }
+  const indexes = await Invoice.collection.indexes();
+  const hasLegacy = indexes.some((idx) => idx.name === LEGACY_INDEX);
+  if (DRY_RUN) {
+    console.log(`Legacy index ${hasLegacy ? 'present' : 'absent'}; ${duplicates.length} duplicate group(s).`);
+  } else {
+    if (duplicates.length > 0) throw new Error('Resolve the duplicates above before building the per-owner index');
+    if (hasLegacy) {
+      await Invoice.collection.dropIndex(LEGACY_INDEX);
+      console.log('Dropped index', LEGACY_INDEX);
+    }
+    await Invoice.createIndexes();
+    console.log('Per-owner invoiceNo index ready.');
+  }
+  await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+  console.error('Migration failed:', err);
+  try { await mongoose.disconnect(); } catch {}
+  process.exit(1);
+});
@@ -0,0 +1,110 @@
+// Reconcile Payment documents with the invoices they belong to.
+// Payment is the source of truth; Invoice.payments, paidAmount, balanceDue, status and payment_status are rebuilt
+// from it (utils/invoicePayments.js). Before that, embedded payments with no Payment document (recorded
+// straight on the invoice) are turned into Payment documents so no money is lost, and legacy entries holding
+// a bare Payment id are dropped in favour of the real document.
+// Run with: npm run migrate:reconcile-payments  (pass --dry-run to only report mismatches)
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+import { paymentRecord, syncInvoicePayments, payerForInvoice, MODE_BY_METHOD } from '../utils/invoicePayments.js';
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI || process.env.DATABASE_URL || 'mongodb://127.0.0.1:27017/influ';
+const DRY_RUN = process.argv.includes('--dry-run');
+const COMPARED = ['paidAmount', 'tdsAmount', 'balanceDue', 'status', 'payment_status'];
+
+async function connect() {
+  await mongoose.connect(MONGO_URI, { dbName: process.env.DB_NAME || undefined });
+  mongoose.set('strictQuery', true);
+}
+
+// Embedded records that do not correspond to a Payment document
+function orphanRecords(invoice, paymentIds) {
+  return (invoice.payments || []).filter((rec) => {
+    if (!rec.paidAt || !(Number(rec.amount) > 0)) return false;
+    return !(rec.paymentId && paymentIds.has(String(rec.paymentId)));
+  });
+}
+
+// What the invoice would look like after a sync, without saving (the model hook recomputes totals and status)
+async function projected(invoice, payments) {
+  const doc = Invoice.hydrate(JSON.parse(JSON.stringify(invoice)));
+  doc.payments = payments.map((p) => paymentRecord(p, invoice.currency));
+  await doc.validate();
+  return doc.toObject();
+}
+
+async function reconcile(invoice, report) {
+  const payments = await Payment.find({ invoice_id: invoice._id }).sort({ payment_date: 1 }).lean();
+  const paymentIds = new Set(payments.map((p) => String(p._id)));
+  const orphans = orphanRecords(invoice, paymentIds);
+
+  const toCreate = [];
+  if (orphans.length) {
+    const payer = await payerForInvoice(invoice);
+    if (!payer) throw new Error(`${orphans.length} embedded payment(s) without a resolvable client; left as is`);
+    for (const rec of orphans) {
+      toCreate.push({
+        payment_date: rec.paidAt,
+        amount: rec.amount,
+        mode: MODE_BY_METHOD[rec.method] || 'BANK',
+        transaction_id: rec.reference || undefined,
+        remarks: rec.notes || 'Migrated from invoice',
+        invoice_id: invoice._id,
+        paid_by: payer,
+        received_by: invoice.createdBy || invoice.created_by,
+      });
+    }
+  }
+
+  const after = await projected(invoice, [...payments, ...toCreate.map((p) => ({ ...p, _id: new mongoose.Types.ObjectId() }))]);
+  const diffs = COMPARED.filter((f) => String(invoice[f] ?? '') !== String(after[f] ?? ''));
+  const embeddedOutOfSync = (invoice.payments || []).length !== payments.length + toCreate.length
+    || (invoice.payments || []).some((rec) => !rec.paymentId || !paymentIds.has(String(rec.paymentId)));
+  if (!diffs.length && !embeddedOutOfSync && !toCreate.length) return;
+
+  report.mismatched += 1;
+  const details = diffs.map((f) => `${f} ${invoice[f]} -> ${after[f]}`);
+  if (toCreate.length) details.push(`${toCreate.length} embedded payment(s) -> Payment`);
+  if (embeddedOutOfSync) details.push('embedded payments rebuilt');
+  console.log(`[${invoice.invoiceNo || invoice._id}] ${details.join('; ')}`);
+
+  if (DRY_RUN) return;
+  for (const def of toCreate) {
+    await Payment.create(def);
+    report.paymentsCreated += 1;
+  }
+  await syncInvoicePayments(invoice._id);
+}
+
+async function main() {
+  console.log(`Connecting to DB...${DRY_RUN ? ' (dry run)' : ''}`);
+  await connect();
+  const report = { invoices: 0, mismatched: 0, paymentsCreated: 0, unresolved: 0 };
+  const cursor = Invoice.find({}).lean().cursor();
+  for await (const invoice of cursor) {
+    report.invoices += 1;
+    try {
+      await reconcile(invoice, report);
+    } catch (err) {
+      // e.g. legacy invoices missing required fields; fix by hand and re-run
+      report.unresolved += 1;
+      console.log(`[${invoice.invoiceNo || invoice._id}] unresolved: ${err.message}`);
+    }
+  }
+  console.log(
+    `${report.invoices} invoice(s) checked, ${report.mismatched} mismatched, `
+    + `${report.paymentsCreated} payment(s) created, ${report.unresolved} unresolved${DRY_RUN ? ' (dry run, nothing written)' : ''}.`
+  );
+  await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+  console.error('Reconciliation failed:', err);
+  try { await mongoose.disconnect(); } catch {}
+  process.exit(1);
+});
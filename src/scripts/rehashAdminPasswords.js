@@ -0,0 +1,48 @@
+// Migration: re-hash any plaintext Admin passwords with bcrypt.
+// Login only accepts bcrypt hashes, so run this once before deploying. Run with: npm run migrate:admin-passwords
+// Pass --dry-run to only report affected admins.
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import Admin from '../models/Admin.js';
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI || process.env.DATABASE_URL || 'mongodb://127.0.0.1:27017/influ';
+const DRY_RUN = process.argv.includes('--dry-run');
+const BCRYPT_PREFIX = /^\$2[aby]\$/;
+
+async function connect() {
+  await mongoose.connect(MONGO_URI, { dbName: process.env.DB_NAME || undefined });
+  mongoose.set('strictQuery', true);
+}
+
+async function main() {
+  console.log('Connecting to DB...');
+  await connect();
+  // Read raw documents so nothing is transformed before we inspect it
+  const admins = await Admin.collection.find({}, { projection: { email: 1, password: 1 } }).toArray();
+  let rehashed = 0;
+  for (const admin of admins) {
+    const current = admin.password;
+    if (typeof current !== 'string' || current.length === 0 || BCRYPT_PREFIX.test(current)) continue;
+    if (DRY_RUN) {
+      console.log('Plaintext password:', admin.email);
+    } else {
+      const hash = await bcrypt.hash(current, 10);
+      // Guard on the old value so a concurrent password change is not overwritten
+      await Admin.collection.updateOne({ _id: admin._id, password: current }, { $set: { password: hash } });
+      console.log('Re-hashed password:', admin.email);
+    }
+    rehashed += 1;
+  }
+  await mongoose.disconnect();
+  console.log(`${DRY_RUN ? 'Found' : 'Re-hashed'} ${rehashed} of ${admins.length} admin password(s).`);
+}
+
+main().catch(async (err) => {
+  console.error('Migration failed:', err);
+  try { await mongoose.disconnect(); } catch {}
+  process.exit(1);
+});
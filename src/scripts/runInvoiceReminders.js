@@ -0,0 +1,24 @@
+// Run the invoice reminder job once: mark overdue invoices and send due reminders (for cron or when the in-process job is disabled).
+// Run with: npm run jobs:invoice-reminders
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { runInvoiceReminders } from '../jobs/invoiceReminders.js';
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI || process.env.DATABASE_URL || 'mongodb://127.0.0.1:27017/influ';
+
+async function main() {
+  await mongoose.connect(MONGO_URI, { dbName: process.env.DB_NAME || undefined });
+  mongoose.set('strictQuery', true);
+  const { overdue, sent, failed } = await runInvoiceReminders();
+  console.log(`Invoice reminders: ${overdue} marked overdue, ${sent} sent, ${failed} failed`);
+  await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+  console.error('Invoice reminder job failed:', err);
+  try { await mongoose.disconnect(); } catch {}
+  process.exit(1);
+});
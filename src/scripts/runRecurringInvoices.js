@@ -0,0 +1,24 @@
+// Run the recurring invoice job once (for cron or when the in-process scheduler is disabled).
+// Run with: npm run jobs:recurring-invoices
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { runDueSchedules } from '../jobs/recurringInvoices.js';
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI || process.env.DATABASE_URL || 'mongodb://127.0.0.1:27017/influ';
+
+async function main() {
+  await mongoose.connect(MONGO_URI, { dbName: process.env.DB_NAME || undefined });
+  mongoose.set('strictQuery', true);
+  const { created, failed } = await runDueSchedules();
+  console.log(`Recurring invoices: ${created} created, ${failed} failed`);
+  await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+  console.error('Recurring invoice job failed:', err);
+  try { await mongoose.disconnect(); } catch {}
+  process.exit(1);
+});
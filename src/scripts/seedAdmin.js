@@ -27,7 +27,7 @@ async function ensureAdmin() {
     admin = await new Admin({
       name: 'Super Admin',
       email: ADMIN_EMAIL,
-      password: ADMIN_PASSWORD, // storehashed in real deployments
+      password: ADMIN_PASSWORD, // hashed by the Admin model on save
       role: 'super-admin',
       status: 'active',
     }).save();
@@ -92,6 +92,8 @@ async function ensurePermissionGroups() {
 
     // Catalogs and content
     group('service', 'Service Catalog', ['view_service', 'create_service', 'update_service', 'delete_service'], 'public'),
+    group('rate_card', 'Rate Cards', ['view_rate_card', 'create_rate_card', 'update_rate_card', 'delete_rate_card'], 'public'),
+    group('quotation', 'Quotations', ['view_quotation', 'create_quotation', 'update_quotation', 'delete_quotation'], 'public'),
     // Content types and categories are private and should not be displayed to users
     group('content_type', 'Content Types', ['view_content_type', 'create_content_type', 'update_content_type', 'delete_content_type'], 'private'),
     group('category', 'Categories', ['view_category', 'create_category', 'update_category', 'delete_category'], 'private'),
@@ -102,9 +104,12 @@ async function ensurePermissionGroups() {
     // Finance
     group('payment', 'Payments', ['view_payment', 'create_payment', 'update_payment', 'delete_payment'], 'public'),
     group('invoice', 'Invoices', ['view_invoice', 'create_invoice', 'update_invoice', 'delete_invoice'], 'public'),
+    group('ledger', 'Books & Ledger', ['view_ledger'], 'public'),
+    group('payout', 'Collaborator Payouts', ['view_payout', 'create_payout', 'update_payout', 'delete_payout', 'approve_payout'], 'public'),
 
     // System governance
     group('role', 'Role Management', ['create_role', 'update_role', 'delete_role', 'view_role'], 'public'),
+    group('audit_log', 'Audit Log', ['view_audit_log'], 'public'),
     group('permission_group', 'Permission Groups', ['view_permission_group', 'create_permission_group', 'update_permission_group', 'delete_permission_group'],'private'),
     group('admin', 'Admin Controls', ['view_admin', 'create_admin', 'update_admin', 'delete_admin'],'private'),
   ];
@@ -18,6 +18,7 @@ import Milestone from '../models/Milestone.js';
 import Invoice from '../models/Invoice.js';
 import Payment from '../models/Payment.js';
 import { ensureOwnerRolesSeeded } from '../utils/roleSeeding.js';
+import { syncInvoicePayments } from '../utils/invoicePayments.js';
 
 dotenv.config();
 
@@ -38,7 +39,7 @@ function oid(id) {
 }
 
 async function ensureOwnerAgencyUser() {
-  let owner = await User.findOne({ 'registration.email': AGENCY_EMAIL });
+  let owner = await User.findOne({ 'registration.email': AGENCY_EMAIL }).select('+registration.passwordHash');
   if (!owner) {
     const u = new User({
       registration: {
@@ -47,6 +48,7 @@ async function ensureOwnerAgencyUser() {
         roles: ['agency', 'manager'],
         primaryRole: 'agency',
         isOwner: true,
+        passwordHash: await bcrypt.hash(AGENCY_PASSWORD, 10),
       },
       profile: {
         slug: await User.generateUniqueSlug(AGENCY_NAME),
@@ -58,7 +60,6 @@ async function ensureOwnerAgencyUser() {
       },
       verification: { emailVerified: true },
       meta: { status: 'active' },
-      passwordHash: await bcrypt.hash(AGENCY_PASSWORD, 10),
     });
     await u.validate();
     owner = await u.save();
@@ -66,8 +67,8 @@ async function ensureOwnerAgencyUser() {
   } else {
     console.log('Agency owner exists:', AGENCY_EMAIL);
     // Ensure password is set for existing owner
-    if (!owner.passwordHash) {
-      owner.passwordHash = await bcrypt.hash(AGENCY_PASSWORD, 10);
+    if (!owner.registration?.passwordHash) {
+      owner.registration.passwordHash = await bcrypt.hash(AGENCY_PASSWORD, 10);
       await owner.save();
       console.log('Set password for existing agency owner');
     }
@@ -395,8 +396,8 @@ async function createInvoicesAndPayments(ownerId, clients, projectBundles) {
         console.log('Created payment:', payment.transaction_id);
       }
 
-      // Link payment to invoice and mark status
-      await Invoice.findByIdAndUpdate(inv._id, { $addToSet: { payments: payment._id }, $set: { payment_status: 'paid' } });
+      // Project the payment onto the invoice (totals and status)
+      await syncInvoicePayments(inv._id);
 
       created.invoices.push(inv);
       created.payments.push(payment);
@@ -0,0 +1,44 @@
+// Account emails carrying single-use tokens: password reset, email verification, account claim
+// Links point at the frontend (APP_BASE_URL), which posts the token back to /api/auth
+
+import { sendMail, appLink, escapeHtml } from './mailer.js';
+import {
+  createAuthToken,
+  PASSWORD_RESET_TTL_MS,
+  EMAIL_VERIFY_TTL_MS,
+  ACCOUNT_CLAIM_TTL_MS,
+} from './authTokens.js';
+
+// Email a password reset link (admins and users)
+export async function sendPasswordResetEmail({ subjectType, subjectId, email, name, ip }) {
+  const token = await createAuthToken({ subjectType, subjectId, purpose: 'password_reset', email, ttlMs: PASSWORD_RESET_TTL_MS, ip });
+  const path = subjectType === 'admin' ? '/admin/reset-password' : '/reset-password';
+  const link = appLink(path, { token });
+  await sendMail({
+    to: { address: email, name },
+    subject: 'Reset your INFLU password',
+    html: `<div><p>Hi ${escapeHtml(name || email)},</p><p>Use the link below to set a new password. It expires in 1 hour and can be used once.</p><p><a href="${link}">${link}</a></p><p>If you did not request this, you can ignore this email.</p></div>`,
+  });
+}
+
+export async function sendVerificationEmail({ userId, email, name, ip }) {
+  const token = await createAuthToken({ subjectType: 'user', subjectId: userId, purpose: 'email_verify', email, ttlMs: EMAIL_VERIFY_TTL_MS, ip });
+  const link = appLink('/verify-email', { token });
+  await sendMail({
+    to: { address: email, name },
+    subject: 'Verify your INFLU email',
+    html: `<div><p>Hi ${escapeHtml(name || email)},</p><p>Confirm your email address by opening the link below. It expires in 24 hours.</p><p><a href="${link}">${link}</a></p></div>`,
+  });
+}
+
+// Invite a passwordless (auto-provisioned) user to claim their account by setting a password
+export async function sendAccountClaimEmail({ userId, email, name, invitedByName = null, ip = null }) {
+  const token = await createAuthToken({ subjectType: 'user', subjectId: userId, purpose: 'account_claim', email, ttlMs: ACCOUNT_CLAIM_TTL_MS, ip });
+  const link = appLink('/claim-account', { token });
+  const intro = invitedByName ? `${escapeHtml(invitedByName)} added you on INFLU.` : 'An INFLU account was created for you.';
+  await sendMail({
+    to: { address: email, name },
+    subject: 'Activate your INFLU account',
+    html: `<div><p>Hi ${escapeHtml(name || email)},</p><p>${intro} Set a password to activate it using the link below. It expires in 7 days.</p><p><a href="${link}">${link}</a></p></div>`,
+  });
+}
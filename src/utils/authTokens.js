@@ -0,0 +1,46 @@
+// Utilities for single-use email tokens (password reset, email verification, account claim)
+// - Raw tokens are random and only ever emailed; the database keeps a SHA-256 hash
+// - Issuing a new token supersedes any outstanding token of the same purpose
+// - Consumption is atomic, so a token can be redeemed once
+
+import crypto from 'crypto';
+import AuthToken from '../models/AuthToken.js';
+
+export const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+export const EMAIL_VERIFY_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+export const ACCOUNT_CLAIM_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Issue a token and return its raw value
+export async function createAuthToken({ subjectType, subjectId, purpose, email, ttlMs, ip = null }) {
+  const now = new Date();
+  await AuthToken.updateMany(
+    { subjectType, subjectId, purpose, usedAt: null },
+    { $set: { usedAt: now } }
+  );
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AuthToken.create({
+    subjectType,
+    subjectId,
+    purpose,
+    email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + ttlMs),
+    requestedIp: ip,
+  });
+  return token;
+}
+
+// Redeem a token; returns the token document or null when unknown, used or expired
+export async function consumeAuthToken(token, purpose, subjectType) {
+  if (!token) return null;
+  const now = new Date();
+  return AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, subjectType, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  ).lean();
+}
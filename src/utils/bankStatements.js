@@ -0,0 +1,175 @@
+// Bank statement CSV parsing for payment reconciliation
+// - Built-in column mappings for HDFC, ICICI and SBI account statements, plus a generic mapper
+//   ({ date, description, reference?, credit?, debit?, amount?, dateFormat? } naming the CSV headers)
+// - The header row is located automatically (statements carry a preamble); rows without a parsable date
+//   (footers, summaries) are skipped
+// - Only credits are returned; UPI/NEFT/IMPS references are pulled from the narration when the
+//   reference column is empty
+
+import { parseCsv } from './csv.js';
+
+export const BANK_FORMATS = {
+  hdfc: {
+    date: ['Date'],
+    description: ['Narration'],
+    reference: ['Chq./Ref.No.', 'Chq/Ref Number'],
+    debit: ['Withdrawal Amt.', 'Withdrawal Amount'],
+    credit: ['Deposit Amt.', 'Deposit Amount'],
+    dateFormat: 'dmy',
+  },
+  icici: {
+    date: ['Transaction Date', 'Value Date'],
+    description: ['Transaction Remarks', 'Remarks'],
+    reference: ['Cheque Number'],
+    debit: ['Withdrawal Amount'],
+    credit: ['Deposit Amount'],
+    dateFormat: 'dmy',
+  },
+  sbi: {
+    date: ['Txn Date', 'Transaction Date'],
+    description: ['Description'],
+    reference: ['Ref No./Cheque No.', 'Ref No'],
+    debit: ['Debit'],
+    credit: ['Credit'],
+    dateFormat: 'dmy',
+  },
+};
+
+export const MAX_STATEMENT_ROWS = 2000;
+const HEADER_SCAN_ROWS = 40;
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+function normalizeHeader(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Column index for the first candidate header found (prefix match, so "Deposit Amount (INR )" matches)
+function findColumn(header, candidates = []) {
+  const normalized = header.map(normalizeHeader);
+  for (const candidate of [].concat(candidates).filter(Boolean)) {
+    const want = normalizeHeader(candidate);
+    const index = normalized.findIndex((h) => h === want || (want && h.startsWith(want)));
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+function resolveColumns(header, format) {
+  const columns = {
+    date: findColumn(header, format.date),
+    description: findColumn(header, format.description),
+    reference: findColumn(header, format.reference),
+    credit: findColumn(header, format.credit),
+    debit: findColumn(header, format.debit),
+    amount: findColumn(header, format.amount),
+  };
+  const hasAmount = columns.credit !== -1 || columns.amount !== -1;
+  return columns.date !== -1 && columns.description !== -1 && hasAmount ? columns : null;
+}
+
+// Dates as printed by Indian banks: 05/04/26, 05-04-2026, 05.04.2026, 05 Apr 2026, 05-Apr-26, 2026-04-05
+export function parseStatementDate(value, order = 'dmy') {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  let m = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return utcDate(+m[1], +m[2] - 1, +m[3]);
+  m = raw.match(/^(\d{1,2})[\s\-/.]([A-Za-z]{3})[A-Za-z]*[\s\-/.,]+(\d{2,4})$/);
+  if (m && MONTHS[m[2].toLowerCase()] !== undefined) return utcDate(fullYear(m[3]), MONTHS[m[2].toLowerCase()], +m[1]);
+  m = raw.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  if (m) {
+    const [a, b] = [+m[1], +m[2]];
+    return order === 'mdy' ? utcDate(fullYear(m[3]), a - 1, b) : utcDate(fullYear(m[3]), b - 1, a);
+  }
+  return null;
+}
+
+function fullYear(value) {
+  const y = Number(value);
+  return value.length === 2 ? 2000 + y : y;
+}
+
+function utcDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month, day));
+  return d.getUTCMonth() === month && d.getUTCDate() === day ? d : null;
+}
+
+// "1,25,000.00", "INR 500", "500.00 Cr" -> number; blank -> 0
+export function parseStatementAmount(value) {
+  const raw = String(value || '').replace(/[,\s]|INR|Rs\.?|₹/gi, '');
+  const m = raw.match(/^(-?\d+(?:\.\d+)?)(cr|dr)?$/i);
+  if (!m) return 0;
+  const n = Number(m[1]);
+  return m[2] && m[2].toLowerCase() === 'dr' ? -n : n;
+}
+
+// Payment references in a narration: UPI RRNs (12 digits) and NEFT/RTGS/IMPS UTRs
+export function extractReferences(text) {
+  const refs = new Set();
+  const value = String(text || '').toUpperCase();
+  for (const m of value.matchAll(/(?<![0-9])[0-9]{12}(?![0-9])/g)) refs.add(m[0]);
+  for (const m of value.matchAll(/\b[A-Z]{1,5}[0-9]{10,18}\b/g)) refs.add(m[0]);
+  return [...refs];
+}
+
+// Reference column value; zero-only cells count as empty and zero-padded UPI RRNs are unpadded
+function normalizeReference(value) {
+  const ref = String(value || '').trim();
+  if (!ref || /^0+$/.test(ref)) return null;
+  const padded = ref.match(/^0+([1-9][0-9]{11})$/);
+  return padded ? padded[1] : ref;
+}
+
+export function paymentModeFor(description) {
+  return /\bUPI\b|UPI[-/]/i.test(description) ? 'UPI' : 'BANK';
+}
+
+// Parse a statement CSV into credit rows.
+// bank: 'hdfc' | 'icici' | 'sbi' | 'generic'; mapping is required for 'generic'.
+// Returns { rows: [{ index, date, description, reference, references, amount, mode }], debitsSkipped, invalidRows }
+// or throws when the header cannot be found
+export function parseBankStatement(text, { bank = 'generic', mapping = null } = {}) {
+  const format = bank === 'generic' ? { dateFormat: 'dmy', ...(mapping || {}) } : BANK_FORMATS[bank];
+  if (!format) throw new Error(`bank must be one of ${[...Object.keys(BANK_FORMATS), 'generic'].join(', ')}`);
+  if (bank === 'generic' && (!format.date || !format.description || (!format.credit && !format.amount))) {
+    throw new Error('mapping must name the date, description and credit (or signed amount) columns');
+  }
+
+  const table = parseCsv(text);
+  let headerIndex = -1;
+  let columns = null;
+  for (let i = 0; i < Math.min(table.length, HEADER_SCAN_ROWS); i += 1) {
+    columns = resolveColumns(table[i], format);
+    if (columns) {
+      headerIndex = i;
+      break;
+    }
+  }
+  if (!columns) throw new Error(`Could not find the ${bank === 'generic' ? 'mapped' : bank.toUpperCase()} statement header row`);
+
+  const rows = [];
+  let debitsSkipped = 0;
+  let invalidRows = 0;
+  for (let i = headerIndex + 1; i < table.length; i += 1) {
+    const cells = table[i];
+    const date = parseStatementDate(cells[columns.date], format.dateFormat);
+    if (!date) {
+      invalidRows += 1;
+      continue;
+    }
+    const amount = columns.credit !== -1
+      ? parseStatementAmount(cells[columns.credit])
+      : parseStatementAmount(cells[columns.amount]);
+    if (!(amount > 0)) {
+      debitsSkipped += 1;
+      continue;
+    }
+    const description = cells[columns.description] || '';
+    const refCell = columns.reference !== -1 ? String(cells[columns.reference] || '').trim() : '';
+    const references = extractReferences(description);
+    // Banks print zeros in the reference column for UPI credits; fall back to the narration
+    const reference = normalizeReference(refCell) || references[0] || null;
+    rows.push({ index: rows.length, date, description, reference, references, amount, mode: paymentModeFor(description) });
+    if (rows.length > MAX_STATEMENT_ROWS) throw new Error(`Statements are limited to ${MAX_STATEMENT_ROWS} credit rows per import`);
+  }
+  return { rows, debitsSkipped, invalidRows };
+}
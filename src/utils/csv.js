@@ -0,0 +1,53 @@
+// Minimal RFC 4180 CSV parsing and writing
+// parseCsv handles quoted fields, escaped quotes ("") and newlines inside quotes;
+// it returns an array of rows, each an array of trimmed cell strings, and drops blank lines
+
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell.trim());
+      if (row.some((c) => c !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some((c) => c !== '')) rows.push(row);
+  return rows;
+}
+
+// Quote a cell when needed; text starting with =, +, - or @ is prefixed with ' so spreadsheets do not run it
+function csvCell(value, delimiter) {
+  if (value == null) return '';
+  let text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serialize rows (arrays of cells) to CSV text with CRLF line endings
+export function toCsv(rows, { delimiter = ',' } = {}) {
+  return rows.map((row) => row.map((cell) => csvCell(cell, delimiter)).join(delimiter)).join('\r\n');
+}
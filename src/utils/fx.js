@@ -0,0 +1,108 @@
+// Multi-currency support: every owner keeps books in a base currency (InvoiceSettings.baseCurrency, INR by
+// default) and converts other currencies through their manually maintained ExchangeRate table
+// - Invoices capture the rate on their issue date (Invoice.fx), payments on their payment date (Payment.fx),
+//   payouts on approval and on payment (Payout.fx); captured rates never change when the table is edited
+// - A payment settles receivables at the invoice's rate; the difference to its own rate is the realised
+//   exchange gain (positive) or loss, posted to the ledger (utils/ledger.js)
+// - Reports convert with the captured rates; documents without one are in the base currency (rate 1)
+
+import ExchangeRate from '../models/ExchangeRate.js';
+import InvoiceSettings from '../models/InvoiceSettings.js';
+import { round2 } from './helpers.js';
+
+export const DEFAULT_BASE_CURRENCY = 'INR';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function normalizeCurrency(value) {
+  const code = String(value || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
+export async function getBaseCurrency(ownerId) {
+  const settings = await InvoiceSettings.findOne({ ownerId }).select('baseCurrency').lean();
+  return settings?.baseCurrency || DEFAULT_BASE_CURRENCY;
+}
+
+// Rate snapshot for an amount in currency on a date: { baseCurrency, rate, rateDate }.
+// Throws (code NO_EXCHANGE_RATE) when a foreign currency has no rate on or before the date
+export async function fxSnapshot(ownerId, currency, date = new Date()) {
+  const baseCurrency = await getBaseCurrency(ownerId);
+  const code = normalizeCurrency(currency) || baseCurrency;
+  if (code === baseCurrency) return { baseCurrency, rate: 1, rateDate: null };
+  const d = new Date(date);
+  const endOfDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) + DAY_MS - 1);
+  const found = await ExchangeRate.findOne({ ownerId, currency: code, effectiveDate: { $lte: endOfDay } })
+    .sort({ effectiveDate: -1 })
+    .lean();
+  if (!found) {
+    const err = new Error(`No ${code} exchange rate on or before ${endOfDay.toISOString().slice(0, 10)}; add one under /api/exchange-rates`);
+    err.code = 'NO_EXCHANGE_RATE';
+    throw err;
+  }
+  return { baseCurrency, rate: found.rate, rateDate: found.effectiveDate };
+}
+
+// Invoice totals and settled amounts: whole rupees for INR (as GST invoices are rounded), cents otherwise
+export function roundTotal(amount, currency) {
+  const n = Number(amount) || 0;
+  return (normalizeCurrency(currency) || DEFAULT_BASE_CURRENCY) === 'INR' ? Math.round(n) : round2(n);
+}
+
+// Cached rate lookup for reports converting many rows at one date: resolves to the rate, or null when the
+// currency has no rate on file so the caller can flag the row instead of failing the report
+export function rateLookup(ownerId, date = new Date()) {
+  const cache = new Map();
+  return (currency) => {
+    const key = normalizeCurrency(currency) || '';
+    if (!cache.has(key)) {
+      cache.set(key, fxSnapshot(ownerId, currency, date).then((s) => s.rate, (err) => {
+        if (err.code === 'NO_EXCHANGE_RATE') return null;
+        throw err;
+      }));
+    }
+    return cache.get(key);
+  };
+}
+
+// Rate a document was captured at (1 when it has none, i.e. it is in the base currency)
+export function bookRate(doc) {
+  return doc?.fx?.rate || 1;
+}
+
+export function toBase(amount, rate = 1) {
+  return round2((Number(amount) || 0) * (rate || 1));
+}
+
+// Rate for an invoice being saved with the given currency/status/issuedAt: null for drafts, the current
+// snapshot when neither currency nor issue date changed, otherwise a fresh one from the rate table
+export async function invoiceFx(ownerId, next, current = null) {
+  if (!next.issuedAt || next.status === 'draft') return null;
+  const unchanged = current?.fx
+    && normalizeCurrency(current.currency) === normalizeCurrency(next.currency)
+    && new Date(current.issuedAt).getTime() === new Date(next.issuedAt).getTime();
+  if (unchanged) return current.fx;
+  return fxSnapshot(ownerId, next.currency, next.issuedAt);
+}
+
+// Payment.fx for a payment (plain fields) against its invoice: the payment-date rate, the invoice rate it
+// settles at and the realised gain (+) or loss (-) in the base currency on amount plus TDS.
+// Throws (code NO_INVOICE_RATE) when a foreign-currency invoice has no rate yet (drafts), as a gain or loss
+// against a made-up rate of 1 would be posted otherwise
+export async function paymentFx(payment, invoice) {
+  const snapshot = await fxSnapshot(payment.received_by, invoice?.currency, payment.payment_date);
+  const foreign = (normalizeCurrency(invoice?.currency) || snapshot.baseCurrency) !== snapshot.baseCurrency;
+  if (foreign && !invoice?.fx?.rate) {
+    const err = new Error('Invoice has no exchange rate yet; issue it before recording payments');
+    err.code = 'NO_INVOICE_RATE';
+    throw err;
+  }
+  const invoiceRate = bookRate(invoice);
+  const settled = (Number(payment.amount) || 0) + (Number(payment.tds_amount) || 0);
+  return {
+    base_currency: snapshot.baseCurrency,
+    rate: snapshot.rate,
+    rate_date: snapshot.rateDate,
+    invoice_rate: invoiceRate,
+    gain_loss: round2(toBase(settled, snapshot.rate) - toBase(settled, invoiceRate)),
+  };
+}
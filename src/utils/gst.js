@@ -0,0 +1,56 @@
+// GST reference data and helpers (India)
+// - State codes are the first two digits of a GSTIN and identify the place of supply
+
+export const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory',
+};
+
+// { code, name } for the state encoded in a GSTIN, or null
+export function stateFromGstin(gstin) {
+  const code = String(gstin || '').trim().slice(0, 2);
+  return GST_STATE_CODES[code] ? { code, name: GST_STATE_CODES[code] } : null;
+}
+
+// { code, name } for a state name (case-insensitive), or null
+export function stateFromName(name) {
+  const needle = String(name || '').trim().toLowerCase();
+  if (!needle) return null;
+  const entry = Object.entries(GST_STATE_CODES).find(([, n]) => n.toLowerCase() === needle);
+  return entry ? { code: entry[0], name: entry[1] } : null;
+}
@@ -0,0 +1,151 @@
+// GST calculation for invoices
+// - Treatment: intra-state (CGST + SGST/UTGST, rate split in half) when the supplier's state equals the
+//   place of supply, otherwise inter-state (IGST at the full rate)
+// - Supplier state: owner businessAddress.state, falling back to the GSTIN prefix
+// - Place of supply: explicit placeOfSupply, else the recipient GSTIN (issuedTo.gstNumber / Client.gst_number),
+//   else the supplier's state
+// - Lines carry hsnSac + taxRatePercent (defaulting from the linked Service's sacCode/gstRatePercent);
+//   taxInclusive prices are back-calculated to a taxable value
+// Amounts are rounded to paise per line; the invoice total is rounded to the rupee for INR and to the cent for
+// other currencies (utils/fx.js roundTotal).
+
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Client from '../models/Client.js';
+import Service from '../models/Service.js';
+import { GST_STATE_CODES, stateFromGstin, stateFromName } from './gst.js';
+import { roundTotal } from './fx.js';
+import { round2 } from './helpers.js';
+
+// Union territories without a legislature levy UTGST instead of SGST
+const UTGST_STATE_CODES = new Set(['04', '26', '31', '35', '38']);
+const HSN_SAC_REGEX = /^[0-9]{4,8}$/;
+
+// Accept a state code ('27'), a state name ('Maharashtra') or { code }
+export function resolveState(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return resolveState(value.code || value.name);
+  const raw = String(value).trim();
+  const code = raw.padStart(2, '0');
+  if (/^\d{1,2}$/.test(raw) && GST_STATE_CODES[code]) return { code, name: GST_STATE_CODES[code] };
+  return stateFromName(raw);
+}
+
+// Pure computation over already-resolved inputs.
+// items: [{ description, qty, unitPrice, hsnSac, taxRatePercent, ... }]
+// treatment ('intra_state' | 'inter_state') forces the split, e.g. credit notes follow their invoice
+// Returns { items, taxes, subTotal, taxTotal, taxTreatment } or throws on invalid input
+export function computeInvoiceTax({ items = [], taxInclusive = false, supplierState = null, placeOfSupply = null, treatment = null }) {
+  const outItems = items.map((raw, i) => {
+    const item = { ...raw };
+    const qty = Number(item.qty ?? 1);
+    const unitPrice = Number(item.unitPrice);
+    const rate = Number(item.taxRatePercent || 0);
+    if (!Number.isFinite(qty) || qty < 0) throw new Error(`items[${i}].qty is invalid`);
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) throw new Error(`items[${i}].unitPrice is invalid`);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) throw new Error(`items[${i}].taxRatePercent must be between 0 and 100`);
+    if (item.hsnSac != null && item.hsnSac !== '') {
+      item.hsnSac = String(item.hsnSac).trim();
+      if (!HSN_SAC_REGEX.test(item.hsnSac)) throw new Error(`items[${i}].hsnSac must be 4-8 digits`);
+    }
+    const gross = qty * unitPrice;
+    // Inclusive prices already contain the tax: taxable = gross / (1 + rate)
+    const taxable = taxInclusive ? round2(gross / (1 + rate / 100)) : round2(gross);
+    const taxAmount = taxInclusive ? round2(gross - taxable) : round2((taxable * rate) / 100);
+    return { ...item, qty, unitPrice, taxRatePercent: rate, amount: taxable, taxAmount };
+  });
+
+  const taxed = outItems.some((it) => it.taxRatePercent > 0);
+  if (!taxed) {
+    return { items: outItems, taxes: [], subTotal: round2(outItems.reduce((s, it) => s + it.amount, 0)), taxTotal: 0, taxTreatment: 'none' };
+  }
+  if (!supplierState) throw new Error('Set your business state or GSTIN before invoicing with GST');
+  const pos = placeOfSupply || supplierState;
+  const intra = treatment ? treatment === 'intra_state' : pos.code === supplierState.code;
+
+  // One tax line per component and rate, e.g. CGST @ 9%, SGST @ 9%
+  const buckets = new Map();
+  const add = (name, ratePercent, amount) => {
+    const key = `${name}:${ratePercent}`;
+    const entry = buckets.get(key) || { name, ratePercent, amount: 0 };
+    entry.amount += amount;
+    buckets.set(key, entry);
+  };
+  for (const it of outItems) {
+    if (!it.taxRatePercent) continue;
+    if (intra) {
+      // Split so the halves always add back up to the line tax
+      const central = round2(it.taxAmount / 2);
+      add('CGST', it.taxRatePercent / 2, central);
+      add(UTGST_STATE_CODES.has(supplierState.code) ? 'UTGST' : 'SGST', it.taxRatePercent / 2, round2(it.taxAmount - central));
+    } else {
+      add('IGST', it.taxRatePercent, it.taxAmount);
+    }
+  }
+  const taxes = [...buckets.values()].map((t) => ({ ...t, amount: round2(t.amount) }));
+  const subTotal = round2(outItems.reduce((s, it) => s + it.amount, 0));
+  const taxTotal = round2(taxes.reduce((s, t) => s + t.amount, 0));
+  return { items: outItems, taxes, subTotal, taxTotal, taxTreatment: intra ? 'intra_state' : 'inter_state' };
+}
+
+// Supplier state for an owner: businessAddress.state, else the GSTIN prefix
+export async function supplierStateFor(ownerId) {
+  const owner = await User.findById(ownerId).select('businessInformation').lean();
+  const bi = owner?.businessInformation || {};
+  return stateFromName(bi.businessAddress?.state) || stateFromGstin(bi.gstNumber);
+}
+
+// Place of supply: explicit value, recipient GSTIN on the invoice, or the linked Client's GSTIN
+export async function placeOfSupplyFor({ placeOfSupply, issuedTo, client, clientId }) {
+  if (placeOfSupply) {
+    const explicit = resolveState(placeOfSupply);
+    if (!explicit) throw new Error('Invalid placeOfSupply');
+    return explicit;
+  }
+  const fromInvoice = stateFromGstin(issuedTo?.gstNumber);
+  if (fromInvoice) return fromInvoice;
+  let clientDoc = null;
+  if (client && mongoose.isValidObjectId(client)) {
+    clientDoc = await Client.findById(client).select('gst_number').lean();
+  } else if (clientId && mongoose.isValidObjectId(clientId)) {
+    clientDoc = await Client.findOne({ user_id: clientId }).select('gst_number').lean();
+  }
+  return stateFromGstin(clientDoc?.gst_number);
+}
+
+// Fill hsnSac / taxRatePercent from the linked Service where the line leaves them unset
+async function withServiceDefaults(items) {
+  const ids = items.map((it) => it.serviceId).filter((id) => id && mongoose.isValidObjectId(id));
+  if (ids.length === 0) return items;
+  const services = await Service.find({ _id: { $in: ids } }).select('sacCode gstRatePercent').lean();
+  const byId = new Map(services.map((s) => [String(s._id), s]));
+  return items.map((it) => {
+    const svc = it.serviceId ? byId.get(String(it.serviceId)) : null;
+    if (!svc) return it;
+    return {
+      ...it,
+      hsnSac: it.hsnSac || svc.sacCode || undefined,
+      taxRatePercent: it.taxRatePercent ?? svc.gstRatePercent ?? 0,
+    };
+  });
+}
+
+// Full calculation for an invoice payload (create) or merged document (update).
+// Returns the fields to store: items, taxes, subTotal, total, placeOfSupply, taxTreatment
+export async function calculateInvoiceTaxes({ ownerId, items, taxInclusive, placeOfSupply, issuedTo, client, clientId, currency }) {
+  const lines = await withServiceDefaults(Array.isArray(items) ? items : []);
+  const [supplierState, pos] = await Promise.all([
+    supplierStateFor(ownerId),
+    placeOfSupplyFor({ placeOfSupply, issuedTo, client, clientId }),
+  ]);
+  const result = computeInvoiceTax({ items: lines, taxInclusive: !!taxInclusive, supplierState, placeOfSupply: pos });
+  const resolvedPos = result.taxTreatment === 'none' ? pos : pos || supplierState;
+  return {
+    items: result.items,
+    taxes: result.taxes,
+    subTotal: result.subTotal,
+    total: roundTotal(result.subTotal + result.taxTotal, currency),
+    placeOfSupply: resolvedPos ? { code: resolvedPos.code, name: resolvedPos.name } : null,
+    taxTreatment: result.taxTreatment,
+  };
+}
@@ -0,0 +1,17 @@
+// Small money, date and file-name helpers shared across utils
+
+// Round to cents (non-numbers count as 0)
+export function round2(value) {
+  return Math.round(((Number(value) || 0) + Number.EPSILON) * 100) / 100;
+}
+
+// Midnight UTC of a date's day
+export function startOfDay(date) {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+// Storage-safe file name from a document number, e.g. 'INV/24-25/001' -> 'INV-24-25-001'
+export function safeFileName(value, fallback = 'file') {
+  return String(value || fallback).replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || fallback;
+}
@@ -0,0 +1,108 @@
+// Invoice creation shared by InvoiceController.create and recurring schedules (jobs/recurringInvoices.js)
+// Numbering, GST calculation, exchange rate capture, backward-compat fields, PDF caching and ledger posting all
+// happen here. Scheme numbers are allocated last, right before save.
+
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import { nextInvoiceNumber } from './invoiceNumbering.js';
+import { refreshInvoicePdf } from './invoicePdf.js';
+import { calculateInvoiceTaxes } from './gstTax.js';
+import { syncLedger } from './ledger.js';
+import { invoiceFx } from './fx.js';
+
+function parseObjectId(id) {
+  try {
+    return new mongoose.Types.ObjectId(id);
+  } catch {
+    return null;
+  }
+}
+
+// Issued invoices get their PDF rendered and cached without holding up the response
+export function refreshPdfOnIssue(invoice) {
+  if (!invoice || invoice.status === 'draft' || !invoice.issuedAt) return;
+  refreshInvoicePdf(invoice).catch((err) => console.warn(`Invoice PDF refresh failed (${invoice._id}):`, err.message));
+}
+
+// Create an invoice for an owner from a request-shaped payload.
+// options.scheduleId links invoices generated by a recurring schedule
+// Returns { invoice } or { status, error }; throws on validation/database errors (11000 = duplicate invoiceNo)
+export async function createInvoice(payload, createdBy, { scheduleId = null } = {}) {
+  // invoiceNo is optional: omitted means the owner's numbering scheme assigns one
+  const required = ['clientId', 'issuedTo'];
+  for (const f of required) {
+    if (!payload[f]) return { status: 400, error: `${f} is required` };
+  }
+  // Payments live in the Payment collection and are projected onto the invoice (utils/invoicePayments.js)
+  if (payload.payments !== undefined) return { status: 400, error: 'Record payments through /api/payments' };
+  const clientId = parseObjectId(payload.clientId);
+  const projectId = payload.projectId ? parseObjectId(payload.projectId) : undefined;
+  const quotationId = payload.quotationId ? parseObjectId(payload.quotationId) : undefined;
+  if (!clientId) return { status: 400, error: 'Invalid clientId' };
+  if (payload.projectId && !projectId) return { status: 400, error: 'Invalid projectId' };
+  if (payload.quotationId && !quotationId) return { status: 400, error: 'Invalid quotationId' };
+
+  const invoiceNo = payload.invoiceNo ? String(payload.invoiceNo).trim() : '';
+  if (invoiceNo) {
+    // Manual override: only has to be unique within the owner's invoices
+    const dup = await Invoice.findOne({ createdBy, invoiceNo }).lean();
+    if (dup) return { status: 409, error: 'invoiceNo already exists' };
+  }
+
+  // Line taxes, CGST/SGST or IGST split and totals (throws on invalid lines)
+  const tax = await calculateInvoiceTaxes({
+    ownerId: createdBy,
+    items: payload.items,
+    taxInclusive: payload.taxInclusive,
+    placeOfSupply: payload.placeOfSupply,
+    issuedTo: payload.issuedTo,
+    client: payload.client,
+    clientId,
+    currency: payload.currency,
+  });
+
+  const doc = new Invoice({
+    invoiceNo,
+    clientId,
+    issuedTo: payload.issuedTo,
+    currency: payload.currency || 'INR',
+    items: tax.items,
+    taxes: tax.taxes,
+    placeOfSupply: tax.placeOfSupply,
+    taxTreatment: tax.taxTreatment,
+    status: payload.status || 'draft',
+    issuedAt: payload.issuedAt ? new Date(payload.issuedAt) : null,
+    dueDate: payload.dueDate ? new Date(payload.dueDate) : null,
+    taxInclusive: !!payload.taxInclusive,
+    notes: payload.notes ?? null,
+    terms: payload.terms ?? null,
+    pdfUrl: payload.pdfUrl ?? null,
+    createdBy,
+    updatedBy: null,
+    isActive: payload.isActive !== undefined ? !!payload.isActive : true,
+    isDeleted: false,
+    meta: payload.meta ?? {},
+    projectId,
+    quotationId,
+    scheduleId,
+    // Backward fields for compatibility
+    invoice_number: invoiceNo,
+    issue_date: payload.issuedAt ? new Date(payload.issuedAt) : null,
+    due_date: payload.dueDate ? new Date(payload.dueDate) : null,
+    created_by: createdBy,
+  });
+
+  // A scheme number is only allocated once everything else has passed, so rejected creates leave no gaps
+  await doc.validate(invoiceNo ? undefined : { pathsToSkip: ['invoiceNo'] });
+  // Issued invoices carry the exchange rate of their issue date (throws when a foreign rate is missing)
+  doc.fx = await invoiceFx(createdBy, doc);
+  if (!invoiceNo) {
+    doc.invoiceNo = await nextInvoiceNumber(createdBy, doc.issuedAt || new Date());
+    doc.invoice_number = doc.invoiceNo;
+  }
+  const saved = await doc.save();
+  refreshPdfOnIssue(saved.toObject());
+  const entry = await syncLedger('invoice', saved._id);
+  if (entry) saved.ledgerEntryId = entry._id;
+  return { invoice: saved };
+}
@@ -0,0 +1,24 @@
+// Invoice emails to clients (issuedTo.email), with the tax invoice PDF attached when it was rendered
+// and a link to the cached copy otherwise
+
+import User from '../models/User.js';
+import { sendMail, escapeHtml } from './mailer.js';
+import { refreshInvoicePdf, sellerDetails, money, formatDate } from './invoicePdf.js';
+
+// Email an issued invoice to its recipient; throws when there is no recipient address or delivery fails
+export async function sendInvoiceEmail(invoice) {
+  const email = String(invoice.issuedTo?.email || '').trim();
+  if (!email) throw new Error('Invoice has no recipient email (issuedTo.email)');
+  const owner = await User.findById(invoice.createdBy).select('registration businessInformation paymentInformation').lean();
+  const seller = sellerDetails(owner);
+  const pdf = await refreshInvoicePdf(invoice);
+  const fileName = `${String(invoice.invoiceNo).replace(/[^A-Za-z0-9._-]+/g, '-')}.pdf`;
+  const link = pdf.url ? `<p><a href="${escapeHtml(pdf.url)}">Download invoice ${escapeHtml(invoice.invoiceNo)}</a></p>` : '';
+  const due = invoice.dueDate ? ` due on ${formatDate(invoice.dueDate)}` : '';
+  await sendMail({
+    to: { address: email, name: invoice.issuedTo?.name },
+    subject: `Invoice ${invoice.invoiceNo} from ${seller.name || 'INFLU'}`,
+    html: `<div><p>Hi ${escapeHtml(invoice.issuedTo?.name || email)},</p><p>Please find invoice ${escapeHtml(invoice.invoiceNo)} for ${escapeHtml(invoice.currency || 'INR')} ${money(invoice.balanceDue ?? invoice.total)}${due}.</p>${link}<p>${escapeHtml(seller.name)}</p></div>`,
+    attachments: pdf.buffer ? [{ filename: fileName, content: pdf.buffer, contentType: 'application/pdf' }] : [],
+  });
+}
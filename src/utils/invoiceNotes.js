@@ -0,0 +1,208 @@
+// Credit and debit notes against issued invoices
+// - Notes are only issued on sent/partial/paid/overdue/disputed invoices (never drafts or cancelled ones)
+// - Tax mirrors the invoice: same place of supply and treatment, so a credit note reverses CGST+SGST or IGST
+//   exactly as charged; lines may point at an invoice line (invoiceItemId) to inherit its description,
+//   HSN/SAC and rate
+// - A credit note cannot exceed what is left on the invoice (total + debits - earlier credits); a full credit
+//   note (cancellation) reverses exactly that remaining value, netting earlier notes per tax rate
+// - After every issue/cancel the invoice's creditedAmount/debitedAmount are re-summed and saved, so the
+//   Invoice model recomputes balanceDue and status
+
+import InvoiceNote, { CREDIT_NOTE_REASONS, DEBIT_NOTE_REASONS } from '../models/InvoiceNote.js';
+import Invoice from '../models/Invoice.js';
+import { computeInvoiceTax } from './gstTax.js';
+import { roundTotal } from './fx.js';
+import { nextNoteNumber } from './invoiceNumbering.js';
+import { syncLedger } from './ledger.js';
+import { round2 } from './helpers.js';
+
+const NOTE_BLOCKED_STATUSES = ['draft', 'cancelled'];
+
+// Invoice value still open to credit: total + debits - credits
+export function creditableAmount(invoice) {
+  return (invoice.total || 0) + (invoice.debitedAmount || 0) - (invoice.creditedAmount || 0);
+}
+
+function lineFromInvoice(invoice, raw, i) {
+  if (!raw.invoiceItemId) return raw;
+  const source = (invoice.items || []).find((it) => String(it._id) === String(raw.invoiceItemId));
+  if (!source) throw new Error(`items[${i}].invoiceItemId is not a line on this invoice`);
+  return {
+    description: raw.description || source.description,
+    serviceId: source.serviceId || null,
+    hsnSac: source.hsnSac || undefined,
+    taxRatePercent: source.taxRatePercent || 0,
+    qty: raw.qty ?? source.qty,
+    unitPrice: raw.unitPrice ?? source.unitPrice,
+  };
+}
+
+// Issued notes of an invoice, for full credit notes on invoices that already have some
+export function issuedNotes(invoiceId) {
+  return InvoiceNote.find({ invoiceId, status: 'issued' }).select('type items taxes subTotal total').lean();
+}
+
+// Lines and taxes still open on the invoice, for full credit notes (cancellations)
+// Without earlier notes this is a copy of the invoice's own lines and taxes; otherwise note lines are netted
+// against the invoice's per HSN/SAC and rate (debits add, credits subtract), one line per group still open
+function fullReversal(invoice, notes = []) {
+  if (!notes.length) {
+    return {
+      items: (invoice.items || []).map(({ _id, ...line }) => line),
+      taxes: (invoice.taxes || []).map(({ name, ratePercent, amount }) => ({ name, ratePercent, amount })),
+      subTotal: invoice.subTotal || 0,
+      total: invoice.total || 0,
+      taxInclusive: !!invoice.taxInclusive,
+    };
+  }
+  const sources = [{ sign: 1, doc: invoice }, ...notes.map((n) => ({ sign: n.type === 'credit' ? -1 : 1, doc: n }))];
+  const groups = new Map();
+  const taxes = new Map();
+  for (const { sign, doc } of sources) {
+    for (const line of doc.items || []) {
+      const key = `${line.hsnSac || ''}|${line.taxRatePercent || 0}`;
+      const group = groups.get(key) || { hsnSac: line.hsnSac || undefined, taxRatePercent: line.taxRatePercent || 0, amount: 0, taxAmount: 0, descriptions: new Set() };
+      group.amount += sign * (line.amount || 0);
+      group.taxAmount += sign * (line.taxAmount || 0);
+      if (sign > 0) group.descriptions.add(line.description);
+      groups.set(key, group);
+    }
+    for (const tax of doc.taxes || []) {
+      const key = `${tax.name}|${tax.ratePercent}`;
+      taxes.set(key, { name: tax.name, ratePercent: tax.ratePercent, amount: (taxes.get(key)?.amount || 0) + sign * tax.amount });
+    }
+  }
+  const items = [...groups.values()]
+    .filter((g) => round2(g.amount) > 0)
+    .map((g) => ({
+      description: g.descriptions.size === 1 ? [...g.descriptions][0] : `Remaining value of invoice ${invoice.invoiceNo}`,
+      hsnSac: g.hsnSac,
+      taxRatePercent: g.taxRatePercent,
+      qty: 1,
+      unitPrice: round2(g.amount),
+      amount: round2(g.amount),
+      taxAmount: round2(Math.max(0, g.taxAmount)),
+    }));
+  return {
+    items,
+    taxes: [...taxes.values()].map((t) => ({ ...t, amount: round2(t.amount) })).filter((t) => t.amount > 0),
+    subTotal: round2(items.reduce((s, it) => s + it.amount, 0)),
+    // Exactly what is left, so the invoice settles to zero
+    total: roundTotal(creditableAmount(invoice), invoice.currency),
+    taxInclusive: !!invoice.taxInclusive,
+  };
+}
+
+function computedLines(invoice, items) {
+  const lines = items.map((raw, i) => lineFromInvoice(invoice, raw || {}, i));
+  const pos = invoice.placeOfSupply?.code ? invoice.placeOfSupply : null;
+  if (invoice.taxTreatment === 'none' && lines.some((it) => Number(it.taxRatePercent) > 0)) {
+    throw new Error('This invoice carried no GST; note lines cannot be taxed');
+  }
+  // The invoice's treatment decides the split; its place of supply stands in for the supplier state
+  const result = computeInvoiceTax({
+    items: lines,
+    taxInclusive: !!invoice.taxInclusive,
+    supplierState: pos,
+    placeOfSupply: pos,
+    treatment: invoice.taxTreatment === 'none' ? null : invoice.taxTreatment,
+  });
+  return {
+    items: result.items,
+    taxes: result.taxes,
+    subTotal: result.subTotal,
+    total: roundTotal(result.subTotal + result.taxTotal, invoice.currency),
+    taxInclusive: !!invoice.taxInclusive,
+  };
+}
+
+// Validate and price a note for an invoice (lean or document).
+// payload: { reason, description, items, full, issuedAt }; full credits the remaining value, netting the
+// invoice's issued notes (issuedNotes) when it has any
+// Returns { fields } ready for InvoiceNote.create, or { status, error }
+export function prepareNote(invoice, type, payload = {}, notes = []) {
+  if (NOTE_BLOCKED_STATUSES.includes(invoice.status) || !invoice.issuedAt) {
+    return { status: 409, error: `Notes can only be issued against issued invoices (status is ${invoice.status})` };
+  }
+  const reasons = type === 'credit' ? CREDIT_NOTE_REASONS : DEBIT_NOTE_REASONS;
+  if (!reasons.includes(payload.reason)) {
+    return { status: 400, error: `reason must be one of ${reasons.join(', ')}` };
+  }
+
+  let amounts;
+  try {
+    if (payload.full) {
+      if (type !== 'credit') return { status: 400, error: 'full is only supported for credit notes' };
+      amounts = fullReversal(invoice, notes);
+    } else {
+      if (!Array.isArray(payload.items) || payload.items.length === 0) {
+        return { status: 400, error: 'items are required (or full: true to credit the remaining value)' };
+      }
+      amounts = computedLines(invoice, payload.items);
+    }
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
+
+  if (amounts.total <= 0) return { status: 400, error: 'Note total must be greater than zero' };
+  if (type === 'credit' && amounts.total > creditableAmount(invoice)) {
+    return { status: 409, error: `Credit note total ${amounts.total} exceeds the invoice's remaining value ${creditableAmount(invoice)}` };
+  }
+
+  const issuedAt = payload.issuedAt ? new Date(payload.issuedAt) : new Date();
+  if (Number.isNaN(issuedAt.getTime())) return { status: 400, error: 'Invalid issuedAt' };
+
+  return {
+    fields: {
+      type,
+      invoiceId: invoice._id,
+      invoiceNo: invoice.invoiceNo,
+      clientId: invoice.clientId,
+      client: invoice.client || null,
+      projectId: invoice.projectId || null,
+      reason: payload.reason,
+      description: payload.description || null,
+      currency: invoice.currency || 'INR',
+      placeOfSupply: invoice.placeOfSupply || null,
+      taxTreatment: invoice.taxTreatment || 'none',
+      issuedAt,
+      createdBy: invoice.createdBy,
+      ...amounts,
+    },
+  };
+}
+
+// Number and store a prepared note, then bring the invoice's balance up to date
+export async function issueNote(fields) {
+  const noteNo = await nextNoteNumber(fields.createdBy, fields.type, fields.issuedAt);
+  const note = await InvoiceNote.create({ ...fields, noteNo });
+  await syncLedger('note', note._id);
+  const invoice = await syncInvoiceAdjustments(fields.invoiceId);
+  return { note, invoice };
+}
+
+// Re-sum issued notes onto the invoice and save it through the model (balanceDue, status, audit log)
+// A fully credited invoice with nothing paid becomes cancelled; cancelling that credit note reopens it
+export async function syncInvoiceAdjustments(invoiceId) {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) return null;
+  const sums = await InvoiceNote.aggregate([
+    { $match: { invoiceId: invoice._id, status: 'issued' } },
+    { $group: { _id: '$type', total: { $sum: '$total' } } },
+  ]);
+  const byType = Object.fromEntries(sums.map((s) => [s._id, s.total]));
+  invoice.creditedAmount = byType.credit || 0;
+  invoice.debitedAmount = byType.debit || 0;
+
+  const payable = creditableAmount(invoice);
+  const paid = invoice.paidAmount || 0;
+  if (payable <= 0 && paid === 0) {
+    invoice.status = 'cancelled';
+    invoice.payment_status = 'cancelled';
+  } else if (invoice.status === 'cancelled' && payable > 0) {
+    invoice.status = 'sent';
+    invoice.payment_status = 'pending';
+  }
+  await invoice.save();
+  return invoice.toObject();
+}
@@ -0,0 +1,125 @@
+// Automatic invoice, credit/debit note and payment receipt numbers per owner
+// - Scheme comes from InvoiceSettings.numbering (prefix, format, padding, reset, fyStartMonth);
+//   notes and receipts share the format with their own prefixes (creditNotePrefix, debitNotePrefix, receiptPrefix)
+// - Values are drawn from the Counter collection ({ name: 'invoice' | 'credit_note' | 'debit_note' | 'receipt', period })
+//   with an atomic $inc
+// - Numbers already taken by a manual override are skipped
+
+import Counter from '../models/Counter.js';
+import Invoice from '../models/Invoice.js';
+import InvoiceNote from '../models/InvoiceNote.js';
+import InvoiceSettings from '../models/InvoiceSettings.js';
+import Payment from '../models/Payment.js';
+
+const MAX_SKIPS = 50;
+
+export const DEFAULT_NUMBERING = {
+  prefix: 'INV',
+  creditNotePrefix: 'CN',
+  debitNotePrefix: 'DN',
+  receiptPrefix: 'RCT',
+  format: '{prefix}/{fy}/{seq}',
+  padding: 4,
+  reset: 'financial_year',
+  fyStartMonth: 4,
+};
+
+// Financial year label for a date, e.g. 2026-27 for 2026-04-01..2027-03-31 (startMonth 4)
+// Dates are read in UTC, like the stored issue dates, so the label does not depend on the server's timezone
+export function financialYear(date, startMonth = 4) {
+  const d = new Date(date);
+  const startYear = d.getUTCMonth() + 1 >= startMonth ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+  if (startMonth === 1) return String(startYear);
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+function periodFor(config, date) {
+  return config.reset === 'financial_year' ? financialYear(date, config.fyStartMonth) : 'all';
+}
+
+export function formatInvoiceNumber(config, seq, date = new Date()) {
+  const d = new Date(date);
+  return String(config.format)
+    .replaceAll('{prefix}', config.prefix || '')
+    .replaceAll('{fy}', financialYear(d, config.fyStartMonth))
+    .replaceAll('{yyyy}', String(d.getUTCFullYear()))
+    .replaceAll('{seq}', String(seq).padStart(config.padding, '0'));
+}
+
+// Validate a partial numbering update; returns an error message or null
+export function validateNumbering(numbering) {
+  const merged = { ...DEFAULT_NUMBERING, ...numbering };
+  if (!String(merged.format).includes('{seq}')) return 'format must include {seq}';
+  // {yyyy} is the calendar year, which repeats numbers across a financial year that spans two of them
+  if (merged.reset === 'financial_year' && !String(merged.format).includes('{fy}')) {
+    return 'format must include {fy} when numbering resets every financial year';
+  }
+  return null;
+}
+
+export async function getNumberingConfig(ownerId) {
+  const settings = await InvoiceSettings.findOne({ ownerId }).select('numbering').lean();
+  return { ...DEFAULT_NUMBERING, ...(settings?.numbering || {}) };
+}
+
+// Series: counter name, prefix and an existence check for manual overrides
+function seriesFor(kind, config, ownerId) {
+  if (kind === 'invoice') {
+    return {
+      name: 'invoice',
+      prefix: config.prefix,
+      taken: (number) => Invoice.exists({ createdBy: ownerId, invoiceNo: number }),
+    };
+  }
+  if (kind === 'receipt') {
+    return {
+      name: 'receipt',
+      prefix: config.receiptPrefix,
+      taken: (number) => Payment.exists({ received_by: ownerId, 'receipt.number': number }),
+    };
+  }
+  const type = kind === 'credit_note' ? 'credit' : 'debit';
+  return {
+    name: kind,
+    prefix: type === 'credit' ? config.creditNotePrefix : config.debitNotePrefix,
+    taken: (number) => InvoiceNote.exists({ createdBy: ownerId, type, noteNo: number }),
+  };
+}
+
+async function allocate(kind, ownerId, date) {
+  const config = await getNumberingConfig(ownerId);
+  const series = seriesFor(kind, config, ownerId);
+  const period = periodFor(config, date);
+  for (let i = 0; i < MAX_SKIPS; i += 1) {
+    const counter = await Counter.findOneAndUpdate(
+      { ownerId, name: series.name, period },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+    const number = formatInvoiceNumber({ ...config, prefix: series.prefix }, counter.seq, date);
+    if (!(await series.taken(number))) return number;
+  }
+  throw new Error('Could not allocate a free number; check the numbering settings');
+}
+
+// Allocate the next free invoice number for an owner; date picks the financial year (issue date)
+export function nextInvoiceNumber(ownerId, date = new Date()) {
+  return allocate('invoice', ownerId, date);
+}
+
+// Allocate the next credit ('credit') or debit ('debit') note number
+export function nextNoteNumber(ownerId, type, date = new Date()) {
+  return allocate(type === 'credit' ? 'credit_note' : 'debit_note', ownerId, date);
+}
+
+// Allocate the next payment receipt number; date is the receipt's issue date
+export function nextReceiptNumber(ownerId, date = new Date()) {
+  return allocate('receipt', ownerId, date);
+}
+
+// The number the next invoice would get, without consuming it
+export async function previewNextInvoiceNumber(ownerId, date = new Date()) {
+  const config = await getNumberingConfig(ownerId);
+  const counter = await Counter.findOne({ ownerId, name: 'invoice', period: periodFor(config, date) }).select('seq').lean();
+  return formatInvoiceNumber(config, (counter?.seq || 0) + 1, date);
+}
@@ -0,0 +1,65 @@
+// Payments are recorded in the Payment collection (the source of truth); Invoice.payments is a projection
+// of them, rebuilt on every payment write so the Invoice model recomputes paidAmount, balanceDue, status
+// and payment_status in one place. Each embedded record carries the Payment id in paymentId.
+
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+import Client from '../models/Client.js';
+import { runInTransaction } from './transactions.js';
+import { issueReceiptOnVerify } from './paymentReceipts.js';
+import { syncLedger } from './ledger.js';
+import { paymentFx } from './fx.js';
+
+const METHOD_BY_MODE = { BANK: 'bank_transfer', UPI: 'upi' };
+export const MODE_BY_METHOD = { bank_transfer: 'BANK', upi: 'UPI' };
+
+// Embedded Invoice.payments entry for a Payment document
+export function paymentRecord(payment, currency = 'INR') {
+  return {
+    paymentId: String(payment._id),
+    paidAt: payment.payment_date,
+    amount: payment.amount,
+    tdsAmount: payment.tds_amount || 0,
+    currency,
+    method: METHOD_BY_MODE[payment.mode] || 'other',
+    reference: payment.transaction_id || null,
+    notes: payment.remarks || null,
+  };
+}
+
+// Rebuild an invoice's embedded payments from the Payment collection and save it through the model.
+// Pass the transaction session when called inside runInTransaction. Returns the saved invoice or null.
+export async function syncInvoicePayments(invoiceId, { session = null } = {}) {
+  const invoice = await Invoice.findById(invoiceId).session(session);
+  if (!invoice) return null;
+  const payments = await Payment.find({ invoice_id: invoice._id }).sort({ payment_date: 1 }).session(session).lean();
+  invoice.payments = payments.map((p) => paymentRecord(p, invoice.currency));
+  await invoice.save({ session });
+  return invoice;
+}
+
+// Create a Payment and project it onto its invoice in one transaction, then post it to the ledger;
+// returns the saved Payment. The exchange rate of the payment date is captured first (throws when a foreign
+// rate is missing). Verified payments get their numbered receipt straight away
+export async function recordPayment(fields) {
+  const invoice = await Invoice.findById(fields.invoice_id).select('currency fx').lean();
+  const data = { ...fields, fx: await paymentFx(fields, invoice) };
+  // Built inside the callback so a retried transaction inserts a fresh document
+  const created = await runInTransaction(async (session) => {
+    const saved = await new Payment(data).save({ session });
+    await syncInvoicePayments(saved.invoice_id, { session });
+    return saved;
+  });
+  await syncLedger('payment', created._id);
+  const issued = await issueReceiptOnVerify(created);
+  if (issued?.receipt) created.receipt = issued.receipt;
+  return created;
+}
+
+// Client (payer) behind an invoice: the legacy Client ref, else the Client linked to clientId
+export async function payerForInvoice(invoice) {
+  if (invoice.client) return invoice.client;
+  if (!invoice.clientId) return null;
+  const client = await Client.findOne({ user_id: invoice.clientId }).select('_id').lean();
+  return client?._id || null;
+}
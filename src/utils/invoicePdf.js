@@ -0,0 +1,304 @@
+// Invoice PDF rendering (pdfkit) and storage caching
+// - renderInvoicePdf builds a GST tax invoice from the invoice and the owner's business/payment details
+// - refreshInvoicePdf caches the file in Bunny Storage under <ownerId>/invoices/ and records pdfUrl + pdfHash;
+//   an unchanged invoice (same fingerprint) reuses the stored file
+
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import Invoice from '../models/Invoice.js';
+import User from '../models/User.js';
+import { uploadToBunny } from './bunnyStorage.js';
+import { stateFromGstin, stateFromName } from './gst.js';
+import { safeFileName } from './helpers.js';
+
+const PAGE_MARGIN = 40;
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve',
+  'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function belowHundred(n) {
+  if (n < 20) return ONES[n];
+  return `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`;
+}
+
+function belowThousand(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? belowHundred(rest) : ''].filter(Boolean).join(' ');
+}
+
+// Whole number in the Indian system (crore, lakh, thousand)
+function integerInWords(n) {
+  if (n === 0) return 'Zero';
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+  if (crore) parts.push(`${integerInWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (rest) parts.push(belowThousand(rest));
+  return parts.join(' ');
+}
+
+// e.g. 125000.5 -> "Rupees One Lakh Twenty Five Thousand and Fifty Paise Only"
+export function amountInWords(amount, currency = 'INR') {
+  const value = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const whole = Math.floor(value / 100);
+  const fraction = value % 100;
+  const unit = currency === 'INR' ? 'Rupees' : currency;
+  let words = `${unit} ${integerInWords(whole)}`;
+  if (fraction) words += ` and ${belowHundred(fraction)} ${currency === 'INR' ? 'Paise' : 'Cents'}`;
+  return `${words} Only`;
+}
+
+export function money(value) {
+  return (Number(value) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+export function formatDate(value) {
+  if (!value) return '-';
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? '-' : d.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+// Seller block from the owner's User document
+export function sellerDetails(owner) {
+  const bi = owner?.businessInformation || {};
+  const addr = bi.businessAddress || {};
+  const payment = [...(owner?.paymentInformation || [])].sort((a, b) => (a.priority || 0) - (b.priority || 0));
+  return {
+    name: bi.businessName || owner?.registration?.name || '',
+    gstin: bi.isGstRegistered ? bi.gstNumber || null : null,
+    pan: bi.businessPAN || bi.individualPAN || null,
+    addressLines: [addr.line1, addr.line2, [addr.city, addr.state, addr.postalCode].filter(Boolean).join(', '), addr.country]
+      .filter(Boolean),
+    state: stateFromGstin(bi.gstNumber) || stateFromName(addr.state),
+    email: owner?.registration?.email || null,
+    phone: owner?.registration?.phone || null,
+    bank: payment.filter((p) => p.method === 'bank_transfer' && p.bank).map((p) => ({
+      accountName: p.bank.accountName || null,
+      ifsc: p.bank.ifsc || null,
+    })),
+    upiIds: payment.filter((p) => p.method === 'upi' && p.upiId).map((p) => p.upiId),
+  };
+}
+
+// Hash of everything the PDF shows; a changed fingerprint means the cached file is stale
+export function invoicePdfFingerprint(invoice, seller) {
+  const relevant = {
+    invoiceNo: invoice.invoiceNo,
+    issuedTo: invoice.issuedTo,
+    items: invoice.items,
+    taxes: invoice.taxes,
+    placeOfSupply: invoice.placeOfSupply,
+    subTotal: invoice.subTotal,
+    total: invoice.total,
+    paidAmount: invoice.paidAmount,
+    tdsAmount: invoice.tdsAmount,
+    creditedAmount: invoice.creditedAmount,
+    debitedAmount: invoice.debitedAmount,
+    balanceDue: invoice.balanceDue,
+    currency: invoice.currency,
+    status: invoice.status,
+    issuedAt: invoice.issuedAt,
+    dueDate: invoice.dueDate,
+    notes: invoice.notes,
+    terms: invoice.terms,
+    seller,
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(relevant)).digest('hex');
+}
+
+// Render the tax invoice; resolves to a Buffer
+export function renderInvoicePdf(invoice, seller) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `Invoice ${invoice.invoiceNo}` } });
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const currency = invoice.currency || 'INR';
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    const left = PAGE_MARGIN;
+    const recipient = invoice.issuedTo || {};
+    const placeOfSupply = invoice.placeOfSupply?.code ? invoice.placeOfSupply : stateFromGstin(recipient.gstNumber) || seller.state;
+
+    // Title
+    doc.font('Helvetica-Bold').fontSize(16).text(seller.gstin ? 'TAX INVOICE' : 'INVOICE', { align: 'center' });
+    doc.moveDown(0.8);
+
+    // Supplier (left) and invoice details (right)
+    const top = doc.y;
+    doc.font('Helvetica-Bold').fontSize(11).text(seller.name || '-', left, top, { width: width / 2 });
+    doc.font('Helvetica').fontSize(9);
+    for (const line of seller.addressLines) doc.text(line, { width: width / 2 });
+    if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`, { width: width / 2 });
+    if (seller.pan) doc.text(`PAN: ${seller.pan}`, { width: width / 2 });
+    if (seller.email) doc.text(seller.email, { width: width / 2 });
+    if (seller.phone) doc.text(seller.phone, { width: width / 2 });
+    const leftBottom = doc.y;
+
+    const detailX = left + width / 2 + 20;
+    const details = [
+      ['Invoice No', invoice.invoiceNo],
+      ['Invoice Date', formatDate(invoice.issuedAt || invoice.createdAt)],
+      ['Due Date', formatDate(invoice.dueDate)],
+      ['Place of Supply', placeOfSupply ? `${placeOfSupply.name} (${placeOfSupply.code})` : '-'],
+    ];
+    doc.y = top;
+    for (const [label, value] of details) {
+      doc.font('Helvetica-Bold').text(`${label}: `, detailX, doc.y, { continued: true, width: width / 2 - 20 });
+      doc.font('Helvetica').text(String(value ?? '-'));
+    }
+    doc.y = Math.max(leftBottom, doc.y) + 12;
+
+    // Recipient
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill To', left);
+    doc.font('Helvetica').fontSize(9);
+    doc.text(recipient.name || '-');
+    if (recipient.company) doc.text(recipient.company);
+    if (recipient.billingAddress) doc.text(recipient.billingAddress, { width: width / 2 });
+    if (recipient.gstNumber) doc.text(`GSTIN: ${recipient.gstNumber}`);
+    if (recipient.email) doc.text(recipient.email);
+    if (recipient.phone) doc.text(recipient.phone);
+    doc.moveDown(1);
+
+    // Line items
+    const cols = [
+      { key: 'n', label: '#', width: 24, align: 'left' },
+      { key: 'description', label: 'Description', width: width - 24 - 55 - 45 - 75 - 45 - 90, align: 'left' },
+      { key: 'hsnSac', label: 'HSN/SAC', width: 55, align: 'left' },
+      { key: 'qty', label: 'Qty', width: 45, align: 'right' },
+      { key: 'rate', label: 'Rate', width: 75, align: 'right' },
+      { key: 'tax', label: 'Tax %', width: 45, align: 'right' },
+      { key: 'amount', label: `Amount (${currency})`, width: 90, align: 'right' },
+    ];
+    const drawRow = (values, bold = false) => {
+      const y = doc.y;
+      let x = left;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      let rowHeight = 0;
+      for (const col of cols) {
+        const text = String(values[col.key] ?? '');
+        rowHeight = Math.max(rowHeight, doc.heightOfString(text, { width: col.width - 6 }));
+        doc.text(text, x + 3, y, { width: col.width - 6, align: col.align });
+        x += col.width;
+      }
+      doc.y = y + rowHeight + 6;
+      doc.moveTo(left, doc.y - 3).lineTo(left + width, doc.y - 3).strokeColor('#dddddd').stroke();
+    };
+    const header = Object.fromEntries(cols.map((c) => [c.key, c.label]));
+    drawRow(header, true);
+    (invoice.items || []).forEach((it, i) => {
+      if (doc.y > doc.page.height - PAGE_MARGIN - 80) {
+        doc.addPage();
+        drawRow(header, true);
+      }
+      drawRow({
+        n: i + 1,
+        description: it.description,
+        hsnSac: it.hsnSac || '-',
+        qty: it.qty,
+        rate: money(it.unitPrice),
+        tax: it.taxRatePercent ? `${it.taxRatePercent}` : '-',
+        amount: money(it.amount),
+      });
+    });
+    doc.moveDown(0.5);
+
+    // Totals
+    const totals = [['Taxable Value', invoice.subTotal]];
+    for (const t of invoice.taxes || []) totals.push([`${t.name} @ ${t.ratePercent}%`, t.amount]);
+    totals.push(['Total', invoice.total]);
+    // Issued credit/debit notes adjust what is payable
+    if (invoice.creditedAmount) totals.push(['Credit Notes', -invoice.creditedAmount]);
+    if (invoice.debitedAmount) totals.push(['Debit Notes', invoice.debitedAmount]);
+    if (invoice.paidAmount) {
+      // TDS deducted by the client settles the invoice alongside cash
+      if (invoice.tdsAmount) {
+        totals.push(['Paid', invoice.paidAmount - invoice.tdsAmount]);
+        totals.push(['TDS Deducted', invoice.tdsAmount]);
+      } else {
+        totals.push(['Paid', invoice.paidAmount]);
+      }
+    }
+    if (invoice.paidAmount || invoice.creditedAmount || invoice.debitedAmount) totals.push(['Balance Due', invoice.balanceDue]);
+    const labelX = left + width - 260;
+    for (const [label, value] of totals) {
+      const y = doc.y;
+      const bold = label === 'Total' || label === 'Balance Due';
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      doc.text(label, labelX, y, { width: 160, align: 'right' });
+      doc.text(`${currency} ${money(value)}`, labelX + 160, y, { width: 100, align: 'right' });
+      doc.moveDown(0.3);
+    }
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Oblique').fontSize(9).text(`Amount in words: ${amountInWords(invoice.total, currency)}`, left, doc.y, { width });
+    if (invoice.taxInclusive) doc.font('Helvetica').text('Prices are inclusive of tax.', { width });
+    doc.moveDown(1);
+
+    // Payment details
+    if (seller.bank.length || seller.upiIds.length) {
+      doc.font('Helvetica-Bold').fontSize(10).text('Payment Details', left);
+      doc.font('Helvetica').fontSize(9);
+      for (const b of seller.bank) {
+        doc.text([b.accountName && `Account Name: ${b.accountName}`, b.ifsc && `IFSC: ${b.ifsc}`].filter(Boolean).join('   '));
+      }
+      for (const upi of seller.upiIds) doc.text(`UPI: ${upi}`);
+      doc.moveDown(0.8);
+    }
+
+    if (invoice.notes) {
+      doc.font('Helvetica-Bold').fontSize(10).text('Notes', left);
+      doc.font('Helvetica').fontSize(9).text(invoice.notes, { width });
+      doc.moveDown(0.8);
+    }
+    if (invoice.terms) {
+      doc.font('Helvetica-Bold').fontSize(10).text('Terms & Conditions', left);
+      doc.font('Helvetica').fontSize(9).text(invoice.terms, { width });
+      doc.moveDown(0.8);
+    }
+
+    // Signature
+    if (doc.y > doc.page.height - PAGE_MARGIN - 80) doc.addPage();
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(9).text(`For ${seller.name || ''}`, left, doc.y, { width, align: 'right' });
+    doc.moveDown(2);
+    doc.font('Helvetica').text('Authorised Signatory', { width, align: 'right' });
+    doc.moveDown(1);
+    doc.fontSize(8).fillColor('#666666').text('This is a computer-generated invoice.', left, doc.y, { width, align: 'center' });
+
+    doc.end();
+  });
+}
+
+// Render (or reuse) the invoice PDF and cache it in storage.
+// Returns { buffer?, url, cached }. buffer is set whenever the file was rendered;
+// url is null when storage is not configured or the upload failed (the buffer is still usable).
+export async function refreshInvoicePdf(invoiceOrId, { force = false } = {}) {
+  const invoice = invoiceOrId?._id ? invoiceOrId : await Invoice.findById(invoiceOrId).lean();
+  if (!invoice) throw new Error('Invoice not found');
+  const owner = await User.findById(invoice.createdBy).select('registration businessInformation paymentInformation').lean();
+  const seller = sellerDetails(owner);
+  const fingerprint = invoicePdfFingerprint(invoice, seller);
+  if (!force && invoice.pdfUrl && invoice.pdfHash === fingerprint) {
+    return { url: invoice.pdfUrl, cached: true };
+  }
+
+  const buffer = await renderInvoicePdf(invoice, seller);
+  let url = null;
+  try {
+    const fileName = `invoices/${safeFileName(invoice.invoiceNo, 'invoice')}-${fingerprint.slice(0, 12)}.pdf`;
+    url = await uploadToBunny(String(invoice.createdBy), fileName, buffer, 'application/pdf');
+    await Invoice.updateOne(
+      { _id: invoice._id },
+      { $set: { pdfUrl: url, pdf_url: url, pdfHash: fingerprint, pdfGeneratedAt: new Date() } }
+    );
+  } catch (err) {
+    console.warn(`Invoice PDF upload failed (${invoice._id}):`, err.message);
+  }
+  return { buffer, url, cached: false };
+}
@@ -0,0 +1,187 @@
+// Overdue detection and payment reminders (dunning)
+// - An invoice is overdue the day after its dueDate while a balance is due (status sent/partial -> overdue)
+// - Reminder steps are day offsets from the due date (InvoiceSettings.reminders.offsets, default -3, 0, +7, +14);
+//   each step is sent at most once per invoice and recorded in Invoice.reminders (failed sends are retried
+//   on later runs, up to 3 attempts)
+// - When several steps are due at once (e.g. after downtime) only the latest one is sent
+// - Templates: built-in defaults per kind (before / due / overdue), overridable per owner
+
+import User from '../models/User.js';
+import Invoice from '../models/Invoice.js';
+import InvoiceSettings from '../models/InvoiceSettings.js';
+import { sendMail, escapeHtml } from './mailer.js';
+import { sellerDetails, money, formatDate } from './invoicePdf.js';
+import { startOfDay } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDABLE_STATUSES = ['sent', 'partial', 'overdue'];
+const MAX_SEND_ATTEMPTS = 3;
+
+export const DEFAULT_REMINDERS = {
+  enabled: true,
+  offsets: [-3, 0, 7, 14],
+  templates: {
+    before: {
+      subject: 'Invoice {invoiceNo} is due on {dueDate}',
+      body: 'Hi {clientName},\n\nThis is a friendly reminder that invoice {invoiceNo} for {currency} {amount} is due in {days} day(s), on {dueDate}.\n\n{link}\n\nThank you,\n{sellerName}',
+    },
+    due: {
+      subject: 'Invoice {invoiceNo} is due today',
+      body: 'Hi {clientName},\n\nInvoice {invoiceNo} for {currency} {amount} is due today ({dueDate}).\n\n{link}\n\nThank you,\n{sellerName}',
+    },
+    overdue: {
+      subject: 'Invoice {invoiceNo} is {days} day(s) overdue',
+      body: 'Hi {clientName},\n\nInvoice {invoiceNo} for {currency} {amount} was due on {dueDate} and is now {days} day(s) overdue. Please arrange payment at the earliest.\n\n{link}\n\nThank you,\n{sellerName}',
+    },
+  },
+};
+
+export const TEMPLATE_PLACEHOLDERS = ['clientName', 'invoiceNo', 'amount', 'currency', 'dueDate', 'days', 'sellerName', 'link'];
+
+// Replace {placeholders}; unknown ones are left as written
+export function renderTemplate(template, vars) {
+  return String(template || '').replace(/\{(\w+)\}/g, (match, key) => (key in vars ? String(vars[key]) : match));
+}
+
+export function reminderKind(offsetDays) {
+  if (offsetDays < 0) return 'before';
+  return offsetDays === 0 ? 'due' : 'overdue';
+}
+
+// Owner settings merged over the defaults (templates per field)
+export function mergeReminderSettings(stored = {}) {
+  const templates = {};
+  for (const kind of Object.keys(DEFAULT_REMINDERS.templates)) {
+    const custom = stored.templates?.[kind] || {};
+    templates[kind] = {
+      subject: custom.subject || DEFAULT_REMINDERS.templates[kind].subject,
+      body: custom.body || DEFAULT_REMINDERS.templates[kind].body,
+    };
+  }
+  const offsets = Array.isArray(stored.offsets) && stored.offsets.length ? stored.offsets : DEFAULT_REMINDERS.offsets;
+  return {
+    enabled: stored.enabled !== undefined ? !!stored.enabled : DEFAULT_REMINDERS.enabled,
+    offsets: [...new Set(offsets.map(Number))].sort((a, b) => a - b),
+    templates,
+  };
+}
+
+export async function getReminderSettings(ownerId) {
+  const settings = await InvoiceSettings.findOne({ ownerId }).select('reminders').lean();
+  return mergeReminderSettings(settings?.reminders || {});
+}
+
+// Validate a reminders update; returns an error message or null
+export function validateReminderSettings(reminders = {}) {
+  if (reminders.offsets !== undefined) {
+    if (!Array.isArray(reminders.offsets) || reminders.offsets.length > 10) return 'offsets must be an array of up to 10 day offsets';
+    if (reminders.offsets.some((o) => !Number.isInteger(Number(o)) || Math.abs(Number(o)) > 365)) {
+      return 'offsets must be whole days between -365 and 365';
+    }
+  }
+  if (reminders.templates !== undefined) {
+    if (typeof reminders.templates !== 'object' || reminders.templates === null) return 'templates must be an object';
+    const unknown = Object.keys(reminders.templates).filter((k) => !(k in DEFAULT_REMINDERS.templates));
+    if (unknown.length) return `Unknown template(s): ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+// The latest reminder step due on `now` that has not been sent yet, or null
+export function dueReminderStep(invoice, offsets, now = new Date()) {
+  if (!invoice.dueDate) return null;
+  const dueDay = startOfDay(invoice.dueDate).getTime();
+  const today = startOfDay(now).getTime();
+  const records = invoice.reminders || [];
+  const sent = new Set(records.filter((r) => r.status !== 'failed').map((r) => r.offsetDays));
+  const latestSent = sent.size ? Math.max(...sent) : -Infinity;
+  // A step that keeps failing (bad address, mail outage) is given up after MAX_SEND_ATTEMPTS
+  const givenUp = (o) => records.filter((r) => r.offsetDays === o && r.status === 'failed').length >= MAX_SEND_ATTEMPTS;
+  const due = offsets.filter((o) => dueDay + o * DAY_MS <= today && o > latestSent);
+  if (!due.length) return null;
+  const latest = Math.max(...due);
+  return givenUp(latest) ? null : latest;
+}
+
+// Mark invoices overdue once their due date has passed; returns the number updated
+export async function markOverdueInvoices(now = new Date()) {
+  const result = await Invoice.updateMany(
+    {
+      status: { $in: ['sent', 'partial'] },
+      dueDate: { $ne: null, $lt: startOfDay(now) },
+      balanceDue: { $gt: 0 },
+      isDeleted: { $ne: true },
+    },
+    { $set: { status: 'overdue', payment_status: 'overdue', overdueAt: now } }
+  );
+  return result.modifiedCount || 0;
+}
+
+// Build and send one reminder email
+export async function sendReminderEmail(invoice, offsetDays, settings) {
+  const owner = await User.findById(invoice.createdBy).select('registration businessInformation paymentInformation').lean();
+  const seller = sellerDetails(owner);
+  const template = settings.templates[reminderKind(offsetDays)];
+  const vars = {
+    clientName: invoice.issuedTo?.name || invoice.issuedTo?.email || '',
+    invoiceNo: invoice.invoiceNo,
+    amount: money(invoice.balanceDue),
+    currency: invoice.currency || 'INR',
+    dueDate: formatDate(invoice.dueDate),
+    days: Math.abs(offsetDays),
+    sellerName: seller.name || 'INFLU',
+    link: invoice.pdfUrl || '',
+  };
+  const escaped = Object.fromEntries(Object.entries(vars).map(([k, v]) => [k, escapeHtml(v)]));
+  if (invoice.pdfUrl) escaped.link = `<a href="${escapeHtml(invoice.pdfUrl)}">View invoice ${escapeHtml(invoice.invoiceNo)}</a>`;
+  await sendMail({
+    to: { address: invoice.issuedTo.email, name: invoice.issuedTo?.name },
+    subject: renderTemplate(template.subject, vars),
+    html: `<div>${renderTemplate(escapeHtml(template.body), escaped).replace(/\n/g, '<br>')}</div>`,
+  });
+}
+
+// Send every reminder step that is due; each step is claimed on the invoice before sending
+// so parallel runs never email the same step twice. Returns { sent, failed }
+export async function sendDueReminders(now = new Date()) {
+  const summary = { sent: 0, failed: 0 };
+  const settingsByOwner = new Map();
+  const cursor = Invoice.find({
+    status: { $in: REMINDABLE_STATUSES },
+    balanceDue: { $gt: 0 },
+    dueDate: { $ne: null },
+    remindersStopped: { $ne: true },
+    isDeleted: { $ne: true },
+    'issuedTo.email': { $nin: [null, ''] },
+  }).lean().cursor();
+
+  for await (const invoice of cursor) {
+    const key = String(invoice.createdBy);
+    if (!settingsByOwner.has(key)) settingsByOwner.set(key, await getReminderSettings(invoice.createdBy));
+    const settings = settingsByOwner.get(key);
+    if (!settings.enabled) continue;
+    const offsetDays = dueReminderStep(invoice, settings.offsets, now);
+    if (offsetDays === null) continue;
+
+    const claimed = await Invoice.updateOne(
+      { _id: invoice._id, reminders: { $not: { $elemMatch: { offsetDays, status: { $ne: 'failed' } } } } },
+      { $push: { reminders: { offsetDays, sentAt: now, to: invoice.issuedTo.email, status: 'sending' } } }
+    );
+    if (!claimed.modifiedCount) continue;
+    try {
+      await sendReminderEmail(invoice, offsetDays, settings);
+      await Invoice.updateOne(
+        { _id: invoice._id, reminders: { $elemMatch: { offsetDays, status: 'sending' } } },
+        { $set: { 'reminders.$.status': 'sent', 'reminders.$.sentAt': new Date() } }
+      );
+      summary.sent += 1;
+    } catch (err) {
+      await Invoice.updateOne(
+        { _id: invoice._id, reminders: { $elemMatch: { offsetDays, status: 'sending' } } },
+        { $set: { 'reminders.$.status': 'failed', 'reminders.$.error': err.message } }
+      );
+      summary.failed += 1;
+    }
+  }
+  return summary;
+}
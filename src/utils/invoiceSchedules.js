@@ -0,0 +1,113 @@
+// Recurring invoice schedules: occurrence dates, previews and generating one run
+// Occurrence k is startDate + k x (frequency x interval); month-based steps clamp to the month end,
+// so a schedule started on Jan 31 bills Feb 28/29, Mar 31, Apr 30, ...
+
+import Invoice from '../models/Invoice.js';
+import InvoiceSchedule from '../models/InvoiceSchedule.js';
+import { createInvoice } from './invoiceCreation.js';
+import { sendInvoiceEmail } from './invoiceEmails.js';
+
+const MONTHS_PER_STEP = { monthly: 1, quarterly: 3, yearly: 12 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Upper bound on occurrences scanned (weekly for ~40 years)
+const MAX_OCCURRENCES = 2100;
+
+function addMonthsClamped(date, months) {
+  const d = new Date(date);
+  const day = d.getUTCDate();
+  const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, 1,
+    d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds(), d.getUTCMilliseconds()));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target;
+}
+
+// Date of the k-th occurrence (k = 0 is startDate)
+export function occurrenceAt(schedule, k) {
+  const interval = schedule.interval || 1;
+  if (schedule.frequency === 'weekly') return new Date(new Date(schedule.startDate).getTime() + k * interval * 7 * DAY_MS);
+  const months = MONTHS_PER_STEP[schedule.frequency];
+  if (!months) throw new Error(`Unknown frequency ${schedule.frequency}`);
+  return addMonthsClamped(schedule.startDate, k * interval * months);
+}
+
+// First occurrence on/after `from` (strictly after when exclusive); null once past endDate
+export function nextOccurrence(schedule, from, { exclusive = false } = {}) {
+  const fromMs = new Date(from).getTime();
+  const endMs = schedule.endDate ? new Date(schedule.endDate).getTime() : Infinity;
+  for (let k = 0; k < MAX_OCCURRENCES; k += 1) {
+    const at = occurrenceAt(schedule, k);
+    if (at.getTime() > endMs) return null;
+    if (exclusive ? at.getTime() > fromMs : at.getTime() >= fromMs) return at;
+  }
+  return null;
+}
+
+// Upcoming run dates from nextRunAt, at most `count`
+export function upcomingRuns(schedule, count = 6) {
+  const runs = [];
+  let at = schedule.nextRunAt ? new Date(schedule.nextRunAt) : null;
+  while (at && runs.length < count) {
+    runs.push(at);
+    at = nextOccurrence(schedule, at, { exclusive: true });
+  }
+  return runs;
+}
+
+// Invoice payload for the occurrence at runDate, in the shape InvoiceController.create accepts
+export function schedulePayload(schedule, runDate) {
+  const issuedAt = new Date(runDate);
+  return {
+    clientId: schedule.clientId,
+    client: schedule.client || undefined,
+    projectId: schedule.projectId || undefined,
+    issuedTo: schedule.issuedTo,
+    currency: schedule.currency,
+    // Unset rates fall back to the linked Service's GST rate
+    items: (schedule.items || []).map((item) => {
+      const { _id, taxRatePercent, ...line } = item.toObject ? item.toObject() : item;
+      return taxRatePercent == null ? line : { ...line, taxRatePercent };
+    }),
+    taxInclusive: schedule.taxInclusive,
+    placeOfSupply: schedule.placeOfSupply || undefined,
+    notes: schedule.notes,
+    terms: schedule.terms,
+    // Auto-send issues the invoice on the run date; otherwise it waits as a draft
+    status: schedule.autoSend ? 'sent' : 'draft',
+    issuedAt: schedule.autoSend ? issuedAt : undefined,
+    dueDate: new Date(issuedAt.getTime() + (schedule.dueInDays ?? 15) * DAY_MS),
+    meta: { scheduleId: String(schedule._id), scheduledFor: issuedAt.toISOString() },
+  };
+}
+
+// Generate the invoice for a claimed schedule's nextRunAt and advance it.
+// An invoice already generated for the same occurrence (e.g. a crash before advancing) is not duplicated.
+// Returns the invoice; throws when creation fails
+export async function runSchedule(schedule) {
+  const runDate = new Date(schedule.nextRunAt);
+  let invoice = await Invoice.findOne({ scheduleId: schedule._id, 'meta.scheduledFor': runDate.toISOString() }).lean();
+  if (!invoice) {
+    const result = await createInvoice(schedulePayload(schedule, runDate), schedule.createdBy, { scheduleId: schedule._id });
+    if (result.error) throw new Error(result.error);
+    invoice = result.invoice.toObject();
+    if (schedule.autoSend) {
+      await sendInvoiceEmail(invoice).catch((err) => console.warn(`Recurring invoice email failed (${invoice._id}):`, err.message));
+    }
+  }
+  const next = nextOccurrence(schedule, runDate, { exclusive: true });
+  await InvoiceSchedule.updateOne(
+    { _id: schedule._id },
+    {
+      $set: {
+        nextRunAt: next,
+        lastRunAt: new Date(),
+        lastInvoiceId: invoice._id,
+        lastError: null,
+        lockedUntil: null,
+        ...(next ? {} : { status: 'completed' }),
+      },
+      $inc: { runCount: 1 },
+    }
+  );
+  return invoice;
+}
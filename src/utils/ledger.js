@@ -0,0 +1,376 @@
+// Double-entry books per owner, posted from the documents that move money
+// - Invoice / debit note (issued):  Dr Accounts receivable = total; Cr Revenue = taxable value; Cr GST output per tax
+// - Credit note (issued):           the same lines reversed
+// - Payment received:               Dr Bank or UPI collections = amount; Dr TDS receivable = TDS the client
+//                                     deducted; Cr Accounts receivable = both
+// - Rounding of invoice totals goes to Rounding off
+// - Collaborator payout (approved):   Dr Collaborator costs = amount; Cr Collaborator payables = net; Cr TDS payable
+// - Collaborator payout (paid):       Dr Collaborator payables; Cr Bank = net (a separate source type, so the
+//                                     accrual keeps its approval date)
+// - Amounts post in the owner's base currency at the rates captured on the documents (utils/fx.js): invoices
+//   and their notes at the invoice rate, payments settle receivables at the invoice rate and post cash at
+//   their own, payouts settle payables at the approval rate; the difference goes to Exchange gain/loss
+// Posting is a sync: syncLedger(kind, id) compares the entry the source should have now with its active entry;
+// a changed source has its entry reversed (dated like the original, so past periods reflect the correction)
+// and a new one posted, and a source that no longer posts (draft, cancelled note, deleted payment) is reversed.
+// Syncing is idempotent, so scripts/backfillLedger.js can replay every source safely.
+
+import LedgerAccount from '../models/LedgerAccount.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Invoice from '../models/Invoice.js';
+import InvoiceNote from '../models/InvoiceNote.js';
+import Payment from '../models/Payment.js';
+import Payout from '../models/Payout.js';
+import { bookRate, toBase } from './fx.js';
+import { runInTransaction } from './transactions.js';
+import { round2 } from './helpers.js';
+
+// System chart of accounts created for every owner on first posting
+export const SYSTEM_ACCOUNTS = [
+  { key: 'bank', code: '1000', name: 'Bank', type: 'asset' },
+  { key: 'upi', code: '1010', name: 'UPI collections', type: 'asset' },
+  { key: 'accounts_receivable', code: '1100', name: 'Accounts receivable', type: 'asset' },
+  { key: 'tds_receivable', code: '1200', name: 'TDS receivable', type: 'asset' },
+  { key: 'collaborator_payables', code: '2000', name: 'Collaborator payables', type: 'liability' },
+  { key: 'gst_output_cgst', code: '2100', name: 'GST output - CGST', type: 'liability' },
+  { key: 'gst_output_sgst', code: '2101', name: 'GST output - SGST', type: 'liability' },
+  { key: 'gst_output_utgst', code: '2102', name: 'GST output - UTGST', type: 'liability' },
+  { key: 'gst_output_igst', code: '2103', name: 'GST output - IGST', type: 'liability' },
+  { key: 'gst_output_other', code: '2109', name: 'GST output - other', type: 'liability' },
+  { key: 'tds_payable', code: '2200', name: 'TDS payable', type: 'liability' },
+  { key: 'revenue', code: '4000', name: 'Revenue from services', type: 'income' },
+  { key: 'fx_gain_loss', code: '4900', name: 'Exchange gain/loss', type: 'income' },
+  { key: 'collaborator_costs', code: '5000', name: 'Collaborator costs', type: 'expense' },
+  { key: 'round_off', code: '5900', name: 'Rounding off', type: 'expense' },
+];
+
+const ACCOUNT_BY_MODE = { BANK: 'bank', UPI: 'upi' };
+// Entry source types each sync kind posts under
+const KIND_SOURCE_TYPES = {
+  invoice: ['invoice'],
+  note: ['credit_note', 'debit_note'],
+  payment: ['payment'],
+  payout: ['payout'],
+  payout_payment: ['payout_payment'],
+};
+const GST_ACCOUNTS = { CGST: 'gst_output_cgst', SGST: 'gst_output_sgst', UTGST: 'gst_output_utgst', IGST: 'gst_output_igst' };
+
+// System accounts for an owner by key, creating any that are missing
+export async function ensureAccounts(ownerId) {
+  let accounts = await LedgerAccount.find({ ownerId, key: { $ne: null } }).lean();
+  if (accounts.length < SYSTEM_ACCOUNTS.length) {
+    const have = new Set(accounts.map((a) => a.key));
+    await LedgerAccount.bulkWrite(
+      SYSTEM_ACCOUNTS.filter((a) => !have.has(a.key)).map((a) => ({
+        updateOne: {
+          filter: { ownerId, key: a.key },
+          update: { $setOnInsert: { ...a, ownerId, isSystem: true } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    ).catch((err) => {
+      // A concurrent posting created them first
+      if (err?.code !== 11000) throw err;
+    });
+    accounts = await LedgerAccount.find({ ownerId, key: { $ne: null } }).lean();
+  }
+  return new Map(accounts.map((a) => [a.key, a]));
+}
+
+// Lines for a sale (invoice or debit note) converted at rate; credit notes pass reverse = true
+function saleLines(doc, rate = 1, reverse = false) {
+  const taxes = (doc.taxes || []).filter((t) => t.amount).map((t) => ({ ...t, base: toBase(t.amount, rate) }));
+  const taxTotal = taxes.reduce((s, t) => s + t.base, 0);
+  const total = toBase(doc.total, rate);
+  const subTotal = toBase(doc.subTotal, rate);
+  const lines = [
+    { key: 'accounts_receivable', debit: total },
+    { key: 'revenue', credit: subTotal },
+    ...taxes.map((t) => ({ key: GST_ACCOUNTS[String(t.name).toUpperCase()] || 'gst_output_other', credit: t.base, memo: `${t.name} @ ${t.ratePercent}%` })),
+  ];
+  // Rounding of the total, plus any paise lost converting the lines separately
+  const roundOff = round2(total - subTotal - taxTotal);
+  if (roundOff) lines.push(roundOff > 0 ? { key: 'round_off', credit: roundOff } : { key: 'round_off', debit: -roundOff });
+  return lines.map((l) => (reverse ? { ...l, debit: l.credit, credit: l.debit } : l));
+}
+
+// Balance lines converted at different rates with an Exchange gain/loss line (gain when debits exceed credits)
+function withFxDifference(lines) {
+  const diff = round2(lines.reduce((s, l) => s + round2(l.debit) - round2(l.credit), 0));
+  if (!diff) return lines;
+  return [...lines, diff > 0 ? { key: 'fx_gain_loss', credit: diff, memo: 'Realised exchange gain' } : { key: 'fx_gain_loss', debit: -diff, memo: 'Realised exchange loss' }];
+}
+
+// The journal a source should carry now, or null when it posts nothing
+async function journalFor(kind, id) {
+  if (kind === 'invoice') {
+    const invoice = await Invoice.findById(id).lean();
+    if (!invoice || invoice.isDeleted || invoice.status === 'draft' || !invoice.issuedAt || !invoice.total) return null;
+    // Invoices cancelled before credit notes existed were never offset; leave them out of the books
+    if (invoice.status === 'cancelled' && !invoice.creditedAmount) return null;
+    return {
+      ownerId: invoice.createdBy,
+      date: invoice.issuedAt,
+      narration: `Invoice ${invoice.invoiceNo}`,
+      currency: invoice.currency || 'INR',
+      fxRate: bookRate(invoice),
+      sourceType: 'invoice',
+      lines: saleLines(invoice, bookRate(invoice)),
+    };
+  }
+  if (kind === 'note') {
+    const note = await InvoiceNote.findById(id).lean();
+    if (!note || note.status !== 'issued' || !note.total) return null;
+    const isCredit = note.type === 'credit';
+    // Notes adjust the invoice, so they convert at its rate
+    const invoice = await Invoice.findById(note.invoiceId).select('fx').lean();
+    return {
+      ownerId: note.createdBy,
+      date: note.issuedAt,
+      narration: `${isCredit ? 'Credit' : 'Debit'} note ${note.noteNo} against ${note.invoiceNo}`,
+      currency: note.currency || 'INR',
+      fxRate: bookRate(invoice),
+      sourceType: isCredit ? 'credit_note' : 'debit_note',
+      lines: saleLines(note, bookRate(invoice), isCredit),
+    };
+  }
+  if (kind === 'payment') {
+    const payment = await Payment.findById(id).lean();
+    if (!payment || !(payment.amount || payment.tds_amount)) return null;
+    const invoice = await Invoice.findById(payment.invoice_id).select('invoiceNo currency fx').lean();
+    const rate = bookRate(payment);
+    const invoiceRate = payment.fx?.invoice_rate || bookRate(invoice);
+    return {
+      ownerId: payment.received_by,
+      date: payment.payment_date,
+      narration: `Payment received against ${invoice?.invoiceNo || payment.invoice_id}${payment.transaction_id ? ` (ref ${payment.transaction_id})` : ''}`,
+      currency: invoice?.currency || 'INR',
+      fxRate: rate,
+      sourceType: 'payment',
+      lines: withFxDifference([
+        { key: ACCOUNT_BY_MODE[payment.mode] || 'bank', debit: toBase(payment.amount, rate) },
+        { key: 'tds_receivable', debit: toBase(payment.tds_amount, rate), memo: payment.tds_section ? `TDS u/s ${payment.tds_section}` : null },
+        { key: 'accounts_receivable', credit: toBase(payment.amount + (payment.tds_amount || 0), invoiceRate) },
+      ]),
+    };
+  }
+  if (kind === 'payout' || kind === 'payout_payment') {
+    const payout = await Payout.findById(id).lean();
+    if (!payout || !payout.amount) return null;
+    const label = `${payout.collaboratorName || payout.collaboratorId}${payout.description ? ` (${payout.description})` : ''}`;
+    const rate = bookRate(payout);
+    const payable = round2(toBase(payout.amount, rate) - toBase(payout.tdsAmount, rate));
+    if (kind === 'payout') {
+      if (!['approved', 'paid'].includes(payout.status)) return null;
+      return {
+        ownerId: payout.ownerId,
+        date: payout.approvedAt,
+        narration: `Payout to ${label}`,
+        currency: payout.currency || 'INR',
+        fxRate: rate,
+        sourceType: 'payout',
+        lines: [
+          { key: 'collaborator_costs', debit: toBase(payout.amount, rate) },
+          { key: 'collaborator_payables', credit: payable },
+          { key: 'tds_payable', credit: toBase(payout.tdsAmount, rate), memo: payout.tdsSection ? `TDS u/s ${payout.tdsSection}${payout.tdsPercent ? ` @ ${payout.tdsPercent}%` : ''}` : null },
+        ],
+      };
+    }
+    if (payout.status !== 'paid' || !payout.netAmount) return null;
+    return {
+      ownerId: payout.ownerId,
+      date: payout.paidAt,
+      narration: `Payout paid to ${label}${payout.transactionRef ? ` (ref ${payout.transactionRef})` : ''}`,
+      currency: payout.currency || 'INR',
+      fxRate: payout.paidFx?.rate || rate,
+      sourceType: 'payout_payment',
+      lines: withFxDifference([
+        { key: 'collaborator_payables', debit: payable },
+        { key: 'bank', credit: toBase(payout.netAmount, payout.paidFx?.rate || rate) },
+      ]),
+    };
+  }
+  throw new Error(`Unknown ledger source ${kind}`);
+}
+
+// The active entry a source has posted under this sync kind, if any
+export function activeEntry(kind, id) {
+  if (!KIND_SOURCE_TYPES[kind]) throw new Error(`Unknown ledger source ${kind}`);
+  return LedgerEntry.findOne({ sourceId: id, sourceType: { $in: KIND_SOURCE_TYPES[kind] }, active: true }).lean();
+}
+
+// Resolve account keys and drop zero lines
+async function resolveLines(ownerId, lines) {
+  const accounts = await ensureAccounts(ownerId);
+  return lines
+    .map((l) => ({ ...l, debit: round2(l.debit), credit: round2(l.credit) }))
+    .filter((l) => l.debit > 0 || l.credit > 0)
+    .map((l) => {
+      const account = accounts.get(l.key);
+      if (!account) throw new Error(`Ledger account ${l.key} is missing`);
+      return { accountId: account._id, accountCode: account.code, debit: l.debit, credit: l.credit, memo: l.memo || null };
+    });
+}
+
+function sameEntry(entry, journal, lines) {
+  if (new Date(entry.date).getTime() !== new Date(journal.date).getTime()) return false;
+  if (String(entry.ownerId) !== String(journal.ownerId) || entry.narration !== journal.narration) return false;
+  const key = (ls) => JSON.stringify(ls.map((l) => [String(l.accountId), l.debit, l.credit, l.memo || null]));
+  return key(entry.lines) === key(lines);
+}
+
+// Reverse an active entry with a mirror entry dated like the original; returns false when it was already reversed.
+// The reversal is saved before the original is retired (in one transaction where supported), so a failure never
+// leaves an entry inactive without its reversal
+async function reverseEntry(entry) {
+  return runInTransaction(async (session) => {
+    const reversal = await new LedgerEntry({
+      ownerId: entry.ownerId,
+      date: entry.date,
+      narration: `Reversal: ${entry.narration || ''}`.trim(),
+      currency: entry.currency,
+      fxRate: entry.fxRate,
+      sourceType: entry.sourceType,
+      sourceId: entry.sourceId,
+      lines: entry.lines.map((l) => ({ ...l, debit: l.credit, credit: l.debit })),
+      active: false,
+      reversalOf: entry._id,
+    }).save({ session });
+    const claimed = await LedgerEntry.findOneAndUpdate(
+      { _id: entry._id, active: true },
+      { $set: { active: false, reversedAt: new Date(), reversedBy: reversal._id } },
+      { session }
+    );
+    if (claimed) return true;
+    // A concurrent sync reversed it first
+    await LedgerEntry.deleteOne({ _id: reversal._id }, { session });
+    return false;
+  });
+}
+
+// Bring the books in line with a source document: kind is 'invoice' | 'note' | 'payment' | 'payout' | 'payout_payment'.
+// Returns the active entry after syncing (null when the source posts nothing)
+export async function syncSourceEntry(kind, id) {
+  const journal = await journalFor(kind, id);
+  const active = await activeEntry(kind, id);
+  const lines = journal ? await resolveLines(journal.ownerId, journal.lines) : null;
+  if (active && journal && sameEntry(active, journal, lines)) return active;
+  if (!active && !(journal && lines.length)) return null;
+  if (active && !(await reverseEntry(active))) return activeEntry(kind, id);
+
+  let entry = null;
+  if (journal && lines.length) {
+    try {
+      entry = (await LedgerEntry.create({ ...journal, sourceId: id, lines, active: true })).toObject();
+    } catch (err) {
+      // A concurrent sync posted it first
+      if (err?.code !== 11000) throw err;
+      entry = await activeEntry(kind, id);
+    }
+  }
+  // Invoice.ledgerEntryId points at the invoice's current posting
+  if (kind === 'invoice') await Invoice.updateOne({ _id: id }, { $set: { ledgerEntryId: entry?._id || null } });
+  return entry;
+}
+
+// Post-write hook for controllers and utils: never throws, since the source write already succeeded.
+// Books left behind by a failure are caught up by `npm run migrate:ledger`
+export async function syncLedger(kind, id) {
+  try {
+    return await syncSourceEntry(kind, id);
+  } catch (err) {
+    console.warn(`Ledger sync failed (${kind} ${id}):`, err.message);
+    return null;
+  }
+}
+
+// Debit and credit totals per account for entries matching `match` (ownerId and date range)
+async function accountTotals(match) {
+  const sums = await LedgerEntry.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    { $group: { _id: '$lines.accountId', debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } },
+  ]);
+  const accounts = await LedgerAccount.find({ _id: { $in: sums.map((s) => s._id) } }).lean();
+  const byId = new Map(accounts.map((a) => [String(a._id), a]));
+  return sums
+    .map((s) => ({ account: byId.get(String(s._id)), debit: round2(s.debit), credit: round2(s.credit) }))
+    .filter((s) => s.account)
+    .sort((a, b) => a.account.code.localeCompare(b.account.code));
+}
+
+// Trial balance as of a date: each account's net balance in the debit or credit column
+export async function trialBalance(ownerId, asOf) {
+  const totals = await accountTotals({ ownerId, date: { $lte: asOf } });
+  const accounts = totals
+    .map(({ account, debit, credit }) => {
+      const net = round2(debit - credit);
+      return {
+        accountId: account._id,
+        code: account.code,
+        name: account.name,
+        type: account.type,
+        debit: net > 0 ? net : 0,
+        credit: net < 0 ? -net : 0,
+      };
+    })
+    .filter((a) => a.debit || a.credit);
+  const sum = (k) => round2(accounts.reduce((s, a) => s + a[k], 0));
+  return { asOf, accounts, totals: { debit: sum('debit'), credit: sum('credit') } };
+}
+
+// Profit and loss for a period: income (credit - debit) less expenses (debit - credit)
+export async function profitAndLoss(ownerId, from, to) {
+  const match = { ownerId, date: { $lte: to } };
+  if (from) match.date.$gte = from;
+  const totals = await accountTotals(match);
+  const section = (type, sign) => totals
+    .filter((t) => t.account.type === type)
+    .map(({ account, debit, credit }) => ({
+      accountId: account._id,
+      code: account.code,
+      name: account.name,
+      amount: round2(sign * (credit - debit)),
+    }))
+    .filter((a) => a.amount);
+  const income = section('income', 1);
+  const expenses = section('expense', -1);
+  const totalIncome = round2(income.reduce((s, a) => s + a.amount, 0));
+  const totalExpenses = round2(expenses.reduce((s, a) => s + a.amount, 0));
+  return { from, to, income, expenses, totalIncome, totalExpenses, netProfit: round2(totalIncome - totalExpenses) };
+}
+
+export function trialBalanceTable(report) {
+  return {
+    columns: [
+      { label: 'Code', width: 0.8 },
+      { label: 'Account', width: 3 },
+      { label: 'Type', width: 1 },
+      { label: 'Debit', width: 1.3, align: 'right' },
+      { label: 'Credit', width: 1.3, align: 'right' },
+    ],
+    rows: report.accounts.map((a) => [a.code, a.name, a.type, a.debit || null, a.credit || null]),
+    totals: [['', 'Total', '', report.totals.debit, report.totals.credit]],
+  };
+}
+
+export function profitAndLossTable(report) {
+  const rows = [
+    ['', 'Income', null],
+    ...report.income.map((a) => [a.code, a.name, a.amount]),
+    ['', 'Total income', report.totalIncome],
+    ['', 'Expenses', null],
+    ...report.expenses.map((a) => [a.code, a.name, a.amount]),
+    ['', 'Total expenses', report.totalExpenses],
+  ];
+  return {
+    columns: [
+      { label: 'Code', width: 0.8 },
+      { label: 'Account', width: 3.5 },
+      { label: 'Amount', width: 1.5, align: 'right' },
+    ],
+    rows,
+    totals: [['', 'Net profit', report.netProfit]],
+  };
+}
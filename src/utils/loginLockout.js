@@ -0,0 +1,56 @@
+// Progressive account lockout after repeated failed sign-ins
+// - After LOGIN_LOCKOUT_THRESHOLD failures (default 5) the key is locked for LOGIN_LOCKOUT_BASE_SECONDS (default 60)
+// - Every further failure doubles the lock, capped at LOGIN_LOCKOUT_MAX_SECONDS (default 3600)
+// - A successful sign-in clears the counter; otherwise it is forgotten a day after the last failure
+
+import LoginLockout from '../models/LoginLockout.js';
+
+const FORGET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+function setting(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function lockoutKey(kind, identifier) {
+  return `${kind}:${String(identifier || '').trim().toLowerCase()}`;
+}
+
+// Seconds until the key unlocks, or 0 when it is not locked
+export async function lockoutRemaining(key) {
+  const doc = await LoginLockout.findOne({ key }).select('lockedUntil').lean();
+  if (!doc?.lockedUntil) return 0;
+  const ms = new Date(doc.lockedUntil).getTime() - Date.now();
+  return ms > 0 ? Math.ceil(ms / 1000) : 0;
+}
+
+// Count a failure; returns the lock length in seconds it triggered (0 when below the threshold)
+export async function recordLoginFailure(key) {
+  const now = new Date();
+  const doc = await LoginLockout.findOneAndUpdate(
+    { key },
+    { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + FORGET_AFTER_MS) } },
+    { upsert: true, new: true }
+  ).lean();
+  const threshold = setting('LOGIN_LOCKOUT_THRESHOLD', 5);
+  if (doc.failures < threshold) return 0;
+  const base = setting('LOGIN_LOCKOUT_BASE_SECONDS', 60);
+  const cap = setting('LOGIN_LOCKOUT_MAX_SECONDS', 3600);
+  const seconds = Math.min(cap, base * 2 ** Math.min(doc.failures - threshold, 20));
+  await LoginLockout.updateOne({ key }, { $set: { lockedUntil: new Date(now.getTime() + seconds * 1000) } });
+  return seconds;
+}
+
+export async function clearLoginFailures(key) {
+  await LoginLockout.deleteOne({ key });
+}
+
+// Send the 429 for a locked key
+export function sendLocked(res, seconds) {
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    error: 'Too many failed attempts. Try again later.',
+    code: 'ACCOUNT_LOCKED',
+    retryAfter: seconds,
+  });
+}
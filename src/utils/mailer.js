@@ -0,0 +1,35 @@
+// Mail transport shared by controllers (SMTP via ZeptoMail by default)
+// Configured through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS and ZEPTO_FROM_ADDRESS/ZEPTO_FROM_NAME
+
+import nodemailer from 'nodemailer';
+
+// Send an HTML email; throws when the transport is not configured or delivery fails
+// to: { address, name? }; attachments: nodemailer attachments ({ filename, content, contentType })
+export async function sendMail({ to, subject, html, attachments = [] }) {
+  const toAddress = String(to?.address || '').trim();
+  const toName = String(to?.name || '').trim() || toAddress;
+  if (!toAddress) throw new Error('to.address is required');
+  const fromAddress = String(process.env.ZEPTO_FROM_ADDRESS || '').trim();
+  const fromName = String(process.env.ZEPTO_FROM_NAME || 'noreply');
+  if (!fromAddress) throw new Error('ZEPTO_FROM_ADDRESS is not configured');
+  const host = String(process.env.SMTP_HOST || 'smtp.zeptomail.in');
+  const port = Number(process.env.SMTP_PORT || 587);
+  const user = String(process.env.SMTP_USER || '').trim();
+  const pass = String(process.env.SMTP_PASS || '').trim();
+  if (!user || !pass) throw new Error('SMTP_USER/SMTP_PASS are required');
+  const transport = nodemailer.createTransport({ host, port, auth: { user, pass } });
+  await transport.sendMail({ from: `${fromName} <${fromAddress}>`, to: `${toName} <${toAddress}>`, subject, html, attachments });
+  return true;
+}
+
+// Build a link into the frontend app (APP_BASE_URL), e.g. appLink('/reset-password', { token })
+export function appLink(pathname, params = {}) {
+  const base = String(process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  const query = new URLSearchParams(params).toString();
+  return `${base}${pathname}${query ? `?${query}` : ''}`;
+}
+
+// Escape a value for interpolation into email HTML
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
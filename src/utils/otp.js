@@ -0,0 +1,169 @@
+// One-time passcodes over SMS (phone) or email
+// Shared by OtpController (send/verify/resend) and passwordless login (POST /api/auth/otp/login)
+// - Codes are stored as HMAC-SHA256 digests keyed by OTP_SECRET (falling back to JWT_SECRET)
+// - A code is locked after OTP_MAX_ATTEMPTS wrong guesses
+// - Sends are capped per phone/email (OTP_DAILY_LIMIT_PER_TARGET) and per IP (OTP_DAILY_LIMIT_PER_IP) over 24h
+
+import crypto from 'crypto';
+import Otp from '../models/Otp.js';
+import User from '../models/User.js';
+import { sendMail } from './mailer.js';
+import { getSmsProvider } from './smsProviders.js';
+
+export const OTP_TTL_MS = 5 * 60 * 1000;
+export const RESEND_COOLDOWN_MS = 60 * 1000;
+const QUOTA_WINDOW_MS = 24 * 60 * 60 * 1000;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function limit(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function normalizePhone(phone) {
+  const p = String(phone || '').trim();
+  return p.replace(/[^0-9]/g, '');
+}
+
+export function normalizeEmail(email) {
+  const e = String(email || '').trim().toLowerCase();
+  return EMAIL_REGEX.test(e) ? e : '';
+}
+
+// Resolve { channel, target, filter } from a request body carrying phone or email; null when neither is valid
+export function otpTargetFromBody(body = {}) {
+  if (body.email) {
+    const email = normalizeEmail(body.email);
+    return email ? { channel: 'email', target: email, filter: { channel: 'email', email } } : null;
+  }
+  const phone = normalizePhone(body.phone);
+  if (!phone || phone.length < 10) return null;
+  return { channel: 'sms', target: phone, filter: { phone, channel: { $ne: 'email' } } };
+}
+
+function randomCode() {
+  return String(crypto.randomInt(100000, 1000000));
+}
+
+// Bound to the phone/email so a digest cannot be replayed for another target
+function hashCode(target, code) {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('OTP_SECRET or JWT_SECRET must be configured');
+  return crypto.createHmac('sha256', secret).update(`${target.channel}:${target.target}:${code}`).digest('hex');
+}
+
+function sameHash(a, b) {
+  const left = Buffer.from(String(a || ''), 'hex');
+  const right = Buffer.from(String(b || ''), 'hex');
+  return left.length === right.length && left.length > 0 && crypto.timingSafeEqual(left, right);
+}
+
+// { status, error } when a daily quota is exhausted, null otherwise
+async function checkQuotas(target, ip) {
+  const since = new Date(Date.now() - QUOTA_WINDOW_MS);
+  const sentToTarget = await Otp.countDocuments({ ...target.filter, created_at: { $gte: since } });
+  if (sentToTarget >= limit('OTP_DAILY_LIMIT_PER_TARGET', 10)) {
+    return { status: 429, error: 'Too many codes requested for this phone or email today' };
+  }
+  if (ip) {
+    const sentFromIp = await Otp.countDocuments({ ip, created_at: { $gte: since } });
+    if (sentFromIp >= limit('OTP_DAILY_LIMIT_PER_IP', 30)) {
+      return { status: 429, error: 'Too many codes requested from this network today' };
+    }
+  }
+  return null;
+}
+
+async function sendViaEmail(email, code) {
+  await sendMail({
+    to: { address: email },
+    subject: `Your INFLU code is ${code}`,
+    html: `<div><p>Your one-time code is <b>${code}</b>.</p><p>It expires in ${Math.round(OTP_TTL_MS / 60000)} minutes. Do not share it with anyone.</p></div>`,
+  });
+  return true;
+}
+
+// Generate, deliver and store a code. options.cooldown rejects resends inside RESEND_COOLDOWN_MS;
+// options.ip is counted against the per-IP quota. Returns { expiresAt } or { status, error }
+export async function sendOtp(target, { cooldown = false, ip = null } = {}) {
+  const now = Date.now();
+  const overQuota = await checkQuotas(target, ip);
+  if (overQuota) return overQuota;
+  if (cooldown) {
+    const latest = await Otp.findOne(target.filter).sort({ created_at: -1 }).lean();
+    if (latest && latest.lastSentAt && now - new Date(latest.lastSentAt).getTime() < RESEND_COOLDOWN_MS) {
+      return { status: 429, error: 'Resend too soon; please wait' };
+    }
+  }
+  const code = randomCode();
+  const expiresAt = new Date(now + OTP_TTL_MS);
+  let provider = 'email';
+  if (target.channel === 'email') {
+    await sendViaEmail(target.target, code);
+  } else {
+    const sms = getSmsProvider();
+    await sms.sendOtp(target.target, code);
+    provider = sms.name;
+  }
+  // A newer code supersedes any outstanding one
+  await Otp.updateMany({ ...target.filter, status: 'sent' }, { $set: { status: 'expired' } });
+  await Otp.create({
+    channel: target.channel,
+    ...(target.channel === 'email' ? { email: target.target } : { phone: target.target }),
+    codeHash: hashCode(target, code),
+    ip: ip ? String(ip) : null,
+    expiresAt,
+    lastSentAt: new Date(now),
+    attempts: 0,
+    status: 'sent',
+    meta: { provider },
+  });
+  return { expiresAt };
+}
+
+// Check and consume the latest outstanding code for the target
+// Returns { ok: true, otp } or { ok: false, status, error }
+export async function checkOtp(target, code) {
+  const value = String(code || '').trim();
+  const otp = await Otp.findOne({ ...target.filter, status: 'sent' }).sort({ created_at: -1 }).lean();
+  if (!otp) return { ok: false, status: 404, error: 'OTP not found' };
+  if (new Date(otp.expiresAt).getTime() < Date.now()) {
+    await Otp.findByIdAndUpdate(otp._id, { $set: { status: 'expired' } });
+    return { ok: false, status: 400, error: 'OTP expired' };
+  }
+  if (!sameHash(otp.codeHash, hashCode(target, value))) {
+    const maxAttempts = limit('OTP_MAX_ATTEMPTS', 5);
+    const updated = await Otp.findOneAndUpdate(
+      { _id: otp._id, status: 'sent' },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    ).lean();
+    if (updated && updated.attempts >= maxAttempts) {
+      await Otp.updateOne({ _id: otp._id, status: 'sent' }, { $set: { status: 'locked' } });
+      return { ok: false, status: 429, error: 'Too many incorrect attempts; request a new code' };
+    }
+    return { ok: false, status: 401, error: 'Incorrect OTP' };
+  }
+  // Only one request may consume the code
+  const consumed = await Otp.findOneAndUpdate(
+    { _id: otp._id, status: 'sent' },
+    { $set: { status: 'verified' } },
+    { new: true }
+  ).lean();
+  if (!consumed) return { ok: false, status: 404, error: 'OTP not found' };
+  return { ok: true, otp: consumed };
+}
+
+// The user account registered with the target phone/email (phones may be stored with a leading +)
+export function findUserForOtp(target) {
+  const filter = target.channel === 'email'
+    ? { 'registration.email': target.target }
+    : { 'registration.phone': { $in: [target.target, `+${target.target}`] } };
+  return User.findOne(filter).lean();
+}
+
+// Record that the user proved control of the target
+export function markOtpVerified(userId, target) {
+  const field = target.channel === 'email' ? 'verification.emailVerified' : 'verification.phoneVerified';
+  return User.updateOne({ _id: userId }, { $set: { [field]: true } });
+}
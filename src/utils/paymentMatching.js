@@ -0,0 +1,92 @@
+// Suggest invoices for bank statement credits
+// Scoring (0-100+): amount equal to the balance due (+50), to the balance due less TDS at a common rate on the
+// taxable value (+45, unpaid invoices only) or to the invoice's payable total (+35),
+// invoice number in the narration (+40), client name/company words in the narration (up to +25).
+// Rows whose reference already belongs to a Payment are flagged as duplicates instead.
+import { tdsAmountFor } from './tds.js';
+
+const NAME_STOPWORDS = new Set(['PVT', 'PRIVATE', 'LTD', 'LIMITED', 'LLP', 'INDIA', 'THE', 'AND', 'CO', 'COMPANY', 'INC']);
+export const MIN_SUGGESTION_SCORE = 25;
+export const CONFIDENT_SCORE = 60;
+const MAX_SUGGESTIONS = 3;
+// 194J professional fees, 194J technical services / 194C companies, 194C individuals
+const COMMON_TDS_RATES = [10, 2, 1];
+
+function compact(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function nameTokens(invoice) {
+  const text = `${invoice.issuedTo?.name || ''} ${invoice.issuedTo?.company || ''}`.toUpperCase();
+  return [...new Set(text.split(/[^A-Z0-9]+/).filter((t) => t.length >= 3 && !NAME_STOPWORDS.has(t)))];
+}
+
+function sameAmount(a, b) {
+  return Math.abs(Number(a) - Number(b)) < 0.5;
+}
+
+export function scoreMatch(row, invoice) {
+  const reasons = [];
+  let score = 0;
+  let tds = null;
+  const payable = (invoice.total || 0) + (invoice.debitedAmount || 0) - (invoice.creditedAmount || 0);
+  const tdsRate = invoice.paidAmount ? null
+    : COMMON_TDS_RATES.find((rate) => sameAmount(row.amount, invoice.balanceDue - tdsAmountFor(invoice.subTotal, rate)));
+  if (sameAmount(row.amount, invoice.balanceDue)) {
+    score += 50;
+    reasons.push('amount equals balance due');
+  } else if (tdsRate) {
+    score += 45;
+    tds = { ratePercent: tdsRate, amount: tdsAmountFor(invoice.subTotal, tdsRate) };
+    reasons.push(`amount equals balance due less ${tdsRate}% TDS`);
+  } else if (sameAmount(row.amount, payable)) {
+    score += 35;
+    reasons.push('amount equals invoice total');
+  }
+  const narration = compact(row.description);
+  if (invoice.invoiceNo && compact(invoice.invoiceNo).length >= 4 && narration.includes(compact(invoice.invoiceNo))) {
+    score += 40;
+    reasons.push('invoice number in narration');
+  }
+  const tokens = nameTokens(invoice);
+  const upper = String(row.description || '').toUpperCase();
+  const hits = tokens.filter((t) => upper.includes(t));
+  if (hits.length) {
+    score += Math.round((25 * hits.length) / tokens.length);
+    reasons.push(`client name (${hits.join(', ')})`);
+  }
+  return { score, reasons, tds };
+}
+
+// rows: parsed statement rows; invoices: open invoices (lean); paymentsByRef: Map(reference -> Payment id)
+// Returns rows with status ('suggested' | 'unmatched' | 'duplicate') and suggestions, best first
+export function suggestMatches(rows, invoices, paymentsByRef = new Map()) {
+  return rows.map((row) => {
+    const duplicateOf = [row.reference, ...(row.references || [])].map((r) => r && paymentsByRef.get(r)).find(Boolean);
+    if (duplicateOf) return { ...row, status: 'duplicate', paymentId: duplicateOf, suggestions: [] };
+    const suggestions = invoices
+      .map((invoice) => ({ invoice, ...scoreMatch(row, invoice) }))
+      .filter((s) => s.score >= MIN_SUGGESTION_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(({ invoice, score, reasons, tds }) => ({
+        invoiceId: invoice._id,
+        invoiceNo: invoice.invoiceNo,
+        clientName: invoice.issuedTo?.company || invoice.issuedTo?.name || null,
+        balanceDue: invoice.balanceDue,
+        score,
+        reasons,
+        // TDS the amount implies; pass it with tds_section when confirming the match
+        tds,
+      }));
+    // Confident only when the best suggestion clearly beats the runner-up
+    const [best, second] = suggestions;
+    const confident = best && best.score >= CONFIDENT_SCORE && (!second || best.score - second.score >= 15);
+    return {
+      ...row,
+      status: suggestions.length ? 'suggested' : 'unmatched',
+      suggestedInvoiceId: confident ? best.invoiceId : null,
+      suggestions,
+    };
+  });
+}
@@ -0,0 +1,271 @@
+// Payment receipts: numbered once a payment is verified, rendered as PDF (pdfkit) and JSON
+// - Numbers come from the owner's receipt series (utils/invoiceNumbering.js, receiptPrefix) and are never reused
+// - The balance shown is what remained on the invoice after this payment (payments ordered by date)
+// - PDFs are cached in Bunny Storage under <ownerId>/receipts/ like invoice PDFs (Payment.receipt.pdfUrl + pdfHash)
+// - Emails go to the paying client's point of contact, falling back to the invoice recipient
+
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import Client from '../models/Client.js';
+import User from '../models/User.js';
+import { uploadToBunny } from './bunnyStorage.js';
+import { sendMail, escapeHtml } from './mailer.js';
+import { nextReceiptNumber } from './invoiceNumbering.js';
+import { sellerDetails, amountInWords, money, formatDate } from './invoicePdf.js';
+import { round2, safeFileName } from './helpers.js';
+
+const PAGE_MARGIN = 40;
+const MODE_LABELS = { BANK: 'Bank transfer', UPI: 'UPI' };
+
+async function loadPayment(paymentOrId) {
+  return paymentOrId?._id ? paymentOrId : Payment.findById(paymentOrId).lean();
+}
+
+// Assign a receipt number to a verified payment that has none; returns the payment (lean) or null when unverified.
+// Concurrent callers may each draw a number; only the first is stored, so the series can show gaps
+export async function issueReceipt(paymentOrId) {
+  const payment = await loadPayment(paymentOrId);
+  if (!payment) throw new Error('Payment not found');
+  if (!payment.is_verified) return null;
+  if (payment.receipt?.number) return payment;
+  const issuedAt = new Date();
+  const number = await nextReceiptNumber(payment.received_by, issuedAt);
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, 'receipt.number': null },
+    { $set: { receipt: { number, issuedAt } } },
+    { new: true }
+  ).lean();
+  return updated || Payment.findById(payment._id).lean();
+}
+
+// Issue the receipt for a payment that was just verified, rendering the PDF in the background.
+// Never throws: the payment is already recorded, and GET /api/payments/:id/receipt issues it later if this fails
+export async function issueReceiptOnVerify(payment) {
+  if (!payment?.is_verified || payment.receipt?.number) return payment;
+  try {
+    const issued = await issueReceipt(payment);
+    refreshReceiptPdf(issued).catch((err) => console.warn(`Receipt PDF refresh failed (${payment._id}):`, err.message));
+    return issued;
+  } catch (err) {
+    console.warn(`Receipt issue failed (${payment._id}):`, err.message);
+    return payment;
+  }
+}
+
+// JSON representation of an issued receipt
+export async function receiptData(payment) {
+  const [invoice, client, owner, payments] = await Promise.all([
+    Invoice.findById(payment.invoice_id)
+      .select('invoiceNo issuedTo issuedAt dueDate currency total creditedAmount debitedAmount balanceDue status createdAt')
+      .lean(),
+    Client.findById(payment.paid_by).select('business_name gst_number point_of_contact').lean(),
+    User.findById(payment.received_by).select('registration businessInformation paymentInformation').lean(),
+    Payment.find({ invoice_id: payment.invoice_id }).select('_id amount tds_amount payment_date created_on').lean(),
+  ]);
+  const seller = sellerDetails(owner);
+  const currency = invoice?.currency || 'INR';
+
+  // Paid to date includes every payment dated up to this one (same-day ties by recording order),
+  // counting TDS the client deducted as settled
+  const key = (p) => [new Date(p.payment_date).getTime(), new Date(p.created_on || 0).getTime(), String(p._id)];
+  const compare = (a, b) => {
+    const [ka, kb] = [key(a), key(b)];
+    return ka[0] - kb[0] || ka[1] - kb[1] || ka[2].localeCompare(kb[2]);
+  };
+  const paidToDate = round2(payments.filter((p) => compare(p, payment) <= 0).reduce((s, p) => s + (Number(p.amount) || 0) + (Number(p.tds_amount) || 0), 0));
+  const payable = invoice ? round2((invoice.total || 0) + (invoice.debitedAmount || 0) - (invoice.creditedAmount || 0)) : null;
+
+  return {
+    receiptNo: payment.receipt?.number || null,
+    issuedAt: payment.receipt?.issuedAt || null,
+    seller: {
+      name: seller.name,
+      gstin: seller.gstin,
+      pan: seller.pan,
+      addressLines: seller.addressLines,
+      email: seller.email,
+      phone: seller.phone,
+    },
+    receivedFrom: {
+      clientId: payment.paid_by,
+      name: client?.business_name || invoice?.issuedTo?.company || invoice?.issuedTo?.name || null,
+      contactName: client?.point_of_contact?.name || invoice?.issuedTo?.name || null,
+      email: client?.point_of_contact?.email || invoice?.issuedTo?.email || null,
+      gstNumber: client?.gst_number || invoice?.issuedTo?.gstNumber || null,
+    },
+    payment: {
+      id: payment._id,
+      date: payment.payment_date,
+      amount: round2(payment.amount),
+      tds: payment.tds_amount
+        ? { section: payment.tds_section, ratePercent: payment.tds_rate || null, amount: round2(payment.tds_amount) }
+        : null,
+      currency,
+      mode: payment.mode,
+      transactionId: payment.transaction_id || null,
+      remarks: payment.remarks || null,
+    },
+    amountInWords: amountInWords(payment.amount, currency),
+    invoice: invoice
+      ? {
+        id: invoice._id,
+        invoiceNo: invoice.invoiceNo,
+        issuedAt: invoice.issuedAt || invoice.createdAt,
+        dueDate: invoice.dueDate || null,
+        total: invoice.total,
+        payable,
+        paidToDate,
+        // Remaining after this payment; currentBalanceDue reflects every payment recorded since
+        balanceDue: Math.max(0, round2(payable - paidToDate)),
+        currentBalanceDue: invoice.balanceDue,
+        status: invoice.status,
+      }
+      : null,
+  };
+}
+
+function receiptFingerprint(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+// Render the receipt; resolves to a Buffer
+export function renderReceiptPdf(data) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `Receipt ${data.receiptNo}` } });
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { seller, receivedFrom, payment, invoice } = data;
+    const currency = payment.currency;
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    const left = PAGE_MARGIN;
+
+    doc.font('Helvetica-Bold').fontSize(16).text('PAYMENT RECEIPT', { align: 'center' });
+    doc.moveDown(0.8);
+
+    // Seller (left) and receipt details (right)
+    const top = doc.y;
+    doc.font('Helvetica-Bold').fontSize(11).text(seller.name || '-', left, top, { width: width / 2 });
+    doc.font('Helvetica').fontSize(9);
+    for (const line of seller.addressLines) doc.text(line, { width: width / 2 });
+    if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`, { width: width / 2 });
+    if (seller.pan) doc.text(`PAN: ${seller.pan}`, { width: width / 2 });
+    if (seller.email) doc.text(seller.email, { width: width / 2 });
+    if (seller.phone) doc.text(seller.phone, { width: width / 2 });
+    const leftBottom = doc.y;
+
+    const detailX = left + width / 2 + 20;
+    const details = [
+      ['Receipt No', data.receiptNo],
+      ['Receipt Date', formatDate(data.issuedAt)],
+      ['Payment Date', formatDate(payment.date)],
+      ['Mode', MODE_LABELS[payment.mode] || payment.mode],
+      ['Reference', payment.transactionId || '-'],
+    ];
+    doc.y = top;
+    for (const [label, value] of details) {
+      doc.font('Helvetica-Bold').text(`${label}: `, detailX, doc.y, { continued: true, width: width / 2 - 20 });
+      doc.font('Helvetica').text(String(value ?? '-'));
+    }
+    doc.y = Math.max(leftBottom, doc.y) + 12;
+
+    doc.font('Helvetica-Bold').fontSize(10).text('Received From', left);
+    doc.font('Helvetica').fontSize(9);
+    doc.text(receivedFrom.name || '-');
+    if (receivedFrom.contactName && receivedFrom.contactName !== receivedFrom.name) doc.text(receivedFrom.contactName);
+    if (receivedFrom.gstNumber) doc.text(`GSTIN: ${receivedFrom.gstNumber}`);
+    if (receivedFrom.email) doc.text(receivedFrom.email);
+    doc.moveDown(1);
+
+    doc.font('Helvetica-Bold').fontSize(11)
+      .text(`Amount Received: ${currency} ${money(payment.amount)}`, left, doc.y, { width });
+    doc.font('Helvetica-Oblique').fontSize(9).text(data.amountInWords, { width });
+    if (payment.tds) {
+      doc.font('Helvetica').fontSize(9)
+        .text(`TDS deducted u/s ${payment.tds.section}${payment.tds.ratePercent ? ` @ ${payment.tds.ratePercent}%` : ''}: ${currency} ${money(payment.tds.amount)}`, { width });
+    }
+    doc.moveDown(1);
+
+    // Invoice the payment was applied to
+    if (invoice) {
+      const rows = [
+        ['Against Invoice', invoice.invoiceNo],
+        ['Invoice Date', formatDate(invoice.issuedAt)],
+        ['Invoice Amount', `${currency} ${money(invoice.payable)}`],
+        ['Paid to Date', `${currency} ${money(invoice.paidToDate)}`],
+        ['Balance Due', `${currency} ${money(invoice.balanceDue)}`],
+      ];
+      for (const [label, value] of rows) {
+        const y = doc.y;
+        doc.font(label === 'Balance Due' ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        doc.text(label, left, y, { width: 160 });
+        doc.text(String(value ?? '-'), left + 160, y, { width: 160, align: 'right' });
+        doc.moveDown(0.3);
+      }
+      doc.moveDown(0.5);
+    }
+    if (payment.remarks) {
+      doc.font('Helvetica-Bold').fontSize(10).text('Remarks', left);
+      doc.font('Helvetica').fontSize(9).text(payment.remarks, { width });
+      doc.moveDown(0.8);
+    }
+
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(9).text(`For ${seller.name || ''}`, left, doc.y, { width, align: 'right' });
+    doc.moveDown(2);
+    doc.font('Helvetica').text('Authorised Signatory', { width, align: 'right' });
+    doc.moveDown(1);
+    doc.fontSize(8).fillColor('#666666').text('This is a computer-generated receipt.', left, doc.y, { width, align: 'center' });
+
+    doc.end();
+  });
+}
+
+// Render (or reuse) the receipt PDF and cache it in storage.
+// Returns { buffer?, url, cached, data } with the same semantics as refreshInvoicePdf
+export async function refreshReceiptPdf(paymentOrId, { force = false } = {}) {
+  const payment = await loadPayment(paymentOrId);
+  if (!payment?.receipt?.number) throw new Error('Payment has no receipt');
+  const data = await receiptData(payment);
+  const fingerprint = receiptFingerprint(data);
+  if (!force && payment.receipt.pdfUrl && payment.receipt.pdfHash === fingerprint) {
+    return { url: payment.receipt.pdfUrl, cached: true, data };
+  }
+
+  const buffer = await renderReceiptPdf(data);
+  let url = null;
+  try {
+    const fileName = `receipts/${safeFileName(data.receiptNo, 'receipt')}-${fingerprint.slice(0, 12)}.pdf`;
+    url = await uploadToBunny(String(payment.received_by), fileName, buffer, 'application/pdf');
+    await Payment.updateOne({ _id: payment._id }, { $set: { 'receipt.pdfUrl': url, 'receipt.pdfHash': fingerprint } });
+  } catch (err) {
+    console.warn(`Receipt PDF upload failed (${payment._id}):`, err.message);
+  }
+  return { buffer, url, cached: false, data };
+}
+
+// Email the receipt; throws when there is no recipient address or delivery fails. Returns the address used
+export async function sendReceiptEmail(paymentOrId) {
+  const payment = await loadPayment(paymentOrId);
+  const pdf = await refreshReceiptPdf(payment);
+  const { data } = pdf;
+  const email = String(data.receivedFrom.email || '').trim();
+  if (!email) throw new Error("The client's point of contact has no email address");
+  const fileName = `${safeFileName(data.receiptNo, 'receipt')}.pdf`;
+  const link = pdf.url ? `<p><a href="${escapeHtml(pdf.url)}">Download receipt ${escapeHtml(data.receiptNo)}</a></p>` : '';
+  const against = data.invoice
+    ? ` against invoice ${escapeHtml(data.invoice.invoiceNo)}. Balance due: ${escapeHtml(data.payment.currency)} ${money(data.invoice.balanceDue)}`
+    : '';
+  await sendMail({
+    to: { address: email, name: data.receivedFrom.contactName },
+    subject: `Payment receipt ${data.receiptNo} from ${data.seller.name || 'INFLU'}`,
+    html: `<div><p>Hi ${escapeHtml(data.receivedFrom.contactName || email)},</p><p>We have received ${escapeHtml(data.payment.currency)} ${money(data.payment.amount)} on ${formatDate(data.payment.date)}${against}.</p>${link}<p>${escapeHtml(data.seller.name)}</p></div>`,
+    attachments: pdf.buffer ? [{ filename: fileName, content: pdf.buffer, contentType: 'application/pdf' }] : [],
+  });
+  await Payment.updateOne({ _id: payment._id }, { $set: { 'receipt.emailedAt': new Date(), 'receipt.emailedTo': email } });
+  return email;
+}
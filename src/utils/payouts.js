@@ -0,0 +1,125 @@
+// Collaborator payouts: payout method selection and the payables report
+// - A payout pays to one entry of the collaborator user's paymentInformation, chosen by position or method;
+//   by default the entry with the best (lowest) priority
+// - The payables report groups payouts per collaborator: pending (awaiting approval), approved (owed now)
+//   and paid, with the TDS withheld on approved and paid payouts
+// - Report amounts are in the owner's base currency: approved at the approval rate, paid at the payment rate
+//   and pending at today's rate (utils/fx.js). Pending payouts in a currency with no rate on file are listed
+//   with netAmountBase null and left out of the totals (missingRates names the currencies)
+
+import Payout from '../models/Payout.js';
+import { rateLookup, toBase } from './fx.js';
+import { round2 } from './helpers.js';
+
+// Snapshot of a paymentInformation entry stored on the payout
+function methodSnapshot(info) {
+  return {
+    method: info.method,
+    upiId: info.upiId || null,
+    bank: { accountName: info.bank?.accountName || null, ifsc: info.bank?.ifsc || null },
+    isVerified: Boolean(info.isVerified),
+  };
+}
+
+// Pick the payout method from the user's paymentInformation. selector is an index into the list,
+// a method name ('upi', 'bank_transfer', ...) or empty for the highest-priority entry.
+// Returns { method } or { error }
+export function choosePaymentMethod(user, selector) {
+  const methods = user?.paymentInformation || [];
+  if (!methods.length) return { error: 'Collaborator has no payment information on file' };
+  if (selector === undefined || selector === null || selector === '') {
+    const best = methods.reduce((a, b) => ((b.priority ?? 0) < (a.priority ?? 0) ? b : a));
+    return { method: methodSnapshot(best) };
+  }
+  if (Number.isInteger(Number(selector)) && String(selector).trim() !== '') {
+    const info = methods[Number(selector)];
+    if (!info) return { error: `paymentMethod must be an index below ${methods.length}` };
+    return { method: methodSnapshot(info) };
+  }
+  const matches = methods.filter((m) => m.method === String(selector));
+  if (!matches.length) return { error: `Collaborator has no ${selector} payment information` };
+  const best = matches.reduce((a, b) => ((b.priority ?? 0) < (a.priority ?? 0) ? b : a));
+  return { method: methodSnapshot(best) };
+}
+
+function emptyTotals() {
+  return { pending: 0, approved: 0, paid: 0, tds: 0, count: 0 };
+}
+
+// Payables per collaborator for payouts matching filter (the caller applies owner scope).
+// pending and approved are net amounts (what will be transferred); paid is what was transferred
+export async function collaboratorPayables(filter) {
+  const payouts = await Payout.find(filter)
+    .select('ownerId collaboratorId collaboratorName projectId amount tdsAmount netAmount currency fx paidFx status approvedAt paidAt createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+  // Pending payouts have no captured rate yet; use today's, per owner
+  const lookups = new Map();
+  const todayRate = (payout) => {
+    const key = String(payout.ownerId);
+    if (!lookups.has(key)) lookups.set(key, rateLookup(payout.ownerId));
+    return lookups.get(key)(payout.currency);
+  };
+  const missingRates = new Set();
+  const byCollaborator = new Map();
+  const totals = emptyTotals();
+  for (const payout of payouts) {
+    const key = String(payout.collaboratorId);
+    if (!byCollaborator.has(key)) {
+      byCollaborator.set(key, {
+        collaboratorId: payout.collaboratorId,
+        collaboratorName: payout.collaboratorName || null,
+        ...emptyTotals(),
+        payouts: [],
+      });
+    }
+    const row = byCollaborator.get(key);
+    const accrualRate = payout.fx?.rate || (payout.status === 'pending' ? await todayRate(payout) : 1);
+    const netBase = accrualRate === null
+      ? null
+      : toBase(payout.netAmount, payout.status === 'paid' ? payout.paidFx?.rate || accrualRate : accrualRate);
+    if (netBase === null) missingRates.add(payout.currency);
+    for (const t of [row, totals]) {
+      if (netBase !== null) t[payout.status] = round2(t[payout.status] + netBase);
+      if (payout.status !== 'pending') t.tds = round2(t.tds + toBase(payout.tdsAmount, accrualRate));
+      t.count += 1;
+    }
+    row.payouts.push({
+      payoutId: payout._id,
+      projectId: payout.projectId,
+      status: payout.status,
+      currency: payout.currency || 'INR',
+      amount: payout.amount,
+      tdsAmount: payout.tdsAmount,
+      netAmount: payout.netAmount,
+      netAmountBase: netBase,
+      missingRate: netBase === null,
+      approvedAt: payout.approvedAt,
+      paidAt: payout.paidAt,
+    });
+  }
+  const collaborators = [...byCollaborator.values()].sort((a, b) => b.approved - a.approved || b.pending - a.pending);
+  return { asOf: new Date(), collaborators, totals, missingRates: [...missingRates] };
+}
+
+export function payablesTable(report) {
+  return {
+    columns: [
+      { label: 'Collaborator', width: 3 },
+      { label: 'Pending approval', width: 1.4, align: 'right' },
+      { label: 'Approved (owed)', width: 1.4, align: 'right' },
+      { label: 'Paid', width: 1.4, align: 'right' },
+      { label: 'TDS withheld', width: 1.3, align: 'right' },
+      { label: 'Payouts', width: 0.8, align: 'right' },
+    ],
+    rows: report.collaborators.map((c) => [
+      c.collaboratorName || String(c.collaboratorId),
+      c.pending,
+      c.approved,
+      c.paid,
+      c.tds,
+      String(c.count),
+    ]),
+    totals: [['Total', report.totals.pending, report.totals.approved, report.totals.paid, report.totals.tds, String(report.totals.count)]],
+  };
+}
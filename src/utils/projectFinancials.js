@@ -0,0 +1,219 @@
+// Project profitability: contracted value vs. invoiced, collected and costs, per project and across a portfolio
+// - Contracted value is Project.project_budget, or the linked quotation's totalCost when no budget is set
+// - Invoiced counts issued invoices linked by projectId, the legacy project field or Project.invoices, net
+//   of credit/debit notes; gross margin is measured on the amount excluding GST
+// - Costs are the project's internal_costs plus collaborator costs: payouts (gross of TDS) and confirmed
+//   collaborator rate cards that have no payout yet, as an estimate of what is still to be raised
+// - Amounts are in the owner's base currency: invoices at their captured rate, approved and paid payouts at
+//   the approval rate, pending payouts and rate cards at today's rate (utils/fx.js); costs in a currency with
+//   no rate on file are left out and flagged with a missing_rate alert
+// - Alerts fire when costs reach a share of the contracted value: Project.cost_alert_percent, or the default
+
+import Invoice from '../models/Invoice.js';
+import InvoiceNote from '../models/InvoiceNote.js';
+import Payout from '../models/Payout.js';
+import Quotation from '../models/Quotation.js';
+import RateCard from '../models/RateCard.js';
+import { bookRate, getBaseCurrency, rateLookup, toBase } from './fx.js';
+import { round2 } from './helpers.js';
+
+export const DEFAULT_COST_ALERT_PERCENT = 80;
+
+function percentOf(part, whole) {
+  return whole > 0 ? round2((part / whole) * 100) : null;
+}
+
+function addTo(map, key, values) {
+  const current = map.get(key) || {};
+  map.set(key, { ...current, ...Object.fromEntries(Object.entries(values).map(([k, v]) => [k, round2((current[k] || 0) + v)])) });
+}
+
+// Budget alerts for one project's figures
+function costAlerts(figures, alertPercent) {
+  const { contractedValue, totalCosts, invoicedExclTax, missingRates } = figures;
+  const alerts = [];
+  if (missingRates.length) {
+    alerts.push({ level: 'warning', code: 'missing_rate', message: `No ${missingRates.join('/')} exchange rate on file; those collaborator costs are left out` });
+  }
+  if (!contractedValue) {
+    if (totalCosts > 0) alerts.push({ level: 'warning', code: 'no_budget', message: 'Costs are recorded but the project has no budget' });
+    return alerts;
+  }
+  if (totalCosts > contractedValue) {
+    alerts.push({ level: 'critical', code: 'over_budget', message: `Costs ${totalCosts.toFixed(2)} exceed the budget ${contractedValue.toFixed(2)}` });
+  } else if (totalCosts >= (contractedValue * alertPercent) / 100) {
+    alerts.push({ level: 'warning', code: 'cost_threshold', message: `Costs have reached ${percentOf(totalCosts, contractedValue)}% of the budget (alert at ${alertPercent}%)` });
+  }
+  if (invoicedExclTax > contractedValue) {
+    alerts.push({ level: 'info', code: 'over_invoiced', message: `Invoiced ${invoicedExclTax.toFixed(2)} exceeds the budget ${contractedValue.toFixed(2)}` });
+  }
+  return alerts;
+}
+
+// Financials for projects of one owner (projects are lean docs). alertPercent overrides every project's
+// cost_alert_percent. Returns { baseCurrency, projects: [...] } in the order given
+export async function projectFinancials(projects, ownerId, { alertPercent = null } = {}) {
+  const ids = projects.map((p) => p._id);
+  const baseCurrency = await getBaseCurrency(ownerId);
+
+  // Invoices listed on a project but saved without a project link still count towards it
+  const listedOn = new Map();
+  for (const p of projects) for (const invoiceId of p.invoices || []) listedOn.set(String(invoiceId), String(p._id));
+  const invoices = await Invoice.find({
+    $or: [{ projectId: { $in: ids } }, { project: { $in: ids } }, { _id: { $in: [...listedOn.keys()] } }],
+    isDeleted: { $ne: true },
+    status: { $ne: 'draft' },
+    issuedAt: { $ne: null },
+  })
+    .select('projectId project total subTotal paidAmount creditedAmount debitedAmount status currency fx')
+    .lean();
+  const projectOfInvoice = new Map(invoices.map((i) => [String(i._id), String(i.projectId || i.project || listedOn.get(String(i._id)))]));
+  const invoiceRates = new Map(invoices.map((i) => [String(i._id), bookRate(i)]));
+
+  const rateCardIds = projects.flatMap((p) => p.final_confirmed_rate_cards || []);
+  const quotationIds = projects.filter((p) => !p.project_budget && p.quotation_id).map((p) => p.quotation_id);
+  const [notes, payouts, rateCards, quotations] = await Promise.all([
+    InvoiceNote.find({ invoiceId: { $in: invoices.map((i) => i._id) }, status: 'issued' }).select('invoiceId type subTotal').lean(),
+    Payout.find({ projectId: { $in: ids } }).select('projectId rateCardId amount currency fx status').lean(),
+    RateCard.find({ _id: { $in: rateCardIds }, ownerType: 'collaborator' }).select('price currency').lean(),
+    Quotation.find({ _id: { $in: quotationIds } }).select('totalCost').lean(),
+  ]);
+
+  // Pending payouts and rate cards have no captured rate; use today's
+  const todayRate = rateLookup(ownerId);
+  const missingRates = new Map();
+  const flagMissing = (projectKey, currency) => {
+    if (!missingRates.has(projectKey)) missingRates.set(projectKey, new Set());
+    missingRates.get(projectKey).add(currency);
+  };
+
+  const revenue = new Map();
+  for (const invoice of invoices) {
+    // Invoices cancelled before credit notes existed were never offset; leave them out like the ledger does
+    if (invoice.status === 'cancelled' && !invoice.creditedAmount) continue;
+    const rate = bookRate(invoice);
+    addTo(revenue, projectOfInvoice.get(String(invoice._id)), {
+      invoiced: toBase(invoice.total + (invoice.debitedAmount || 0) - (invoice.creditedAmount || 0), rate),
+      invoicedExclTax: toBase(invoice.subTotal, rate),
+      collected: toBase(invoice.paidAmount, rate),
+    });
+  }
+  for (const note of notes) {
+    const sign = note.type === 'credit' ? -1 : 1;
+    addTo(revenue, projectOfInvoice.get(String(note.invoiceId)), {
+      invoicedExclTax: sign * toBase(note.subTotal, invoiceRates.get(String(note.invoiceId))),
+    });
+  }
+
+  const collaboratorCosts = new Map();
+  const raisedRateCards = new Set();
+  for (const payout of payouts) {
+    if (payout.rateCardId) raisedRateCards.add(`${payout.projectId}:${payout.rateCardId}`);
+    const rate = payout.fx?.rate || (await todayRate(payout.currency || baseCurrency));
+    if (rate === null) flagMissing(String(payout.projectId), payout.currency);
+    else addTo(collaboratorCosts, String(payout.projectId), { [payout.status]: toBase(payout.amount, rate) });
+  }
+  const rateCardById = new Map(rateCards.map((r) => [String(r._id), r]));
+  const quotationById = new Map(quotations.map((q) => [String(q._id), q]));
+
+  const results = [];
+  for (const project of projects) {
+    const key = String(project._id);
+    let rateCardEstimate = 0;
+    for (const rateCardId of project.final_confirmed_rate_cards || []) {
+      const rateCard = rateCardById.get(String(rateCardId));
+      if (!rateCard || raisedRateCards.has(`${key}:${rateCardId}`)) continue;
+      const rate = await todayRate(rateCard.currency || baseCurrency);
+      if (rate === null) flagMissing(key, rateCard.currency);
+      else rateCardEstimate = round2(rateCardEstimate + toBase(rateCard.price, rate));
+    }
+    const quotation = project.quotation_id ? quotationById.get(String(project.quotation_id)) : null;
+    const contractedValue = round2(project.project_budget || quotation?.totalCost || 0);
+    const sales = { invoiced: 0, invoicedExclTax: 0, collected: 0, ...revenue.get(key) };
+    const collaborator = { paid: 0, approved: 0, pending: 0, ...collaboratorCosts.get(key), rateCards: rateCardEstimate };
+    collaborator.total = round2(collaborator.paid + collaborator.approved + collaborator.pending + collaborator.rateCards);
+    const internalCosts = round2((project.internal_costs || []).reduce((s, c) => s + (Number(c.amount) || 0), 0));
+    const totalCosts = round2(internalCosts + collaborator.total);
+    const threshold = alertPercent ?? project.cost_alert_percent ?? DEFAULT_COST_ALERT_PERCENT;
+    const figures = {
+      projectId: project._id,
+      name: project.name,
+      status: project.status,
+      client: project.client,
+      contractedValue,
+      contractSource: project.project_budget ? 'budget' : quotation ? 'quotation' : null,
+      invoiced: sales.invoiced,
+      invoicedExclTax: sales.invoicedExclTax,
+      collected: sales.collected,
+      outstanding: round2(Math.max(0, sales.invoiced - sales.collected)),
+      internalCosts,
+      collaboratorCosts: collaborator,
+      totalCosts,
+      grossMargin: round2(sales.invoicedExclTax - totalCosts),
+      grossMarginPercent: percentOf(sales.invoicedExclTax - totalCosts, sales.invoicedExclTax),
+      projectedMargin: round2(contractedValue - totalCosts),
+      projectedMarginPercent: percentOf(contractedValue - totalCosts, contractedValue),
+      budgetUsedPercent: percentOf(totalCosts, contractedValue),
+      alertPercent: threshold,
+      missingRates: [...(missingRates.get(key) || [])],
+    };
+    results.push({ ...figures, alerts: costAlerts(figures, threshold) });
+  }
+  return { baseCurrency, projects: results };
+}
+
+// Portfolio report: every project's financials (only those with alerts when alertsOnly) with totals,
+// most budget used first
+export async function portfolioFinancials(projects, ownerId, { alertsOnly = false, ...options } = {}) {
+  const result = await projectFinancials(projects, ownerId, options);
+  const { baseCurrency } = result;
+  const rows = alertsOnly ? result.projects.filter((p) => p.alerts.length) : result.projects;
+  const keys = ['contractedValue', 'invoiced', 'invoicedExclTax', 'collected', 'outstanding', 'internalCosts', 'totalCosts', 'grossMargin', 'projectedMargin'];
+  const totals = Object.fromEntries(keys.map((k) => [k, round2(rows.reduce((s, r) => s + r[k], 0))]));
+  totals.collaboratorCosts = round2(rows.reduce((s, r) => s + r.collaboratorCosts.total, 0));
+  totals.grossMarginPercent = percentOf(totals.grossMargin, totals.invoicedExclTax);
+  totals.alerts = rows.reduce((s, r) => s + r.alerts.length, 0);
+  rows.sort((a, b) => (b.budgetUsedPercent ?? -1) - (a.budgetUsedPercent ?? -1) || b.totalCosts - a.totalCosts);
+  return { asOf: new Date(), baseCurrency, projects: rows, totals };
+}
+
+export function portfolioTable(report) {
+  return {
+    columns: [
+      { label: 'Project', width: 2.6 },
+      { label: 'Contracted', width: 1.2, align: 'right' },
+      { label: 'Invoiced (excl. GST)', width: 1.3, align: 'right' },
+      { label: 'Collected', width: 1.2, align: 'right' },
+      { label: 'Internal costs', width: 1.2, align: 'right' },
+      { label: 'Collaborator costs', width: 1.3, align: 'right' },
+      { label: 'Gross margin', width: 1.2, align: 'right' },
+      { label: 'Margin %', width: 0.8, align: 'right' },
+      { label: 'Budget used %', width: 0.9, align: 'right' },
+      { label: 'Alerts', width: 1.6 },
+    ],
+    rows: report.projects.map((p) => [
+      p.name,
+      p.contractedValue,
+      p.invoicedExclTax,
+      p.collected,
+      p.internalCosts,
+      p.collaboratorCosts.total,
+      p.grossMargin,
+      p.grossMarginPercent === null ? '' : String(p.grossMarginPercent),
+      p.budgetUsedPercent === null ? '' : String(p.budgetUsedPercent),
+      p.alerts.map((a) => a.code.replace(/_/g, ' ')).join(', '),
+    ]),
+    totals: [[
+      'Total',
+      report.totals.contractedValue,
+      report.totals.invoicedExclTax,
+      report.totals.collected,
+      report.totals.internalCosts,
+      report.totals.collaboratorCosts,
+      report.totals.grossMargin,
+      report.totals.grossMarginPercent === null ? '' : String(report.totals.grossMarginPercent),
+      '',
+      String(report.totals.alerts),
+    ]],
+  };
+}
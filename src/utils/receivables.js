@@ -0,0 +1,218 @@
+// Receivables reports: aging of open invoices and the client statement (running ledger)
+// - Aging buckets count days past Invoice.dueDate (issue date when there is none) on balanceDue;
+//   invoices not yet due are reported as current
+// - The statement debits issued invoices and debit notes and credits credit notes and payments (including
+//   TDS the client deducted). Cancelled invoices appear with the credit note that cancelled them;
+//   cancelled notes are left out
+// - Amounts are converted to the owner's base currency at the invoice's captured rate (utils/fx.js), so a
+//   foreign-currency invoice settles to zero; realised exchange differences live in the ledger
+// Each report also has a table form ({ columns, rows, totals }) used for the CSV and PDF exports
+
+import Invoice from '../models/Invoice.js';
+import InvoiceNote from '../models/InvoiceNote.js';
+import Payment from '../models/Payment.js';
+import { bookRate, toBase } from './fx.js';
+import { round2, startOfDay } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ['sent', 'partial', 'overdue'];
+
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Not due', maxDays: -1 },
+  { key: 'days0to30', label: '0–30', maxDays: 30 },
+  { key: 'days31to60', label: '31–60', maxDays: 60 },
+  { key: 'days61to90', label: '61–90', maxDays: 90 },
+  { key: 'days90plus', label: '90+', maxDays: Infinity },
+];
+
+function emptyBuckets() {
+  return Object.fromEntries([...AGING_BUCKETS.map((b) => [b.key, 0]), ['total', 0]]);
+}
+
+export function agingBucket(daysOverdue) {
+  return AGING_BUCKETS.find((b) => daysOverdue <= b.maxDays).key;
+}
+
+// Aging of open invoices matching invoiceFilter (the caller applies owner scope, one owner so amounts share a
+// base currency), grouped by client.
+// Bucket amounts are in the base currency; each invoice also keeps its balance in its own currency
+export async function receivablesAging(invoiceFilter, now = new Date()) {
+  const today = startOfDay(now);
+  const invoices = await Invoice.find({
+    ...invoiceFilter,
+    status: { $in: OPEN_STATUSES },
+    balanceDue: { $gt: 0 },
+    isDeleted: { $ne: true },
+  }).select('invoiceNo clientId client issuedTo issuedAt dueDate createdAt currency fx balanceDue status createdBy').lean();
+
+  const byClient = new Map();
+  const totals = emptyBuckets();
+  for (const invoice of invoices) {
+    const due = startOfDay(invoice.dueDate || invoice.issuedAt || invoice.createdAt || now);
+    const daysOverdue = Math.floor((today - due) / DAY_MS);
+    const bucket = agingBucket(daysOverdue);
+    const key = String(invoice.client || invoice.clientId);
+    if (!byClient.has(key)) {
+      byClient.set(key, {
+        clientId: invoice.clientId,
+        client: invoice.client || null,
+        clientName: invoice.issuedTo?.company || invoice.issuedTo?.name || null,
+        ...emptyBuckets(),
+        invoices: [],
+      });
+    }
+    const row = byClient.get(key);
+    const balanceDueBase = toBase(invoice.balanceDue, bookRate(invoice));
+    row[bucket] = round2(row[bucket] + balanceDueBase);
+    row.total = round2(row.total + balanceDueBase);
+    totals[bucket] = round2(totals[bucket] + balanceDueBase);
+    totals.total = round2(totals.total + balanceDueBase);
+    row.invoices.push({
+      invoiceId: invoice._id,
+      invoiceNo: invoice.invoiceNo,
+      issuedAt: invoice.issuedAt,
+      dueDate: invoice.dueDate,
+      currency: invoice.currency || 'INR',
+      balanceDue: invoice.balanceDue,
+      balanceDueBase,
+      daysOverdue,
+      bucket,
+    });
+  }
+  const clients = [...byClient.values()].sort((a, b) => b.total - a.total);
+  for (const c of clients) c.invoices.sort((a, b) => b.daysOverdue - a.daysOverdue);
+  return { asOf: today, buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })), clients, totals };
+}
+
+export function agingTable(report) {
+  return {
+    columns: [
+      { label: 'Client', width: 3 },
+      ...AGING_BUCKETS.map((b) => ({ label: b.label, width: 1.3, align: 'right' })),
+      { label: 'Total', width: 1.4, align: 'right' },
+      { label: 'Invoices', width: 0.8, align: 'right' },
+    ],
+    rows: report.clients.map((c) => [
+      c.clientName || String(c.clientId),
+      ...AGING_BUCKETS.map((b) => c[b.key]),
+      c.total,
+      String(c.invoices.length),
+    ]),
+    totals: [['Total', ...AGING_BUCKETS.map((b) => report.totals[b.key]), report.totals.total, '']],
+  };
+}
+
+// Order of entries on the same day
+const ENTRY_ORDER = { invoice: 0, debit_note: 1, credit_note: 2, payment: 3 };
+
+// Ledger entries for a client's invoices (invoiceFilter carries owner scope and the client match)
+async function statementEntries(invoiceFilter) {
+  const invoices = await Invoice.find({ ...invoiceFilter, isDeleted: { $ne: true }, status: { $ne: 'draft' }, issuedAt: { $ne: null } })
+    .select('invoiceNo issuedAt dueDate total status creditedAmount currency fx')
+    .lean();
+  const ids = invoices.map((i) => i._id);
+  const invoiceNos = new Map(invoices.map((i) => [String(i._id), i.invoiceNo]));
+  // Notes and payments convert at their invoice's rate
+  const invoiceFx = new Map(invoices.map((i) => [String(i._id), { currency: i.currency || 'INR', rate: bookRate(i) }]));
+  const fxOf = (invoiceId) => invoiceFx.get(String(invoiceId)) || { currency: 'INR', rate: 1 };
+  const [notes, payments] = await Promise.all([
+    InvoiceNote.find({ invoiceId: { $in: ids }, status: 'issued' }).select('type noteNo invoiceId issuedAt total reason').lean(),
+    Payment.find({ invoice_id: { $in: ids } }).select('payment_date amount tds_amount tds_section mode transaction_id invoice_id receipt').lean(),
+  ]);
+
+  const entries = [];
+  for (const invoice of invoices) {
+    // Invoices cancelled before credit notes existed have nothing offsetting them
+    if (invoice.status === 'cancelled' && !invoice.creditedAmount) continue;
+    entries.push({
+      date: invoice.issuedAt,
+      type: 'invoice',
+      id: invoice._id,
+      reference: invoice.invoiceNo,
+      description: invoice.dueDate ? `Invoice, due ${startOfDay(invoice.dueDate).toISOString().slice(0, 10)}` : 'Invoice',
+      invoiceId: invoice._id,
+      ...fxOf(invoice._id),
+      debit: toBase(invoice.total, bookRate(invoice)),
+      credit: 0,
+    });
+  }
+  for (const note of notes) {
+    const isCredit = note.type === 'credit';
+    entries.push({
+      date: note.issuedAt,
+      type: isCredit ? 'credit_note' : 'debit_note',
+      id: note._id,
+      reference: note.noteNo,
+      description: `${isCredit ? 'Credit' : 'Debit'} note against ${invoiceNos.get(String(note.invoiceId))}${note.reason ? ` (${note.reason})` : ''}`,
+      invoiceId: note.invoiceId,
+      ...fxOf(note.invoiceId),
+      debit: isCredit ? 0 : toBase(note.total, fxOf(note.invoiceId).rate),
+      credit: isCredit ? toBase(note.total, fxOf(note.invoiceId).rate) : 0,
+    });
+  }
+  for (const payment of payments) {
+    entries.push({
+      date: payment.payment_date,
+      type: 'payment',
+      id: payment._id,
+      reference: payment.receipt?.number || payment.transaction_id || null,
+      description: `Payment (${payment.mode}) against ${invoiceNos.get(String(payment.invoice_id))}`
+        + (payment.transaction_id && payment.receipt?.number ? `, ref ${payment.transaction_id}` : '')
+        + (payment.tds_amount ? `, incl. TDS ${round2(payment.tds_amount).toFixed(2)} u/s ${payment.tds_section}` : ''),
+      invoiceId: payment.invoice_id,
+      ...fxOf(payment.invoice_id),
+      debit: 0,
+      credit: toBase(payment.amount + (payment.tds_amount || 0), fxOf(payment.invoice_id).rate),
+    });
+  }
+  return entries.sort((a, b) => new Date(a.date) - new Date(b.date) || ENTRY_ORDER[a.type] - ENTRY_ORDER[b.type]);
+}
+
+// Running ledger between from and to (inclusive days; either may be null) with the opening balance carried in.
+// A positive balance is owed by the client
+export async function clientStatement(invoiceFilter, { from = null, to = null } = {}) {
+  const start = from ? startOfDay(from) : null;
+  const end = to ? new Date(startOfDay(to).getTime() + DAY_MS) : null;
+  const all = await statementEntries(invoiceFilter);
+  let balance = 0;
+  const entries = [];
+  const totals = { debit: 0, credit: 0 };
+  for (const entry of all) {
+    const at = new Date(entry.date);
+    if (end && at >= end) break;
+    balance = round2(balance + entry.debit - entry.credit);
+    if (start && at < start) continue;
+    totals.debit = round2(totals.debit + entry.debit);
+    totals.credit = round2(totals.credit + entry.credit);
+    entries.push({ ...entry, balance });
+  }
+  const openingBalance = round2(balance - totals.debit + totals.credit);
+  return { from: start, to: to ? startOfDay(to) : null, openingBalance, entries, totals, closingBalance: balance };
+}
+
+export function statementTable(statement) {
+  return {
+    columns: [
+      { label: 'Date', width: 1.1 },
+      { label: 'Type', width: 1 },
+      { label: 'Reference', width: 1.5 },
+      { label: 'Description', width: 3 },
+      { label: 'Debit', width: 1.2, align: 'right' },
+      { label: 'Credit', width: 1.2, align: 'right' },
+      { label: 'Balance', width: 1.3, align: 'right' },
+    ],
+    rows: [
+      [statement.from, '', '', 'Opening balance', null, null, statement.openingBalance],
+      ...statement.entries.map((e) => [
+        new Date(e.date),
+        e.type.replace('_', ' '),
+        e.reference || '',
+        e.description,
+        e.debit || null,
+        e.credit || null,
+        e.balance,
+      ]),
+    ],
+    totals: [['', '', '', 'Closing balance', statement.totals.debit, statement.totals.credit, statement.closingBalance]],
+  };
+}
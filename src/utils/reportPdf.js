@@ -0,0 +1,65 @@
+// Tabular report PDFs (pdfkit) shared by the finance reports
+// A report is { title, subtitle: [lines], columns: [{ label, width, align }], rows: [[cells]], totals?: [[cells]] };
+// column widths are relative weights, numbers are printed with money() and dates with formatDate()
+
+import PDFDocument from 'pdfkit';
+import { money, formatDate } from './invoicePdf.js';
+
+const PAGE_MARGIN = 36;
+
+function cellText(value) {
+  if (value == null) return '';
+  if (value instanceof Date) return formatDate(value);
+  if (typeof value === 'number') return money(value);
+  return String(value);
+}
+
+// Render a report; resolves to a Buffer. landscape suits reports with many numeric columns
+export function renderTableReport({ title, subtitle = [], columns, rows, totals = [], seller = null }, { landscape = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: landscape ? 'landscape' : 'portrait', margin: PAGE_MARGIN, info: { Title: title } });
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = PAGE_MARGIN;
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    const weight = columns.reduce((s, c) => s + (c.width || 1), 0);
+    const widths = columns.map((c) => (width * (c.width || 1)) / weight);
+
+    if (seller?.name) doc.font('Helvetica-Bold').fontSize(11).text(seller.name, left, doc.y, { width });
+    doc.font('Helvetica-Bold').fontSize(14).text(title, left, doc.y, { width });
+    doc.font('Helvetica').fontSize(9);
+    for (const line of subtitle) doc.text(line, { width });
+    doc.moveDown(0.8);
+
+    const drawRow = (cells, bold = false) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+      const texts = cells.map(cellText);
+      const height = Math.max(...texts.map((t, i) => doc.heightOfString(t, { width: widths[i] - 6 })), 8);
+      if (doc.y + height > doc.page.height - PAGE_MARGIN - 20) {
+        doc.addPage();
+        if (!bold) drawRow(columns.map((c) => c.label), true);
+      }
+      const y = doc.y;
+      let x = left;
+      texts.forEach((t, i) => {
+        doc.text(t, x + 3, y, { width: widths[i] - 6, align: columns[i].align || 'left' });
+        x += widths[i];
+      });
+      doc.y = y + height + 5;
+      doc.moveTo(left, doc.y - 2.5).lineTo(left + width, doc.y - 2.5).strokeColor('#dddddd').stroke();
+    };
+
+    drawRow(columns.map((c) => c.label), true);
+    for (const row of rows) drawRow(row);
+    if (!rows.length) doc.font('Helvetica-Oblique').fontSize(9).text('No entries', left, doc.y, { width });
+    for (const row of totals) drawRow(row, true);
+
+    doc.moveDown(1);
+    doc.font('Helvetica').fontSize(7).fillColor('#666666')
+      .text(`Generated on ${formatDate(new Date())}`, left, doc.y, { width, align: 'center' });
+    doc.end();
+  });
+}
@@ -0,0 +1,38 @@
+// Per-request context (AsyncLocalStorage) so model hooks can see who made a change
+// - requestContext() middleware opens the store with the client IP and user agent
+// - The auth middleware records the actor and owner scope once the token is resolved
+// Outside a request (scripts, jobs) getRequestContext() returns null.
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+export function requestContext() {
+  return function requestContextMiddleware(req, res, next) {
+    const ip = req.ip || req.headers?.['x-forwarded-for'] || null;
+    const userAgent = req.headers?.['user-agent'] ? String(req.headers['user-agent']).slice(0, 512) : null;
+    storage.run({ ip, userAgent, actor: null, ownerId: null }, next);
+  };
+}
+
+export function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+// Record the authenticated caller; scope (from resolveScope) adds the owner and team membership
+export function setRequestActor(auth, scope = null) {
+  const ctx = storage.getStore();
+  if (!ctx || !auth) return;
+  const entity = auth.entity || {};
+  let type = 'user';
+  if (auth.type === 'admin') type = 'admin';
+  else if (scope?.teamMemberId) type = 'team_member';
+  else if (scope?.isOwner || entity.registration?.isOwner) type = 'owner';
+  ctx.actor = {
+    type,
+    id: auth.id,
+    teamMemberId: scope?.teamMemberId || null,
+    email: auth.type === 'admin' ? entity.email || null : entity.registration?.email || null,
+  };
+  ctx.ownerId = scope?.ownerId || (type === 'owner' ? auth.id : null);
+}
@@ -0,0 +1,150 @@
+// Utilities to issue, rotate and revoke login sessions
+// - Access tokens are JWTs (JWT_EXPIRES_IN) carrying the session id (sid)
+// - Refresh tokens are opaque "<sessionId>.<secret>" strings; only a SHA-256 of the secret is stored
+// - Each refresh rotates the secret; replaying the previous secret revokes the session
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import TeamMember from '../models/TeamMember.js';
+
+function refreshTtlMs() {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+  return days * 24 * 60 * 60 * 1000;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function clientInfo(req) {
+  return {
+    userAgent: req?.headers?.['user-agent'] ? String(req.headers['user-agent']).slice(0, 512) : null,
+    ip: req?.ip || req?.headers?.['x-forwarded-for'] || null,
+  };
+}
+
+export function signAccessToken(payload) {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error('JWT_SECRET is not configured');
+  const expiresIn = process.env.JWT_EXPIRES_IN || '1d';
+  return jwt.sign(payload, secret, { expiresIn });
+}
+
+// Split "<sessionId>.<secret>" into its parts; null when malformed
+function parseRefreshToken(token) {
+  const raw = String(token || '');
+  const dot = raw.indexOf('.');
+  if (dot <= 0) return null;
+  const sessionId = raw.slice(0, dot);
+  const secret = raw.slice(dot + 1);
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+// Create a session for a subject and return { token, refreshToken, session }
+// claims: extra JWT claims (e.g. admin role)
+export async function issueSession(subjectType, subjectId, req, claims = {}) {
+  const secret = newSecret();
+  const session = await Session.create({
+    subjectType,
+    subjectId,
+    refreshTokenHash: hashSecret(secret),
+    ...clientInfo(req),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + refreshTtlMs()),
+  });
+  const token = signAccessToken({ ...claims, type: subjectType, sub: String(subjectId), sid: String(session._id) });
+  return { token, refreshToken: `${session._id}.${secret}`, session };
+}
+
+// Exchange a refresh token for a new access/refresh pair
+// Returns { token, refreshToken, session } or { error } when the token is invalid, expired or replayed
+export async function rotateSession(refreshToken, req, claims = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'Invalid refresh token' };
+  const presented = hashSecret(parsed.secret);
+  const secret = newSecret();
+  // Swap the secret only if the presented one is still current, so two refreshes with the same token
+  // cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, refreshTokenHash: presented, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { previousTokenHash: presented, refreshTokenHash: hashSecret(secret), ...clientInfo(req), lastUsedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!session) {
+    const current = await Session.findById(parsed.sessionId).select('revokedAt expiresAt previousTokenHash').lean();
+    if (!current || current.revokedAt) return { error: 'Session revoked' };
+    if (new Date(current.expiresAt).getTime() <= Date.now()) return { error: 'Session expired' };
+    // A rotated-out token was replayed (or lost a race with its own rotation): assume it leaked and kill the session
+    if (presented === current.previousTokenHash) {
+      await revokeSession(current._id, 'refresh_reuse');
+    }
+    return { error: 'Invalid refresh token' };
+  }
+
+  const token = signAccessToken({
+    ...claims,
+    type: session.subjectType,
+    sub: String(session.subjectId),
+    sid: String(session._id),
+  });
+  return { token, refreshToken: `${session._id}.${secret}`, session };
+}
+
+// Load the session behind a refresh token without rotating it (used to look up the subject)
+export async function findSessionByRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  return Session.findById(parsed.sessionId).lean();
+}
+
+// Whether an access token's session is still live
+export async function isSessionActive(sessionId) {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return false;
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt').lean();
+  if (!session || session.revokedAt) return false;
+  return new Date(session.expiresAt).getTime() > Date.now();
+}
+
+export async function revokeSession(sessionId, reason = 'logout') {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return 0;
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount || 0;
+}
+
+// Revoke every live session of a subject; options.exceptSessionId keeps the caller's own session
+export async function revokeAllSessions(subjectType, subjectId, reason, options = {}) {
+  if (!subjectId) return 0;
+  const filter = { subjectType, subjectId, revokedAt: null };
+  if (options.exceptSessionId && mongoose.isValidObjectId(options.exceptSessionId)) {
+    filter._id = { $ne: options.exceptSessionId };
+  }
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount || 0;
+}
+
+// Revoke the sessions of the user account behind an email once it has lost its last active membership
+// (team-member deactivation or removal, called after the change is saved)
+// Sessions are not tied to an owner: scope is re-resolved from active TeamMember rows on every request
+// (middleware/auth.js resolveScope), so the deactivating owner's data is already out of reach. Members still
+// active for another owner, and owners themselves, therefore keep their sessions
+export async function revokeUserSessionsByEmail(email, reason) {
+  if (!email) return 0;
+  const normalized = String(email).toLowerCase();
+  const user = await User.findOne({ 'registration.email': normalized })
+    .select('_id registration.isOwner')
+    .lean();
+  if (!user || user.registration?.isOwner) return 0;
+  if (await TeamMember.exists({ email: normalized, status: 'active' })) return 0;
+  return revokeAllSessions('user', user._id, reason);
+}
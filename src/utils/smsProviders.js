@@ -0,0 +1,67 @@
+// SMS delivery behind a small provider interface, selected by SMS_PROVIDER (default: fast2sms)
+// A provider is { name, sendOtp(phone, code) } and throws when delivery fails.
+// - fast2sms: Fast2SMS OTP route (FAST2SMS_API_KEY)
+// - console: logs the code and, when SMS_LOG_FILE is set, appends a JSON line there (local dev and tests)
+// MSG91/Twilio adapters plug in through registerSmsProvider or an entry in PROVIDERS.
+
+import { appendFile } from 'fs/promises';
+
+const FAST2SMS_ENDPOINT = 'https://www.fast2sms.com/dev/bulkV2';
+
+const fast2sms = {
+  name: 'fast2sms',
+  async sendOtp(phone, code) {
+    const apiKey = process.env.FAST2SMS_API_KEY;
+    if (!apiKey) throw new Error('FAST2SMS_API_KEY is not configured');
+    const body = {
+      route: 'otp',
+      variables_values: code,
+      numbers: phone,
+    };
+    const res = await fetch(FAST2SMS_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        authorization: apiKey,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new Error(`Fast2SMS error (${res.status}): ${text || res.statusText}`);
+    }
+    return true;
+  },
+};
+
+const consoleProvider = {
+  name: 'console',
+  async sendOtp(phone, code) {
+    const file = process.env.SMS_LOG_FILE;
+    if (file) {
+      await appendFile(file, `${JSON.stringify({ to: phone, code, at: new Date().toISOString() })}\n`);
+    } else {
+      console.log(`[sms:console] OTP for ${phone}: ${code}`);
+    }
+    return true;
+  },
+};
+
+const PROVIDERS = {
+  fast2sms,
+  console: consoleProvider,
+};
+
+// Add or replace a provider (e.g. an MSG91 or Twilio adapter)
+export function registerSmsProvider(provider) {
+  if (!provider?.name || typeof provider.sendOtp !== 'function') {
+    throw new Error('SMS provider needs a name and a sendOtp(phone, code) function');
+  }
+  PROVIDERS[provider.name] = provider;
+}
+
+export function getSmsProvider(name = process.env.SMS_PROVIDER || 'fast2sms') {
+  const provider = PROVIDERS[String(name).toLowerCase()];
+  if (!provider) throw new Error(`Unknown SMS_PROVIDER: ${name}`);
+  return provider;
+}
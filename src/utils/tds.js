@@ -0,0 +1,115 @@
+// TDS (tax deducted at source, India) on client payments and collaborator payouts
+// - Receivable: TDS a client deducted before paying an invoice (Payment.tds_amount). It settles the invoice
+//   like cash and is claimed against the Form 16A certificate the client issues for the quarter
+// - Payable: TDS withheld from a collaborator payout (Payout.tdsAmount), due to the government once approved
+// - Amounts are in the owner's base currency at the rate captured on the payment or payout approval
+// - TDS quarters follow the Indian financial year (April to March) regardless of invoice numbering settings
+
+import Payment from '../models/Payment.js';
+import Payout from '../models/Payout.js';
+import { financialYear } from './invoiceNumbering.js';
+import { bookRate, toBase } from './fx.js';
+import { round2 } from './helpers.js';
+
+const QUARTERS = [
+  { key: 'Q1', label: 'Q1 (Apr–Jun)', startMonth: 3 },
+  { key: 'Q2', label: 'Q2 (Jul–Sep)', startMonth: 6 },
+  { key: 'Q3', label: 'Q3 (Oct–Dec)', startMonth: 9 },
+  { key: 'Q4', label: 'Q4 (Jan–Mar)', startMonth: 12 },
+];
+
+// TDS at ratePercent on a base amount
+export function tdsAmountFor(base, ratePercent) {
+  return round2(((Number(base) || 0) * (Number(ratePercent) || 0)) / 100);
+}
+
+// TDS a client deducts at ratePercent when paying amount (cash) against invoice: the deduction applies to the
+// taxable share (subTotal / total, no TDS on GST) of what the payment settles, i.e. amount plus the TDS itself,
+// so instalments each carry their own share
+export function tdsOnPayment(amount, ratePercent, invoice) {
+  const taxableShare = invoice?.total > 0 ? (Number(invoice.subTotal) || 0) / invoice.total : 1;
+  const r = ((Number(ratePercent) || 0) / 100) * taxableShare;
+  if (r <= 0 || r >= 1) return 0;
+  return round2(((Number(amount) || 0) * r) / (1 - r));
+}
+
+// Start year of the financial year containing date (2026 for 2026-27)
+export function financialYearStartYear(date = new Date()) {
+  return Number(financialYear(date, 4).slice(0, 4));
+}
+
+// Quarter boundaries (UTC) of the financial year starting in April of startYear
+function quartersOf(startYear) {
+  return QUARTERS.map((q) => ({
+    ...q,
+    from: new Date(Date.UTC(startYear, q.startMonth, 1)),
+    to: new Date(Date.UTC(startYear, q.startMonth + 3, 1) - 1),
+  }));
+}
+
+function sectionRow(rows, section) {
+  if (!rows.has(section)) rows.set(section, { section, receivable: 0, certified: 0, pending: 0, payable: 0, payments: 0, payouts: 0 });
+  return rows.get(section);
+}
+
+// Quarterly TDS summary for an owner's financial year (startYear 2026 = FY 2026-27): per quarter and section,
+// TDS deducted by clients (split by whether the Form 16A has been received) and TDS withheld from payouts
+export async function tdsSummary(ownerId, startYear) {
+  const quarters = quartersOf(startYear);
+  const from = quarters[0].from;
+  const to = quarters[3].to;
+  const [payments, payouts] = await Promise.all([
+    Payment.find({ received_by: ownerId, tds_amount: { $gt: 0 }, payment_date: { $gte: from, $lte: to } })
+      .select('payment_date tds_section tds_amount form16a fx')
+      .lean(),
+    Payout.find({ ownerId, status: { $in: ['approved', 'paid'] }, tdsAmount: { $gt: 0 }, approvedAt: { $gte: from, $lte: to } })
+      .select('approvedAt tdsSection tdsAmount fx')
+      .lean(),
+  ]);
+
+  const byQuarter = quarters.map((q) => ({ quarter: q.key, label: q.label, from: q.from, to: q.to, sections: new Map() }));
+  const quarterOf = (date) => byQuarter.find((q) => date >= q.from && date <= q.to);
+  for (const p of payments) {
+    const row = sectionRow(quarterOf(new Date(p.payment_date)).sections, p.tds_section || 'other');
+    const tds = toBase(p.tds_amount, bookRate(p));
+    row.receivable = round2(row.receivable + tds);
+    if (p.form16a?.received_on) row.certified = round2(row.certified + tds);
+    else row.pending = round2(row.pending + tds);
+    row.payments += 1;
+  }
+  for (const p of payouts) {
+    const row = sectionRow(quarterOf(new Date(p.approvedAt)).sections, p.tdsSection || 'other');
+    row.payable = round2(row.payable + toBase(p.tdsAmount, bookRate(p)));
+    row.payouts += 1;
+  }
+
+  const totals = { receivable: 0, certified: 0, pending: 0, payable: 0 };
+  const result = byQuarter.map(({ sections, ...q }) => {
+    const rows = [...sections.values()].sort((a, b) => a.section.localeCompare(b.section));
+    const sum = (k) => round2(rows.reduce((s, r) => s + r[k], 0));
+    const quarterTotals = { receivable: sum('receivable'), certified: sum('certified'), pending: sum('pending'), payable: sum('payable') };
+    for (const k of Object.keys(totals)) totals[k] = round2(totals[k] + quarterTotals[k]);
+    return { ...q, sections: rows, totals: quarterTotals };
+  });
+  return { financialYear: financialYear(from, 4), from, to, quarters: result, totals };
+}
+
+export function tdsSummaryTable(report) {
+  const rows = [];
+  for (const q of report.quarters) {
+    if (!q.sections.length) rows.push([q.label, '-', null, null, null, null]);
+    for (const s of q.sections) rows.push([q.label, s.section, s.receivable, s.certified, s.pending, s.payable]);
+  }
+  return {
+    columns: [
+      { label: 'Quarter', width: 1.4 },
+      { label: 'Section', width: 0.9 },
+      { label: 'TDS receivable', width: 1.3, align: 'right' },
+      { label: 'Form 16A received', width: 1.3, align: 'right' },
+      { label: 'Form 16A pending', width: 1.3, align: 'right' },
+      { label: 'TDS payable', width: 1.3, align: 'right' },
+    ],
+    rows,
+    totals: [['Total', '', report.totals.receivable, report.totals.certified, report.totals.pending, report.totals.payable]],
+  };
+}
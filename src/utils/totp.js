@@ -0,0 +1,133 @@
+// RFC 6238 TOTP helpers (HMAC-SHA1, 30s steps, 6 digits) plus recovery codes
+// - Secrets are base32 for authenticator apps and stored AES-256-GCM encrypted
+//   (key: TOTP_ENCRYPTION_KEY, falling back to JWT_SECRET)
+// - Recovery codes are single-use; only SHA-256 hashes are stored
+
+import crypto from 'crypto';
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+export const TOTP_ISSUER = process.env.TOTP_ISSUER || 'INFLU';
+export const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(input) {
+  const clean = String(input || '').toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+function hotp(key, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', key).update(msg).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = ((digest[offset] & 0x7f) << 24)
+    | (digest[offset + 1] << 16)
+    | (digest[offset + 2] << 8)
+    | digest[offset + 3];
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+export function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// New random 160-bit secret, base32 encoded
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// otpauth:// URI for authenticator apps; render it as a QR code client-side
+export function buildOtpauthUrl(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Verify a code within ±window steps; returns the matched step or null.
+// Codes at or before lastUsedStep are rejected so a code cannot be replayed.
+export function verifyTotp(secret, code, { window = 1, lastUsedStep = null, now = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const key = base32Decode(secret);
+  const step = currentStep(now);
+  for (let i = -window; i <= window; i += 1) {
+    const candidate = step + i;
+    if (lastUsedStep != null && candidate <= lastUsedStep) continue;
+    const expected = hotp(key, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return candidate;
+  }
+  return null;
+}
+
+function encryptionKey() {
+  const material = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!material) throw new Error('TOTP_ENCRYPTION_KEY or JWT_SECRET must be configured');
+  return crypto.createHash('sha256').update(String(material)).digest();
+}
+
+// Encrypt a secret for storage as "<iv>.<tag>.<ciphertext>" (base64url)
+export function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const enc = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), enc].map((b) => b.toString('base64url')).join('.');
+}
+
+export function decryptSecret(stored) {
+  const [iv, tag, enc] = String(stored || '').split('.').map((p) => Buffer.from(p, 'base64url'));
+  if (!iv || !tag || !enc) throw new Error('Invalid stored secret');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString('utf8');
+}
+
+export function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Fresh recovery codes: { codes (show once), hashes (store) }
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = [];
+  for (let i = 0; i < count; i += 1) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
@@ -0,0 +1,28 @@
+// Run a unit of work in a MongoDB transaction when the deployment supports it
+// Standalone servers (local development) reject transactions; the work then runs once without a session.
+// Support is detected once per process, so work is never re-run after a failed transactional attempt.
+
+import mongoose from 'mongoose';
+
+let supported = null;
+
+// Replica sets report setName and mongos reports isdbgrid; standalone servers have neither
+function transactionsSupported() {
+  if (!supported) {
+    supported = mongoose.connection.db.admin().command({ hello: 1 })
+      .then((hello) => Boolean(hello.setName || hello.msg === 'isdbgrid'))
+      .catch((err) => {
+        supported = null;
+        throw err;
+      });
+  }
+  return supported;
+}
+
+// work(session) receives the ClientSession, or null when running without a transaction.
+// The driver retries work on transient errors; connection.transaction() resets the state of documents
+// saved in an aborted attempt, so a retried save() inserts again
+export async function runInTransaction(work) {
+  if (!(await transactionsSupported())) return work(null);
+  return mongoose.connection.transaction((session) => work(session));
+}
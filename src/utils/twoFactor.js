@@ -0,0 +1,81 @@
+// Two-factor helpers shared by AuthController (login step) and TwoFactorController (enrollment)
+// - Login challenge: a short-lived JWT proving the password step passed
+// - Second factor: a TOTP code (replay-protected) or a single-use recovery code
+// - Team policy: owners may require 2FA for every active TeamMember they manage
+
+import jwt from 'jsonwebtoken';
+import Admin from '../models/Admin.js';
+import User from '../models/User.js';
+import TeamMember from '../models/TeamMember.js';
+import { verifyTotp, decryptSecret, hashRecoveryCode } from './totp.js';
+
+const CHALLENGE_TTL = '5m';
+
+export function modelFor(subjectType) {
+  return subjectType === 'admin' ? Admin : User;
+}
+
+function jwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error('JWT_SECRET is not configured');
+  return secret;
+}
+
+// Issued instead of a session when the account has 2FA enabled
+export function signTwoFactorChallenge(subjectType, subjectId) {
+  return jwt.sign({ type: 'mfa_challenge', subjectType, sub: String(subjectId) }, jwtSecret(), { expiresIn: CHALLENGE_TTL });
+}
+
+// Returns { subjectType, subjectId } or null when the challenge is invalid or expired
+export function verifyTwoFactorChallenge(token) {
+  try {
+    const payload = jwt.verify(String(token || ''), jwtSecret());
+    if (payload.type !== 'mfa_challenge' || !payload.sub) return null;
+    if (payload.subjectType !== 'admin' && payload.subjectType !== 'user') return null;
+    return { subjectType: payload.subjectType, subjectId: payload.sub };
+  } catch {
+    return null;
+  }
+}
+
+// Check a TOTP code or recovery code against the stored enrollment and consume it.
+// Returns 'totp' | 'recovery_code' on success, null otherwise.
+export async function verifySecondFactor(subjectType, subjectId, { code, recoveryCode } = {}) {
+  const Model = modelFor(subjectType);
+  const doc = await Model.findById(subjectId)
+    .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep twoFactor.enabled')
+    .lean();
+  if (!doc?.twoFactor?.enabled || !doc.twoFactor.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(doc.twoFactor.secret), code, { lastUsedStep: doc.twoFactor.lastUsedStep ?? null });
+    if (step == null) return null;
+    // Record the step atomically so two requests cannot both spend the same code
+    const updated = await Model.updateOne(
+      { _id: doc._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return updated.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const updated = await Model.updateOne(
+      { _id: doc._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return updated.modifiedCount === 1 ? 'recovery_code' : null;
+  }
+
+  return null;
+}
+
+// Whether any owner managing this user (as an active TeamMember) requires 2FA
+export async function isTwoFactorRequiredByOwner(email, ownerIds = null) {
+  if (!email) return false;
+  const filter = { email: String(email).toLowerCase(), status: 'active' };
+  if (ownerIds) filter.managed_by = { $in: ownerIds };
+  const owners = await TeamMember.distinct('managed_by', filter);
+  if (owners.length === 0) return false;
+  return !!(await User.exists({ _id: { $in: owners }, 'twoFactor.requireForTeam': true }));
+}